@@ -152,6 +152,16 @@ const state = {
         return window.location.origin;
     })(),
     abortController: null, // For command cancellation
+    currentJob: null, // Server job the output panel is attached to: { id, lastSeq }
+    appContext: null, // Kontent.ai custom app context: { environmentId, userId, userEmail, userRoles }
+    configuredEnvironments: [], // Environments whose API keys the server holds: { alias, label, environmentId, commands, hasApiKey }
+    profiles: [], // Environment profiles of the server's credential vault (without their keys)
+    snapshots: [], // Sync snapshots of the server's snapshot library, newest first
+    schedules: [], // Commands the server runs on a cron schedule, with their past runs
+    backups: [], // Backups whose files the server keeps, newest first
+    retentionPolicies: [], // How many backups of each environment the server keeps
+    archive: null, // Backup archive open in the inspector: { summary, entity, search, items, total, selected }
+    auth: null, // Signed-in user and the roles commands need: { authEnabled, user, commandRoles }
     progress: {
         current: 0,
         total: 100,
@@ -187,9 +197,11 @@ const STORAGE_KEYS = {
     ENTITY_CACHE: 'dataOps_entityCache',
     TEMPLATES: 'dataOps_templates',
     COMMAND_HISTORY: 'dataOps_commandHistory',
-    ENVIRONMENT_PROFILES: 'dataOps_environmentProfiles',
+    ENVIRONMENT_PROFILES: 'dataOps_environmentProfiles', // Only read to move old profiles to the server vault
     SETTINGS: 'dataOps_settings',
-    WORKFLOWS: 'dataOps_workflows'
+    WORKFLOWS: 'dataOps_workflows',
+    ACTIVE_JOB: 'dataOps_activeJob',
+    PENDING_UPLOADS: 'dataOps_pendingUploads'
 };
 
 // Default settings
@@ -217,9 +229,66 @@ const VIRTUAL_SCROLL_THRESHOLD = 1000; // Use virtual scrolling for outputs > 10
 const VIRTUAL_SCROLL_ITEM_HEIGHT = 24; // Estimated height per output line in pixels
 const VIRTUAL_SCROLL_BUFFER = 10; // Number of items to render outside viewport
 
+// Job stream re-attachment
+const JOB_RECONNECT_DELAY = 2000; // Wait before re-attaching to a dropped job stream
+const JOB_MAX_RECONNECT_ATTEMPTS = 10; // Consecutive failed attempts before giving up
+
+// Commands the server only starts once the environment's name was typed
+const CONFIRMED_COMMANDS = ['environment clean'];
+
+// Kontent.ai custom app context
+const CUSTOM_APP_CONTEXT_TIMEOUT = 3000; // Kontent.ai answers quickly; don't hold up startup otherwise
+
+// Resumable uploads
+const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024; // Used if the server doesn't say otherwise
+const UPLOAD_MAX_RETRIES = 5; // Consecutive failed chunks before giving up
+
 // Command Definitions - will be loaded from server
 const commands = {};
 
+// Secret redaction
+// Keys typed into the form (and the access token) are remembered for the session and
+// masked in the log panel, command output, exported files and the command history.
+const REDACTED = '[REDACTED]';
+const SECRET_OPTION_PATTERN = /key|secret|token|password/i;
+const MIN_SECRET_LENGTH = 8; // Shorter values would mask ordinary words
+const KEY_ARGUMENT_PATTERN = /(--[a-z-]*(?:key|secret|token|password)(?:=|\s+))(?!\[REDACTED\])("[^"]*"|'[^']*'|\S+)/gi;
+const BEARER_PATTERN = /(Bearer\s+)[A-Za-z0-9\-._~+/]+=*/gi;
+const knownSecrets = new Set();
+
+// Remember the values of secret options so they can be masked wherever they show up
+function rememberSecrets(options) {
+    Object.entries(options || {}).forEach(([key, value]) => {
+        if (SECRET_OPTION_PATTERN.test(key) && typeof value === 'string' && value.trim().length >= MIN_SECRET_LENGTH) {
+            knownSecrets.add(value.trim());
+        }
+    });
+}
+
+function redactSecrets(text) {
+    if (typeof text !== 'string') return text;
+    let result = text;
+    // Longest first, so a secret containing another one is masked as a whole
+    [...knownSecrets].sort((a, b) => b.length - a.length).forEach(secret => {
+        result = result.split(secret).join(REDACTED);
+    });
+    return result
+        .replace(KEY_ARGUMENT_PATTERN, `$1${REDACTED}`)
+        .replace(BEARER_PATTERN, `$1${REDACTED}`);
+}
+
+function redactValue(value, depth = 0) {
+    if (typeof value === 'string') return redactSecrets(value);
+    if (value instanceof Error) return redactSecrets(value.stack || value.message);
+    if (!value || typeof value !== 'object') return value;
+    if (depth >= 5) return '[…]';
+    if (Array.isArray(value)) return value.map(item => redactValue(item, depth + 1));
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_OPTION_PATTERN.test(key) && typeof item === 'string' && item !== '' ? REDACTED : redactValue(item, depth + 1)
+    ]));
+}
+
 // Logger
 class Logger {
     constructor() {
@@ -228,6 +297,8 @@ class Logger {
 
     log(level, message, data = null) {
         const timestamp = new Date().toLocaleTimeString();
+        message = redactSecrets(message);
+        data = data ? redactValue(data) : data;
         const logEntry = {
             timestamp,
             level,
@@ -351,6 +422,11 @@ function restoreFormState() {
         // Restore options after form is rendered
         setTimeout(() => {
             Object.entries(savedOptions).forEach(([key, value]) => {
+                // Picked profiles are restored into their environment picker
+                const profileField = ENVIRONMENT_FIELDS.find(field => field.profileId === key);
+                if (profileField) {
+                    [key, value] = [profileField.alias, `profile:${value}`];
+                }
                 const element = document.getElementById(`opt-${key}`);
                 if (element) {
                     if (element.type === 'checkbox') {
@@ -421,6 +497,36 @@ async function init() {
         clearHistory: document.getElementById('clear-history'),
         exportHistory: document.getElementById('export-history'),
         toggleHistory: document.getElementById('toggle-history'),
+        snapshotLibrarySection: document.getElementById('snapshot-library-section'),
+        snapshotLibraryContainer: document.getElementById('snapshot-library-container'),
+        snapshotCompareSource: document.getElementById('snapshot-compare-source'),
+        snapshotCompareTarget: document.getElementById('snapshot-compare-target'),
+        compareSnapshots: document.getElementById('compare-snapshots'),
+        refreshSnapshots: document.getElementById('refresh-snapshots'),
+        snapshotDiffContainer: document.getElementById('snapshot-diff-container'),
+        backupsSection: document.getElementById('backups-section'),
+        backupsContainer: document.getElementById('backups-container'),
+        backupEnvironment: document.getElementById('backup-environment'),
+        retentionSummary: document.getElementById('retention-summary'),
+        editRetention: document.getElementById('edit-retention'),
+        pruneBackups: document.getElementById('prune-backups'),
+        refreshBackups: document.getElementById('refresh-backups'),
+        archiveInspectorSection: document.getElementById('archive-inspector-section'),
+        archiveInspectorContainer: document.getElementById('archive-inspector-container'),
+        restoreArchiveInclude: document.getElementById('restore-archive-include'),
+        restoreArchiveExclude: document.getElementById('restore-archive-exclude'),
+        closeArchiveInspector: document.getElementById('close-archive-inspector'),
+        archiveBrowser: document.getElementById('archive-browser'),
+        archiveBrowserTitle: document.getElementById('archive-browser-title'),
+        archiveSearch: document.getElementById('archive-search'),
+        downloadArchiveEntities: document.getElementById('download-archive-entities'),
+        archiveItems: document.getElementById('archive-items'),
+        moreArchiveItems: document.getElementById('more-archive-items'),
+        archiveItemJson: document.getElementById('archive-item-json'),
+        scheduleButton: document.getElementById('schedule-command'),
+        schedulesSection: document.getElementById('schedules-section'),
+        schedulesContainer: document.getElementById('schedules-container'),
+        refreshSchedules: document.getElementById('refresh-schedules'),
         expandAllSections: document.getElementById('expand-all-sections'),
         collapseAllSections: document.getElementById('collapse-all-sections'),
         btnStatistics: document.getElementById('btn-statistics'),
@@ -455,8 +561,15 @@ async function init() {
     
     // Load commands and environments
     try {
+        readAccessTokenFromUrl();
+        await loadCurrentUser();
         await loadCommands();
+        await loadCustomAppContext();
         await loadEnvironments();
+        await loadProfiles();
+        await loadSnapshots();
+        await loadBackups();
+        await loadSchedules();
         logger.info('Environments loaded successfully');
         
         // Restore form state after commands are loaded
@@ -476,10 +589,12 @@ async function init() {
     setupKeyboardShortcuts();
     
     // Load initial data
-    loadProfiles();
     loadCommandHistory();
 
     logger.info('Application initialized successfully');
+    
+    // Re-attach to a job that was still running when the page was closed
+    resumeActiveJob();
 }
 
 // Setup auto-save for form state
@@ -527,10 +642,93 @@ function setupAutoSave() {
     });
 }
 
+// Roles of the API, from least to most privileged
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// Access token for the API; kept for the browser session only
+const ACCESS_TOKEN_KEY = 'dataOps_accessToken';
+
+function getAccessToken() {
+    try {
+        return sessionStorage.getItem(ACCESS_TOKEN_KEY) || '';
+    } catch {
+        return '';
+    }
+}
+
+function setAccessToken(token) {
+    rememberSecrets({ token });
+    try {
+        if (token) {
+            sessionStorage.setItem(ACCESS_TOKEN_KEY, token);
+        } else {
+            sessionStorage.removeItem(ACCESS_TOKEN_KEY);
+        }
+    } catch (error) {
+        logger.warning('Could not store access token', error);
+    }
+}
+
+// Take an access token handed over in the URL fragment (#access_token=...) and drop it from the address bar
+function readAccessTokenFromUrl() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const token = params.get('access_token');
+    if (!token) return;
+    
+    setAccessToken(token);
+    params.delete('access_token');
+    const hash = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`);
+}
+
+// fetch() for the API: sends the access token and asks for a new one if the server rejects it
+async function apiFetch(url, options = {}) {
+    const send = (token) => fetch(url, {
+        ...options,
+        headers: { ...(options.headers || {}), ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+    });
+    
+    const token = getAccessToken();
+    const response = await send(token);
+    if (response.status !== 401) return response;
+    
+    // Another request may have asked for a token in the meantime
+    let newToken = getAccessToken();
+    if (newToken === token) {
+        newToken = (prompt('The server requires you to sign in. Paste your access token:') || '').trim();
+        if (!newToken) return response;
+        setAccessToken(newToken);
+    }
+    return send(newToken);
+}
+
+// Load the signed-in user and the roles commands need
+async function loadCurrentUser() {
+    try {
+        const response = await apiFetch(`${state.serverUrl}/api/auth/me`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        state.auth = await response.json();
+        if (state.auth.authEnabled) {
+            logger.info(`Signed in as ${state.auth.user.name || state.auth.user.id} (${state.auth.user.role})`);
+        }
+        renderAppContext();
+    } catch (error) {
+        logger.warning('Could not load the signed-in user', error);
+    }
+}
+
+// Check whether the signed-in user has a role (or a more privileged one)
+function hasRole(role) {
+    const userRole = state.auth?.user?.role;
+    return !state.auth || ROLES.indexOf(userRole) >= ROLES.indexOf(role);
+}
+
 // Load commands from server
 async function loadCommands() {
     try {
-        const response = await fetch(`${state.serverUrl}/api/commands`);
+        const response = await apiFetch(`${state.serverUrl}/api/commands`);
         if (!response.ok) {
             throw new Error(`Failed to load commands: ${response.statusText}`);
         }
@@ -557,17 +755,207 @@ function populateCommandSelect() {
         option.value = key;
         option.textContent = cmd.name || key;
         option.title = cmd.description || cmd.tooltip || '';
+        
+        // The server refuses commands the user's role doesn't allow
+        const requiredRole = state.auth?.commandRoles?.[key] || 'admin';
+        if (state.auth?.authEnabled && !hasRole(requiredRole)) {
+            option.disabled = true;
+            option.textContent += ` (requires ${requiredRole})`;
+        }
         select.appendChild(option);
     });
 }
 
+// Read the context Kontent.ai passes to the custom app (environment and user)
+// Only available when the app is embedded in Kontent.ai
+async function loadCustomAppContext() {
+    if (window.self === window.top) {
+        logger.info('Not running inside Kontent.ai, environment fields are not prefilled');
+        return;
+    }
+    
+    try {
+        const { getCustomAppContext } = await import('@kontent-ai/custom-app-sdk');
+        const response = await Promise.race([
+            getCustomAppContext(),
+            new Promise((_, reject) => setTimeout(() => reject(new Error('Timed out waiting for Kontent.ai')), CUSTOM_APP_CONTEXT_TIMEOUT))
+        ]);
+        
+        if (response.isError) {
+            logger.warning(`Could not read custom app context: ${response.description || response.code}`);
+            return;
+        }
+        
+        const { environmentId, userId, userEmail, userRoles } = response.context;
+        state.appContext = { environmentId, userId, userEmail, userRoles: userRoles || [] };
+        logger.info(`Opened in environment ${environmentId}`);
+        renderAppContext();
+    } catch (error) {
+        logger.warning('Could not read custom app context', error);
+    }
+}
+
+// Show the environment and user the app was opened for, and who is signed in to the server, in the header
+function renderAppContext() {
+    const container = document.getElementById('app-context');
+    const signedInUser = state.auth?.authEnabled ? state.auth.user : null;
+    if (!container || (!state.appContext && !signedInUser)) return;
+    
+    let html = '';
+    if (state.appContext) {
+        const { environmentId, userEmail, userRoles } = state.appContext;
+        const roles = userRoles.map(role => role.codename || role.id).filter(Boolean);
+        html += `
+            <span title="Environment the app is opened in">🌐 ${escapeHtml(environmentId)}</span>
+            ${userEmail ? `<span title="${escapeHtml(roles.join(', ')).replace(/"/g, '&quot;')}">👤 ${escapeHtml(userEmail)}</span>` : ''}
+        `;
+    }
+    if (signedInUser) {
+        html += `<span title="Signed in to the data-ops server">🔑 ${escapeHtml(signedInUser.name || signedInUser.id)} (${escapeHtml(signedInUser.role)})</span>`;
+    }
+    container.innerHTML = html;
+    container.style.display = '';
+}
+
+// Fill empty required environment ID fields with the environment the app is opened in
+function prefillEnvironmentFields(command) {
+    const environmentId = state.appContext?.environmentId;
+    if (!environmentId) return;
+    
+    command.options.forEach(option => {
+        if (!option.required || getFieldType(option.id) !== 'guid') return;
+        const input = document.getElementById(`opt-${option.id}`);
+        if (input && !input.value) {
+            input.value = environmentId;
+        }
+    });
+}
+
+// Option names of the environments a command works with
+const ENVIRONMENT_FIELDS = [
+    { alias: 'environmentAlias', profileId: 'profileId', environmentId: 'environmentId', apiKey: 'apiKey', label: 'Saved Environment' },
+    { alias: 'sourceEnvironmentAlias', profileId: 'sourceProfileId', environmentId: 'sourceEnvironmentId', apiKey: 'sourceApiKey', label: 'Saved Source Environment' },
+    { alias: 'targetEnvironmentAlias', profileId: 'targetProfileId', environmentId: 'targetEnvironmentId', apiKey: 'targetApiKey', label: 'Saved Target Environment' }
+];
+
+// Add a picker of configured environments and vault profiles above each environment ID field the command has
+// Profiles are picked as "profile:<id>", configured environments by their alias
+function renderEnvironmentAliasPickers(commandName, command) {
+    const environments = state.configuredEnvironments.filter(env =>
+        env.hasApiKey && (env.commands.includes('*') || env.commands.includes(commandName)));
+    const profiles = state.profiles.filter(profile => profile.hasManagementApiKey);
+    if (environments.length === 0 && profiles.length === 0) return;
+    
+    ENVIRONMENT_FIELDS.forEach(field => {
+        const idGroup = document.getElementById(`opt-group-${field.environmentId}`);
+        if (!idGroup || !command.options.some(option => option.id === field.apiKey)) return;
+        
+        const group = document.createElement('div');
+        group.className = 'option-group environment-alias-group';
+        group.id = `opt-group-${field.alias}`;
+        group.innerHTML = `
+            <label for="opt-${field.alias}">${field.label}</label>
+            <select id="opt-${field.alias}" class="form-control environment-alias-select">
+                <option value="">Enter environment ID and API key manually</option>
+                ${environments.length > 0 ? `<optgroup label="Configured environments">
+                    ${environments.map(env => `
+                        <option value="${escapeHtml(env.alias)}">${escapeHtml(env.label)} (${escapeHtml(env.environmentId)})</option>
+                    `).join('')}
+                </optgroup>` : ''}
+                ${profiles.length > 0 ? `<optgroup label="Profiles">
+                    ${profiles.map(profile => `
+                        <option value="profile:${escapeHtml(profile.id)}">${escapeHtml(profile.name)} (${escapeHtml(profile.environmentId)})</option>
+                    `).join('')}
+                </optgroup>` : ''}
+            </select>
+        `;
+        idGroup.parentNode.insertBefore(group, idGroup);
+        
+        group.querySelector('select').addEventListener('change', () => {
+            updateCommandOptions();
+            updateRunButtonState();
+            saveFormState();
+        });
+    });
+}
+
+// Re-render the environment pickers of the current command, keeping what was picked
+function refreshEnvironmentPickers() {
+    const command = commands[state.command];
+    if (!command) return;
+    
+    const picked = {};
+    document.querySelectorAll('.environment-alias-select').forEach(select => {
+        picked[select.id] = select.value;
+    });
+    document.querySelectorAll('.environment-alias-group').forEach(group => group.remove());
+    
+    renderEnvironmentAliasPickers(state.command, command);
+    Object.entries(picked).forEach(([id, value]) => {
+        const select = document.getElementById(id);
+        if (select && Array.from(select.options).some(option => option.value === value)) {
+            select.value = value;
+        }
+    });
+    updateCommandOptions();
+}
+
+// Hide the ID and API key fields of environments picked from the configuration or the vault
+// Returns the picked aliases and profile IDs by option name
+function syncEnvironmentAliasFields() {
+    const picked = {};
+    ENVIRONMENT_FIELDS.forEach(field => {
+        const value = document.getElementById(`opt-${field.alias}`)?.value || '';
+        
+        const profile = value.startsWith('profile:')
+            ? state.profiles.find(p => `profile:${p.id}` === value)
+            : null;
+        const environment = profile || state.configuredEnvironments.find(env => env.alias === value);
+        const idInput = document.getElementById(`opt-${field.environmentId}`);
+        if (environment && idInput) {
+            idInput.value = environment.environmentId;
+            if (profile) {
+                picked[field.profileId] = profile.id;
+            } else {
+                picked[field.alias] = environment.alias;
+            }
+        }
+        [field.environmentId, field.apiKey].forEach(id => {
+            const group = document.getElementById(`opt-group-${id}`);
+            if (group) group.style.display = environment ? 'none' : '';
+        });
+    });
+    return picked;
+}
+
 // Load environments
 async function loadEnvironments() {
-    // In a real Kontent.ai custom app, this would fetch from SDK
-    // For now, we'll provide manual input option
     const sourceSelect = elements.sourceEnv;
     const targetSelect = elements.targetEnv;
     
+    // Environments of the custom app configuration, usable without entering an API key
+    try {
+        const response = await apiFetch(`${state.serverUrl}/api/environments`);
+        if (response.ok) {
+            state.configuredEnvironments = await response.json();
+            logger.info(`${state.configuredEnvironments.length} configured environment(s) available`);
+        }
+    } catch (error) {
+        logger.warning('Could not load configured environments', error);
+    }
+    
+    // Offer the environment the app is opened in
+    const environmentId = state.appContext?.environmentId;
+    if (environmentId && !sourceSelect.querySelector(`option[value="${environmentId}"]`)) {
+        const currentOption = document.createElement('option');
+        currentOption.value = environmentId;
+        currentOption.textContent = `Current Environment (${environmentId})`;
+        sourceSelect.appendChild(currentOption.cloneNode(true));
+        targetSelect.appendChild(currentOption);
+        sourceSelect.value = environmentId;
+        state.sourceEnv = environmentId;
+    }
+    
     // Add manual input option
     const manualOption = document.createElement('option');
     manualOption.value = 'manual';
@@ -593,6 +981,14 @@ function setupEventListeners() {
     elements.copyLogs.addEventListener('click', handleCopyLogs);
     elements.toggleLogs.addEventListener('click', handleToggleLogs);
     
+    // Download links of the server need a download token when authentication is on
+    document.addEventListener('click', event => {
+        const link = event.target.closest?.('a[data-download]');
+        if (!link || !state.auth?.authEnabled) return;
+        event.preventDefault();
+        startDownload(link);
+    });
+    
     // Output filter controls (with debouncing for performance)
     if (elements.outputSearch) {
         elements.outputSearch.addEventListener('input', debounce(() => {
@@ -718,6 +1114,60 @@ function setupEventListeners() {
         elements.toggleHistory.addEventListener('click', handleToggleHistory);
     }
     
+    // Snapshot library controls
+    if (elements.refreshSnapshots) {
+        elements.refreshSnapshots.addEventListener('click', () => loadSnapshots());
+    }
+    if (elements.compareSnapshots) {
+        elements.compareSnapshots.addEventListener('click', handleCompareSnapshots);
+    }
+    
+    // Backup controls
+    if (elements.backupEnvironment) {
+        elements.backupEnvironment.addEventListener('change', renderBackups);
+    }
+    if (elements.editRetention) {
+        elements.editRetention.addEventListener('click', handleEditRetention);
+    }
+    if (elements.pruneBackups) {
+        elements.pruneBackups.addEventListener('click', handlePruneBackups);
+    }
+    if (elements.refreshBackups) {
+        elements.refreshBackups.addEventListener('click', () => loadBackups());
+    }
+    
+    // Backup archive inspector controls
+    if (elements.restoreArchiveInclude) {
+        elements.restoreArchiveInclude.addEventListener('click', () => useArchiveForRestore('include'));
+    }
+    if (elements.restoreArchiveExclude) {
+        elements.restoreArchiveExclude.addEventListener('click', () => useArchiveForRestore('exclude'));
+    }
+    if (elements.closeArchiveInspector) {
+        elements.closeArchiveInspector.addEventListener('click', closeArchiveInspector);
+    }
+    if (elements.archiveSearch) {
+        let searchTimer;
+        elements.archiveSearch.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => browseArchiveEntities(state.archive?.entity), 300);
+        });
+    }
+    if (elements.moreArchiveItems) {
+        elements.moreArchiveItems.addEventListener('click', () => loadArchiveItems(true));
+    }
+    if (elements.downloadArchiveEntities) {
+        elements.downloadArchiveEntities.addEventListener('click', handleDownloadArchiveEntities);
+    }
+    
+    // Scheduled command controls
+    if (elements.scheduleButton) {
+        elements.scheduleButton.addEventListener('click', handleScheduleCommand);
+    }
+    if (elements.refreshSchedules) {
+        elements.refreshSchedules.addEventListener('click', () => loadSchedules());
+    }
+    
     // Workflows and Help buttons
     if (elements.btnWorkflows) {
         elements.btnWorkflows.addEventListener('click', () => openModal('workflows-modal'));
@@ -852,7 +1302,7 @@ function renderCommandOptions(commandName) {
         if (option.type === 'text') {
             const placeholder = option.placeholder || `Enter ${option.label.toLowerCase()}`;
             const fieldType = getFieldType(option.id);
-            const isFileField = fieldType === 'filepath' && (option.id.includes('fileName') || option.id.includes('file_name'));
+            const isFileField = option.upload || (fieldType === 'filepath' && (option.id.includes('fileName') || option.id.includes('file_name')));
             
             html += `<div class="field-wrapper">`;
             html += `<div class="input-with-file-picker">`;
@@ -863,6 +1313,9 @@ function renderCommandOptions(commandName) {
                 html += `<input type="file" id="opt-${option.id}-file" class="file-input-hidden" accept=".zip" style="display: none;" />`;
                 html += `<button type="button" class="btn-file-picker" data-target="opt-${option.id}" title="Browse for file">📁</button>`;
             }
+            if (option.inspectable) {
+                html += `<button type="button" class="btn-file-picker btn-inspect-archive" data-target="opt-${option.id}" title="See what the backup contains">🔍</button>`;
+            }
             
             html += `</div>`;
             html += `<span class="field-validation-icon"></span>`;
@@ -937,6 +1390,12 @@ function renderCommandOptions(commandName) {
     
     elements.commandOptions.innerHTML = html;
     
+    // Use the environment the app is opened in where an environment is required
+    prefillEnvironmentFields(command);
+    
+    // Offer configured environments in place of entering an ID and API key
+    renderEnvironmentAliasPickers(commandName, command);
+    
     // Store initial values and add listeners
     updateCommandOptions();
     
@@ -980,6 +1439,183 @@ function renderCommandOptions(commandName) {
     
     // Setup inline validation
     setupInlineValidation(command);
+    
+    // Migrations commands work on folders on the server
+    if (commandName.startsWith('migrations ')) {
+        renderMigrationsBrowser();
+    }
+    
+    // Sync can start from a snapshot of the library instead of a folder name
+    command.options.filter(option => option.snapshots).forEach(renderSnapshotPicker);
+    
+    // Backups uploaded or kept on the server can be opened in the archive inspector
+    command.options.filter(option => option.inspectable).forEach(option => {
+        document.querySelector(`.btn-inspect-archive[data-target="opt-${option.id}"]`)?.addEventListener('click', () => {
+            const reference = document.getElementById(`opt-${option.id}`)?.value.trim() || '';
+            if (!/^(upload|artifact):/.test(reference)) {
+                showToast('Upload a backup or choose one of the server\'s backups to see what it contains', 'warning');
+                return;
+            }
+            openArchiveInspector(reference);
+        });
+    });
+}
+
+// Show the server's migrations folders and the status of their migrations
+async function renderMigrationsBrowser() {
+    const folderInput = document.getElementById('opt-migrationsFolder');
+    if (!folderInput || !state.serverUrl) return;
+    
+    const browser = document.createElement('div');
+    browser.className = 'migrations-browser';
+    browser.innerHTML = `
+        <div class="migrations-browser-header">
+            <label for="migrations-folder-select">Migrations on the server</label>
+            <div class="migrations-browser-controls">
+                <select id="migrations-folder-select" class="form-control">
+                    <option value="">Loading folders...</option>
+                </select>
+                <button type="button" id="refresh-migrations" class="btn btn-secondary" title="Reload migrations and their status">🔄 Refresh</button>
+            </div>
+        </div>
+        <div id="migrations-status" class="migrations-status"></div>
+    `;
+    elements.commandOptions.appendChild(browser);
+    
+    const folderSelect = document.getElementById('migrations-folder-select');
+    folderSelect.addEventListener('change', () => {
+        if (!folderSelect.value) return;
+        folderInput.value = folderSelect.value;
+        updateCommandOptions();
+        saveFormState();
+        refreshMigrationStatus();
+    });
+    document.getElementById('refresh-migrations').addEventListener('click', () => refreshMigrationStatus());
+    folderInput.addEventListener('change', () => refreshMigrationStatus());
+    document.getElementById('opt-environmentId')?.addEventListener('change', () => refreshMigrationStatus());
+    
+    try {
+        const response = await apiFetch(`${state.serverUrl}/api/migrations/folders`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        const folders = await response.json();
+        folderSelect.innerHTML = folders.length === 0
+            ? '<option value="">No migrations found on the server</option>'
+            : '<option value="">Choose a folder...</option>' + folders.map(folder => `
+                <option value="${escapeHtml(folder.path).replace(/"/g, '&quot;')}">${escapeHtml(folder.path)} (${folder.migrationCount})</option>
+            `).join('');
+        
+        if (!folderInput.value && folders.length === 1) {
+            folderInput.value = folders[0].path;
+            updateCommandOptions();
+        }
+        if (folders.some(folder => folder.path === folderInput.value)) {
+            folderSelect.value = folderInput.value;
+        }
+    } catch (error) {
+        logger.warning('Could not load migrations folders', error);
+        folderSelect.innerHTML = '<option value="">Could not load folders</option>';
+    }
+    
+    refreshMigrationStatus();
+}
+
+// Load the migrations of the chosen folder and show which are applied in the environment
+async function refreshMigrationStatus() {
+    const container = document.getElementById('migrations-status');
+    const folder = document.getElementById('opt-migrationsFolder')?.value.trim();
+    if (!container) return;
+    
+    if (!folder) {
+        container.innerHTML = '<small class="migrations-hint">Choose a migrations folder to see its migrations.</small>';
+        return;
+    }
+    
+    const environmentId = document.getElementById('opt-environmentId')?.value.trim() || '';
+    const params = new URLSearchParams({ folder });
+    if (environmentId) {
+        params.set('environmentId', environmentId);
+    }
+    
+    try {
+        const response = await apiFetch(`${state.serverUrl}/api/migrations/status?${params}`);
+        const status = await response.json();
+        if (!response.ok) {
+            throw new Error(status.error || `HTTP ${response.status}: ${response.statusText}`);
+        }
+        container.innerHTML = renderMigrationStatusTable(status);
+        
+        container.querySelectorAll('.btn-migration-action').forEach(button => {
+            button.addEventListener('click', () => selectMigration(button.dataset.name, button.dataset.rollback === 'true'));
+        });
+    } catch (error) {
+        container.innerHTML = `<small class="migrations-hint migrations-error">${escapeHtml(error.message)}</small>`;
+    }
+}
+
+// Build the migrations status table
+function renderMigrationStatusTable(status) {
+    if (status.migrations.length === 0) {
+        return '<small class="migrations-hint">This folder has no migrations yet.</small>';
+    }
+    
+    const stateLabels = {
+        pending: '⚪ Pending',
+        applied: '✅ Applied',
+        failed: '❌ Failed',
+        rolledBack: '↩️ Rolled back'
+    };
+    const canRun = state.command === 'migrations run' && status.environmentId;
+    
+    return `
+        ${status.environmentId ? '' : '<small class="migrations-hint">Enter an Environment ID to see which migrations are applied.</small>'}
+        <table class="migrations-table">
+            <thead>
+                <tr>
+                    <th>Order</th>
+                    <th>Migration</th>
+                    <th>Status</th>
+                    <th>Last change</th>
+                    ${canRun ? '<th></th>' : ''}
+                </tr>
+            </thead>
+            <tbody>
+                ${status.migrations.map(migration => `
+                    <tr class="migration-${migration.state}">
+                        <td>${migration.order !== undefined ? escapeHtml(String(migration.order)) : '–'}</td>
+                        <td>${escapeHtml(migration.name)}</td>
+                        <td>${stateLabels[migration.state] || escapeHtml(migration.state)}</td>
+                        <td>${migration.time ? new Date(migration.time).toLocaleString() : '–'}</td>
+                        ${canRun ? `
+                            <td>
+                                <button type="button" class="btn-migration-action" data-name="${escapeHtml(migration.name).replace(/"/g, '&quot;')}" data-rollback="${migration.state === 'applied'}">
+                                    ${migration.state === 'applied' ? 'Roll back' : 'Run'}
+                                </button>
+                            </td>
+                        ` : ''}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Fill in the run options for a single migration from the status table
+function selectMigration(name, rollback) {
+    const fields = { name, range: '', next: '' };
+    Object.entries(fields).forEach(([id, value]) => {
+        const input = document.getElementById(`opt-${id}`);
+        if (input) input.value = value;
+    });
+    const allCheckbox = document.getElementById('opt-all');
+    if (allCheckbox) allCheckbox.checked = false;
+    const rollbackCheckbox = document.getElementById('opt-rollback');
+    if (rollbackCheckbox) rollbackCheckbox.checked = rollback;
+    
+    updateCommandOptions();
+    saveFormState();
+    showToast(`${rollback ? 'Rollback' : 'Run'} of ${name} selected`, 'info');
 }
 
 // Setup file picker buttons
@@ -988,7 +1624,7 @@ function setupFilePickers(command) {
     
     command.options.forEach(option => {
         const fieldType = getFieldType(option.id);
-        const isFileField = fieldType === 'filepath' && (option.id.includes('fileName') || option.id.includes('file_name'));
+        const isFileField = option.upload || (fieldType === 'filepath' && (option.id.includes('fileName') || option.id.includes('file_name')));
         
         if (isFileField) {
             const fileInput = document.getElementById(`opt-${option.id}-file`);
@@ -1004,12 +1640,9 @@ function setupFilePickers(command) {
                 fileInput.addEventListener('change', (e) => {
                     const file = e.target.files[0];
                     if (file) {
-                        textInput.value = file.name;
-                        updateFileInfo(option.id, file, fileInfo);
-                        validateField(option.id, option);
-                        updateCommandOptions();
-                        saveFormState();
+                        handleSelectedFile(option, file, textInput, fileInfo);
                     }
+                    fileInput.value = '';
                 });
                 
                 // Also allow drag and drop
@@ -1028,11 +1661,7 @@ function setupFilePickers(command) {
                     
                     const file = e.dataTransfer.files[0];
                     if (file) {
-                        textInput.value = file.name;
-                        updateFileInfo(option.id, file, fileInfo);
-                        validateField(option.id, option);
-                        updateCommandOptions();
-                        saveFormState();
+                        handleSelectedFile(option, file, textInput, fileInfo);
                     }
                 });
             }
@@ -1040,6 +1669,139 @@ function setupFilePickers(command) {
     });
 }
 
+// Use a chosen file: upload fields send it to the server, others just take its name
+async function handleSelectedFile(option, file, textInput, fileInfo) {
+    if (!option.upload || !state.serverUrl) {
+        textInput.value = file.name;
+        updateFileInfo(option.id, file, fileInfo);
+        validateField(option.id, option);
+        updateCommandOptions();
+        saveFormState();
+        return;
+    }
+    
+    textInput.value = '';
+    textInput.disabled = true;
+    updateFileInfo(option.id, file, fileInfo);
+    
+    try {
+        const upload = await uploadFile(file, (sent) => updateUploadProgress(fileInfo, file, sent));
+        textInput.value = upload.reference;
+        updateFileInfo(option.id, file, fileInfo);
+        fileInfo.insertAdjacentHTML('beforeend', `
+            <small class="upload-status upload-status-complete">
+                ✓ Uploaded${upload.entities ? ` (${escapeHtml(upload.entities.join(', '))})` : ''}
+            </small>
+        `);
+        showToast(`${file.name} uploaded`, 'success');
+    } catch (error) {
+        logger.error('Upload failed', error);
+        fileInfo.insertAdjacentHTML('beforeend', `
+            <small class="upload-status upload-status-error">✗ ${escapeHtml(error.message)}</small>
+        `);
+        showToast(`Upload failed: ${error.message}`, 'error');
+    } finally {
+        textInput.disabled = false;
+        validateField(option.id, option);
+        updateCommandOptions();
+        saveFormState();
+    }
+}
+
+// Call the upload API and return the parsed JSON response
+// The server keeps uploads per signed-in user
+async function uploadRequest(path, options = {}) {
+    const response = await apiFetch(`${state.serverUrl}/api/uploads${path}`, options);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        error.upload = data;
+        throw error;
+    }
+    return data;
+}
+
+// Upload a file in chunks
+// Interrupted uploads of the same file resume from the server's offset
+async function uploadFile(file, onProgress) {
+    const fingerprint = `${file.name}:${file.size}:${file.lastModified}`;
+    const pendingUploads = getStorageItem(STORAGE_KEYS.PENDING_UPLOADS, {});
+    let upload = null;
+    
+    if (pendingUploads[fingerprint]) {
+        upload = await uploadRequest(`/${pendingUploads[fingerprint]}`).catch(() => null);
+        if (upload) {
+            logger.info(`Resuming upload of ${file.name} at ${upload.offset} bytes`);
+        }
+    }
+    
+    if (!upload) {
+        upload = await uploadRequest('', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ fileName: file.name, size: file.size })
+        });
+        pendingUploads[fingerprint] = upload.id;
+        setStorageItem(STORAGE_KEYS.PENDING_UPLOADS, pendingUploads);
+    }
+    
+    const chunkSize = upload.chunkSize || UPLOAD_CHUNK_SIZE;
+    let offset = upload.offset;
+    let failures = 0;
+    
+    while (upload.status === 'pending' && offset < file.size) {
+        onProgress(offset);
+        try {
+            upload = await uploadRequest(`/${upload.id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/octet-stream', 'Upload-Offset': String(offset) },
+                body: file.slice(offset, offset + chunkSize)
+            });
+            offset = upload.offset;
+            failures = 0;
+        } catch (error) {
+            if (++failures > UPLOAD_MAX_RETRIES || (error.status && error.status !== 409 && error.status < 500)) {
+                throw error;
+            }
+            // Ask the server how far it got before retrying
+            await new Promise(resolve => setTimeout(resolve, JOB_RECONNECT_DELAY));
+            upload = await uploadRequest(`/${upload.id}`);
+            offset = upload.offset;
+        }
+    }
+    onProgress(file.size);
+    
+    try {
+        upload = await uploadRequest(`/${upload.id}/complete`, { method: 'POST' });
+    } finally {
+        // Completed and rejected uploads can't be resumed
+        const remaining = getStorageItem(STORAGE_KEYS.PENDING_UPLOADS, {});
+        delete remaining[fingerprint];
+        setStorageItem(STORAGE_KEYS.PENDING_UPLOADS, remaining);
+    }
+    return upload;
+}
+
+// Show upload progress below a file field
+function updateUploadProgress(fileInfo, file, sent) {
+    if (!fileInfo) return;
+    const percent = file.size ? Math.round((sent / file.size) * 100) : 100;
+    let progress = fileInfo.querySelector('.upload-progress');
+    if (!progress) {
+        fileInfo.insertAdjacentHTML('beforeend', `
+            <div class="upload-progress">
+                <div class="upload-progress-bar"><div class="upload-progress-fill"></div></div>
+                <small class="upload-progress-text"></small>
+            </div>
+        `);
+        progress = fileInfo.querySelector('.upload-progress');
+    }
+    progress.querySelector('.upload-progress-fill').style.width = `${percent}%`;
+    progress.querySelector('.upload-progress-text').textContent =
+        `Uploading… ${formatFileSize(sent)} of ${formatFileSize(file.size)} (${percent}%)`;
+}
+
 // Update file info display
 function updateFileInfo(fieldId, file, fileInfoElement) {
     if (!fileInfoElement || !file) return;
@@ -1169,7 +1931,7 @@ function validateField(fieldId, option) {
             
         case 'filepath':
             // File path validation
-            if (value) {
+            if (value && !value.startsWith('upload:') && !value.startsWith('snapshot:')) {
                 // Check for invalid characters (control characters 0x00-0x1F)
                 const invalidChars = /[<>:"|?*]/;
                 // Check for control characters separately to avoid regex issues
@@ -1341,11 +2103,12 @@ async function fetchEntitiesForOption(optionId, commandName) {
     const command = commands[commandName];
     if (!command) return;
     
-    // Get environment credentials from the form
+    // Get environment credentials from the form; configured environments and profiles need no API key
+    const pickedEnvironment = document.getElementById('opt-environmentAlias')?.value || '';
     const environmentId = getEnvironmentIdFromForm(command);
     const apiKey = getApiKeyFromForm(command);
     
-    if (!environmentId || !apiKey) {
+    if (!environmentId || (!apiKey && !pickedEnvironment)) {
         showError('Missing Credentials', 'Please enter Environment ID and Management API Key before fetching entities.');
         return;
     }
@@ -1369,15 +2132,16 @@ async function fetchEntitiesForOption(optionId, commandName) {
             fromCache = true;
         } else {
             // Fetch entities from server
-            const response = await fetch(`${state.serverUrl}/api/fetch-entities`, {
+            const response = await apiFetch(`${state.serverUrl}/api/fetch-entities`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({
-                    environmentId: environmentId,
-                    apiKey: apiKey
-                })
+                body: JSON.stringify(
+                    pickedEnvironment.startsWith('profile:') ? { profileId: pickedEnvironment.slice('profile:'.length) } :
+                    pickedEnvironment ? { environmentAlias: pickedEnvironment } :
+                    { environmentId: environmentId, apiKey: apiKey, kontentUrl: document.getElementById('opt-kontentUrl')?.value || undefined }
+                )
             });
             
             if (!response.ok) {
@@ -1631,6 +2395,7 @@ function updateCommandOptions() {
     if (!command || !command.options) return;
     
     state.commandOptions = {};
+    const pickedEnvironments = syncEnvironmentAliasFields();
     
     command.options.forEach(option => {
         if (option.type === 'entity-multiselect') {
@@ -1663,6 +2428,15 @@ function updateCommandOptions() {
         }
     });
     
+    // Picked environments are sent as aliases or profile IDs; the server supplies their API keys
+    Object.entries(pickedEnvironments).forEach(([pickedOption, value]) => {
+        const field = ENVIRONMENT_FIELDS.find(f => f.alias === pickedOption || f.profileId === pickedOption);
+        delete state.commandOptions[field.environmentId];
+        delete state.commandOptions[field.apiKey];
+        state.commandOptions[pickedOption] = value;
+    });
+    rememberSecrets(state.commandOptions);
+    
         // Add listeners for multiselect changes
         command.options.forEach(option => {
             if (option.type === 'multiselect') {
@@ -1688,6 +2462,9 @@ function updateRunButtonState() {
                    validateCanRun();
     
     elements.runButton.disabled = !canRun;
+    if (elements.scheduleButton) {
+        elements.scheduleButton.disabled = !(state.command && validateCanRun());
+    }
     elements.runButton.style.display = state.isRunning ? 'none' : '';
     elements.cancelButton.style.display = state.isRunning ? '' : 'none';
 }
@@ -1782,9 +2559,14 @@ async function handleRunCommand() {
     logger.info(`Starting command: ${state.command}`);
     addOutput('info', `Starting command: ${state.command}`);
     
+    // Execute command via server
+    await trackCommandExecution(executeCommandViaServer);
+}
+
+// Run a command execution and report its outcome (status, history, notifications)
+async function trackCommandExecution(runner) {
     try {
-        // Execute command via server
-        await executeCommandViaServer();
+        await runner();
         
         updateProgress(100, 'Command completed successfully', 'Complete');
         updateStatus('success', 'Command completed successfully');
@@ -1834,6 +2616,7 @@ async function handleRunCommand() {
     } finally {
         state.isRunning = false;
         state.abortController = null;
+        state.currentJob = null;
         updateRunButtonState();
     }
 }
@@ -1874,7 +2657,7 @@ function validateCommandOptions() {
             }
         }
         
-        // Check conditional requirements (e.g., outPath required when advanced is checked)
+        // Check conditional requirements (options only required once the option they depend on is set)
         if (option.dependsOn) {
             const dependsOnElement = document.getElementById(`opt-${option.dependsOn}`);
             if (dependsOnElement) {
@@ -1912,132 +2695,580 @@ function validateCommandOptions() {
 }
 
 // Execute command via server
+// The command runs as a server-side job; this only starts it and attaches to its output
 async function executeCommandViaServer() {
-    return new Promise((resolve, reject) => {
-        // Create abort controller for cancellation
-        state.abortController = new AbortController();
-        const signal = state.abortController.signal;
-        
-        // Use the command as-is (it's already in format like "environment backup")
-        const command = state.command;
-        const options = { ...state.commandOptions };
-        
-        // The options are already in the correct format from the form
-        // Arrays are already arrays, booleans are booleans, etc.
-        
-        // Use fetch with streaming response for Server-Sent Events
-        fetch(`${state.serverUrl}/api/execute`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                command: command,
-                options: options
-            }),
-            signal: signal
+    // Use the command as-is (it's already in format like "environment backup")
+    const command = state.command;
+    const options = { ...state.commandOptions };
+    
+    const confirmation = CONFIRMED_COMMANDS.includes(command) ? await requestConfirmation(command, options) : undefined;
+    // Sync runs between two environments only start from a plan the user approved
+    const planId = command === 'sync run' && !options.folderName ? await reviewSyncPlan(options) : undefined;
+    
+    // The options are already in the correct format from the form
+    // Arrays are already arrays, booleans are booleans, etc.
+    const response = await apiFetch(`${state.serverUrl}/api/jobs`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            command: command,
+            options: options,
+            confirmation: confirmation,
+            planId: planId
         })
-        .then(async (response) => {
-            if (!response.ok) {
-                try {
-                    const error = await response.json();
-                    throw new Error(error.error || 'Command execution failed');
-                } catch {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
-            }
-            
-            // Handle streaming response (Server-Sent Events format)
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            let buffer = '';
-            
-            try {
-                while (true) {
-                    const { done, value } = await reader.read();
-                    
-                    if (done) {
-                        // Check if we have any remaining data in buffer
-                        if (buffer.trim()) {
-                            processBuffer(buffer, resolve, reject);
-                        }
-                        // If we got here without a complete/error, assume success
-                        resolve();
-                        break;
-                    }
-                    
-                    buffer += decoder.decode(value, { stream: true });
-                    
-                    // Process complete lines
-                    const lines = buffer.split('\n');
-                    buffer = lines.pop() || ''; // Keep incomplete line in buffer
-                    
-                    for (const line of lines) {
-                        if (line.trim().startsWith('data: ')) {
-                            try {
-                                const jsonStr = line.slice(6).trim();
-                                if (!jsonStr) continue;
-                                
-                                const data = JSON.parse(jsonStr);
-                                
-                                if (data.type === 'output') {
-                                    addOutput(data.level || 'info', data.message);
-                                } else if (data.type === 'connected') {
-                                    addOutput('info', data.message);
-                                    updateProgress(5, 'Connected to command stream', 'Initializing');
-                                } else if (data.type === 'progress') {
-                                    // Handle explicit progress updates from server
-                                    updateProgress(data.percent || 0, data.message || '', data.stage || '');
-                                } else if (data.type === 'complete') {
-                                    if (data.success) {
-                                        updateProgress(100, 'Command completed successfully', 'Complete');
-                                        addOutput('success', data.message);
-                                        resolve();
-                                        return;
-                                    } else {
-                                        updateProgress(0, 'Command failed', 'Error');
-                                        addOutput('error', data.message);
-                                        reject(new Error(data.message));
-                                        return;
-                                    }
-                                } else if (data.type === 'error') {
-                                    updateProgress(0, 'Error occurred', 'Error');
-                                    addOutput('error', data.message);
-                                    reject(new Error(data.message));
-                                    return;
-                                }
-                            } catch {
-                                // Invalid JSON, skip this line
-                                console.warn('Failed to parse SSE data:', line);
-                            }
-                        }
-                    }
-                }
-            } catch (error) {
-                // Don't reject if it was an abort
-                if (error.name === 'AbortError') {
-                    addOutput('warning', 'Command cancelled by user');
-                    resolve(); // Resolve instead of reject for cancellation
-                    return;
-                }
-                reject(error);
-            }
-        })
-        .catch(error => {
-            // Handle abort errors gracefully
+    });
+    
+    if (!response.ok) {
+        let message = `HTTP ${response.status}: ${response.statusText}`;
+        try {
+            const error = await response.json();
+            message = error.error || message;
+        } catch {
+            // Keep the HTTP status message
+        }
+        throw new Error(message);
+    }
+    
+    const job = await response.json();
+    setStorageItem(STORAGE_KEYS.ACTIVE_JOB, { id: job.id, command: job.command, startedAt: state.commandStartTime });
+    logger.info(`Job ${job.id} started`);
+    
+    return attachToJob(job.id, 0);
+}
+
+// Show what a command would delete and have the user type the environment's name
+// Returns the { token, environmentName } the server starts the job with
+async function requestConfirmation(command, options) {
+    return confirmDeletion(command, `${state.serverUrl}/api/jobs/confirmations`, { command, options });
+}
+
+// Ask the server what would be deleted and have the user confirm it by typing the environment's name
+// `body` is what the confirmation endpoint is called with
+async function confirmDeletion(label, url, body) {
+    addOutput('info', `Reading what ${label} would delete...`);
+    const response = await apiFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
+    const summary = await response.json();
+    
+    const counts = Object.entries(summary.counts)
+        .map(([entity, count]) => `- ${count} ${entity.replace(/([A-Z])/g, ' $1').toLowerCase()}`)
+        .join('\n');
+    const environmentName = prompt(
+        `${label} will permanently delete from ${summary.projectName} / ${summary.environmentName}:\n\n${counts}\n\n` +
+        `Type the name of the environment, "${summary.environmentName}", to continue.`
+    );
+    if (environmentName === null) {
+        throw new Error('Cancelled: the environment name was not confirmed');
+    }
+    addOutput('info', `Confirmed ${label} of ${summary.projectName} / ${summary.environmentName}`);
+    return { token: summary.token, environmentName };
+}
+
+// Compute what a sync run would change and let the user review it
+// Returns the ID of the approved plan; the server refuses it once either environment changed
+async function reviewSyncPlan(options) {
+    addOutput('info', 'Computing sync plan...');
+    const response = await apiFetch(`${state.serverUrl}/api/jobs/plans`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ options })
+    });
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
+    const plan = await response.json();
+    
+    const container = renderSyncPlan(plan);
+    updateStatus('running', 'Waiting for the plan to be approved...');
+    const approved = await new Promise(resolve => {
+        container.querySelector('.sync-plan-approve').addEventListener('click', () => resolve(true));
+        container.querySelector('.sync-plan-discard').addEventListener('click', () => resolve(false));
+    });
+    container.querySelectorAll('.sync-plan-actions button').forEach(button => { button.disabled = true; });
+    if (!approved) {
+        throw new Error('Cancelled: the sync plan was not approved');
+    }
+    addOutput('info', `Sync plan ${plan.id} approved`);
+    updateStatus('running', 'Running command...');
+    return plan.id;
+}
+
+// Format a value of a plan's property change for display
+function formatPlanValue(value) {
+    if (value === undefined) return '—';
+    const text = JSON.stringify(value);
+    return text.length > 200 ? `${text.slice(0, 200)}…` : text;
+}
+
+// Show a sync plan in the output panel: operations grouped by entity type, updates with their property changes
+function renderSyncPlan(plan) {
+    const icons = { create: '➕', update: '✏️', delete: '🗑️' };
+    const sections = Object.entries(plan.operations).map(([entity, operations]) => {
+        const items = operations.map(operation => `
+            <li class="sync-plan-operation sync-plan-${operation.operation}">
+                ${icons[operation.operation]} <strong>${escapeHtml(operation.operation)}</strong>
+                ${escapeHtml(operation.name || operation.codename)} <code>${escapeHtml(operation.codename)}</code>
+                ${operation.changes ? `<ul class="sync-plan-changes">${operation.changes.map(change => `
+                    <li><code>${escapeHtml(change.path)}</code>: ${escapeHtml(formatPlanValue(change.before))} → ${escapeHtml(formatPlanValue(change.after))}</li>
+                `).join('')}</ul>` : ''}
+            </li>
+        `).join('');
+        return `
+            <details ${operations.length > 0 ? 'open' : ''}>
+                <summary>${escapeHtml(entity)} (${operations.length})</summary>
+                ${operations.length > 0 ? `<ul class="sync-plan-operations">${items}</ul>` : '<p>No changes</p>'}
+            </details>
+        `;
+    }).join('');
+    
+    const container = document.createElement('div');
+    container.className = 'job-artifacts sync-plan';
+    container.innerHTML = `
+        <div class="job-artifacts-header">📋 Sync plan: ${plan.counts.create} to create, ${plan.counts.update} to update, ${plan.counts.delete} to delete</div>
+        <p>From ${escapeHtml(plan.sourceEnvironmentId)} to ${escapeHtml(plan.targetEnvironmentId)}. The sync run only starts if neither environment changes before it does.
+        This plan is the app's own comparison: data-ops works out its changes itself when the sync runs, so check the job's output for what it actually did.</p>
+        ${sections}
+        <div class="sync-plan-actions">
+            <button type="button" class="btn btn-primary sync-plan-approve">✅ Approve and run</button>
+            <button type="button" class="btn btn-secondary sync-plan-discard">Discard</button>
+        </div>
+    `;
+    elements.outputContainer.appendChild(container);
+    return container;
+}
+
+// Attach to a server job's output stream
+// Re-attaches after dropped connections, replaying only the events that were missed
+async function attachToJob(jobId, afterSeq = 0) {
+    state.abortController = new AbortController();
+    const signal = state.abortController.signal;
+    state.currentJob = { id: jobId, lastSeq: afterSeq };
+    
+    let failedAttempts = 0;
+    
+    while (true) {
+        let finished = null;
+        try {
+            finished = await readJobStream(state.currentJob, signal);
+            // A stream that ended before the job did (proxy timeout, server restart, ...) is retried
+            failedAttempts = 0;
+        } catch (error) {
+            // Don't reject if it was an abort
             if (error.name === 'AbortError') {
                 addOutput('warning', 'Command cancelled by user');
-                resolve();
-            } else {
-                reject(error);
+                return;
             }
+            if (error.permanent) {
+                removeStorageItem(STORAGE_KEYS.ACTIVE_JOB);
+                throw error;
+            }
+            failedAttempts++;
+            if (failedAttempts > JOB_MAX_RECONNECT_ATTEMPTS) {
+                throw new Error(`Lost connection to job ${jobId}: ${error.message}`);
+            }
+        }
+        
+        if (finished) {
+            if (!finished.success) {
+                throw new Error(finished.message);
+            }
+            return;
+        }
+        
+        addOutput('warning', 'Connection to command stream lost, re-attaching...');
+        await new Promise(resolve => setTimeout(resolve, JOB_RECONNECT_DELAY));
+        if (signal.aborted) {
+            addOutput('warning', 'Command cancelled by user');
+            return;
+        }
+    }
+}
+
+// Read a job stream until it ends
+// Returns the final { success, message } when the job finished, or null if the stream dropped early
+async function readJobStream(job, signal) {
+    const response = await apiFetch(`${state.serverUrl}/api/jobs/${job.id}/stream?after=${job.lastSeq}`, { signal });
+    
+    if (!response.ok) {
+        const error = new Error(response.status === 404 ? 'Job not found on server' : `HTTP ${response.status}: ${response.statusText}`);
+        error.permanent = response.status === 404;
+        throw error;
+    }
+    
+    // Handle streaming response (Server-Sent Events format)
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+            // Check if we have any remaining data in buffer
+            return buffer.trim() ? processBuffer(buffer, job) : null;
+        }
+        
+        buffer += decoder.decode(value, { stream: true });
+        
+        // Process complete lines
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || ''; // Keep incomplete line in buffer
+        
+        const finished = processBuffer(lines.join('\n'), job);
+        if (finished) {
+            return finished;
+        }
+    }
+}
+
+// Apply a single job stream message to the output panel
+// Returns { success, message } once the job has finished
+function handleJobMessage(data, job) {
+    if (data.seq) {
+        if (data.seq <= job.lastSeq) return null; // Already shown before re-attaching
+        job.lastSeq = data.seq;
+    }
+    
+    if (data.type === 'output') {
+        addOutput(data.level || 'info', data.message);
+    } else if (data.type === 'connected') {
+        addOutput('info', data.message);
+        updateProgress(5, 'Connected to command stream', 'Initializing');
+    } else if (data.type === 'queued') {
+        // Waiting for a free slot or for another job to release the environment
+        addOutput('warning', data.message);
+        updateStatus('running', data.queue ? `Queued (position ${data.queue.position})` : 'Queued');
+        updateProgress(0, data.message, 'Queued');
+    } else if (data.type === 'started') {
+        addOutput('info', data.message);
+        updateStatus('running', 'Running command...');
+        updateProgress(5, data.message, 'Starting');
+    } else if (data.type === 'progress') {
+        // Handle explicit progress updates from server; counted phases come with throughput and ETA
+        const message = data.phase ? formatPhaseProgress(data.phase) : data.message || '';
+        updateProgress(data.percent || 0, message, data.stage || '');
+    } else if (data.type === 'complete' || data.type === 'error') {
+        removeStorageItem(STORAGE_KEYS.ACTIVE_JOB);
+        renderJobArtifacts(job.id);
+        renderSafetyBackup(job.id);
+        if (state.command === 'sync diff') {
+            renderSyncDiff(job.id);
+        }
+        if (state.command === 'sync snapshot') {
+            loadSnapshots();
+        }
+        // Backups and safety backups
+        loadBackups();
+        if (state.command && state.command.startsWith('migrations ')) {
+            refreshMigrationStatus();
+        }
+        const success = data.type === 'complete' && data.success;
+        if (success) {
+            updateProgress(100, 'Command completed successfully', 'Complete');
+            addOutput('success', data.message);
+        } else {
+            updateProgress(0, data.type === 'error' ? 'Error occurred' : 'Command failed', 'Error');
+            addOutput('error', data.message);
+        }
+        return { success, message: data.message };
+    }
+    return null;
+}
+
+// Get the API path of a file produced by a job
+function getArtifactPath(jobId, artifactName) {
+    const encodedName = artifactName.split('/').map(encodeURIComponent).join('/');
+    return `/api/jobs/${jobId}/artifacts/${encodedName}`;
+}
+
+// Attributes of a link downloading an API path; clicks on it are handled by startDownload
+function downloadLinkAttributes(apiPath) {
+    return `href="${escapeHtml(`${state.serverUrl}${apiPath}`)}" data-download="${escapeHtml(apiPath)}"`;
+}
+
+// Follow a download link with a single-use download token
+// Links can't send the Authorization header, and the access token itself never goes into a URL
+async function startDownload(link) {
+    const apiPath = link.dataset.download;
+    try {
+        const response = await apiFetch(`${state.serverUrl}/api/downloads`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ path: apiPath.split('?')[0] })
         });
-    });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || `HTTP ${response.status}: ${response.statusText}`);
+        }
+        const { token } = await response.json();
+        const anchor = document.createElement('a');
+        anchor.href = `${state.serverUrl}${apiPath}${apiPath.includes('?') ? '&' : '?'}download_token=${encodeURIComponent(token)}`;
+        if (link.hasAttribute('download')) anchor.download = '';
+        anchor.target = link.target;
+        anchor.click();
+    } catch (error) {
+        showToast(`Could not download the file: ${error.message}`, 'error');
+    }
+}
+
+// Show download links for the files a job produced
+async function renderJobArtifacts(jobId) {
+    if (!elements.outputContainer) return;
+    
+    try {
+        const response = await apiFetch(`${state.serverUrl}/api/jobs/${jobId}/artifacts`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        const artifacts = await response.json();
+        if (!Array.isArray(artifacts) || artifacts.length === 0) return;
+        
+        const container = document.createElement('div');
+        container.className = 'job-artifacts';
+        container.innerHTML = `
+            <div class="job-artifacts-header">📦 Files produced (${artifacts.length})</div>
+            <ul class="job-artifacts-list">
+                ${artifacts.map(artifact => `
+                    <li>
+                        <a ${downloadLinkAttributes(getArtifactPath(jobId, artifact.name))} download>${escapeHtml(artifact.name)}</a>
+                        <span class="job-artifact-size">${formatFileSize(artifact.size)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+        elements.outputContainer.appendChild(container);
+        logger.info(`Job ${jobId} produced ${artifacts.length} file(s)`);
+    } catch (error) {
+        logger.warning(`Could not load files produced by job ${jobId}`, error);
+    }
+}
+
+// Show the diff the server computed for a sync diff job as a tree of entity changes
+async function renderSyncDiff(jobId) {
+    if (!elements.outputContainer) return;
+    
+    try {
+        const response = await apiFetch(`${state.serverUrl}/api/jobs/${jobId}/artifacts/sync-diff.json`);
+        // Diffs against a snapshot folder are reported by data-ops itself
+        if (response.status === 404) return;
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        const diff = await response.json();
+        elements.outputContainer.appendChild(createSyncDiffView(diff, {
+            html: getArtifactPath(jobId, 'sync-diff.html'),
+            json: getArtifactPath(jobId, 'sync-diff.json')
+        }));
+    } catch (error) {
+        logger.warning(`Could not load the diff of job ${jobId}`, error);
+    }
+}
+
+// Build the tree of entity changes of a sync diff, with links to download it
+function createSyncDiffView(diff, downloads) {
+    const icons = { added: '➕', modified: '✏️', removed: '🗑️' };
+    const renderChange = (kind, change) => `
+        <details class="sync-diff-${kind}">
+            <summary>${icons[kind]} <strong>${kind}</strong> ${escapeHtml(change.name || change.codename)} <code>${escapeHtml(change.codename)}</code></summary>
+            ${kind === 'modified'
+                ? `<ul class="sync-plan-changes">${change.changes.map(propertyChange => `
+                    <li><code>${escapeHtml(propertyChange.path)}</code>: ${escapeHtml(formatPlanValue(propertyChange.before))} → ${escapeHtml(formatPlanValue(propertyChange.after))}</li>
+                `).join('')}</ul>`
+                : `<pre>${escapeHtml(JSON.stringify(kind === 'added' ? change.after : change.before, null, 2))}</pre>`}
+        </details>
+    `;
+    const sections = Object.entries(diff.entities).map(([entity, changes]) => {
+        const entries = ['added', 'modified', 'removed'].flatMap(kind => changes[kind].map(change => renderChange(kind, change)));
+        return `
+            <details ${entries.length > 0 ? 'open' : ''}>
+                <summary>${escapeHtml(entity)} (${entries.length})</summary>
+                ${entries.length > 0 ? entries.join('') : '<p>No differences</p>'}
+            </details>
+        `;
+    }).join('');
+    const describeSide = (environmentId, snapshotId, folder) => folder
+        ? `folder ${escapeHtml(folder)}`
+        : snapshotId
+            ? `snapshot ${escapeHtml(describeSnapshot(state.snapshots.find(snapshot => snapshot.id === snapshotId) || { name: snapshotId, environmentId }))}`
+            : escapeHtml(environmentId);
+    
+    const container = document.createElement('div');
+    container.className = 'job-artifacts sync-plan sync-diff';
+    container.innerHTML = `
+        <div class="job-artifacts-header">🔍 Sync diff: ${diff.counts.added} added, ${diff.counts.modified} modified, ${diff.counts.removed} removed</div>
+        <p>Source ${describeSide(diff.sourceEnvironmentId, diff.sourceSnapshotId, diff.sourceFolder)} compared to target ${describeSide(diff.targetEnvironmentId, diff.targetSnapshotId)}.
+            Download as <a ${downloadLinkAttributes(downloads.html)} download>HTML</a>${downloads.json ? ` or <a ${downloadLinkAttributes(downloads.json)} download>JSON</a>` : ''}.</p>
+        ${sections}
+    `;
+    return container;
+}
+
+// Show the backup taken before a destructive command, with a shortcut to restore it
+async function renderSafetyBackup(jobId) {
+    if (!elements.outputContainer) return;
+    
+    try {
+        const response = await apiFetch(`${state.serverUrl}/api/jobs/${jobId}`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        const job = await response.json();
+        const backup = job.safetyBackup;
+        if (!backup) return;
+        
+        const container = document.createElement('div');
+        container.className = 'job-artifacts safety-backup';
+        container.innerHTML = `
+            <div class="job-artifacts-header">🛟 Safety backup of ${escapeHtml(backup.environmentId)}</div>
+            <p>Taken ${escapeHtml(new Date(backup.createdAt).toLocaleString())}, before ${escapeHtml(job.command)} ran.</p>
+            <a ${downloadLinkAttributes(getArtifactPath(jobId, backup.artifact))} download>${escapeHtml(backup.artifact)}</a>
+            <button type="button" class="btn btn-secondary safety-backup-restore" title="Set up an environment restore from this backup">↩️ Restore this backup</button>
+            ${job.rolledBackBy
+                ? `<p>Rolled back by job ${escapeHtml(job.rolledBackBy)}.</p>`
+                : backup.fingerprint
+                    ? '<button type="button" class="btn btn-secondary safety-backup-rollback" title="Clean the environment and restore this backup">⏪ Roll back</button>'
+                    : '<p>The environment could not be read after the job, so it can only be restored manually.</p>'}
+        `;
+        container.querySelector('.safety-backup-restore').addEventListener('click', () => loadSafetyBackupRestore(job));
+        container.querySelector('.safety-backup-rollback')?.addEventListener('click', () => handleRollback(job));
+        elements.outputContainer.appendChild(container);
+    } catch (error) {
+        logger.warning(`Could not load the safety backup of job ${jobId}`, error);
+    }
+}
+
+// Fill the restore form with a job's safety backup and the environment it was taken from
+// A saved environment or profile the job used is picked again, otherwise the API key has to be entered
+function loadSafetyBackupRestore(job) {
+    const restoreCommand = 'environment restore';
+    if (!commands[restoreCommand]) {
+        showToast('Environment restore is not available', 'error');
+        return;
+    }
+    
+    const targetId = job.command === 'sync run' ? 'targetEnvironmentId' : 'environmentId';
+    const targetField = ENVIRONMENT_FIELDS.find(field => field.environmentId === targetId);
+    const picked = job.options[targetField.alias]
+        || (job.options[targetField.profileId] ? `profile:${job.options[targetField.profileId]}` : '');
+    
+    state.command = restoreCommand;
+    elements.commandSelect.value = restoreCommand;
+    renderCommandOptions(restoreCommand);
+    updateTooltip(restoreCommand);
+    setTimeout(() => {
+        const values = {
+            environmentId: job.safetyBackup.environmentId,
+            fileName: job.safetyBackup.reference,
+            environmentAlias: picked
+        };
+        Object.entries(values).forEach(([key, value]) => {
+            const element = document.getElementById(`opt-${key}`);
+            if (element && value) {
+                element.value = value;
+            }
+        });
+        updateCommandOptions();
+        updateRunButtonState();
+        showToast('Restore of the safety backup loaded. Check the options and click "Run Command" to execute.', 'info');
+    }, 100);
+}
+
+// Roll a job back: the server cleans the environment and restores the job's safety backup as a new job
+// Without a saved environment or profile on the job, the API key still in the form is sent along
+async function handleRollback(job) {
+    if (state.isRunning) {
+        showToast('Wait for the running command to finish first', 'warning');
+        return;
+    }
+    
+    const backup = job.safetyBackup;
+    const targetId = job.command === 'sync run' ? 'targetEnvironmentId' : 'environmentId';
+    const targetField = ENVIRONMENT_FIELDS.find(field => field.environmentId === targetId);
+    const credentials = {};
+    if (state.commandOptions[targetId] === backup.environmentId && state.commandOptions[targetField.apiKey]) {
+        credentials.apiKey = state.commandOptions[targetField.apiKey];
+    }
+    
+    state.isRunning = true;
+    updateRunButtonState();
+    updateStatus('running', 'Rolling back...');
+    updateProgress(0, 'Starting rollback...', 'Starting');
+    elements.outputContainer.innerHTML = '';
+    addOutput('info', `Rolling back job ${job.id}`);
+    
+    try {
+        // The environment is cleaned and restored from the backup; anything changed since the backup is lost
+        addOutput('info', `Environment ${backup.environmentId} will be restored from the safety backup taken ${new Date(backup.createdAt).toLocaleString()}`);
+        const confirmation = await confirmDeletion(`Rolling back ${job.command}`, `${state.serverUrl}/api/jobs/${job.id}/rollback/confirmation`, credentials);
+        const response = await apiFetch(`${state.serverUrl}/api/jobs/${job.id}/rollback`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...credentials, confirmation })
+        });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || `HTTP ${response.status}: ${response.statusText}`);
+        }
+        const rollback = await response.json();
+        setStorageItem(STORAGE_KEYS.ACTIVE_JOB, { id: rollback.id, command: rollback.command, startedAt: Date.now() });
+        await attachToJob(rollback.id, 0);
+        updateStatus('success', 'Rollback completed successfully');
+        logger.success(`Job ${job.id} rolled back by job ${rollback.id}`);
+    } catch (error) {
+        updateProgress(0, 'Rollback failed', 'Error');
+        updateStatus('error', 'Rollback failed');
+        addOutput('error', error.message);
+        logger.error(`Rollback of job ${job.id} failed`, error);
+        showError('Rollback Failed', error.message);
+    } finally {
+        state.isRunning = false;
+        state.abortController = null;
+        state.currentJob = null;
+        updateRunButtonState();
+    }
+}
+
+// Re-attach to the job that was running when the page was last closed
+async function resumeActiveJob() {
+    const activeJob = getStorageItem(STORAGE_KEYS.ACTIVE_JOB);
+    if (!activeJob || !activeJob.id || state.isRunning) return;
+    
+    state.isRunning = true;
+    state.command = activeJob.command;
+    state.commandStartTime = activeJob.startedAt || Date.now();
+    if (elements.commandSelect && commands[activeJob.command]) {
+        elements.commandSelect.value = activeJob.command;
+        renderCommandOptions(activeJob.command);
+    }
+    updateRunButtonState();
+    updateStatus('running', 'Re-attached to running command...');
+    
+    elements.outputContainer.innerHTML = '';
+    logger.info(`Re-attaching to job ${activeJob.id}`);
+    
+    await trackCommandExecution(() => attachToJob(activeJob.id, 0));
 }
 
 // Cancel running command
 function cancelCommand() {
     if (state.abortController) {
+        // Stop the server-side job, not just this client's stream
+        if (state.currentJob) {
+            const jobId = state.currentJob.id;
+            apiFetch(`${state.serverUrl}/api/jobs/${jobId}/cancel`, { method: 'POST' })
+                .catch(error => logger.error(`Failed to cancel job ${jobId}`, error));
+            removeStorageItem(STORAGE_KEYS.ACTIVE_JOB);
+        }
+        
         state.abortController.abort();
         state.abortController = null;
         state.isRunning = false;
@@ -2049,8 +3280,8 @@ function cancelCommand() {
     }
 }
 
-// Process remaining buffer
-function processBuffer(buffer, resolve, reject) {
+// Process buffered Server-Sent Events lines
+function processBuffer(buffer, job) {
     const lines = buffer.split('\n');
     for (const line of lines) {
         if (line.trim().startsWith('data: ')) {
@@ -2058,21 +3289,17 @@ function processBuffer(buffer, resolve, reject) {
                 const jsonStr = line.slice(6).trim();
                 if (!jsonStr) continue;
                 
-                const data = JSON.parse(jsonStr);
-                if (data.type === 'complete' || data.type === 'error') {
-                    if (data.type === 'complete' && data.success) {
-                        resolve();
-                        return;
-                    } else {
-                        reject(new Error(data.message));
-                        return;
-                    }
+                const finished = handleJobMessage(JSON.parse(jsonStr), job);
+                if (finished) {
+                    return finished;
                 }
             } catch {
-                // Skip invalid JSON
+                // Invalid JSON, skip this line
+                console.warn('Failed to parse SSE data:', line);
             }
         }
     }
+    return null;
 }
 
 // Get or create output section
@@ -2221,21 +3448,7 @@ function getSectionLabel(sectionType) {
 // Add output line
 function addOutput(type, message) {
     if (!elements.outputContainer) return;
-    
-    // Try to parse progress from output
-    if (state.isRunning && type === 'info') {
-        const progressInfo = parseProgressFromOutput(message);
-        if (progressInfo) {
-            if (progressInfo.percent !== null) {
-                updateProgress(progressInfo.percent, progressInfo.message, progressInfo.stage);
-            } else if (progressInfo.stage) {
-                // Update stage without changing percent
-                if (elements.progressText) {
-                    elements.progressText.textContent = progressInfo.stage;
-                }
-            }
-        }
-    }
+    message = redactSecrets(message);
     
     // Store output in state (with size limit to prevent memory issues)
     // Limit output array size to prevent memory problems with long-running commands
@@ -2644,9 +3857,9 @@ async function handleCopyOutput() {
 // Copy logs to clipboard
 async function handleCopyLogs() {
     const logs = logger.getLogs();
-    const logText = logs.map(log => 
+    const logText = redactSecrets(logs.map(log => 
         `[${log.timestamp}] ${log.level}: ${log.message}${log.data ? ' ' + JSON.stringify(log.data, null, 2) : ''}`
-    ).join('\n');
+    ).join('\n'));
     
     if (!logText.trim()) {
         showToast('No logs to copy', 'warning');
@@ -3062,7 +4275,7 @@ function formatStorageSize(bytes) {
 
 // Clear all data
 function handleClearAllData() {
-    if (!confirm('Are you sure you want to clear ALL app data? This includes:\n- Command history\n- Templates\n- Environment profiles\n- Entity cache\n- Form state\n\nThis action cannot be undone!')) {
+    if (!confirm('Are you sure you want to clear ALL app data? This includes:\n- Command history\n- Templates\n- Entity cache\n- Form state\n\nThis action cannot be undone!')) {
         return;
     }
     
@@ -3416,10 +4629,10 @@ function saveCommandToHistory(success, resultMessage) {
         const history = getCommandHistory();
         
         // Get current command configuration (excluding API keys for security)
-        const safeOptions = { ...state.commandOptions };
-        Object.keys(safeOptions).forEach(key => {
-            if (key.toLowerCase().includes('apikey') || key.toLowerCase().includes('key')) {
-                delete safeOptions[key];
+        const safeOptions = {};
+        Object.entries(state.commandOptions).forEach(([key, value]) => {
+            if (!SECRET_OPTION_PATTERN.test(key)) {
+                safeOptions[key] = redactValue(value);
             }
         });
         
@@ -3431,7 +4644,7 @@ function saveCommandToHistory(success, resultMessage) {
             targetEnv: state.targetEnv,
             options: safeOptions,
             success: success,
-            resultMessage: resultMessage,
+            resultMessage: redactSecrets(resultMessage),
             executionTime: Date.now() - (state.commandStartTime || Date.now())
         };
         
@@ -3661,148 +4874,977 @@ function loadCommandHistory() {
     renderCommandHistory();
 }
 
-// Environment Profile Functions
-
-// Get environment profiles
-function getProfiles() {
-    return getStorageItem(STORAGE_KEYS.ENVIRONMENT_PROFILES, []);
-}
-
-// Save environment profiles (using storage utilities)
-function saveProfiles(profiles) {
-    setStorageItem(STORAGE_KEYS.ENVIRONMENT_PROFILES, profiles);
-}
+// Snapshot Library Functions
+// Sync snapshots are kept on the server; sync run and sync diff can use them as their source
 
-// Load profiles into dropdown
-function loadProfiles() {
-    if (!elements.profileSelect) return;
-    
-    const profiles = getProfiles();
-    elements.profileSelect.innerHTML = '<option value="">No profile selected</option>';
-    
-    profiles.forEach((profile, index) => {
-        const option = document.createElement('option');
-        option.value = index;
-        option.textContent = profile.name;
-        elements.profileSelect.appendChild(option);
+// Request the snapshots API
+async function snapshotRequest(path = '', options = {}) {
+    const response = await apiFetch(`${state.serverUrl}/api/snapshots${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
     });
-    
-    // Show profiles section if there are profiles or when saving
-    if (profiles.length > 0 && elements.profilesSection) {
-        elements.profilesSection.style.display = '';
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `Snapshot request failed (HTTP ${response.status})`);
     }
+    return response.status === 204 ? null : response.json();
 }
 
-// Save current environment as profile
-function handleSaveProfile() {
-    // Get environment ID and API key from form
-    const command = commands[state.command];
-    if (!command) {
-        showToast('Please select a command first', 'warning');
-        return;
-    }
-    
-    const environmentId = getEnvironmentIdFromForm(command);
-    const apiKey = getApiKeyFromForm(command);
+// Name, environment and date of a snapshot, for lists and pickers
+function describeSnapshot(snapshot) {
+    const date = snapshot.createdAt ? `, ${new Date(snapshot.createdAt).toLocaleString()}` : '';
+    const tags = snapshot.tags?.length ? ` [${snapshot.tags.join(', ')}]` : '';
+    return `${snapshot.name} (${snapshot.environmentId}${date})${tags}`;
+}
+
+// Load the snapshot library into its section and the snapshot pickers
+async function loadSnapshots() {
+    if (!state.serverUrl) return;
     
-    if (!environmentId || !apiKey) {
-        showToast('Please enter Environment ID and API Key first', 'warning');
+    try {
+        state.snapshots = await snapshotRequest();
+    } catch (error) {
+        logger.warning('Could not load the snapshot library', error);
         return;
     }
     
-    const profileName = prompt('Enter a name for this environment profile:');
-    if (!profileName || !profileName.trim()) {
-        return;
+    if (elements.snapshotLibrarySection) {
+        elements.snapshotLibrarySection.style.display = '';
     }
-    
-    // Note: In a real app, you'd want to encrypt API keys
-    // For now, we'll store them (user is aware of security implications)
-    const profile = {
-        name: profileName.trim(),
-        environmentId: environmentId,
-        apiKey: apiKey, // In production, encrypt this
-        createdAt: new Date().toISOString()
-    };
-    
-    const profiles = getProfiles();
-    profiles.push(profile);
-    saveProfiles(profiles);
-    
-    loadProfiles();
-    showToast('Profile saved successfully!', 'success');
-    logger.info(`Profile "${profileName}" saved`);
+    renderSnapshotLibrary();
+    document.querySelectorAll('.snapshot-picker').forEach(fillSnapshotPicker);
 }
 
-// Load selected profile
-function handleLoadProfile() {
-    if (!elements.profileSelect || !elements.profileSelect.value) {
-        showToast('Please select a profile to load', 'warning');
-        return;
-    }
+// Show the snapshots of the library with their entities, size and tags
+function renderSnapshotLibrary() {
+    if (!elements.snapshotLibraryContainer) return;
     
-    const profiles = getProfiles();
-    const profileIndex = parseInt(elements.profileSelect.value, 10);
-    const profile = profiles[profileIndex];
+    const options = state.snapshots.map(snapshot => `<option value="${snapshot.id}">${escapeHtml(describeSnapshot(snapshot))}</option>`).join('');
+    [elements.snapshotCompareSource, elements.snapshotCompareTarget].forEach((select, index) => {
+        if (!select) return;
+        const selected = select.value;
+        select.innerHTML = `<option value="">${index === 0 ? 'Source' : 'Target'} snapshot...</option>${options}`;
+        if (state.snapshots.some(snapshot => snapshot.id === selected)) {
+            select.value = selected;
+        }
+    });
     
-    if (!profile) {
-        showToast('Profile not found', 'error');
+    if (state.snapshots.length === 0) {
+        elements.snapshotLibraryContainer.innerHTML = '<div class="history-placeholder">No snapshots yet. Run sync snapshot to add one.</div>';
         return;
     }
     
-    // Fill in environment ID and API key fields
-    const command = commands[state.command];
-    if (command) {
-        const envIdField = document.getElementById('opt-environmentId') || 
-                          document.getElementById('opt-sourceEnvironmentId') || 
-                          document.getElementById('opt-targetEnvironmentId');
-        const apiKeyField = document.getElementById('opt-apiKey') || 
-                           document.getElementById('opt-sourceApiKey') || 
-                           document.getElementById('opt-targetApiKey');
-        
-        if (envIdField) envIdField.value = profile.environmentId;
-        if (apiKeyField) apiKeyField.value = profile.apiKey;
-        
+    elements.snapshotLibraryContainer.innerHTML = state.snapshots.map(snapshot => `
+        <div class="history-entry snapshot-entry" data-snapshot-id="${snapshot.id}">
+            <div class="history-entry-header">
+                <span class="history-status">📸</span>
+                <span class="history-command">${escapeHtml(snapshot.name)}</span>
+                <span class="history-date">${escapeHtml(new Date(snapshot.createdAt).toLocaleString())}</span>
+                <button class="btn-rerun btn-use-snapshot" title="Use as the source of a sync run">▶️</button>
+            </div>
+            <div class="history-entry-details">
+                <div class="history-result">Environment ${escapeHtml(snapshot.environmentId)} · ${formatFileSize(snapshot.size)}</div>
+                <div class="history-time">${escapeHtml(snapshot.entities.join(', '))}</div>
+                <div class="snapshot-tags">${snapshot.tags.map(tag => `<span class="snapshot-tag">${escapeHtml(tag)}</span>`).join('')}</div>
+                <button class="btn-view-details btn-tag-snapshot">Edit Tags</button>
+                <button class="btn-view-details btn-delete-snapshot">Delete</button>
+            </div>
+        </div>
+    `).join('');
+    
+    elements.snapshotLibraryContainer.querySelectorAll('.snapshot-entry').forEach(entry => {
+        const snapshot = state.snapshots.find(s => s.id === entry.dataset.snapshotId);
+        entry.querySelector('.btn-use-snapshot').addEventListener('click', () => useSnapshotAsSource(snapshot));
+        entry.querySelector('.btn-tag-snapshot').addEventListener('click', () => handleTagSnapshot(snapshot));
+        entry.querySelector('.btn-delete-snapshot').addEventListener('click', () => handleDeleteSnapshot(snapshot));
+    });
+}
+
+// Offer the snapshots of the library below a sync command's folder field
+function renderSnapshotPicker(option) {
+    const group = document.getElementById(`opt-group-${option.id}`);
+    const folderInput = document.getElementById(`opt-${option.id}`);
+    if (!group || !folderInput) return;
+    
+    const select = document.createElement('select');
+    select.className = 'form-control snapshot-picker';
+    select.dataset.target = folderInput.id;
+    select.title = 'Use a snapshot of the snapshot library';
+    select.addEventListener('change', () => {
+        if (!select.value) return;
+        folderInput.value = select.value;
+        validateField(option.id, option);
         updateCommandOptions();
         saveFormState();
-        showToast(`Profile "${profile.name}" loaded successfully!`, 'success');
-        logger.info(`Profile "${profile.name}" loaded`);
+    });
+    group.appendChild(select);
+    fillSnapshotPicker(select);
+}
+
+function fillSnapshotPicker(select) {
+    const folderInput = document.getElementById(select.dataset.target);
+    select.innerHTML = state.snapshots.length === 0
+        ? '<option value="">No snapshots in the library</option>'
+        : '<option value="">Or choose from the snapshot library...</option>' + state.snapshots.map(snapshot => `
+            <option value="snapshot:${snapshot.id}">${escapeHtml(describeSnapshot(snapshot))}</option>
+        `).join('');
+    if (folderInput && state.snapshots.some(snapshot => `snapshot:${snapshot.id}` === folderInput.value)) {
+        select.value = folderInput.value;
     }
 }
 
-// Delete selected profile
-function handleDeleteProfile() {
-    if (!elements.profileSelect || !elements.profileSelect.value) {
-        showToast('Please select a profile to delete', 'warning');
+// Set up a sync run from a snapshot, keeping the sync command already selected
+function useSnapshotAsSource(snapshot) {
+    const command = ['sync run', 'sync diff'].includes(state.command) ? state.command : 'sync run';
+    if (!commands[command]) {
+        showToast(`${command} is not available`, 'error');
         return;
     }
     
-    const profileName = elements.profileSelect.options[elements.profileSelect.selectedIndex].textContent;
-    if (!confirm(`Are you sure you want to delete profile "${profileName}"?`)) {
-        return;
+    if (state.command !== command) {
+        state.command = command;
+        elements.commandSelect.value = command;
+        renderCommandOptions(command);
+        updateTooltip(command);
     }
-    
-    const profiles = getProfiles();
-    const profileIndex = parseInt(elements.profileSelect.value, 10);
-    profiles.splice(profileIndex, 1);
-    saveProfiles(profiles);
-    
-    loadProfiles();
-    showToast('Profile deleted successfully', 'success');
-    logger.info(`Profile "${profileName}" deleted`);
-}
+    const folderInput = document.getElementById('opt-folderName');
+    if (folderInput) {
+        folderInput.value = `snapshot:${snapshot.id}`;
+        document.querySelectorAll('.snapshot-picker').forEach(fillSnapshotPicker);
+    }
+    document.querySelectorAll('.multiselect-checkbox[data-option-id="entities"]').forEach(checkbox => {
+        checkbox.checked = snapshot.entities.includes(checkbox.value);
+    });
+    updateCommandOptions();
+    updateRunButtonState();
+    saveFormState();
+    showToast(`Snapshot ${snapshot.name} set as the source of ${command}. Enter the target and click "Run Command".`, 'info');
+}
+
+async function handleTagSnapshot(snapshot) {
+    const input = prompt('Tags for this snapshot (comma-separated):', snapshot.tags.join(', '));
+    if (input === null) return;
+    
+    try {
+        await snapshotRequest(`/${snapshot.id}`, {
+            method: 'PUT',
+            body: JSON.stringify({ tags: input.split(',').map(tag => tag.trim()).filter(Boolean) })
+        });
+        await loadSnapshots();
+    } catch (error) {
+        showToast(`Could not update tags: ${error.message}`, 'error');
+    }
+}
+
+async function handleDeleteSnapshot(snapshot) {
+    if (!confirm(`Delete snapshot "${describeSnapshot(snapshot)}"? This cannot be undone.`)) return;
+    
+    try {
+        await snapshotRequest(`/${snapshot.id}`, { method: 'DELETE' });
+        showToast('Snapshot deleted', 'success');
+        await loadSnapshots();
+    } catch (error) {
+        showToast(`Could not delete snapshot: ${error.message}`, 'error');
+    }
+}
+
+// Compare two snapshots of the library; no environment is read
+async function handleCompareSnapshots() {
+    const source = elements.snapshotCompareSource?.value;
+    const target = elements.snapshotCompareTarget?.value;
+    if (!source || !target || source === target) {
+        showToast('Choose two different snapshots to compare', 'warning');
+        return;
+    }
+    
+    try {
+        const query = `source=${encodeURIComponent(source)}&target=${encodeURIComponent(target)}`;
+        const diff = await snapshotRequest(`/diff?${query}`);
+        const html = `/api/snapshots/diff?${query}&format=html`;
+        elements.snapshotDiffContainer.innerHTML = '';
+        elements.snapshotDiffContainer.appendChild(createSyncDiffView(diff, { html }));
+    } catch (error) {
+        showToast(`Could not compare snapshots: ${error.message}`, 'error');
+    }
+}
+
+// Backup Functions
+// Backups are kept with the other files of their jobs; retention policies decide how many the server keeps
+
+const RETENTION_RULES = [
+    { key: 'keepLast', name: 'last', describe: count => `the last ${count}` },
+    { key: 'keepDaily', name: 'daily', describe: count => `one a day for ${count} day(s)` },
+    { key: 'keepWeekly', name: 'weekly', describe: count => `one a week for ${count} week(s)` },
+    { key: 'keepMonthly', name: 'monthly', describe: count => `one a month for ${count} month(s)` }
+];
+
+// Request the backups and retention APIs
+async function backupRequest(path, options = {}) {
+    const response = await apiFetch(`${state.serverUrl}/api${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+    });
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `Backup request failed (HTTP ${response.status})`);
+    }
+    return response.status === 204 ? null : response.json();
+}
+
+// Name of an environment the app knows, or its ID
+function describeBackupEnvironment(environmentId) {
+    const known = state.configuredEnvironments.find(env => env.environmentId === environmentId)
+        || state.profiles.find(profile => profile.environmentId === environmentId);
+    return known ? `${known.label || known.name} (${environmentId})` : environmentId;
+}
+
+function describeRetentionPolicy(policy) {
+    if (!policy) return 'No retention policy: all backups are kept.';
+    const rules = RETENTION_RULES.filter(rule => policy[rule.key]).map(rule => rule.describe(policy[rule.key]));
+    return `Keeps ${rules.join(', ')}. Pinned backups and safety backups are always kept.`;
+}
+
+// Load the backups and retention policies into their section
+async function loadBackups() {
+    if (!state.serverUrl) return;
+    
+    try {
+        [state.backups, state.retentionPolicies] = await Promise.all([backupRequest('/backups'), backupRequest('/retention')]);
+    } catch (error) {
+        logger.warning('Could not load backups', error);
+        return;
+    }
+    
+    if (elements.backupsSection) {
+        elements.backupsSection.style.display = '';
+    }
+    [elements.editRetention, elements.pruneBackups].forEach(button => {
+        if (button) button.style.display = hasRole('admin') ? '' : 'none';
+    });
+    renderBackups();
+}
+
+// Show the backups of the chosen environment with the policy that applies to them
+function renderBackups() {
+    if (!elements.backupsContainer || !elements.backupEnvironment) return;
+    
+    const environmentIds = [...new Set([
+        ...state.backups.map(backup => backup.environmentId),
+        ...state.retentionPolicies.map(policy => policy.environmentId)
+    ])];
+    const selected = elements.backupEnvironment.value;
+    elements.backupEnvironment.innerHTML = environmentIds.length === 0
+        ? '<option value="">No backups yet</option>'
+        : environmentIds.map(id => `<option value="${escapeHtml(id)}">${escapeHtml(describeBackupEnvironment(id))}</option>`).join('');
+    if (environmentIds.includes(selected)) {
+        elements.backupEnvironment.value = selected;
+    }
+    
+    const environmentId = elements.backupEnvironment.value;
+    const policy = state.retentionPolicies.find(p => p.environmentId === environmentId);
+    if (elements.retentionSummary) {
+        elements.retentionSummary.textContent = environmentId ? describeRetentionPolicy(policy) : '';
+    }
+    
+    const backups = state.backups.filter(backup => backup.environmentId === environmentId);
+    if (backups.length === 0) {
+        elements.backupsContainer.innerHTML = '<div class="history-placeholder">No backups of this environment on the server. Run environment backup to make one.</div>';
+        return;
+    }
+    
+    // Only operators may download and inspect backups
+    const canOpenFiles = hasRole('operator');
+    elements.backupsContainer.innerHTML = backups.map(backup => `
+        <div class="history-entry backup-entry" data-job-id="${backup.jobId}" data-kind="${backup.kind}">
+            <div class="history-entry-header">
+                <span class="history-status">${backup.pinned ? '📌' : backup.kind === 'safety-backup' ? '🛟' : '💾'}</span>
+                <span class="history-command">${backup.kind === 'safety-backup' ? 'Safety backup' : 'Backup'}</span>
+                <span class="history-date">${escapeHtml(new Date(backup.createdAt).toLocaleString())}</span>
+                <button class="btn-rerun btn-pin-backup" title="${backup.pinned ? 'Unpin; retention policies may then prune it' : 'Pin, so retention policies never prune it'}">${backup.pinned ? 'Unpin' : 'Pin'}</button>
+            </div>
+            <div class="history-entry-details">
+                <div class="history-result">Job ${escapeHtml(backup.jobId)} · ${formatFileSize(backup.size)}${backup.protectedBy ? ` · ${escapeHtml(backup.protectedBy)}` : ''}</div>
+                ${canOpenFiles ? `<div class="history-time">${backup.artifacts.map(artifact => `<a ${downloadLinkAttributes(getArtifactPath(backup.jobId, artifact.name))} download>${escapeHtml(artifact.name)}</a>`).join(' ')}</div>` : ''}
+                ${backup.artifacts.filter(artifact => canOpenFiles && artifact.name.endsWith('.zip')).map(artifact => `
+                    <button class="btn-view-details btn-inspect-backup" data-reference="${escapeHtml(`artifact:${backup.jobId}/${artifact.name}`)}">Inspect ${escapeHtml(artifact.name)}</button>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+    
+    elements.backupsContainer.querySelectorAll('.backup-entry').forEach(entry => {
+        const backup = backups.find(b => b.jobId === entry.dataset.jobId && b.kind === entry.dataset.kind);
+        entry.querySelector('.btn-pin-backup').addEventListener('click', () => handlePinBackup(backup));
+        entry.querySelectorAll('.btn-inspect-backup').forEach(button => {
+            button.addEventListener('click', () => openArchiveInspector(button.dataset.reference));
+        });
+    });
+}
+
+async function handlePinBackup(backup) {
+    try {
+        await backupRequest(`/backups/${backup.jobId}/pin`, { method: backup.pinned ? 'DELETE' : 'PUT' });
+        await loadBackups();
+    } catch (error) {
+        showToast(`Could not ${backup.pinned ? 'unpin' : 'pin'} the backup: ${error.message}`, 'error');
+    }
+}
+
+// Set the retention policy of the chosen environment, e.g. "last=5 daily=7 weekly=8 monthly=12"
+async function handleEditRetention() {
+    const environmentId = elements.backupEnvironment?.value;
+    if (!environmentId) {
+        showToast('There are no backups to keep yet', 'warning');
+        return;
+    }
+    
+    const policy = state.retentionPolicies.find(p => p.environmentId === environmentId);
+    const current = RETENTION_RULES.filter(rule => policy?.[rule.key]).map(rule => `${rule.name}=${policy[rule.key]}`).join(' ');
+    const input = prompt(
+        `Retention rules for ${describeBackupEnvironment(environmentId)}, e.g. "last=5 daily=7 weekly=8 monthly=12".\n` +
+        'Backups no rule keeps are deleted. Leave empty to keep all backups.',
+        current || 'last=5 daily=7 weekly=8 monthly=12'
+    );
+    if (input === null) return;
+    
+    try {
+        if (!input.trim()) {
+            if (policy) {
+                await backupRequest(`/retention/${environmentId}`, { method: 'DELETE' });
+            }
+        } else {
+            const rules = {};
+            for (const part of input.trim().split(/[\s,]+/)) {
+                const [name, value] = part.split('=');
+                const rule = RETENTION_RULES.find(r => r.name === name);
+                if (!rule || !/^\d+$/.test(value || '')) {
+                    throw new Error(`"${part}" is not a rule; use ${RETENTION_RULES.map(r => `${r.name}=<number>`).join(', ')}`);
+                }
+                rules[rule.key] = Number(value);
+            }
+            await backupRequest(`/retention/${environmentId}`, { method: 'PUT', body: JSON.stringify(rules) });
+        }
+        await loadBackups();
+    } catch (error) {
+        showToast(`Could not set the retention policy: ${error.message}`, 'error');
+    }
+}
+
+// Apply the retention policies now, after showing what they would delete
+async function handlePruneBackups() {
+    try {
+        const { pruned } = await backupRequest('/retention/prune', { method: 'POST', body: JSON.stringify({ dryRun: true }) });
+        if (pruned.length === 0) {
+            showToast('The retention policies keep all backups', 'info');
+            return;
+        }
+        const list = pruned.slice(0, 10).map(backup => `• ${describeBackupEnvironment(backup.environmentId)}, ${new Date(backup.createdAt).toLocaleString()}`).join('\n');
+        if (!confirm(`Delete ${pruned.length} backup(s) the retention policies don't keep?\n\n${list}${pruned.length > 10 ? '\n…' : ''}`)) return;
+        
+        const result = await backupRequest('/retention/prune', { method: 'POST', body: JSON.stringify({}) });
+        showToast(`${result.pruned.length} backup(s) deleted`, 'success');
+        await loadBackups();
+    } catch (error) {
+        showToast(`Could not prune backups: ${error.message}`, 'error');
+    }
+}
+
+// Backup Archive Inspector Functions
+// The server opens backup archives, so users see what a backup holds before restoring from it
+
+const ARCHIVE_PAGE_SIZE = 50;
+
+// Request the backup archives API; uploads are found among the signed-in user's
+async function archiveRequest(path, reference, query = {}) {
+    const params = new URLSearchParams({ reference, ...query });
+    const response = await apiFetch(`${state.serverUrl}/api/backup-archives${path}?${params}`);
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `Backup archive request failed (HTTP ${response.status})`);
+    }
+    return response;
+}
+
+// Label of an entity type, as the include and exclude options show it
+function getEntityTypeLabel(entity) {
+    return entity.replace(/([A-Z])/g, ' $1').replace(/^./, first => first.toUpperCase()).replace('Urls', 'URLs');
+}
+
+// What identifies an entity of an archive in the list
+function describeArchiveItem(item) {
+    if (item.language) return `${item.id || '(no item)'} · language ${item.language}`;
+    return [item.name, item.codename && item.codename !== item.name ? item.codename : null].filter(Boolean).join(' · ')
+        || item.id || `#${item.index + 1}`;
+}
+
+// Open a backup archive ('upload:' or 'artifact:' reference) in the inspector
+async function openArchiveInspector(reference) {
+    if (!state.serverUrl || !elements.archiveInspectorSection) return;
+    
+    try {
+        const summary = await (await archiveRequest('', reference)).json();
+        state.archive = { summary, entity: null, search: '', items: [], total: 0, selected: new Set() };
+    } catch (error) {
+        showToast(`Could not open the backup: ${error.message}`, 'error');
+        return;
+    }
+    
+    elements.archiveInspectorSection.style.display = '';
+    elements.archiveBrowser.style.display = 'none';
+    renderArchiveSummary();
+    elements.archiveInspectorSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function closeArchiveInspector() {
+    state.archive = null;
+    elements.archiveInspectorSection.style.display = 'none';
+}
+
+// Show the source environment and the entity types of the open archive with their counts
+function renderArchiveSummary() {
+    const { summary, selected } = state.archive;
+    const metadata = Object.entries(summary.metadata || {})
+        .filter(([, value]) => value !== null && typeof value !== 'object')
+        .map(([key, value]) => `${escapeHtml(key)}: ${escapeHtml(key === 'environmentId' ? describeBackupEnvironment(String(value)) : String(value))}`);
+    
+    elements.archiveInspectorContainer.innerHTML = `
+        <div class="history-result">${escapeHtml(summary.fileName)} · ${formatFileSize(summary.size)}</div>
+        <div class="history-time">${metadata.length > 0 ? metadata.join(' · ') : 'The archive has no metadata about the environment it was taken from.'}</div>
+        <table class="archive-entities">
+            <thead>
+                <tr><th></th><th>Entity type</th><th>Count</th><th>Size</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${summary.entities.map(entity => `
+                    <tr data-entity="${entity.name}">
+                        <td><input type="checkbox" class="archive-entity-checkbox" value="${entity.name}" ${selected.has(entity.name) ? 'checked' : ''} title="Select for restore" /></td>
+                        <td>${escapeHtml(getEntityTypeLabel(entity.name))}</td>
+                        <td class="archive-count">${entity.count}</td>
+                        <td>${formatFileSize(entity.size)}</td>
+                        <td><button class="btn-view-details btn-browse-archive-entities">Browse</button></td>
+                    </tr>
+                `).join('')}
+                <tr>
+                    <td></td>
+                    <td>Asset files and other files</td>
+                    <td class="archive-count">${summary.otherFiles.count}</td>
+                    <td>${formatFileSize(summary.otherFiles.size)}</td>
+                    <td></td>
+                </tr>
+            </tbody>
+        </table>
+    `;
+    
+    elements.archiveInspectorContainer.querySelectorAll('tr[data-entity]').forEach(row => {
+        row.querySelector('.archive-entity-checkbox').addEventListener('change', (e) => {
+            if (e.target.checked) {
+                selected.add(row.dataset.entity);
+            } else {
+                selected.delete(row.dataset.entity);
+            }
+        });
+        row.querySelector('.btn-browse-archive-entities').addEventListener('click', () => {
+            elements.archiveSearch.value = '';
+            browseArchiveEntities(row.dataset.entity);
+        });
+    });
+}
+
+// List the entities of one type of the open archive, filtered by the search box
+async function browseArchiveEntities(entity) {
+    if (!state.archive || !entity) return;
+    
+    state.archive.entity = entity;
+    state.archive.search = elements.archiveSearch.value.trim();
+    state.archive.items = [];
+    elements.archiveBrowser.style.display = '';
+    elements.archiveBrowserTitle.textContent = getEntityTypeLabel(entity);
+    elements.archiveItemJson.textContent = '';
+    await loadArchiveItems();
+}
+
+// Load the next page of the browsed entity type
+async function loadArchiveItems(more = false) {
+    const archive = state.archive;
+    if (!archive?.entity) return;
+    
+    try {
+        const response = await archiveRequest(`/entities/${encodeURIComponent(archive.entity)}`, archive.summary.reference, {
+            offset: String(more ? archive.items.length : 0),
+            limit: String(ARCHIVE_PAGE_SIZE),
+            search: archive.search
+        });
+        const page = await response.json();
+        // Ignore pages of a type or search that is no longer shown
+        if (state.archive !== archive || page.entity !== archive.entity) return;
+        archive.items = more ? [...archive.items, ...page.items] : page.items;
+        archive.total = page.total;
+    } catch (error) {
+        showToast(`Could not list ${getEntityTypeLabel(archive.entity).toLowerCase()}: ${error.message}`, 'error');
+        return;
+    }
+    
+    elements.archiveItems.innerHTML = archive.items.length === 0
+        ? `<li class="history-placeholder">${archive.search ? 'Nothing matches the search.' : 'None in this archive.'}</li>`
+        : archive.items.map(item => `<li class="archive-item" data-index="${item.index}">${escapeHtml(describeArchiveItem(item))}</li>`).join('');
+    elements.moreArchiveItems.style.display = archive.items.length < archive.total ? '' : 'none';
+    elements.moreArchiveItems.textContent = `Show More (${archive.total - archive.items.length} left)`;
+    
+    elements.archiveItems.querySelectorAll('.archive-item').forEach(element => {
+        element.addEventListener('click', () => showArchiveItem(element));
+    });
+}
+
+// Show the JSON of an entity of the open archive
+async function showArchiveItem(element) {
+    const archive = state.archive;
+    elements.archiveItems.querySelectorAll('.archive-item.selected').forEach(item => item.classList.remove('selected'));
+    element.classList.add('selected');
+    
+    try {
+        const response = await archiveRequest(`/entities/${encodeURIComponent(archive.entity)}/${element.dataset.index}`, archive.summary.reference);
+        elements.archiveItemJson.textContent = JSON.stringify(await response.json(), null, 2);
+    } catch (error) {
+        elements.archiveItemJson.textContent = error.message;
+    }
+}
+
+// Download the JSON file of the browsed entity type as the archive holds it
+async function handleDownloadArchiveEntities() {
+    const archive = state.archive;
+    if (!archive?.entity) return;
+    
+    try {
+        const response = await archiveRequest(`/entities/${encodeURIComponent(archive.entity)}`, archive.summary.reference, { format: 'json' });
+        const url = URL.createObjectURL(await response.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${archive.entity}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        showToast(`Could not download ${archive.entity}.json: ${error.message}`, 'error');
+    }
+}
+
+// Set up environment restore from the open archive, including or excluding the checked entity types
+function useArchiveForRestore(mode) {
+    const archive = state.archive;
+    const command = 'environment restore';
+    if (!archive) return;
+    if (!commands[command]) {
+        showToast(`${command} is not available`, 'error');
+        return;
+    }
+    if (archive.selected.size === 0) {
+        showToast('Check the entity types to restore or to leave out first', 'warning');
+        return;
+    }
+    
+    if (state.command !== command) {
+        state.command = command;
+        elements.commandSelect.value = command;
+        renderCommandOptions(command);
+        updateTooltip(command);
+    }
+    const fileInput = document.getElementById('opt-fileName');
+    if (fileInput) {
+        fileInput.value = archive.summary.reference;
+    }
+    ['include', 'exclude'].forEach(optionId => {
+        const categories = document.getElementById(`opt-${optionId}-categories`);
+        if (categories && !categories.querySelector('.entity-type-checkbox')) {
+            renderEntityCategories(categories, {}, optionId);
+        }
+        document.querySelectorAll(`.entity-type-checkbox[data-option-id="${optionId}"]`).forEach(checkbox => {
+            checkbox.checked = optionId === mode && archive.selected.has(checkbox.value);
+        });
+        updateEntitySelection(optionId);
+    });
+    updateCommandOptions();
+    updateRunButtonState();
+    saveFormState();
+    
+    const entities = [...archive.selected].map(getEntityTypeLabel).join(', ');
+    showToast(`${archive.summary.fileName} set up for environment restore ${mode === 'include' ? `of only ${entities}` : `without ${entities}`}. Enter the target and click "Run Command".`, 'info');
+}
+
+// Scheduled Command Functions
+// The server runs schedules itself; keys come from saved environments and profiles, never from the schedule
+
+// Request the schedules API
+async function scheduleRequest(path = '', options = {}) {
+    const response = await apiFetch(`${state.serverUrl}/api/schedules${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+    });
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `Schedule request failed (HTTP ${response.status})`);
+    }
+    return response.status === 204 ? null : response.json();
+}
+
+// Load the scheduled commands into their section
+async function loadSchedules() {
+    if (!state.serverUrl) return;
+    
+    try {
+        state.schedules = await scheduleRequest();
+    } catch (error) {
+        logger.warning('Could not load scheduled commands', error);
+        return;
+    }
+    
+    if (elements.schedulesSection) {
+        elements.schedulesSection.style.display = '';
+    }
+    if (elements.scheduleButton) {
+        elements.scheduleButton.style.display = '';
+    }
+    renderSchedules();
+}
+
+// What became of a run: its job's status, or why no job was started
+function describeScheduleRun(run) {
+    const trigger = { schedule: 'Scheduled', 'catch-up': 'Catch-up', manual: 'Run by hand' }[run.trigger] || run.trigger;
+    const outcome = run.skipped
+        ? `skipped: ${run.skipped}`
+        : run.error
+            ? `not started: ${run.error}`
+            : run.status || 'started';
+    return `${trigger} · ${outcome}`;
+}
+
+// Show the schedules with their next run and past runs
+function renderSchedules() {
+    if (!elements.schedulesContainer) return;
+    
+    if (state.schedules.length === 0) {
+        elements.schedulesContainer.innerHTML = '<div class="history-placeholder">No scheduled commands. Set up a command and click "Schedule..." to add one.</div>';
+        return;
+    }
+    
+    elements.schedulesContainer.innerHTML = state.schedules.map(schedule => `
+        <div class="history-entry schedule-entry${schedule.paused ? ' schedule-paused' : ''}" data-schedule-id="${schedule.id}">
+            <div class="history-entry-header">
+                <span class="history-status">${schedule.paused ? '⏸️' : '🕒'}</span>
+                <span class="history-command">${escapeHtml(schedule.name)}</span>
+                <span class="history-date">${schedule.paused
+                    ? 'Paused'
+                    : schedule.nextRunAt ? `Next: ${escapeHtml(new Date(schedule.nextRunAt).toLocaleString())}` : 'Never runs'}</span>
+                <button class="btn-rerun btn-run-schedule" title="Run now">▶️</button>
+            </div>
+            <div class="history-entry-details">
+                <div class="history-result">${escapeHtml(schedule.command)} · <code>${escapeHtml(schedule.cron)}</code> ${escapeHtml(schedule.timeZone)}</div>
+                <div class="history-time">Missed runs: ${schedule.catchUp === 'run-once' ? 'run once on start-up' : 'skipped'}${schedule.keepArtifacts ? ` · Files kept for the last ${schedule.keepArtifacts} run(s)` : ''}</div>
+                <ul class="schedule-runs">
+                    ${schedule.runs.length === 0 ? '<li>No runs yet</li>' : schedule.runs.slice(0, 10).map(run => `
+                        <li class="schedule-run${run.skipped || run.error || run.status === 'failed' ? ' schedule-run-failed' : ''}">
+                            <span>${escapeHtml(new Date(run.startedAt).toLocaleString())}</span>
+                            <span>${escapeHtml(describeScheduleRun(run))}</span>
+                            ${run.jobId ? `<button class="btn-view-details btn-schedule-run-files" data-job-id="${run.jobId}">Files</button>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+                <button class="btn-view-details btn-pause-schedule">${schedule.paused ? 'Resume' : 'Pause'}</button>
+                <button class="btn-view-details btn-delete-schedule">Delete</button>
+            </div>
+        </div>
+    `).join('');
+    
+    elements.schedulesContainer.querySelectorAll('.schedule-entry').forEach(entry => {
+        const schedule = state.schedules.find(s => s.id === entry.dataset.scheduleId);
+        entry.querySelector('.btn-run-schedule').addEventListener('click', () => handleRunSchedule(schedule));
+        entry.querySelector('.btn-pause-schedule').addEventListener('click', () => handlePauseSchedule(schedule));
+        entry.querySelector('.btn-delete-schedule').addEventListener('click', () => handleDeleteSchedule(schedule));
+        entry.querySelectorAll('.btn-schedule-run-files').forEach(button => {
+            button.addEventListener('click', () => renderJobArtifacts(button.dataset.jobId));
+        });
+    });
+}
+
+// Schedule the command set up in the form
+async function handleScheduleCommand() {
+    updateCommandOptions();
+    const validation = validateCommandOptions();
+    if (!validation.valid) {
+        showError('Validation Error', validation.message);
+        return;
+    }
+    if (CONFIRMED_COMMANDS.includes(state.command)) {
+        showToast(`${state.command} needs a typed confirmation every time it runs, so it can't be scheduled`, 'warning');
+        return;
+    }
+    if (Object.keys(state.commandOptions).some(key => SECRET_OPTION_PATTERN.test(key))) {
+        showToast('Schedules can\'t hold API keys. Pick a saved environment or an environment profile instead.', 'warning');
+        return;
+    }
+    
+    const name = prompt('Name of the schedule:', state.command);
+    if (!name || !name.trim()) return;
+    const cron = prompt('When to run, as a cron expression (minute hour day-of-month month day-of-week):', '0 2 * * *');
+    if (!cron || !cron.trim()) return;
+    const timeZone = prompt('Time zone of the cron expression:', Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC');
+    if (!timeZone || !timeZone.trim()) return;
+    const keep = prompt('Keep the files of how many runs? Leave empty to keep all.', '');
+    if (keep === null) return;
+    const catchUp = confirm('Run once on start-up if a run was missed while the server was down?\n\nOK: run once · Cancel: skip missed runs');
+    
+    try {
+        const schedule = await scheduleRequest('', {
+            method: 'POST',
+            body: JSON.stringify({
+                name: name.trim(),
+                command: state.command,
+                options: state.commandOptions,
+                cron: cron.trim(),
+                timeZone: timeZone.trim(),
+                catchUp: catchUp ? 'run-once' : 'skip',
+                keepArtifacts: keep.trim() ? Number(keep) : null
+            })
+        });
+        showToast(`Scheduled "${schedule.name}"${schedule.nextRunAt ? `, first run ${new Date(schedule.nextRunAt).toLocaleString()}` : ''}`, 'success');
+        await loadSchedules();
+    } catch (error) {
+        showToast(`Could not schedule the command: ${error.message}`, 'error');
+    }
+}
+
+async function handleRunSchedule(schedule) {
+    try {
+        const run = await scheduleRequest(`/${schedule.id}/run`, { method: 'POST' });
+        showToast(`"${schedule.name}" started as job ${run.jobId}`, 'success');
+        await loadSchedules();
+    } catch (error) {
+        showToast(`Could not run the schedule: ${error.message}`, 'error');
+    }
+}
+
+async function handlePauseSchedule(schedule) {
+    try {
+        await scheduleRequest(`/${schedule.id}`, {
+            method: 'PUT',
+            body: JSON.stringify({ paused: !schedule.paused })
+        });
+        await loadSchedules();
+    } catch (error) {
+        showToast(`Could not ${schedule.paused ? 'resume' : 'pause'} the schedule: ${error.message}`, 'error');
+    }
+}
+
+async function handleDeleteSchedule(schedule) {
+    if (!confirm(`Delete schedule "${schedule.name}"? Its past jobs and their files are kept.`)) return;
+    
+    try {
+        await scheduleRequest(`/${schedule.id}`, { method: 'DELETE' });
+        showToast('Schedule deleted', 'success');
+        await loadSchedules();
+    } catch (error) {
+        showToast(`Could not delete the schedule: ${error.message}`, 'error');
+    }
+}
+
+// Environment Profile Functions
+// Profiles live in the server's credential vault; their keys never come back to the browser
+
+// Request the profiles API
+async function profileRequest(path = '', options = {}) {
+    const response = await apiFetch(`${state.serverUrl}/api/profiles${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+    });
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `Profile request failed (HTTP ${response.status})`);
+    }
+    return response.status === 204 ? null : response.json();
+}
+
+// Load profiles into dropdown
+async function loadProfiles() {
+    if (!elements.profileSelect) return;
+    // The server only keeps and uses profile keys with authentication on
+    if (state.auth && !state.auth.authEnabled) return;
+    
+    try {
+        state.profiles = await profileRequest();
+    } catch (error) {
+        logger.warning('Could not load environment profiles', error);
+        return;
+    }
+    
+    if (await migrateLocalProfiles()) {
+        state.profiles = await profileRequest();
+    }
+    
+    elements.profileSelect.innerHTML = '<option value="">No profile selected</option>';
+    state.profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = `${profile.name} (${profile.environmentId})`;
+        elements.profileSelect.appendChild(option);
+    });
+    
+    if (elements.profilesSection) {
+        elements.profilesSection.style.display = '';
+    }
+    refreshEnvironmentPickers();
+}
+
+// Move profiles saved in the browser by earlier versions into the vault
+// Returns true if any profile was moved
+async function migrateLocalProfiles() {
+    const localProfiles = getStorageItem(STORAGE_KEYS.ENVIRONMENT_PROFILES, []);
+    if (!Array.isArray(localProfiles) || localProfiles.length === 0) return false;
+    
+    const remaining = [];
+    for (const profile of localProfiles) {
+        if (!profile.apiKey) continue; // Imported profiles never had a key
+        try {
+            await profileRequest('', {
+                method: 'POST',
+                body: JSON.stringify({
+                    name: profile.name,
+                    environmentId: profile.environmentId,
+                    managementApiKey: profile.apiKey
+                })
+            });
+        } catch (error) {
+            logger.warning(`Could not move profile "${profile.name}" to the server`, error);
+            remaining.push(profile);
+        }
+    }
+    
+    if (remaining.length > 0) {
+        setStorageItem(STORAGE_KEYS.ENVIRONMENT_PROFILES, remaining);
+    } else {
+        removeStorageItem(STORAGE_KEYS.ENVIRONMENT_PROFILES);
+    }
+    const moved = localProfiles.length - remaining.length;
+    if (moved > 0) {
+        showToast(`${moved} profile(s) moved from this browser to the server vault`, 'info');
+    }
+    return moved > 0;
+}
+
+// Save current environment as profile
+async function handleSaveProfile() {
+    // Get environment ID and API key from form
+    const command = commands[state.command];
+    if (!command) {
+        showToast('Please select a command first', 'warning');
+        return;
+    }
+    
+    const environmentId = getEnvironmentIdFromForm(command);
+    const apiKey = getApiKeyFromForm(command);
+    
+    if (!environmentId || !apiKey) {
+        showToast('Please enter Environment ID and API Key first', 'warning');
+        return;
+    }
+    
+    const profileName = prompt('Enter a name for this environment profile:');
+    if (!profileName || !profileName.trim()) {
+        return;
+    }
+    
+    try {
+        const profile = await profileRequest('', {
+            method: 'POST',
+            body: JSON.stringify({
+                name: profileName.trim(),
+                environmentId,
+                managementApiKey: apiKey,
+                secureAssetDeliveryKey: document.getElementById('opt-secureAssetDeliveryKey')?.value || undefined,
+                kontentUrl: document.getElementById('opt-kontentUrl')?.value || undefined
+            })
+        });
+        await loadProfiles();
+        applyProfile(profile);
+        showToast('Profile saved to the server vault', 'success');
+        logger.info(`Profile "${profile.name}" saved`);
+    } catch (error) {
+        showToast(`Failed to save profile: ${error.message}`, 'error');
+        logger.error('Failed to save profile', error);
+    }
+}
+
+// Pick a profile in the command's environment pickers
+// Fields are tried in order; the first the command has gets the profile
+function applyProfile(profile, fieldOrder = ['environmentAlias', 'sourceEnvironmentAlias', 'targetEnvironmentAlias']) {
+    const select = fieldOrder
+        .map(alias => document.getElementById(`opt-${alias}`))
+        .find(Boolean);
+    if (!select) return false;
+    
+    select.value = `profile:${profile.id}`;
+    updateCommandOptions();
+    updateRunButtonState();
+    saveFormState();
+    return true;
+}
+
+// Load selected profile
+function handleLoadProfile() {
+    if (!elements.profileSelect || !elements.profileSelect.value) {
+        showToast('Please select a profile to load', 'warning');
+        return;
+    }
+    
+    const profile = state.profiles.find(p => p.id === elements.profileSelect.value);
+    if (!profile) {
+        showToast('Profile not found', 'error');
+        return;
+    }
+    
+    if (!applyProfile(profile)) {
+        showToast('Select a command that works with an environment first', 'warning');
+        return;
+    }
+    showToast(`Profile "${profile.name}" loaded successfully!`, 'success');
+    logger.info(`Profile "${profile.name}" loaded`);
+}
+
+// Delete selected profile
+async function handleDeleteProfile() {
+    if (!elements.profileSelect || !elements.profileSelect.value) {
+        showToast('Please select a profile to delete', 'warning');
+        return;
+    }
+    
+    const profileName = elements.profileSelect.options[elements.profileSelect.selectedIndex].textContent;
+    if (!confirm(`Are you sure you want to delete profile "${profileName}"? Its API keys are deleted from the server.`)) {
+        return;
+    }
+    
+    try {
+        await profileRequest(`/${encodeURIComponent(elements.profileSelect.value)}`, { method: 'DELETE' });
+        await loadProfiles();
+        showToast('Profile deleted successfully', 'success');
+        logger.info(`Profile "${profileName}" deleted`);
+    } catch (error) {
+        showToast(`Failed to delete profile: ${error.message}`, 'error');
+        logger.error('Failed to delete profile', error);
+    }
+}
 
 // Export profiles
 function handleExportProfiles() {
-    const profiles = getProfiles();
+    const profiles = state.profiles;
     if (profiles.length === 0) {
         showToast('No profiles to export', 'warning');
         return;
     }
     
-    // Remove API keys for export (security)
+    // The server never hands out API keys, so exports can't contain them
     const safeProfiles = profiles.map(p => ({
         name: p.name,
         environmentId: p.environmentId,
+        kontentUrl: p.kontentUrl,
         createdAt: p.createdAt
     }));
     
@@ -3830,7 +5872,7 @@ function handleImportProfiles() {
         if (!file) return;
         
         const reader = new FileReader();
-        reader.onload = (event) => {
+        reader.onload = async (event) => {
             try {
                 const importedProfiles = JSON.parse(event.target.result);
                 
@@ -3839,20 +5881,31 @@ function handleImportProfiles() {
                     return;
                 }
                 
-                // Note: Imported profiles won't have API keys (they were excluded in export)
-                // User will need to re-enter them
-                const profiles = getProfiles();
-                importedProfiles.forEach(profile => {
-                    if (!profiles.find(p => p.name === profile.name && p.environmentId === profile.environmentId)) {
-                        profiles.push({
-                            ...profile,
-                            apiKey: '' // User needs to enter API key
+                // Exports carry no API keys, so each new profile asks for its key
+                let imported = 0;
+                for (const profile of importedProfiles) {
+                    if (state.profiles.find(p => p.name === profile.name && p.environmentId === profile.environmentId)) continue;
+                    
+                    const apiKey = prompt(`Management API key for profile "${profile.name}" (${profile.environmentId}), or cancel to skip:`);
+                    if (!apiKey || !apiKey.trim()) continue;
+                    
+                    try {
+                        await profileRequest('', {
+                            method: 'POST',
+                            body: JSON.stringify({
+                                name: profile.name,
+                                environmentId: profile.environmentId,
+                                kontentUrl: profile.kontentUrl,
+                                managementApiKey: apiKey.trim()
+                            })
                         });
+                        imported++;
+                    } catch (error) {
+                        showToast(`Profile "${profile.name}" not imported: ${error.message}`, 'error');
                     }
-                });
-                saveProfiles(profiles);
-                loadProfiles();
-                showToast(`${importedProfiles.length} profile(s) imported. Note: API keys need to be entered manually.`, 'info');
+                }
+                await loadProfiles();
+                showToast(`${imported} of ${importedProfiles.length} profile(s) imported`, 'info');
             } catch (error) {
                 showToast('Failed to parse profile file', 'error');
                 logger.error('Failed to import profiles', error);
@@ -3865,7 +5918,7 @@ function handleImportProfiles() {
 
 // Show profile selector
 function showProfileSelector(type) {
-    const profiles = getProfiles();
+    const profiles = state.profiles;
     if (profiles.length === 0) {
         showToast('No profiles available. Save a profile first.', 'warning');
         return;
@@ -3883,16 +5936,11 @@ function showProfileSelector(type) {
             handleEnvironmentChange();
         }
         
-        // Also fill in API key if command options are visible
-        const command = commands[state.command];
-        if (command) {
-            const apiKeyField = document.getElementById('opt-apiKey') || 
-                               document.getElementById('opt-sourceApiKey') || 
-                               document.getElementById('opt-targetApiKey');
-            if (apiKeyField) {
-                apiKeyField.value = profile.apiKey;
-                updateCommandOptions();
-            }
+        // Also pick the profile for the command, preferring the matching source or target field
+        if (commands[state.command]) {
+            applyProfile(profile, type === 'source'
+                ? ['sourceEnvironmentAlias', 'environmentAlias']
+                : ['targetEnvironmentAlias', 'environmentAlias']);
         }
         
         showToast(`Profile "${profile.name}" applied`, 'success');
@@ -3946,57 +5994,16 @@ function hideProgress() {
     state.progress = { current: 0, total: 100, message: '', stage: '' };
 }
 
-// Parse progress from CLI output
-function parseProgressFromOutput(message) {
-    // Look for common progress patterns in CLI output
-    const progressPatterns = [
-        /(\d+)%\s*[\/\\]\s*(\d+)/, // "50% / 100"
-        /(\d+)\s*of\s*(\d+)/i, // "50 of 100"
-        /progress[:\s]+(\d+)%/i, // "Progress: 50%"
-        /(\d+)\/(\d+)/, // "50/100"
-        /\[(\d+)%\]/, // "[50%]"
-        /backing up|restoring|syncing|processing/i // Stage indicators
-    ];
-    
-    for (const pattern of progressPatterns) {
-        const match = message.match(pattern);
-        if (match) {
-            if (match[1] && match[2]) {
-                // Percentage calculation
-                const current = parseInt(match[1], 10);
-                const total = parseInt(match[2], 10);
-                if (!isNaN(current) && !isNaN(total) && total > 0) {
-                    return { percent: (current / total) * 100, message, stage: '' };
-                }
-            } else if (match[1]) {
-                // Direct percentage
-                const percent = parseInt(match[1], 10);
-                if (!isNaN(percent)) {
-                    return { percent, message, stage: '' };
-                }
-            }
-        }
+// Describe the phase of a progress update: "Content items 340/1200 · 12.5/s · about 1m 30s left"
+function formatPhaseProgress(phase) {
+    const parts = [phase.total !== null ? `${phase.label} ${phase.processed}/${phase.total}` : `${phase.label} ${phase.processed}`];
+    if (phase.throughput) {
+        parts.push(`${phase.throughput}/s`);
     }
-    
-    // Check for stage indicators
-    const stagePatterns = [
-        { pattern: /backing up/i, stage: 'Backing up data...' },
-        { pattern: /restoring/i, stage: 'Restoring data...' },
-        { pattern: /syncing/i, stage: 'Synchronizing...' },
-        { pattern: /processing/i, stage: 'Processing...' },
-        { pattern: /validating/i, stage: 'Validating...' },
-        { pattern: /fetching/i, stage: 'Fetching data...' },
-        { pattern: /uploading/i, stage: 'Uploading...' },
-        { pattern: /downloading/i, stage: 'Downloading...' }
-    ];
-    
-    for (const { pattern, stage } of stagePatterns) {
-        if (pattern.test(message)) {
-            return { percent: null, message, stage };
-        }
+    if (phase.etaSeconds) {
+        parts.push(`about ${formatExecutionTime(phase.etaSeconds * 1000)} left`);
     }
-    
-    return null;
+    return parts.join(' · ');
 }
 
 // Show error modal
@@ -4284,7 +6291,7 @@ async function handleExportOutput() {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const filename = `data-ops-output-${timestamp}.txt`;
     
-    const blob = new Blob([outputLines], { type: 'text/plain' });
+    const blob = new Blob([redactSecrets(outputLines)], { type: 'text/plain' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -4301,9 +6308,9 @@ async function handleExportOutput() {
 // Handle download logs
 function handleDownloadLogs() {
     const logs = logger.getLogs();
-    const logText = logs.map(log => 
+    const logText = redactSecrets(logs.map(log => 
         `[${log.timestamp}] ${log.level}: ${log.message}${log.data ? ' ' + JSON.stringify(log.data, null, 2) : ''}`
-    ).join('\n');
+    ).join('\n'));
     
     const blob = new Blob([logText], { type: 'text/plain' });
     const url = URL.createObjectURL(blob);
@@ -4878,7 +6885,7 @@ async function executeWorkflowStep(step, stepIndex, totalSteps) {
         };
         
         // Execute command via API
-        const response = await fetch(`${state.serverUrl}/api/execute`, {
+        const response = await apiFetch(`${state.serverUrl}/api/execute`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
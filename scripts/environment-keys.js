@@ -0,0 +1,59 @@
+// Manage the Management API keys the server holds for configured environments
+// Keys are read from stdin so they don't end up in shell history:
+//   echo "$KEY" | npm run environment-keys -- set production
+// Requires a build (npm run build:ts) and SECRETS_MASTER_KEY.
+
+import { getConfiguredEnvironments, getEnvironmentKeySecretName } from '../build/server/environments.js';
+import { setSecret, deleteSecret, listSecretNames } from '../build/server/secrets.js';
+
+const USAGE = `Usage:
+  environment-keys list              List configured environments and whether a key is stored
+  environment-keys set <alias>       Store the key read from stdin for an environment
+  environment-keys delete <alias>    Delete the stored key of an environment`;
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8').trim();
+}
+
+function findEnvironment(alias) {
+    const environment = getConfiguredEnvironments().find(env => env.alias === alias);
+    if (!environment) {
+        throw new Error(`Unknown environment alias: ${alias}. Configure it in CUSTOM_APP_CONFIG first.`);
+    }
+    return environment;
+}
+
+async function main() {
+    const [action, alias] = process.argv.slice(2);
+
+    if (action === 'list') {
+        const stored = new Set(await listSecretNames());
+        getConfiguredEnvironments().forEach(environment => {
+            const status = stored.has(getEnvironmentKeySecretName(environment.alias)) ? '✓ key stored' : '✗ no key';
+            console.log(`${environment.alias}\t${environment.environmentId}\t${status}\t${environment.commands.join(', ')}`);
+        });
+    } else if (action === 'set' && alias) {
+        const environment = findEnvironment(alias);
+        const apiKey = await readStdin();
+        if (!apiKey) {
+            throw new Error('No API key given on stdin');
+        }
+        await setSecret(getEnvironmentKeySecretName(environment.alias), apiKey);
+        console.log(`✓ Stored the Management API key of ${environment.alias}`);
+    } else if (action === 'delete' && alias) {
+        const deleted = await deleteSecret(getEnvironmentKeySecretName(alias));
+        console.log(deleted ? `✓ Deleted the key of ${alias}` : `No key stored for ${alias}`);
+    } else {
+        console.log(USAGE);
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+});
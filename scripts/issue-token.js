@@ -0,0 +1,28 @@
+// Local test issuer: sign an access token with AUTH_JWT_SECRET
+//   npm run issue-token -- alice admin
+//   npm run issue-token -- ci-bot operator 24
+// Requires a build (npm run build:ts) and AUTH_JWT_SECRET.
+
+import { signAccessToken, ROLES } from '../build/server/auth.js';
+
+const USAGE = `Usage:
+  issue-token <subject> <${ROLES.join('|')}> [hours]   Print a token for the subject (valid 1 hour by default)`;
+
+function main() {
+    const [subject, role, hours = '1'] = process.argv.slice(2);
+
+    if (!subject || !ROLES.includes(role) || !(Number(hours) > 0)) {
+        console.log(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(signAccessToken(subject, role, Math.round(Number(hours) * 3600), subject));
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,90 @@
+// Record what data-ops's own sync diff finds between the fixture snapshot folders
+// (tests/fixtures/sync-diff), which the server's diff is tested against:
+//   npm run sync-diff-fixtures
+// Uses the data-ops the server runs (DATA_OPS_CLI_PATH or data-ops/build/src/index.js).
+// Run it again after upgrading data-ops or changing the fixtures.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const PROJECT_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FIXTURES_DIR = path.join(PROJECT_ROOT, 'tests', 'fixtures', 'sync-diff');
+const DATA_OPS_CLI = process.env.DATA_OPS_CLI_PATH || path.join(PROJECT_ROOT, 'data-ops', 'build', 'src', 'index.js');
+
+// Files of a snapshot folder by the entity names the server uses, and what data-ops reads when one is missing
+const ENTITY_FILES = {
+    contentTypes: ['contentTypes.json', []],
+    contentTypeSnippets: ['contentTypeSnippets.json', []],
+    taxonomies: ['taxonomyGroups.json', []],
+    collections: ['collections.json', []],
+    webSpotlight: ['webSpotlight.json', { enabled: false, root_type: null }],
+    assetFolders: ['assetFolders.json', []],
+    spaces: ['spaces.json', []],
+    languages: ['languages.json', []],
+    workflows: ['workflows.json', []]
+};
+
+// Where data-ops keeps each entity's part of its diff model
+const DIFF_MODEL_KEYS = { taxonomies: 'taxonomyGroups' };
+
+function readFolder(side) {
+    const model = {};
+    const present = [];
+    Object.entries(ENTITY_FILES).forEach(([entity, [fileName, missing]]) => {
+        const file = path.join(FIXTURES_DIR, side, fileName);
+        model[entity] = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : missing;
+        if (fs.existsSync(file)) present.push(entity);
+    });
+    return { model, present };
+}
+
+const sorted = values => [...new Set(values)].sort();
+
+// Top-level codename a patch operation of collections or asset folders changes
+function codenameOf(operation) {
+    return /^\/codename:([^/]+)/.exec(operation.path)?.[1];
+}
+
+// Codenames added, modified and removed in one entity's part of data-ops's diff model
+function summarize(entity, part) {
+    if (entity === 'webSpotlight') {
+        return { added: [], modified: part.change === 'none' ? [] : ['web_spotlight'], removed: [] };
+    }
+    if (Array.isArray(part)) {
+        const added = part.filter(operation => operation.op === 'addInto' && !operation.path).map(operation => operation.value.codename);
+        const removed = part.filter(operation => operation.op === 'remove' && operation.path === `/codename:${codenameOf(operation)}`).map(codenameOf);
+        const modified = part.map(codenameOf).filter(codename => codename && !removed.includes(codename));
+        return { added: sorted(added), modified: sorted(modified), removed: sorted(removed) };
+    }
+    return {
+        added: sorted(part.added.map(item => item.codename)),
+        modified: sorted([...part.updated].filter(([, operations]) => operations.length > 0).map(([codename]) => codename)),
+        removed: sorted([...part.deleted])
+    };
+}
+
+async function main() {
+    const buildDir = path.dirname(DATA_OPS_CLI);
+    const { diff } = await import(pathToFileURL(path.join(buildDir, 'modules', 'sync', 'diff.js')).href);
+    const { version } = JSON.parse(fs.readFileSync(path.join(buildDir, '..', '..', 'package.json'), 'utf8'));
+
+    const source = readFolder('source');
+    const target = readFolder('target');
+    const model = diff({
+        sourceEnvModel: source.model,
+        targetEnvModel: target.model,
+        targetItemsReferencedFromSourceByCodenames: new Map(),
+        targetAssetsReferencedFromSourceByCodenames: new Map()
+    });
+
+    const entities = Object.fromEntries(source.present.map(entity => [entity, summarize(entity, model[DIFF_MODEL_KEYS[entity] ?? entity])]));
+    const file = path.join(FIXTURES_DIR, 'data-ops-diff.json');
+    fs.writeFileSync(file, `${JSON.stringify({ dataOpsVersion: version, entities }, null, 2)}\n`);
+    console.log(`✓ ${path.relative(PROJECT_ROOT, file)} written with data-ops ${version}`);
+}
+
+main().catch(error => {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,190 @@
+/**
+ * Job artifacts
+ *
+ * Every job runs in its own workspace directory, so all files a command writes
+ * (backup zips, snapshot folders, diff reports) can be attributed to the job
+ * and offered for download afterwards. Once the job has finished they are stored
+ * under artifacts/<jobId>/ in the artifact storage; with the default filesystem
+ * storage that is the workspace itself.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import type { ArtifactInfo } from '../types/index.js';
+import { DATA_DIR } from './paths.js';
+import { getStorage, downloadFile } from './storage.js';
+
+const ARTIFACTS_DIR = path.join(DATA_DIR, 'artifacts');
+const ARTIFACT_REFERENCE_PREFIX = 'artifact:';
+
+/**
+ * Get the workspace directory of a job
+ */
+export function getJobWorkspace(jobId: string): string {
+    return path.join(ARTIFACTS_DIR, jobId);
+}
+
+/**
+ * Create the workspace directory of a job
+ */
+export async function createJobWorkspace(jobId: string): Promise<string> {
+    const workspace = getJobWorkspace(jobId);
+    await fs.mkdir(workspace, { recursive: true });
+    return workspace;
+}
+
+/**
+ * Remove the workspace directory of a job
+ */
+export async function removeJobWorkspace(jobId: string): Promise<void> {
+    await fs.rm(getJobWorkspace(jobId), { recursive: true, force: true });
+}
+
+/**
+ * Key of a job's file in the artifact storage
+ */
+export function getArtifactKey(jobId: string, name: string): string {
+    return `artifacts/${jobId}/${name}`;
+}
+
+/**
+ * Move a finished job's files from its workspace into the artifact storage
+ * The workspace is removed once they are stored elsewhere.
+ */
+export async function storeArtifacts(jobId: string, artifacts: ArtifactInfo[]): Promise<void> {
+    const storage = getStorage();
+    let copied = false;
+    for (const artifact of artifacts) {
+        const key = getArtifactKey(jobId, artifact.name);
+        const filePath = resolveArtifactPath(jobId, artifact.name) as string;
+        copied ||= storage.getLocalPath(key) !== filePath;
+        await storage.upload(key, filePath);
+    }
+    if (copied) {
+        await removeJobWorkspace(jobId);
+    }
+}
+
+/**
+ * Remove a job's stored files and whatever is left of its workspace
+ */
+export async function removeStoredArtifacts(jobId: string): Promise<void> {
+    await getStorage().remove(`artifacts/${jobId}/`);
+    await removeJobWorkspace(jobId);
+}
+
+/**
+ * Path of a job's file on disk, if it is there; otherwise it has to be read from the storage
+ */
+export async function findLocalArtifact(jobId: string, name: string): Promise<string | null> {
+    const candidates = [getStorage().getLocalPath(getArtifactKey(jobId, name)), resolveArtifactPath(jobId, name)];
+    for (const candidate of candidates) {
+        if (candidate && await fs.stat(candidate).then(stats => stats.isFile(), () => false)) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * List all files a job produced, with paths relative to its workspace
+ */
+export async function collectArtifacts(jobId: string): Promise<ArtifactInfo[]> {
+    const workspace = getJobWorkspace(jobId);
+    const artifacts: ArtifactInfo[] = [];
+
+    const walk = async (dir: string): Promise<void> => {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch {
+            return;
+        }
+
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                await walk(fullPath);
+            } else if (entry.isFile()) {
+                const stats = await fs.stat(fullPath);
+                artifacts.push({
+                    name: path.relative(workspace, fullPath).split(path.sep).join('/'),
+                    size: stats.size,
+                    createdAt: stats.mtime.toISOString()
+                });
+            }
+        }
+    };
+
+    await walk(workspace);
+    return artifacts.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Resolve an artifact name to its file path
+ * @returns null if the name would escape the job's workspace
+ */
+export function resolveArtifactPath(jobId: string, name: string): string | null {
+    const workspace = getJobWorkspace(jobId);
+    const filePath = path.resolve(workspace, name);
+    if (!filePath.startsWith(workspace + path.sep)) {
+        return null;
+    }
+    return filePath;
+}
+
+/**
+ * Reference to a job's file, usable wherever an input file is expected
+ * (e.g. the fileName of environment restore), like an upload reference
+ */
+export function toArtifactReference(jobId: string, name: string): string {
+    return `${ARTIFACT_REFERENCE_PREFIX}${jobId}/${name}`;
+}
+
+/**
+ * Check whether an option value is an artifact reference
+ */
+export function isArtifactReference(value: unknown): value is string {
+    return typeof value === 'string' && value.startsWith(ARTIFACT_REFERENCE_PREFIX);
+}
+
+/**
+ * Get the job and file name an artifact reference points at
+ * @returns null if the reference is malformed
+ */
+export function parseArtifactReference(reference: string): { jobId: string; name: string } | null {
+    const [jobId, ...name] = reference.slice(ARTIFACT_REFERENCE_PREFIX.length).split('/');
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(jobId) || name.length === 0) {
+        return null;
+    }
+    // Names must stay inside the job's folder
+    return resolveArtifactPath(jobId, name.join('/')) ? { jobId, name: name.join('/') } : null;
+}
+
+/**
+ * Resolve an artifact reference to the file's path on disk
+ * @returns null if the reference is malformed, or the storage doesn't keep files on disk
+ */
+export function resolveArtifactReference(reference: string): string | null {
+    const parsed = parseArtifactReference(reference);
+    return parsed && getStorage().getLocalPath(getArtifactKey(parsed.jobId, parsed.name));
+}
+
+/**
+ * Get the file an artifact reference points at onto the disk
+ * @param dir - Where to download it if the storage doesn't keep it on disk
+ * @returns Its path, or null if the reference is malformed
+ */
+export async function fetchArtifactReference(reference: string, dir: string): Promise<string | null> {
+    const parsed = parseArtifactReference(reference);
+    if (!parsed) return null;
+
+    const storage = getStorage();
+    const key = getArtifactKey(parsed.jobId, parsed.name);
+    const localPath = storage.getLocalPath(key);
+    if (localPath) return localPath;
+
+    const filePath = path.join(dir, parsed.jobId, ...parsed.name.split('/'));
+    await downloadFile(storage, key, filePath);
+    return filePath;
+}
@@ -0,0 +1,253 @@
+/**
+ * Audit log
+ *
+ * An append-only trail of who ran which command against which environments. Every
+ * job writes a record when it starts and one when it finishes, and refused commands
+ * and backups deleted by retention policies are recorded too. Records are JSON lines in one file per month under
+ * DATA_DIR/audit; they are never rewritten, and queries merge them into entries.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import type { ArtifactInfo, AuditEntry, AuditQuery, AuditStatus, AuthUser, BackupInfo, CommandOptions, JobMetadata, RetentionRules } from '../types/index.js';
+import { DATA_DIR } from './paths.js';
+import { redactOptions } from './redaction.js';
+import { ServerLogger } from './logger.js';
+
+const AUDIT_DIR = path.join(DATA_DIR, 'audit');
+const PRUNE_COMMAND = 'backup prune';
+const DEFAULT_QUERY_LIMIT = 1000;
+const MAX_QUERY_LIMIT = 100000;
+
+const logger = new ServerLogger();
+
+type AuditRecord =
+    | { type: 'started'; at: string; jobId: string; command: string; user: AuthUser | null; environmentIds: string[]; options: CommandOptions }
+    | { type: 'finished'; at: string; jobId: string; status: AuditStatus; exitCode?: number | null; error?: string; artifacts?: ArtifactInfo[] }
+    | { type: 'denied'; at: string; command: string; user: AuthUser | null; environmentIds: string[]; options: CommandOptions; error: string }
+    | { type: 'pruned'; at: string; jobId: string; user: AuthUser | null; environmentIds: string[]; rules: RetentionRules; artifacts: ArtifactInfo[] };
+
+// Appends are queued so records are never interleaved
+let writeQueue: Promise<unknown> = Promise.resolve();
+
+function auditFile(timestamp: string): string {
+    return path.join(AUDIT_DIR, `audit-${timestamp.slice(0, 7)}.jsonl`);
+}
+
+function appendRecord(record: AuditRecord): Promise<void> {
+    const write = writeQueue.then(async () => {
+        await fs.mkdir(AUDIT_DIR, { recursive: true });
+        await fs.appendFile(auditFile(record.at), `${JSON.stringify(record)}\n`, { mode: 0o600 });
+    });
+    writeQueue = write.catch(error => logger.error('Failed to write audit record', error));
+    return write;
+}
+
+/**
+ * Environment IDs a command works with (environmentId, sourceEnvironmentId, targetEnvironmentId)
+ */
+function getEnvironmentIds(options: CommandOptions): string[] {
+    const ids = Object.entries(options)
+        .filter(([key, value]) => /environmentid$/i.test(key) && typeof value === 'string' && value !== '')
+        .map(([, value]) => value as string);
+    return [...new Set(ids)];
+}
+
+/**
+ * Record that a job started
+ * @param options - Resolved options, so environment aliases and profiles appear as environment IDs
+ */
+export function auditJobStarted(job: JobMetadata, options: CommandOptions): Promise<void> {
+    return appendRecord({
+        type: 'started',
+        at: job.createdAt,
+        jobId: job.id,
+        command: job.command,
+        user: job.startedBy ?? null,
+        environmentIds: getEnvironmentIds(options),
+        options: redactOptions(options)
+    });
+}
+
+/**
+ * Record how a job ended
+ */
+export function auditJobFinished(job: JobMetadata): Promise<void> {
+    return appendRecord({
+        type: 'finished',
+        at: job.finishedAt ?? new Date().toISOString(),
+        jobId: job.id,
+        status: job.status,
+        exitCode: job.exitCode,
+        error: job.error,
+        artifacts: job.artifacts
+    });
+}
+
+/**
+ * Record a command the caller was not allowed to run
+ */
+export function auditCommandDenied(command: string, options: CommandOptions, user: AuthUser | undefined, error: string): Promise<void> {
+    return appendRecord({
+        type: 'denied',
+        at: new Date().toISOString(),
+        command,
+        user: user ?? null,
+        environmentIds: getEnvironmentIds(options),
+        options: redactOptions(options),
+        error
+    });
+}
+
+/**
+ * Record that the files of a backup were deleted by a retention policy
+ * @param user - Who ran the pruner; none for the background pruner
+ */
+export function auditBackupPruned(backup: BackupInfo, rules: RetentionRules, user?: AuthUser): Promise<void> {
+    return appendRecord({
+        type: 'pruned',
+        at: new Date().toISOString(),
+        jobId: backup.jobId,
+        user: user ?? null,
+        environmentIds: [backup.environmentId],
+        rules,
+        artifacts: backup.artifacts
+    });
+}
+
+async function readRecords(from?: string): Promise<AuditRecord[]> {
+    let files: string[];
+    try {
+        files = (await fs.readdir(AUDIT_DIR)).filter(file => /^audit-\d{4}-\d{2}\.jsonl$/.test(file)).sort();
+    } catch {
+        return [];
+    }
+
+    // Months before the query's start can be skipped; later months are still read, since
+    // a job started within the range may have finished after it
+    const firstMonth = from?.slice(0, 7);
+    const records: AuditRecord[] = [];
+    for (const file of files) {
+        if (firstMonth && file.slice(6, 13) < firstMonth) continue;
+        const content = await fs.readFile(path.join(AUDIT_DIR, file), 'utf8');
+        content.split('\n').filter(line => line.trim()).forEach(line => {
+            try {
+                records.push(JSON.parse(line));
+            } catch {
+                // A partially written last line after a crash
+            }
+        });
+    }
+    return records;
+}
+
+function matchesQuery(entry: AuditEntry, query: AuditQuery): boolean {
+    if (query.from && entry.startedAt < query.from) return false;
+    if (query.to && entry.startedAt > query.to) return false;
+    if (query.userId && entry.user?.id !== query.userId) return false;
+    if (query.command && entry.command !== query.command) return false;
+    if (query.environmentId && !entry.environmentIds.includes(query.environmentId)) return false;
+    if (query.status && entry.status !== query.status) return false;
+    if (query.jobId && entry.jobId !== query.jobId) return false;
+    return true;
+}
+
+/**
+ * Query the audit log, newest entries first
+ */
+export async function queryAudit(query: AuditQuery = {}): Promise<AuditEntry[]> {
+    // A date without a time includes the whole day
+    if (query.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+        query = { ...query, to: `${query.to}T23:59:59.999Z` };
+    }
+    const entries: AuditEntry[] = [];
+    const byJob = new Map<string, AuditEntry>();
+
+    for (const record of await readRecords(query.from)) {
+        if (record.type === 'started') {
+            const entry: AuditEntry = {
+                jobId: record.jobId,
+                command: record.command,
+                user: record.user,
+                environmentIds: record.environmentIds,
+                options: record.options,
+                startedAt: record.at,
+                status: 'running'
+            };
+            byJob.set(record.jobId, entry);
+            entries.push(entry);
+        } else if (record.type === 'finished') {
+            const entry = byJob.get(record.jobId);
+            if (!entry) continue;
+            entry.finishedAt = record.at;
+            entry.status = record.status;
+            entry.exitCode = record.exitCode;
+            entry.error = record.error;
+            entry.artifacts = record.artifacts;
+        } else if (record.type === 'denied') {
+            entries.push({
+                command: record.command,
+                user: record.user,
+                environmentIds: record.environmentIds,
+                options: record.options,
+                startedAt: record.at,
+                status: 'denied',
+                error: record.error
+            });
+        } else if (record.type === 'pruned') {
+            entries.push({
+                jobId: record.jobId,
+                command: PRUNE_COMMAND,
+                user: record.user,
+                environmentIds: record.environmentIds,
+                options: { ...record.rules },
+                startedAt: record.at,
+                finishedAt: record.at,
+                status: 'pruned',
+                artifacts: record.artifacts
+            });
+        }
+    }
+
+    const limit = Math.min(Math.max(query.limit ?? DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+    return entries
+        .filter(entry => matchesQuery(entry, query))
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+        .slice(0, limit);
+}
+
+const CSV_COLUMNS: [string, (entry: AuditEntry) => unknown][] = [
+    ['startedAt', entry => entry.startedAt],
+    ['finishedAt', entry => entry.finishedAt],
+    ['status', entry => entry.status],
+    ['exitCode', entry => entry.exitCode],
+    ['command', entry => entry.command],
+    ['userId', entry => entry.user?.id],
+    ['userName', entry => entry.user?.name],
+    ['role', entry => entry.user?.role],
+    ['environmentIds', entry => entry.environmentIds.join(';')],
+    ['jobId', entry => entry.jobId],
+    ['options', entry => JSON.stringify(entry.options)],
+    ['artifacts', entry => entry.artifacts?.map(artifact => artifact.name).join(';')],
+    ['error', entry => entry.error]
+];
+
+function toCsvField(value: unknown): string {
+    let text = value === undefined || value === null ? '' : String(value);
+    // Keep spreadsheets from evaluating values as formulas
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format audit entries as CSV
+ */
+export function toAuditCsv(entries: AuditEntry[]): string {
+    const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+    entries.forEach(entry => {
+        lines.push(CSV_COLUMNS.map(([, getValue]) => toCsvField(getValue(entry))).join(','));
+    });
+    return `${lines.join('\r\n')}\r\n`;
+}
@@ -0,0 +1,368 @@
+/**
+ * Authentication and role-based authorization
+ *
+ * API requests carry a JWT as a Bearer token. Download links can't send headers, so they
+ * carry a download token instead: issued to a signed-in caller for one path, it is valid
+ * for a minute and for a single request, and never reveals the access token. Tokens are verified with the shared secret
+ * AUTH_JWT_SECRET (HS256, also used by the local test issuer) or with the signing keys an
+ * OIDC provider publishes at AUTH_JWKS_URL (RS256/ES256). The roles claim decides what the
+ * caller may do. With neither setting, authentication is off and every caller is an admin;
+ * keys held by the server (configured environments, vault profiles) are then refused, as
+ * anyone who can reach the server could use them.
+ */
+
+import type { Request, Response, NextFunction } from 'express';
+import { createHmac, createPublicKey, randomBytes, timingSafeEqual, verify as verifySignature } from 'crypto';
+import type { KeyObject, JsonWebKey } from 'crypto';
+import type { AuthUser, Role } from '../types/index.js';
+import { HttpError, getErrorSolution } from './errors.js';
+import { ServerLogger } from './logger.js';
+
+declare module 'express-serve-static-core' {
+    interface Request {
+        user?: AuthUser;
+    }
+}
+
+const logger = new ServerLogger();
+
+export const ROLES: Role[] = ['viewer', 'operator', 'admin'];
+
+// Commands that only read from Kontent.ai (or write local files) are open to operators;
+// anything that changes an environment needs an admin. Unlisted commands need an admin.
+const DEFAULT_COMMAND_ROLES: Record<string, Role> = {
+    'environment backup': 'operator',
+    'sync diff': 'operator',
+    'sync snapshot': 'operator',
+    'migrate-content snapshot': 'operator',
+    'migrations add': 'operator',
+    'environment restore': 'admin',
+    'environment clean': 'admin',
+    'environment rollback': 'admin',
+    'sync run': 'admin',
+    'migrate-content run': 'admin',
+    'migrations run': 'admin'
+};
+
+const CLOCK_TOLERANCE_SECONDS = 60;
+const JWKS_CACHE_TTL = 10 * 60 * 1000;
+const JWKS_MIN_REFRESH_INTERVAL = 60 * 1000;
+const DOWNLOAD_TOKEN_TTL_MS = 60 * 1000;
+
+interface JwtHeader {
+    alg?: string;
+    kid?: string;
+    typ?: string;
+}
+
+type JwtPayload = Record<string, unknown>;
+
+let jwksCache: { keys: Map<string, KeyObject>; fetchedAt: number } | null = null;
+let commandRoles: Record<string, Role> | null = null;
+
+// Download tokens handed out, by token
+const downloadGrants = new Map<string, { path: string; user: AuthUser; expiresAt: number }>();
+
+/**
+ * Check whether requests must be authenticated
+ */
+export function isAuthEnabled(): boolean {
+    return Boolean(process.env.AUTH_JWT_SECRET || process.env.AUTH_JWKS_URL);
+}
+
+/**
+ * Throw unless keys held by the server may be used, which needs authentication
+ */
+export function assertStoredKeysAllowed(): void {
+    if (!isAuthEnabled()) {
+        throw new HttpError('Configured environments and profiles can only be used with authentication on (AUTH_JWT_SECRET or AUTH_JWKS_URL)', 403);
+    }
+}
+
+function isRole(value: unknown): value is Role {
+    return typeof value === 'string' && (ROLES as string[]).includes(value);
+}
+
+/**
+ * Check whether a role includes the permissions of another
+ */
+export function hasRole(user: AuthUser | undefined, role: Role): boolean {
+    return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Get the roles commands need; AUTH_COMMAND_ROLES (JSON) overrides the defaults
+ */
+export function getCommandRoles(): Record<string, Role> {
+    if (commandRoles) {
+        return commandRoles;
+    }
+
+    let overrides: Record<string, unknown> = {};
+    try {
+        overrides = process.env.AUTH_COMMAND_ROLES ? JSON.parse(process.env.AUTH_COMMAND_ROLES) : {};
+    } catch {
+        throw new HttpError('AUTH_COMMAND_ROLES must be a JSON object of command names and roles', 500);
+    }
+    Object.entries(overrides).forEach(([command, role]) => {
+        if (!isRole(role)) {
+            throw new HttpError(`AUTH_COMMAND_ROLES: "${String(role)}" for ${command} is not one of ${ROLES.join(', ')}`, 500);
+        }
+    });
+
+    commandRoles = { ...DEFAULT_COMMAND_ROLES, ...(overrides as Record<string, Role>) };
+    return commandRoles;
+}
+
+/**
+ * Role a command needs
+ */
+export function getCommandRole(command: string): Role {
+    return getCommandRoles()[command] ?? 'admin';
+}
+
+/**
+ * Throw unless the user may run the command
+ */
+export function assertCommandAllowed(user: AuthUser | undefined, command: string): void {
+    const role = getCommandRole(command);
+    if (!hasRole(user, role)) {
+        throw new HttpError(`${command} requires the ${role} role`, 403);
+    }
+}
+
+function base64UrlDecode(value: string): Buffer {
+    return Buffer.from(value, 'base64url');
+}
+
+function base64UrlJson<T>(value: string): T {
+    try {
+        return JSON.parse(base64UrlDecode(value).toString('utf8'));
+    } catch {
+        throw new HttpError('Malformed access token', 401);
+    }
+}
+
+async function fetchJwks(): Promise<Map<string, KeyObject>> {
+    const response = await fetch(process.env.AUTH_JWKS_URL as string);
+    if (!response.ok) {
+        throw new HttpError(`Could not fetch signing keys (HTTP ${response.status})`, 503);
+    }
+    const { keys } = await response.json() as { keys?: (JsonWebKey & { kid?: string; use?: string })[] };
+    const result = new Map<string, KeyObject>();
+    (keys || []).forEach(jwk => {
+        if (jwk.use && jwk.use !== 'sig') return;
+        try {
+            result.set(jwk.kid ?? '', createPublicKey({ key: jwk, format: 'jwk' }));
+        } catch (error) {
+            logger.warning(`Ignoring unusable signing key ${jwk.kid ?? ''}`, error);
+        }
+    });
+    jwksCache = { keys: result, fetchedAt: Date.now() };
+    return result;
+}
+
+async function getSigningKey(kid: string | undefined): Promise<KeyObject> {
+    const age = jwksCache ? Date.now() - jwksCache.fetchedAt : Infinity;
+    let keys = jwksCache && age < JWKS_CACHE_TTL ? jwksCache.keys : await fetchJwks();
+
+    // Providers rotate keys; refetch (at most once a minute) for an unknown key ID
+    if (!keys.has(kid ?? '') && jwksCache && Date.now() - jwksCache.fetchedAt >= JWKS_MIN_REFRESH_INTERVAL) {
+        keys = await fetchJwks();
+    }
+    const key = keys.get(kid ?? '') ?? (kid === undefined && keys.size === 1 ? [...keys.values()][0] : undefined);
+    if (!key) {
+        throw new HttpError('Access token is signed with an unknown key', 401);
+    }
+    return key;
+}
+
+async function verifyTokenSignature(header: JwtHeader, signedPart: string, signature: Buffer): Promise<boolean> {
+    if (header.alg === 'HS256' && process.env.AUTH_JWT_SECRET) {
+        const expected = createHmac('sha256', process.env.AUTH_JWT_SECRET).update(signedPart).digest();
+        return expected.length === signature.length && timingSafeEqual(expected, signature);
+    }
+    if ((header.alg === 'RS256' || header.alg === 'ES256') && process.env.AUTH_JWKS_URL) {
+        const key = await getSigningKey(header.kid);
+        return verifySignature('sha256', Buffer.from(signedPart), {
+            key,
+            dsaEncoding: header.alg === 'ES256' ? 'ieee-p1363' : undefined
+        }, signature);
+    }
+    throw new HttpError(`Access tokens signed with ${header.alg ?? 'no algorithm'} are not accepted`, 401);
+}
+
+function checkClaims(payload: JwtPayload): void {
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.exp !== 'number' || payload.exp + CLOCK_TOLERANCE_SECONDS < now) {
+        throw new HttpError('Access token has expired', 401);
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_TOLERANCE_SECONDS > now) {
+        throw new HttpError('Access token is not valid yet', 401);
+    }
+
+    const issuer = process.env.AUTH_JWT_ISSUER;
+    if (issuer && payload.iss !== issuer) {
+        throw new HttpError('Access token was issued by an untrusted issuer', 401);
+    }
+    const audience = process.env.AUTH_JWT_AUDIENCE;
+    if (audience) {
+        const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+        if (!audiences.includes(audience)) {
+            throw new HttpError('Access token is not meant for this app', 401);
+        }
+    }
+}
+
+/**
+ * Read a claim by its dot-separated path, e.g. "realm_access.roles"
+ */
+function getClaim(payload: JwtPayload, claimPath: string): unknown {
+    return claimPath.split('.').reduce<unknown>(
+        (value, key) => (value && typeof value === 'object' ? (value as Record<string, unknown>)[key] : undefined),
+        payload
+    );
+}
+
+/**
+ * Verify an access token and get the user it was issued for
+ */
+export async function verifyAccessToken(token: string): Promise<AuthUser> {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        throw new HttpError('Malformed access token', 401);
+    }
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    const header = base64UrlJson<JwtHeader>(encodedHeader);
+    if (!await verifyTokenSignature(header, `${encodedHeader}.${encodedPayload}`, base64UrlDecode(encodedSignature))) {
+        throw new HttpError('Access token signature is invalid', 401);
+    }
+
+    const payload = base64UrlJson<JwtPayload>(encodedPayload);
+    checkClaims(payload);
+
+    // The highest known role among the claim's values counts
+    const claim = getClaim(payload, process.env.AUTH_ROLES_CLAIM || 'roles');
+    const roles = (Array.isArray(claim) ? claim : [claim]).filter(isRole);
+    const role = ROLES.filter(r => roles.includes(r)).pop();
+    if (!role) {
+        throw new HttpError(`Access token grants none of the roles ${ROLES.join(', ')}`, 403);
+    }
+
+    return {
+        id: String(payload.sub ?? ''),
+        name: typeof payload.name === 'string' ? payload.name
+            : typeof payload.email === 'string' ? payload.email
+            : undefined,
+        role
+    };
+}
+
+/**
+ * Sign an HS256 token with AUTH_JWT_SECRET, for local testing and trusted scripts
+ */
+export function signAccessToken(subject: string, role: Role, expiresInSeconds: number = 3600, name?: string): string {
+    const secret = process.env.AUTH_JWT_SECRET;
+    if (!secret) {
+        throw new Error('AUTH_JWT_SECRET is not set');
+    }
+    const now = Math.floor(Date.now() / 1000);
+    const encode = (value: object) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const header = encode({ alg: 'HS256', typ: 'JWT' });
+    const payload = encode({
+        sub: subject,
+        name,
+        roles: [role],
+        iat: now,
+        exp: now + expiresInSeconds,
+        iss: process.env.AUTH_JWT_ISSUER || undefined,
+        aud: process.env.AUTH_JWT_AUDIENCE || undefined
+    });
+    const signature = createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+    return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Issue a single-use token for downloading one file as the given user
+ * @param downloadPath - Path of the download, e.g. /api/jobs/<id>/artifacts/backup.zip (no query)
+ */
+export function issueDownloadToken(downloadPath: unknown, user: AuthUser): { token: string; expiresAt: string } {
+    if (typeof downloadPath !== 'string' || !downloadPath.startsWith('/api/') || /[?#]/.test(downloadPath)) {
+        throw new HttpError('path must be the path of an /api download, without a query');
+    }
+    const now = Date.now();
+    downloadGrants.forEach((grant, token) => {
+        if (grant.expiresAt <= now) downloadGrants.delete(token);
+    });
+
+    const token = randomBytes(24).toString('base64url');
+    const expiresAt = now + DOWNLOAD_TOKEN_TTL_MS;
+    downloadGrants.set(token, { path: downloadPath, user, expiresAt });
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Redeem a download token for the request's path; it can't be used again
+ */
+function consumeDownloadToken(token: string, requestPath: string): AuthUser {
+    const grant = downloadGrants.get(token);
+    downloadGrants.delete(token);
+    if (!grant || grant.expiresAt <= Date.now() || grant.path !== requestPath) {
+        throw new HttpError('The download link has expired or was already used', 401);
+    }
+    return grant.user;
+}
+
+function getRequestToken(req: Request): string | undefined {
+    const match = req.header('Authorization')?.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : undefined;
+}
+
+function sendAuthError(res: Response, error: HttpError): void {
+    if (error.status === 401) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+    }
+    res.status(error.status).json({ error: error.message, solution: getErrorSolution(error) });
+}
+
+/**
+ * Middleware: identify the caller from their access token
+ * When authentication is off, every caller is an anonymous admin.
+ */
+export async function authenticate(req: Request, res: Response, next: NextFunction): Promise<void> {
+    if (!isAuthEnabled()) {
+        req.user = { id: 'anonymous', role: 'admin' };
+        return next();
+    }
+
+    const token = getRequestToken(req);
+    const downloadToken = req.query.download_token;
+    if (!token && typeof downloadToken !== 'string') {
+        return sendAuthError(res, new HttpError('Authentication required', 401));
+    }
+
+    try {
+        req.user = token
+            ? await verifyAccessToken(token)
+            : consumeDownloadToken(downloadToken as string, req.baseUrl + req.path);
+        next();
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return sendAuthError(res, error);
+        }
+        logger.error('Failed to verify access token', error);
+        sendAuthError(res, new HttpError('Access token could not be verified', 503));
+    }
+}
+
+/**
+ * Middleware: only let callers with at least the given role through
+ */
+export function requireRole(role: Role) {
+    return (req: Request, res: Response, next: NextFunction): void => {
+        if (!hasRole(req.user, role)) {
+            return sendAuthError(res, new HttpError(`This action requires the ${role} role`, 403));
+        }
+        next();
+    };
+}
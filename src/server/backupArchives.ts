@@ -0,0 +1,315 @@
+/**
+ * Backup archive inspector
+ *
+ * Opens the zip files `data-ops environment backup` writes, so users can see what a backup
+ * holds before restoring it: how many entities of each type, the environment it was taken
+ * from (metadata.json), and the entities themselves. Archives are named by the references
+ * restore takes as its fileName: `upload:` for uploaded backups (only from the workspace
+ * that uploaded them) and `artifact:` for files of jobs.
+ *
+ * Entries are read straight from the zip. Archives the storage doesn't keep on disk are
+ * downloaded into a small cache of the most recently inspected ones, and the last few entity
+ * files parsed are kept in memory so that paging through them doesn't parse them again.
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+import type { Readable } from 'stream';
+import StreamZip from 'node-stream-zip';
+import type { ArtifactInfo, BackupArchiveItem, BackupArchiveItemPage, BackupArchiveSummary } from '../types/index.js';
+import { DATA_DIR } from './paths.js';
+import { BACKUP_ENTITY_FILES, getUpload, isUploadReference, parseUploadReference, resolveUploadReference } from './uploads.js';
+import { findLocalArtifact, getArtifactKey, isArtifactReference, parseArtifactReference } from './artifacts.js';
+import { getJob } from './jobs.js';
+import { getStorage, downloadFile } from './storage.js';
+import { HttpError } from './errors.js';
+
+const ARCHIVE_CACHE_DIR = path.join(DATA_DIR, 'cache', 'archives');
+const MAX_CACHED_ARCHIVES = 3;
+const MAX_PARSED_ENTITIES = 4;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const ENTITY_NAMES = BACKUP_ENTITY_FILES.map(file => file.replace(/\.json$/, ''));
+
+interface LocatedArchive {
+    reference: string;
+    fileName: string;
+    filePath: string;
+}
+
+// Downloads of archives into the cache, so parallel requests share one
+const downloads = new Map<string, Promise<string>>();
+
+// Parsed entity files by archive, modification time and entity, least recently used first
+const parsedEntities = new Map<string, unknown[]>();
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+async function removeOldestCachedArchives(): Promise<void> {
+    const files = await fsp.readdir(ARCHIVE_CACHE_DIR).catch(() => [] as string[]);
+    const archives = await Promise.all(files
+        .filter(file => file.endsWith('.zip'))
+        .map(async file => {
+            const filePath = path.join(ARCHIVE_CACHE_DIR, file);
+            return { filePath, usedAt: (await fsp.stat(filePath)).mtimeMs };
+        }));
+    archives.sort((a, b) => b.usedAt - a.usedAt);
+    await Promise.all(archives.slice(MAX_CACHED_ARCHIVES).map(archive => fsp.rm(archive.filePath, { force: true })));
+}
+
+/**
+ * Get a job's archive from the storage into the cache, unless it is there already
+ */
+async function fetchStoredArchive(jobId: string, artifact: ArtifactInfo): Promise<string> {
+    const fileHash = createHash('sha256').update(artifact.name).digest('hex').slice(0, 16);
+    const filePath = path.join(ARCHIVE_CACHE_DIR, `${jobId}.${fileHash}.zip`);
+
+    const cached = await fsp.stat(filePath).catch(() => null);
+    if (cached?.size === artifact.size) {
+        // The modification time says when it was last used
+        const now = new Date();
+        await fsp.utimes(filePath, now, now).catch(() => undefined);
+        return filePath;
+    }
+
+    let download = downloads.get(filePath);
+    if (!download) {
+        download = (async () => {
+            const storage = getStorage();
+            const key = getArtifactKey(jobId, artifact.name);
+            if (!await storage.stat(key)) {
+                throw new HttpError('The backup archive is no longer stored', 404);
+            }
+            const tempFile = `${filePath}.${randomUUID()}.tmp`;
+            try {
+                await downloadFile(storage, key, tempFile);
+                await fsp.rename(tempFile, filePath);
+            } catch (error) {
+                await fsp.rm(tempFile, { force: true });
+                throw error;
+            }
+            await removeOldestCachedArchives();
+            return filePath;
+        })().finally(() => downloads.delete(filePath));
+        downloads.set(filePath, download);
+    }
+    return download;
+}
+
+/**
+ * Find the file an archive reference points at
+ * @param workspaceId - Workspace of the caller; uploads of other workspaces aren't found
+ */
+async function locateArchive(reference: unknown, workspaceId: string): Promise<LocatedArchive> {
+    if (isUploadReference(reference)) {
+        const parsed = parseUploadReference(reference);
+        const filePath = resolveUploadReference(reference);
+        if (!parsed || !filePath || parsed.workspaceId !== workspaceId) {
+            throw new HttpError('Backup archive not found', 404);
+        }
+        const upload = await getUpload(parsed.workspaceId, parsed.uploadId);
+        if (upload.status !== 'complete') {
+            throw new HttpError('The upload is not complete yet', 409);
+        }
+        return { reference, fileName: upload.fileName, filePath };
+    }
+
+    if (isArtifactReference(reference)) {
+        const parsed = parseArtifactReference(reference);
+        const artifact = parsed && getJob(parsed.jobId)?.artifacts?.find(a => a.name === parsed.name);
+        if (!parsed || !artifact) {
+            throw new HttpError('Backup archive not found', 404);
+        }
+        const filePath = await findLocalArtifact(parsed.jobId, artifact.name) ?? await fetchStoredArchive(parsed.jobId, artifact);
+        return { reference, fileName: path.posix.basename(artifact.name), filePath };
+    }
+
+    throw new HttpError('Only uploaded backups (upload:) and files of jobs (artifact:) can be inspected');
+}
+
+/**
+ * Open an archive's zip for the duration of a callback
+ */
+async function withZip<T>(filePath: string, read: (zip: InstanceType<typeof StreamZip.async>) => Promise<T>): Promise<T> {
+    const zip = new StreamZip.async({ file: filePath });
+    try {
+        // Opening is lazy; an invalid zip fails on the first read
+        await zip.entries().catch(() => {
+            throw new HttpError('The file is not a valid zip archive');
+        });
+        return await read(zip);
+    } finally {
+        await zip.close().catch(() => undefined);
+    }
+}
+
+function assertEntityName(entity: string): void {
+    if (!ENTITY_NAMES.includes(entity)) {
+        throw new HttpError(`Unknown entity type: ${entity}`, 404);
+    }
+}
+
+async function readEntityFile(zip: InstanceType<typeof StreamZip.async>, entity: string): Promise<unknown[]> {
+    const entries = await zip.entries();
+    if (!entries[`${entity}.json`]) {
+        throw new HttpError(`The archive contains no ${entity}`, 404);
+    }
+    let content: unknown;
+    try {
+        content = JSON.parse((await zip.entryData(`${entity}.json`)).toString('utf8'));
+    } catch {
+        throw new HttpError(`${entity}.json in the archive is not valid JSON`);
+    }
+    // Some files (webSpotlight, previewUrls) hold a single settings object
+    return Array.isArray(content) ? content : [content];
+}
+
+/**
+ * Get the parsed entities of one type, from memory if they were read recently
+ */
+async function loadEntities(archive: LocatedArchive, entity: string): Promise<unknown[]> {
+    assertEntityName(entity);
+    const modifiedAt = (await fsp.stat(archive.filePath)).mtimeMs;
+    const cacheKey = `${archive.filePath}\n${modifiedAt}\n${entity}`;
+
+    let items = parsedEntities.get(cacheKey);
+    if (items) {
+        parsedEntities.delete(cacheKey);
+    } else {
+        items = await withZip(archive.filePath, zip => readEntityFile(zip, entity));
+    }
+    parsedEntities.set(cacheKey, items);
+    for (const key of parsedEntities.keys()) {
+        if (parsedEntities.size <= MAX_PARSED_ENTITIES) break;
+        parsedEntities.delete(key);
+    }
+    return items;
+}
+
+/**
+ * Pick what identifies an entity in lists
+ * Backups use the Management API's snake_case JSON, but camelCase is accepted too.
+ */
+function describeItem(entity: string, item: unknown, index: number): BackupArchiveItem {
+    const record = isRecord(item) ? item : {};
+    const text = (value: unknown) => typeof value === 'string' ? value : undefined;
+    const reference = (value: unknown) => isRecord(value) ? text(value.id) ?? text(value.codename) : undefined;
+
+    if (entity === 'languageVariants') {
+        return { index, id: reference(record.item), language: reference(record.language) };
+    }
+    return {
+        index,
+        id: text(record.id),
+        codename: text(record.codename),
+        name: text(record.name) ?? text(record.title) ?? text(record.file_name) ?? text(record.fileName)
+    };
+}
+
+/**
+ * Open a backup archive and count what it holds
+ */
+export async function inspectArchive(reference: unknown, workspaceId: string): Promise<BackupArchiveSummary> {
+    const archive = await locateArchive(reference, workspaceId);
+    const size = (await fsp.stat(archive.filePath)).size;
+
+    return withZip(archive.filePath, async zip => {
+        const entries = Object.values(await zip.entries()).filter(entry => entry.isFile);
+        const entities = [];
+        for (const entity of ENTITY_NAMES) {
+            const entry = entries.find(candidate => candidate.name === `${entity}.json`);
+            if (entry) {
+                entities.push({ name: entity, count: (await readEntityFile(zip, entity)).length, size: entry.size });
+            }
+        }
+        if (entities.length === 0) {
+            throw new HttpError('The archive does not contain any data-ops backup files');
+        }
+
+        let metadata: Record<string, unknown> | undefined;
+        if (entries.some(entry => entry.name === 'metadata.json')) {
+            try {
+                const parsed = JSON.parse((await zip.entryData('metadata.json')).toString('utf8'));
+                metadata = isRecord(parsed) ? parsed : undefined;
+            } catch {
+                // Metadata is informational only
+            }
+        }
+
+        const others = entries.filter(entry => entry.name !== 'metadata.json' && !BACKUP_ENTITY_FILES.includes(entry.name));
+        return {
+            reference: archive.reference,
+            fileName: archive.fileName,
+            size,
+            metadata,
+            entities,
+            otherFiles: { count: others.length, size: others.reduce((total, entry) => total + entry.size, 0) }
+        };
+    });
+}
+
+/**
+ * List the entities of one type in an archive, a page at a time
+ * @param query.search - Only entities whose ID, codename, name or language contain it
+ */
+export async function listArchiveItems(
+    reference: unknown,
+    workspaceId: string,
+    entity: string,
+    query: { offset?: number; limit?: number; search?: string } = {}
+): Promise<BackupArchiveItemPage> {
+    const items = await loadEntities(await locateArchive(reference, workspaceId), entity);
+    const offset = Math.max(query.offset ?? 0, 0);
+    const limit = Math.min(Math.max(query.limit ?? DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const search = query.search?.trim().toLowerCase();
+
+    const matches = items
+        .map((item, index) => describeItem(entity, item, index))
+        .filter(item => !search || [item.id, item.codename, item.name, item.language]
+            .some(value => value?.toLowerCase().includes(search)));
+    return { entity, total: matches.length, offset, items: matches.slice(offset, offset + limit) };
+}
+
+/**
+ * Get the JSON of one entity in an archive
+ * @param index - Its position in the entity file, as listed
+ */
+export async function getArchiveItem(reference: unknown, workspaceId: string, entity: string, index: number): Promise<unknown> {
+    const items = await loadEntities(await locateArchive(reference, workspaceId), entity);
+    if (!Number.isInteger(index) || index < 0 || index >= items.length) {
+        throw new HttpError(`The archive has no ${entity} at position ${index}`, 404);
+    }
+    return items[index];
+}
+
+/**
+ * Stream the JSON file of one entity type out of an archive
+ */
+export async function openArchiveEntityFile(
+    reference: unknown,
+    workspaceId: string,
+    entity: string
+): Promise<{ stream: Readable; size: number }> {
+    assertEntityName(entity);
+    const archive = await locateArchive(reference, workspaceId);
+    const zip = new StreamZip.async({ file: archive.filePath });
+    try {
+        const entry = await zip.entry(`${entity}.json`).catch(() => {
+            throw new HttpError('The file is not a valid zip archive');
+        });
+        if (!entry) {
+            throw new HttpError(`The archive contains no ${entity}`, 404);
+        }
+        const stream = await zip.stream(entry) as Readable;
+        // The zip stays open until the file has been sent
+        stream.once('close', () => zip.close().catch(() => undefined));
+        return { stream, size: entry.size };
+    } catch (error) {
+        await zip.close().catch(() => undefined);
+        throw error;
+    }
+}
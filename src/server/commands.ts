@@ -2,7 +2,220 @@
  * Command building and execution utilities
  */
 
+import path from 'path';
 import type { CommandOptions } from '../types/index.js';
+import { isUploadReference, resolveUploadReference } from './uploads.js';
+import { isArtifactReference, resolveArtifactReference, fetchArtifactReference } from './artifacts.js';
+import { isSnapshotReference, resolveSnapshotReference, fetchSnapshotReference } from './snapshots.js';
+import { resolveMigrationsFolder } from './migrations.js';
+import { isSecretOption } from './redaction.js';
+
+// Options that point at files the command reads (as opposed to files it writes)
+const INPUT_PATH_OPTIONS: Record<string, string[]> = {
+    'environment restore': ['fileName'],
+    'sync run': ['folderName'],
+    'sync diff': ['folderName'],
+    'migrate-content run': ['filename']
+};
+
+// Options naming files the command writes, and the name used when none is given
+const OUTPUT_PATH_OPTIONS: Record<string, { option: string; defaultName?: string }> = {
+    'environment backup': { option: 'fileName', defaultName: 'backup.zip' },
+    'sync snapshot': { option: 'folderName', defaultName: 'snapshot' },
+    'migrate-content snapshot': { option: 'filename', defaultName: 'content-snapshot.zip' }
+};
+
+// Functions of the data-ops API the commands map to; commands missing here only run through the CLI
+export const DATA_OPS_API_FUNCTIONS: Record<string, string> = {
+    'environment backup': 'backupEnvironment',
+    'environment restore': 'restoreEnvironment',
+    'environment clean': 'cleanEnvironment',
+    'sync run': 'syncRun',
+    'sync diff': 'syncDiff',
+    'sync snapshot': 'syncSnapshot',
+    'migrate-content snapshot': 'migrateContentSnapshot',
+    'migrate-content run': 'migrateContentRun'
+};
+
+/**
+ * Resolve relative input paths against a base directory
+ * Commands run in their own working directory, but input files are looked up where they always were.
+ */
+export function resolveInputPaths(command: string, options: CommandOptions, baseDir: string): CommandOptions {
+    const resolved: CommandOptions = { ...options };
+    (INPUT_PATH_OPTIONS[command] || []).forEach(key => {
+        const value = resolved[key];
+        if (typeof value === 'string' && value !== '' && !path.isAbsolute(value) && !isFileReference(value)) {
+            resolved[key] = path.resolve(baseDir, value);
+        }
+    });
+
+    // Migrations folders are given relative to the migrations directory instead
+    if (command.startsWith('migrations ') && typeof resolved.migrationsFolder === 'string') {
+        const folder = resolveMigrationsFolder(resolved.migrationsFolder);
+        if (!folder) {
+            throw new Error('Validation errors: migrationsFolder must be inside the migrations directory');
+        }
+        resolved.migrationsFolder = folder;
+    }
+    return resolved;
+}
+
+/**
+ * Check that the file a command writes stays inside its working directory
+ * Absolute paths and paths leading out of it are refused; the job's files are all it may write.
+ */
+export function validateOutputPaths(command: string, options: CommandOptions): void {
+    const option = OUTPUT_PATH_OPTIONS[command]?.option;
+    const value = option ? options[option] : undefined;
+    if (typeof value !== 'string' || value === '') {
+        return;
+    }
+    const normalized = path.normalize(value);
+    if (path.isAbsolute(value) || normalized === '.' || normalized === '..' || normalized.startsWith(`..${path.sep}`)) {
+        throw new Error(`Validation errors: ${option} must be a relative path inside the job's folder`);
+    }
+}
+
+/**
+ * Resolve the files a command writes against its working directory
+ * The CLI resolves these against the directory it runs in; the API resolves them against
+ * the server's, so they are made absolute, and default names are filled in up front.
+ */
+export function resolveOutputPaths(command: string, options: CommandOptions, cwd: string): CommandOptions {
+    const output = OUTPUT_PATH_OPTIONS[command];
+    if (!output) {
+        return options;
+    }
+    validateOutputPaths(command, options);
+    const resolved: CommandOptions = { ...options };
+    const value = resolved[output.option];
+    if (typeof value === 'string' && value !== '') {
+        resolved[output.option] = path.resolve(cwd, value);
+    } else if (output.defaultName) {
+        resolved[output.option] = path.join(cwd, output.defaultName);
+    }
+    return resolved;
+}
+
+/**
+ * Name of the file or folder a command writes when none is given
+ */
+export function getDefaultOutputName(command: string): string | undefined {
+    return OUTPUT_PATH_OPTIONS[command]?.defaultName;
+}
+
+/**
+ * Turn the content selection of migrate-content commands into options the CLI understands
+ * The CLI has no collection option and doesn't combine content types with a filter,
+ * so these are merged into a single Delivery API filter.
+ */
+export function expandContentSelection(command: string, options: CommandOptions): CommandOptions {
+    if (!command.startsWith('migrate-content ')) {
+        return options;
+    }
+
+    const { collections, ...expanded } = options;
+    const types = expanded.byTypesCodenames;
+    const hasCollections = Array.isArray(collections) && collections.length > 0;
+    if (!hasCollections && !(types && expanded.filter)) {
+        return expanded;
+    }
+
+    const conditions: string[] = [];
+    if (typeof expanded.filter === 'string' && expanded.filter !== '') {
+        conditions.push(expanded.filter);
+    }
+    if (Array.isArray(types) && types.length > 0) {
+        conditions.push(`system.type[in]=${types.join(',')}`);
+    }
+    if (hasCollections) {
+        conditions.push(`system.collection[in]=${collections.join(',')}`);
+    }
+
+    delete expanded.byTypesCodenames;
+    expanded.filter = conditions.join('&');
+    return expanded;
+}
+
+/**
+ * Split the options holding keys from the rest
+ * Keys are handed to the CLI in a config file instead of as arguments, since the command
+ * line of a process can be read by any user on the host.
+ */
+export function splitSecretOptions(options: CommandOptions): { options: CommandOptions; secrets: Record<string, string> } {
+    const rest: CommandOptions = {};
+    const secrets: Record<string, string> = {};
+    Object.entries(options).forEach(([key, value]) => {
+        if (isSecretOption(key) && typeof value === 'string') {
+            if (value !== '') secrets[key] = value;
+        } else {
+            rest[key] = value;
+        }
+    });
+    return { options: rest, secrets };
+}
+
+/**
+ * Check whether a command reads files of earlier jobs or of the snapshot library
+ */
+export function hasStoredFileReferences(options: CommandOptions): boolean {
+    return Object.values(options).some(value => isArtifactReference(value) || isSnapshotReference(value));
+}
+
+/**
+ * Get the files of earlier jobs and snapshots a command reads onto the disk
+ * Storages that keep files on disk are read in place; from others they are downloaded.
+ * @param dir - Where downloads go; the caller removes it once the command has finished
+ * @returns The options with those references replaced by paths
+ */
+export async function fetchStoredFiles(options: CommandOptions, dir: string): Promise<CommandOptions> {
+    const fetched: CommandOptions = { ...options };
+    for (const [key, value] of Object.entries(options)) {
+        if (!isArtifactReference(value) && !isSnapshotReference(value)) continue;
+        const [filePath, kind] = isSnapshotReference(value)
+            ? [await fetchSnapshotReference(value, dir), 'snapshot']
+            : [await fetchArtifactReference(value, dir), 'artifact'];
+        if (!filePath) {
+            throw new Error(`Validation errors: ${key} is not a valid ${kind} reference`);
+        }
+        fetched[key] = filePath;
+    }
+    return fetched;
+}
+
+function isFileReference(value: unknown): value is string {
+    return isUploadReference(value) || isArtifactReference(value) || isSnapshotReference(value);
+}
+
+/**
+ * Uploaded archives, files of earlier jobs and snapshots of the library are passed as a reference,
+ * data-ops needs the file on disk
+ */
+function resolveFileReference(key: string, reference: string): string {
+    const [filePath, kind] = isUploadReference(reference)
+        ? [resolveUploadReference(reference), 'upload']
+        : isSnapshotReference(reference)
+            ? [resolveSnapshotReference(reference), 'snapshot']
+            : [resolveArtifactReference(reference), 'artifact'];
+    if (!filePath) {
+        throw new Error(`Validation errors: ${key} is not a valid ${kind} reference`);
+    }
+    return filePath;
+}
+
+/**
+ * Build the parameters of a data-ops API function
+ * Option names are the same as in the CLI, just not converted to kebab-case.
+ */
+export function buildDataOpsParams(options: CommandOptions): Record<string, unknown> {
+    const params: Record<string, unknown> = {};
+    Object.entries(options).forEach(([key, value]) => {
+        if (value === null || value === undefined || value === '' || key.startsWith('_')) return;
+        params[key] = isFileReference(value) ? resolveFileReference(key, value) : value;
+    });
+    return params;
+}
 
 /**
  * Build arguments for data-ops CLI
@@ -36,6 +249,8 @@ export function buildDataOpsArgs(command: string, options: CommandOptions): stri
             } else if (typeof value === 'object') {
                 // Skip objects, they're not valid CLI arguments
                 return;
+            } else if (isFileReference(value)) {
+                args.push(`--${kebabKey}`, resolveFileReference(key, value));
             } else {
                 args.push(`--${kebabKey}`, String(value));
             }
@@ -0,0 +1,157 @@
+/**
+ * Typed confirmations
+ *
+ * Commands that can't be undone run in two steps. The first call reads what the command
+ * would delete from the Management API and hands out a short-lived, single-use token
+ * with that summary. The job is only started when the second call brings the token back
+ * together with the environment's name, typed by the user. A token is bound to the user,
+ * the environment, the Kontent.ai URL it was read from and the entities the summary covered.
+ */
+
+import { randomBytes } from 'crypto';
+import type { ManagementClient } from '@kontent-ai/management-sdk';
+import type { AuthUser, CommandOptions, ConfirmationRequest } from '../types/index.js';
+import { createManagementClient } from './managementApi.js';
+import { HttpError } from './errors.js';
+
+const CONFIRMATION_TTL_MS = 5 * 60 * 1000;
+
+// Commands that need a typed confirmation, and the CLI option skipping the CLI's own prompt
+const CONFIRMED_COMMANDS: Record<string, string> = {
+    'environment clean': 'skipWarning'
+};
+
+// Entities counted for the summary, by the names include/exclude use
+const SUMMARY_ENTITIES: Record<string, (client: ManagementClient) => Promise<number>> = {
+    contentItems: client => client.listContentItems().toAllPromise().then(response => response.data.items.length),
+    assets: client => client.listAssets().toAllPromise().then(response => response.data.items.length),
+    contentTypes: client => client.listContentTypes().toAllPromise().then(response => response.data.items.length)
+};
+
+interface PendingConfirmation {
+    command: string;
+    environmentId: string;
+    environmentName: string;
+    kontentUrl: string | null;
+    scope: string;
+    userId: string | null;
+    expiresAt: number;
+}
+
+const pending = new Map<string, PendingConfirmation>();
+
+/**
+ * Check whether a command needs a typed confirmation
+ */
+export function requiresConfirmation(command: string): boolean {
+    return command in CONFIRMED_COMMANDS;
+}
+
+/**
+ * Entity selection of a command, so a token can't confirm a wider clean than was summarized
+ */
+function getScope(options: CommandOptions): string {
+    const list = (value: unknown) => Array.isArray(value) ? [...value].map(String).sort() : [];
+    return JSON.stringify({ include: list(options.include), exclude: list(options.exclude) });
+}
+
+function getKontentUrl(options: CommandOptions): string | null {
+    return typeof options.kontentUrl === 'string' ? options.kontentUrl : null;
+}
+
+function isAffected(entity: string, options: CommandOptions): boolean {
+    const include = Array.isArray(options.include) ? options.include : [];
+    const exclude = Array.isArray(options.exclude) ? options.exclude : [];
+    return (include.length === 0 || include.includes(entity)) && !exclude.includes(entity);
+}
+
+function removeExpired(): void {
+    const now = Date.now();
+    pending.forEach((confirmation, token) => {
+        if (confirmation.expiresAt <= now) pending.delete(token);
+    });
+}
+
+/**
+ * Summarize what a command would delete and issue a token confirming it
+ * @param options - Resolved options, with the environment's API key
+ */
+export async function createConfirmation(command: string, options: CommandOptions, user?: AuthUser): Promise<ConfirmationRequest> {
+    if (!requiresConfirmation(command)) {
+        throw new HttpError(`${command} does not need a confirmation`);
+    }
+    const environmentId = String(options.environmentId);
+    const client = createManagementClient({ environmentId, apiKey: String(options.apiKey), kontentUrl: options.kontentUrl });
+
+    let project: { name: string; environment: string };
+    let counts: Record<string, number>;
+    try {
+        project = (await client.environmentInformation().toPromise()).data.project;
+        const entities = Object.keys(SUMMARY_ENTITIES).filter(entity => isAffected(entity, options));
+        const values = await Promise.all(entities.map(entity => SUMMARY_ENTITIES[entity](client)));
+        counts = Object.fromEntries(entities.map((entity, index) => [entity, values[index]]));
+    } catch (error) {
+        const status = (error as { response?: { status?: number } }).response?.status;
+        throw new HttpError(
+            status === 401 || status === 403
+                ? 'The Management API key was refused; check the key and its permissions'
+                : `Could not read environment ${environmentId}: ${error instanceof Error ? error.message : String(error)}`,
+            502
+        );
+    }
+
+    removeExpired();
+    const token = randomBytes(24).toString('base64url');
+    const expiresAt = Date.now() + CONFIRMATION_TTL_MS;
+    pending.set(token, {
+        command,
+        environmentId,
+        environmentName: project.environment,
+        kontentUrl: getKontentUrl(options),
+        scope: getScope(options),
+        userId: user?.id ?? null,
+        expiresAt
+    });
+
+    return {
+        token,
+        expiresAt: new Date(expiresAt).toISOString(),
+        command,
+        environmentId,
+        projectName: project.name,
+        environmentName: project.environment,
+        counts
+    };
+}
+
+/**
+ * Check the confirmation sent to start a command, using up its token
+ * @param confirmation - { token, environmentName } as sent by the client
+ * @returns The options to run the command with; the CLI doesn't prompt again
+ */
+export function consumeConfirmation(
+    command: string,
+    options: CommandOptions,
+    user: AuthUser | undefined,
+    confirmation: unknown
+): CommandOptions {
+    const { token, environmentName } = (confirmation || {}) as { token?: unknown; environmentName?: unknown };
+    if (typeof token !== 'string' || token === '') {
+        throw new HttpError(`${command} must be confirmed: request a confirmation first (POST /api/jobs/confirmations)`, 428);
+    }
+
+    removeExpired();
+    const pendingConfirmation = pending.get(token);
+    if (!pendingConfirmation || pendingConfirmation.command !== command || pendingConfirmation.userId !== (user?.id ?? null)) {
+        throw new HttpError('The confirmation has expired or is not valid; request a new one', 428);
+    }
+    if (pendingConfirmation.environmentId !== options.environmentId || pendingConfirmation.kontentUrl !== getKontentUrl(options) ||
+        pendingConfirmation.scope !== getScope(options)) {
+        throw new HttpError('The confirmation was given for a different environment, Kontent.ai URL or selection of entities; request a new one', 428);
+    }
+    if (typeof environmentName !== 'string' || environmentName.trim() !== pendingConfirmation.environmentName) {
+        throw new HttpError(`Type the name of the environment, "${pendingConfirmation.environmentName}", to confirm`);
+    }
+    pending.delete(token);
+    return { ...options, [CONFIRMED_COMMANDS[command]]: true };
+}
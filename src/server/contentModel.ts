@@ -0,0 +1,308 @@
+/**
+ * Content models of environments, as sync commands see them
+ *
+ * Reads the entities sync works with from the Management API and compares two
+ * environments the way data-ops does: entities are matched by codename, and references
+ * between them (element → taxonomy group, fallback language, ...) are compared by the
+ * codename they point at, since IDs differ between environments.
+ */
+
+import { createHash } from 'crypto';
+import type { ManagementClient } from '@kontent-ai/management-sdk';
+import type { CommandOptions, ModelEntityChanges, PropertyChange, SyncDiff } from '../types/index.js';
+import { createManagementClient } from './managementApi.js';
+import type { ManagementApiTarget } from './managementApi.js';
+import { HttpError } from './errors.js';
+
+type Entity = Record<string, unknown>;
+
+// Entities of a content model by the names sync uses for them
+export type ContentModel = Record<string, Entity[]>;
+
+// Properties that differ between environments without being a difference
+const IGNORED_PROPERTIES = ['id', 'last_modified'];
+
+const MODEL_READERS: Record<string, (client: ManagementClient) => Promise<Entity[]>> = {
+    contentTypes: client => client.listContentTypes().toAllPromise().then(response => response.data.items.map(item => toEntity(item._raw))),
+    contentTypeSnippets: client => client.listContentTypeSnippets().toAllPromise()
+        .then(response => response.data.items.map(item => toEntity(item._raw))),
+    taxonomies: client => client.listTaxonomies().toAllPromise().then(response => response.data.items.map(item => toEntity(item._raw))),
+    collections: client => client.listCollections().toPromise().then(response => response.rawData.collections.map(toEntity)),
+    assetFolders: client => client.listAssetFolders().toPromise().then(response => response.rawData.folders.map(toEntity)),
+    spaces: client => client.listSpaces().toPromise().then(response => response.rawData.map(toEntity)),
+    languages: client => client.listLanguages().toAllPromise().then(response => response.data.items.map(item => toEntity(item._raw))),
+    // Not a list; compared as a single entity
+    webSpotlight: client => client.checkWebSpotlightStatus().toPromise()
+        .then(response => toWebSpotlightEntities(response.rawData)),
+    workflows: client => client.listWorkflows().toPromise().then(response => response.rawData.map(toEntity))
+};
+
+export const MODEL_ENTITIES = Object.keys(MODEL_READERS);
+
+// Entities others refer to by ID (elements → taxonomy groups and snippets, languages → fallback language, ...)
+const REFERENCED_ENTITIES = ['contentTypes', 'contentTypeSnippets', 'taxonomies', 'collections', 'languages'];
+
+function toEntity(value: unknown): Entity {
+    return value as Entity;
+}
+
+function isObject(value: unknown): value is Entity {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Read the given entities of an environment's content model
+ */
+export async function readContentModel(target: ManagementApiTarget, entities: string[]): Promise<ContentModel> {
+    const client = createManagementClient(target);
+    const selected = entities.filter(entity => entity in MODEL_READERS);
+    // Referenced entities are read for their codenames even when they aren't compared
+    const read = [...new Set([...selected, ...REFERENCED_ENTITIES])];
+    const lists = await Promise.all(read.map(entity => MODEL_READERS[entity](client)));
+    return normalizeContentModel(Object.fromEntries(read.map((entity, index) => [entity, lists[index]])), selected);
+}
+
+/**
+ * Wrap the Web Spotlight status, which is a single object, like the other entities
+ */
+export function toWebSpotlightEntities(status: unknown): Entity[] {
+    return [{ codename: 'web_spotlight', name: 'Web Spotlight', ...toEntity(status) }];
+}
+
+/**
+ * Normalize entities as read, so they compare by codename
+ * @param read - Entities as read; those not selected only lend their codenames to references
+ * @param entities - The entities to keep
+ */
+export function normalizeContentModel(read: ContentModel, entities: string[]): ContentModel {
+    const codenames = new Map<string, string>();
+    collectCodenames(Object.values(read), codenames);
+    return Object.fromEntries(entities
+        .filter(entity => entity in read)
+        .map(entity => [entity, read[entity].map(item => normalize(item, codenames) as Entity)]));
+}
+
+/**
+ * Read the content models of a sync command's source and target
+ * @param options - Resolved options of the command, with both keys
+ */
+export async function readSyncModels(options: CommandOptions, entities: string[]): Promise<{ source: ContentModel; target: ContentModel }> {
+    if (!options.sourceEnvironmentId || !options.sourceApiKey) {
+        throw new HttpError('Comparing content models needs a source environment and its API key');
+    }
+    const [source, target] = await Promise.all([
+        readEnvironmentModel(options.sourceEnvironmentId, options.sourceApiKey, options.kontentUrl, entities),
+        readEnvironmentModel(options.targetEnvironmentId, options.targetApiKey, options.kontentUrl, entities)
+    ]);
+    return { source, target };
+}
+
+/**
+ * Read the given entities of an environment's content model, with errors the user can act on
+ * @param kontentUrl - Resolved kontentUrl of the command
+ */
+export async function readEnvironmentModel(
+    environmentId: unknown,
+    apiKey: unknown,
+    kontentUrl: unknown,
+    entities: string[]
+): Promise<ContentModel> {
+    try {
+        return await readContentModel({ environmentId: String(environmentId), apiKey: String(apiKey), kontentUrl }, entities);
+    } catch (error) {
+        const status = (error as { response?: { status?: number } }).response?.status;
+        throw new HttpError(
+            status === 401 || status === 403
+                ? `The Management API key of environment ${environmentId} was refused; check the key and its permissions`
+                : `Could not read the content model of environment ${environmentId}: ${error instanceof Error ? error.message : String(error)}`,
+            502
+        );
+    }
+}
+
+/**
+ * Collect the codename of everything with an ID, however deeply nested (elements, terms, steps, ...)
+ */
+function collectCodenames(value: unknown, codenames: Map<string, string>): void {
+    if (Array.isArray(value)) {
+        value.forEach(item => collectCodenames(item, codenames));
+    } else if (isObject(value)) {
+        if (typeof value.id === 'string' && typeof value.codename === 'string') {
+            codenames.set(value.id, value.codename);
+        }
+        Object.values(value).forEach(item => collectCodenames(item, codenames));
+    }
+}
+
+/**
+ * Replace references by ID with the codename they point at and drop what is environment-specific
+ */
+function normalize(value: unknown, codenames: Map<string, string>): unknown {
+    if (Array.isArray(value)) {
+        return value.map(item => normalize(item, codenames));
+    }
+    if (!isObject(value)) {
+        return value;
+    }
+    const keys = Object.keys(value);
+    if (keys.length === 1 && typeof value.id === 'string') {
+        // References to what isn't part of the model (items, roles, ...) keep their ID
+        return codenames.has(value.id) ? { codename: codenames.get(value.id) } : value;
+    }
+    return Object.fromEntries(keys
+        .filter(key => !IGNORED_PROPERTIES.includes(key))
+        .map(key => [key, normalize(value[key], codenames)]));
+}
+
+/**
+ * JSON with sorted keys, so equal content always serializes the same
+ */
+function toStableJson(value: unknown): string {
+    if (Array.isArray(value)) {
+        return `[${value.map(toStableJson).join(',')}]`;
+    }
+    if (isObject(value)) {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${toStableJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Hash of a content model; changes whenever anything sync compares changes
+ */
+export function fingerprintContentModel(model: ContentModel): string {
+    return createHash('sha256').update(toStableJson(model)).digest('hex');
+}
+
+/**
+ * Fingerprint of an environment's whole content model, to tell later whether anything in it changed
+ */
+export async function fingerprintEnvironment(target: ManagementApiTarget): Promise<string> {
+    return fingerprintContentModel(await readContentModel(target, MODEL_ENTITIES));
+}
+
+function pathOf(parent: string, key: string): string {
+    return parent ? `${parent}.${key}` : key;
+}
+
+function diffArrays(before: unknown[], after: unknown[], basePath: string, changes: PropertyChange[]): void {
+    const byCodename = (items: unknown[]) => items.every(item => isObject(item) && typeof item.codename === 'string')
+        ? new Map(items.map(item => [(item as Entity).codename as string, item]))
+        : null;
+    const beforeItems = byCodename(before);
+    const afterItems = byCodename(after);
+    if (!beforeItems || !afterItems) {
+        if (toStableJson(before) !== toStableJson(after)) {
+            changes.push({ path: basePath, before, after });
+        }
+        return;
+    }
+
+    beforeItems.forEach((item, codename) => {
+        const path = `${basePath}[${codename}]`;
+        if (afterItems.has(codename)) {
+            diffValues(item, afterItems.get(codename), path, changes);
+        } else {
+            changes.push({ path, before: item });
+        }
+    });
+    afterItems.forEach((item, codename) => {
+        if (!beforeItems.has(codename)) {
+            changes.push({ path: `${basePath}[${codename}]`, after: item });
+        }
+    });
+    const order = (items: Map<string, unknown>) => [...items.keys()].filter(codename => beforeItems.has(codename) && afterItems.has(codename));
+    if (order(beforeItems).join() !== order(afterItems).join()) {
+        changes.push({ path: `${basePath}.order`, before: [...beforeItems.keys()], after: [...afterItems.keys()] });
+    }
+}
+
+/**
+ * Property-level differences between two values; added and removed properties have no before or after
+ */
+function diffValues(before: unknown, after: unknown, basePath: string, changes: PropertyChange[]): void {
+    if (Array.isArray(before) && Array.isArray(after)) {
+        diffArrays(before, after, basePath, changes);
+    } else if (isObject(before) && isObject(after)) {
+        new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+            const path = pathOf(basePath, key);
+            if (!(key in after)) {
+                changes.push({ path, before: before[key] });
+            } else if (!(key in before)) {
+                changes.push({ path, after: after[key] });
+            } else {
+                diffValues(before[key], after[key], path, changes);
+            }
+        });
+    } else if (toStableJson(before) !== toStableJson(after)) {
+        changes.push({ path: basePath, before, after });
+    }
+}
+
+function describeEntity(entity: Entity): { codename: string; name?: string } {
+    return { codename: String(entity.codename), ...(typeof entity.name === 'string' ? { name: entity.name } : {}) };
+}
+
+/**
+ * Codenames of source entities that match a target entity with another codename
+ * An environment always has one default language, so data-ops renames the target's to
+ * match the source's instead of adding one and removing the other.
+ */
+function getRenamedCodenames(entity: string, source: Entity[], target: Entity[]): Map<string, string> {
+    const sourceDefault = entity === 'languages' ? source.find(language => language.is_default) : undefined;
+    const targetDefault = entity === 'languages' ? target.find(language => language.is_default) : undefined;
+    return sourceDefault && targetDefault && sourceDefault.codename !== targetDefault.codename
+        ? new Map([[String(sourceDefault.codename), String(targetDefault.codename)]])
+        : new Map();
+}
+
+/**
+ * What changes in the target when it is made to match the source, per entity
+ */
+export function diffContentModels(source: ContentModel, target: ContentModel): Record<string, ModelEntityChanges> {
+    return Object.fromEntries(Object.keys(source).map(entity => {
+        const targetEntities = new Map((target[entity] || []).map(item => [String(item.codename), item]));
+        const renamed = getRenamedCodenames(entity, source[entity], target[entity] || []);
+        const matchedCodename = (item: Entity) => renamed.get(String(item.codename)) ?? String(item.codename);
+        const sourceCodenames = new Set(source[entity].map(matchedCodename));
+        const changes: ModelEntityChanges = { added: [], modified: [], removed: [] };
+
+        source[entity].forEach(item => {
+            const current = targetEntities.get(matchedCodename(item));
+            if (!current) {
+                changes.added.push({ ...describeEntity(item), after: item });
+                return;
+            }
+            const propertyChanges: PropertyChange[] = [];
+            diffValues(current, item, '', propertyChanges);
+            if (propertyChanges.length > 0) {
+                // Under the codename it has in the target, the one a renamed entity is found by
+                changes.modified.push({ ...describeEntity(item), codename: matchedCodename(item), changes: propertyChanges });
+            }
+        });
+        targetEntities.forEach((item, codename) => {
+            if (!sourceCodenames.has(codename)) {
+                changes.removed.push({ ...describeEntity(item), before: item });
+            }
+        });
+        return [entity, changes];
+    }));
+}
+
+/**
+ * Diff of two content models, with totals
+ */
+export function createSyncDiff(
+    source: ContentModel,
+    target: ContentModel,
+    sides: Pick<SyncDiff, 'sourceEnvironmentId' | 'targetEnvironmentId' | 'sourceSnapshotId' | 'targetSnapshotId' | 'sourceFolder'>
+): SyncDiff {
+    const entities = diffContentModels(source, target);
+    const count = (kind: keyof ModelEntityChanges) => Object.values(entities).reduce((sum, changes) => sum + changes[kind].length, 0);
+    return {
+        ...sides,
+        createdAt: new Date().toISOString(),
+        counts: { added: count('added'), modified: count('modified'), removed: count('removed') },
+        entities
+    };
+}
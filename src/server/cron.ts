@@ -0,0 +1,204 @@
+/**
+ * Cron expressions
+ *
+ * Standard five-field expressions (minute, hour, day of month, month, day of week) with
+ * lists, ranges, steps and month and day names, plus the @hourly, @daily, @weekly,
+ * @monthly and @yearly shorthands. Times are matched on the wall clock of an IANA time
+ * zone: a time skipped by a daylight saving change is not run, and a time that occurs
+ * twice runs the first time.
+ */
+
+import { HttpError } from './errors.js';
+
+export interface CronExpression {
+    minutes: Set<number>;
+    hours: Set<number>;
+    days: Set<number>;
+    months: Set<number>;
+    weekdays: Set<number>;
+    // With both restricted, a day matches either, as in cron; like cron, fields starting with * (*/2 too) aren't restricted
+    daysRestricted: boolean;
+    weekdaysRestricted: boolean;
+}
+
+interface WallClock {
+    year: number;
+    month: number;
+    day: number;
+    hour: number;
+    minute: number;
+}
+
+const SHORTHANDS: Record<string, string> = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES },
+    // 7 is Sunday too
+    { name: 'day of week', min: 0, max: 7, names: WEEKDAY_NAMES }
+];
+
+// How far ahead to look for a match; 29 February can be eight years away
+const MAX_SEARCH_YEARS = 8;
+
+const formatters = new Map<string, Intl.DateTimeFormat>();
+
+function parseValue(value: string, field: typeof FIELDS[number]): number {
+    const index = field.names?.indexOf(value.toLowerCase()) ?? -1;
+    const number = index >= 0 ? index + field.min : /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+    if (isNaN(number) || number < field.min || number > field.max) {
+        throw new HttpError(`Invalid ${field.name} "${value}" in cron expression; allowed are ${field.min}-${field.max}`);
+    }
+    return number;
+}
+
+function parseField(text: string, field: typeof FIELDS[number]): Set<number> {
+    const values = new Set<number>();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        if (stepText !== undefined && (!/^\d+$/.test(stepText) || step === 0)) {
+            throw new HttpError(`Invalid step "${stepText}" for ${field.name} in cron expression`);
+        }
+        let [start, end] = [field.min, field.max];
+        if (range !== '*') {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field);
+            // a/n means from a to the end
+            end = to !== undefined ? parseValue(to, field) : stepText !== undefined ? field.max : start;
+            if (end < start) {
+                throw new HttpError(`Invalid range "${range}" for ${field.name} in cron expression`);
+            }
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @throws HttpError (400) describing what is wrong with it
+ */
+export function parseCron(expression: unknown): CronExpression {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+        throw new HttpError('A cron expression is required, e.g. "0 2 * * *" for every night at 2:00');
+    }
+    const text = SHORTHANDS[expression.trim().toLowerCase()] ?? expression.trim();
+    const parts = text.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new HttpError(`A cron expression has ${FIELDS.length} fields (minute hour day-of-month month day-of-week), "${expression}" has ${parts.length}`);
+    }
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+    if (weekdays.delete(7)) {
+        weekdays.add(0);
+    }
+    return { minutes, hours, days, months, weekdays, daysRestricted: !parts[2].startsWith('*'), weekdaysRestricted: !parts[4].startsWith('*') };
+}
+
+/**
+ * Check whether a time zone is known, e.g. Europe/Prague or UTC
+ */
+export function isValidTimeZone(timeZone: unknown): timeZone is string {
+    if (typeof timeZone !== 'string' || timeZone === '') return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function getFormatter(timeZone: string): Intl.DateTimeFormat {
+    let formatter = formatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric'
+        });
+        formatters.set(timeZone, formatter);
+    }
+    return formatter;
+}
+
+function toWallClock(time: number, timeZone: string): WallClock {
+    const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(new Date(time))
+        .filter(part => part.type !== 'literal')
+        .map(part => [part.type, parseInt(part.value, 10)]));
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+}
+
+// Wall clock times are kept as if they were UTC, which makes stepping through them simple
+function wallClockValue(clock: WallClock): number {
+    return Date.UTC(clock.year, clock.month - 1, clock.day, clock.hour, clock.minute);
+}
+
+/**
+ * The instant a wall clock time occurs at in a time zone
+ * @returns null when the time is skipped by a daylight saving change
+ */
+function toInstant(value: number, timeZone: string): number | null {
+    const offsetAt = (time: number) => wallClockValue(toWallClock(time, timeZone)) - Math.floor(time / 60000) * 60000;
+    // The offset before the time, then after it; the earlier match wins when the time occurs twice
+    const candidates = [value - offsetAt(value - 24 * 60 * 60 * 1000), value - offsetAt(value + 24 * 60 * 60 * 1000)].sort((a, b) => a - b);
+    return candidates.find(time => wallClockValue(toWallClock(time, timeZone)) === value) ?? null;
+}
+
+function matchesDay(cron: CronExpression, date: Date): boolean {
+    const day = cron.days.has(date.getUTCDate());
+    const weekday = cron.weekdays.has(date.getUTCDay());
+    if (cron.daysRestricted && cron.weekdaysRestricted) {
+        return day || weekday;
+    }
+    return day && weekday;
+}
+
+/**
+ * The first time after a point in time that a cron expression matches
+ * @returns null if it never matches (e.g. 30 February)
+ */
+export function getNextCronTime(cron: CronExpression, after: Date, timeZone: string): Date | null {
+    const start = toWallClock(after.getTime(), timeZone);
+    const date = new Date(wallClockValue(start) + 60000);
+    const limit = Date.UTC(start.year + MAX_SEARCH_YEARS, 0, 1);
+
+    while (date.getTime() < limit) {
+        if (!cron.months.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0);
+        } else if (!matchesDay(cron, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0);
+        } else if (!cron.hours.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0);
+        } else if (!cron.minutes.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1);
+        } else {
+            const instant = toInstant(date.getTime(), timeZone);
+            if (instant !== null && instant > after.getTime()) {
+                return new Date(instant);
+            }
+            date.setUTCMinutes(date.getUTCMinutes() + 1);
+        }
+    }
+    return null;
+}
@@ -0,0 +1,40 @@
+/**
+ * Worker thread calling a data-ops API function
+ *
+ * Started by the worker backend (workerBackend.ts) with the function to call and its
+ * parameters. What data-ops logs goes to the worker's stdout and stderr, and the
+ * function's result is posted back when it resolves.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { toSyncEntities } from './workerBackend.js';
+import type { WorkerMessage, WorkerTask } from './workerBackend.js';
+
+const { functionName, params, apiModule, syncCodenames } = workerData as WorkerTask;
+
+function post(message: WorkerMessage): void {
+    parentPort?.postMessage(message);
+}
+
+/**
+ * Results cross the thread boundary as plain data
+ */
+function toPlainData(value: unknown): unknown {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+async function run(): Promise<void> {
+    const api = await import(apiModule);
+    const fn = api[functionName];
+    if (typeof fn !== 'function') {
+        throw new Error(`The data-ops API has no function ${functionName}`);
+    }
+
+    // Filters can't be sent to the worker, so sync runs get theirs here
+    const callParams = functionName === 'syncRun' ? { ...params, entities: toSyncEntities(params.entities, syncCodenames) } : params;
+    post({ type: 'result', result: toPlainData(await fn(callParams)) });
+}
+
+run().catch(error => {
+    post({ type: 'failed', message: error instanceof Error ? error.message : String(error) });
+});
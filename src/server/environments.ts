@@ -0,0 +1,197 @@
+/**
+ * Configured environments
+ *
+ * The custom app configuration carries an allow-list of environments, each under an
+ * alias with a label and the commands it permits. The server reads the same JSON from
+ * CUSTOM_APP_CONFIG (or the file named by CUSTOM_APP_CONFIG_PATH) and keeps the
+ * Management API key of each environment in its secret store, so a command can name an
+ * alias instead of carrying a raw API key.
+ *
+ * Keys held by the server only go to the Kontent.ai URL stored with them (kontent.ai unless
+ * the environment or profile sets kontentUrl). A kontentUrl sent with the command is refused
+ * otherwise, or anyone allowed to run commands could have a key sent to a host they control.
+ * The server's own calls with the keys build their clients from the pinned URL (managementApi.ts).
+ */
+
+import fs from 'fs';
+import type { CommandOptions, ConfiguredEnvironment } from '../types/index.js';
+import { getSecret } from './secrets.js';
+import { assertStoredKeysAllowed } from './auth.js';
+import { validateEnvironmentId, validateKontentUrl } from './validation.js';
+import { HttpError } from './errors.js';
+
+/**
+ * A key held by the server that a command uses, and the URL it may be sent to
+ */
+export interface StoredKeyHost {
+    // What the key belongs to, for error messages
+    owner: string;
+    kontentUrl?: string;
+}
+
+// Option names of the environments a command works with
+export const ENVIRONMENT_FIELDS = [
+    { alias: 'environmentAlias', profileId: 'profileId', environmentId: 'environmentId', apiKey: 'apiKey' },
+    { alias: 'sourceEnvironmentAlias', profileId: 'sourceProfileId', environmentId: 'sourceEnvironmentId', apiKey: 'sourceApiKey' },
+    { alias: 'targetEnvironmentAlias', profileId: 'targetProfileId', environmentId: 'targetEnvironmentId', apiKey: 'targetApiKey' }
+];
+
+let configuredEnvironments: ConfiguredEnvironment[] | null = null;
+
+function readCustomAppConfig(): unknown {
+    if (process.env.CUSTOM_APP_CONFIG) {
+        return JSON.parse(process.env.CUSTOM_APP_CONFIG);
+    }
+    if (process.env.CUSTOM_APP_CONFIG_PATH) {
+        return JSON.parse(fs.readFileSync(process.env.CUSTOM_APP_CONFIG_PATH, 'utf8'));
+    }
+    return {};
+}
+
+function parseEnvironment(value: unknown, index: number): ConfiguredEnvironment {
+    const environment = (value || {}) as Record<string, unknown>;
+    const { alias, label, environmentId, commands, kontentUrl } = environment;
+    if (typeof alias !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(alias)) {
+        throw new Error(`environments[${index}].alias may only contain letters, numbers, - and _`);
+    }
+    if (!validateEnvironmentId(environmentId)) {
+        throw new Error(`environments[${index}].environmentId must be a valid UUID`);
+    }
+    if (!Array.isArray(commands) || commands.some(command => typeof command !== 'string')) {
+        throw new Error(`environments[${index}].commands must be a list of commands, or ["*"] for all`);
+    }
+    if (kontentUrl !== undefined && !validateKontentUrl(kontentUrl)) {
+        throw new Error(`environments[${index}].kontentUrl must be an http(s) URL`);
+    }
+    return {
+        alias,
+        label: typeof label === 'string' && label !== '' ? label : alias,
+        environmentId: environmentId as string,
+        commands: commands as string[],
+        kontentUrl: kontentUrl as string | undefined
+    };
+}
+
+/**
+ * Get the environments of the custom app configuration
+ */
+export function getConfiguredEnvironments(): ConfiguredEnvironment[] {
+    if (configuredEnvironments) {
+        return configuredEnvironments;
+    }
+
+    try {
+        const config = readCustomAppConfig() as { environments?: unknown };
+        const environments = config.environments ?? [];
+        if (!Array.isArray(environments)) {
+            throw new Error('environments must be a list');
+        }
+        const parsed = environments.map(parseEnvironment);
+        const aliases = new Set<string>();
+        parsed.forEach(environment => {
+            if (aliases.has(environment.alias)) {
+                throw new Error(`Environment alias "${environment.alias}" is configured more than once`);
+            }
+            aliases.add(environment.alias);
+        });
+        configuredEnvironments = parsed;
+        return parsed;
+    } catch (error) {
+        throw new HttpError(`The custom app configuration is invalid: ${error instanceof Error ? error.message : String(error)}`, 500);
+    }
+}
+
+/**
+ * Name of the secret holding an environment's Management API key
+ */
+export function getEnvironmentKeySecretName(alias: string): string {
+    return `environments/${alias}/managementApiKey`;
+}
+
+/**
+ * Check whether an environment permits a command
+ */
+export function isCommandAllowed(environment: ConfiguredEnvironment, command: string): boolean {
+    return environment.commands.includes('*') || environment.commands.includes(command);
+}
+
+/**
+ * Find a configured environment and check that it permits the command
+ */
+export function getEnvironmentForCommand(alias: unknown, command: string): ConfiguredEnvironment {
+    const environment = getConfiguredEnvironments().find(env => env.alias === alias);
+    if (!environment) {
+        throw new HttpError(`Unknown environment alias: ${String(alias)}`);
+    }
+    if (!isCommandAllowed(environment, command)) {
+        throw new HttpError(`Environment "${environment.label}" does not allow ${command}`, 403);
+    }
+    return environment;
+}
+
+/**
+ * Get an environment's Management API key from the secret store
+ */
+export async function getEnvironmentApiKey(environment: ConfiguredEnvironment): Promise<string> {
+    assertStoredKeysAllowed();
+    const apiKey = await getSecret(getEnvironmentKeySecretName(environment.alias));
+    if (!apiKey) {
+        throw new HttpError(`No Management API key is stored for environment "${environment.label}"`, 500);
+    }
+    return apiKey;
+}
+
+/**
+ * Point a command that uses keys held by the server at the URL stored with them
+ * @param requested - kontentUrl the command was sent with; it must be that URL, if given
+ * @param hosts - The server-held keys the command uses so far
+ */
+export function pinKontentUrl(resolved: CommandOptions, requested: unknown, hosts: StoredKeyHost[]): void {
+    if (hosts.length === 0) return;
+
+    const [first] = hosts;
+    const other = hosts.find(host => host.kontentUrl !== first.kontentUrl);
+    if (other) {
+        throw new HttpError(`${first.owner} and ${other.owner} use different Kontent.ai URLs and can't be used in one command`);
+    }
+    if (requested && requested !== first.kontentUrl) {
+        throw new HttpError(`kontentUrl can't be set when using ${first.owner}; its key is only sent to the URL stored with it`);
+    }
+    if (first.kontentUrl) {
+        resolved.kontentUrl = first.kontentUrl;
+    } else {
+        delete resolved.kontentUrl;
+    }
+}
+
+/**
+ * Replace environment aliases in command options with the environment ID and its API key
+ * @param hosts - Collects the keys used, so that vault profiles resolved later are checked against them
+ */
+export async function resolveEnvironmentAliases(
+    command: string,
+    options: CommandOptions,
+    hosts: StoredKeyHost[] = []
+): Promise<CommandOptions> {
+    const resolved: CommandOptions = { ...options };
+
+    for (const field of ENVIRONMENT_FIELDS) {
+        const alias = resolved[field.alias];
+        delete resolved[field.alias];
+        if (alias === undefined || alias === null || alias === '') continue;
+
+        if (resolved[field.apiKey]) {
+            throw new HttpError(`Use either ${field.alias} or ${field.apiKey}, not both`);
+        }
+        const environment = getEnvironmentForCommand(alias, command);
+        if (resolved[field.environmentId] && resolved[field.environmentId] !== environment.environmentId) {
+            throw new HttpError(`${field.environmentId} does not match environment "${environment.label}"`);
+        }
+        resolved[field.environmentId] = environment.environmentId;
+        resolved[field.apiKey] = await getEnvironmentApiKey(environment);
+        hosts.push({ owner: `environment "${environment.label}"`, kontentUrl: environment.kontentUrl });
+    }
+
+    pinKontentUrl(resolved, options.kontentUrl, hosts);
+    return resolved;
+}
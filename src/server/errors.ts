@@ -2,12 +2,38 @@
  * Error handling utilities
  */
 
+/**
+ * Error that carries the HTTP status it should be answered with
+ */
+export class HttpError extends Error {
+    constructor(message: string, public readonly status: number = 400) {
+        super(message);
+        this.name = 'HttpError';
+    }
+}
+
 /**
  * Get user-friendly error solution based on error message
  */
 export function getErrorSolution(error: unknown): string {
     const errorMessage = error instanceof Error ? error.message : String(error);
     
+    if (error instanceof HttpError && error.status === 404) {
+        return 'The requested resource does not exist or has been deleted.';
+    }
+    
+    if (error instanceof HttpError && error.status === 401) {
+        return 'Sign in again or provide a valid access token.';
+    }
+    
+    if (error instanceof HttpError && error.status === 403) {
+        return 'Ask an administrator for a role that allows this action.';
+    }
+    
+    if (errorMessage.includes('Offset mismatch') || errorMessage.includes('Upload is incomplete')) {
+        return 'Resume the upload from the offset reported by the server.';
+    }
+    
     if (errorMessage.includes('not found') || errorMessage.includes('ENOENT')) {
         return 'Please ensure the data-ops CLI is installed and accessible in your PATH, or set the DATA_OPS_CLI_PATH environment variable.';
     }
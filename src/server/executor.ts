@@ -5,11 +5,29 @@
 import { execa } from 'execa';
 import type { ExecaChildProcess } from 'execa';
 import fs from 'fs/promises';
+import { rmSync } from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import type { CommandOptions } from '../types/index.js';
-import { buildDataOpsArgs } from './commands.js';
+import {
+    DATA_OPS_API_FUNCTIONS,
+    buildDataOpsArgs,
+    buildDataOpsParams,
+    expandContentSelection,
+    fetchStoredFiles,
+    hasStoredFileReferences,
+    resolveInputPaths,
+    resolveOutputPaths,
+    validateOutputPaths,
+    splitSecretOptions
+} from './commands.js';
 import { validateAndSanitizeOptions, validateCommandOptions } from './validation.js';
+import { resolveEnvironmentAliases } from './environments.js';
+import type { StoredKeyHost } from './environments.js';
+import { resolveProfiles } from './profiles.js';
+import { redactArgs } from './redaction.js';
+import { runInWorker } from './workerBackend.js';
 import { ServerLogger } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -20,23 +38,123 @@ const PROJECT_ROOT = path.resolve(__dirname, '../..');
 const DATA_OPS_CLI = process.env.DATA_OPS_CLI_PATH || 
     path.join(PROJECT_ROOT, 'data-ops', 'build', 'src', 'index.js');
 
+// 'cli' spawns the data-ops CLI for every command; 'worker' calls the data-ops API in a worker thread
+const DATA_OPS_BACKEND = process.env.DATA_OPS_BACKEND || 'cli';
+
 const logger = new ServerLogger();
 
+if (!['cli', 'worker'].includes(DATA_OPS_BACKEND)) {
+    logger.warning(`Unknown DATA_OPS_BACKEND "${DATA_OPS_BACKEND}", using the CLI`);
+}
+
+// Secrets files and downloaded inputs of running commands, removed when they exit (or the server does)
+const tempDirs = new Set<string>();
+
+process.on('exit', () => {
+    tempDirs.forEach(dir => rmSync(dir, { recursive: true, force: true }));
+});
+
+/**
+ * Create a temporary directory for a running command
+ */
+async function createTempDir(): Promise<{ dir: string; remove: () => Promise<void> }> {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'data-ops-'));
+    tempDirs.add(dir);
+
+    let removed = false;
+    const remove = async () => {
+        if (removed) return;
+        removed = true;
+        tempDirs.delete(dir);
+        await fs.rm(dir, { recursive: true, force: true }).catch(error => {
+            logger.warning(`Failed to remove temporary directory ${dir}`, error);
+        });
+    };
+    return { dir, remove };
+}
+
+/**
+ * Write keys to a config file only the server's user can read
+ * The CLI merges the file's values (camelCase option names) with its arguments.
+ */
+async function writeSecretsFile(secrets: Record<string, string>): Promise<{ file: string; remove: () => Promise<void> }> {
+    const { dir, remove } = await createTempDir();
+    const file = path.join(dir, 'secrets.json');
+    await fs.writeFile(file, JSON.stringify(secrets), { mode: 0o600 });
+    return { file, remove };
+}
+
+/**
+ * Remove temporary directories once a command has exited
+ */
+function removeOnExit(childProcess: DataOpsChildProcess, remove: () => Promise<void>): void {
+    childProcess.on('exit', () => void remove());
+    childProcess.on('close', () => void remove());
+    childProcess.on('error', () => void remove());
+}
+
+/**
+ * A running data-ops command, whichever backend runs it
+ * Emits 'close' with the exit code and 'error'; the worker backend also emits 'result'.
+ */
+export interface DataOpsChildProcess {
+    stdout: NodeJS.ReadableStream;
+    stderr: NodeJS.ReadableStream;
+    on: (event: string, listener: (...args: unknown[]) => void) => void;
+    kill: (signal?: string) => void;
+    killed: boolean;
+}
+
+/**
+ * Resolve and validate the options of a command
+ * Environment aliases and vault profiles are replaced with their environment IDs and server-held keys.
+ * @returns The validated options the command runs with
+ */
+export async function prepareDataOpsCommand(command: string, options: CommandOptions): Promise<CommandOptions> {
+    // Both check that the server-held keys they add are only sent to the URLs stored with them
+    const hosts: StoredKeyHost[] = [];
+    const resolvedOptions = await resolveProfiles(command, await resolveEnvironmentAliases(command, options, hosts), hosts);
+    const sanitizedOptions = validateAndSanitizeOptions(command, resolvedOptions);
+    
+    // Validate command structure
+    const validation = validateCommandOptions(command, sanitizedOptions);
+    if (!validation.valid) {
+        throw new Error(validation.message || 'Invalid command options');
+    }
+    validateOutputPaths(command, sanitizedOptions);
+    return sanitizedOptions;
+}
+
 /**
  * Execute data-ops command using Node.js
+ * The child process is wrapped in an object: it is a thenable, so returning it directly
+ * from an async function would wait for the process to exit instead of handing out its streams.
+ * @param options - Options from prepareDataOpsCommand
+ * @param cwd - Working directory; files the command writes end up here
+ * @param syncCodenames - Codenames per entity a sync run is limited to
  */
 export async function executeDataOpsCommand(
     command: string, 
-    options: CommandOptions
-): Promise<ExecaChildProcess<string> & { stdout: NodeJS.ReadableStream; stderr: NodeJS.ReadableStream }> {
+    options: CommandOptions,
+    cwd: string = PROJECT_ROOT,
+    syncCodenames?: Record<string, string[]>
+): Promise<{ childProcess: DataOpsChildProcess }> {
+    // Stored backups and snapshots the command reads are downloaded first, unless they are on disk already
+    const inputs = hasStoredFileReferences(options) ? await createTempDir() : null;
     try {
-        // Validate and sanitize options
-        const sanitizedOptions = validateAndSanitizeOptions(command, options);
-        
-        // Validate command structure
-        const validation = validateCommandOptions(command, sanitizedOptions);
-        if (!validation.valid) {
-            throw new Error(validation.message || 'Invalid command options');
+        const fetchedOptions = inputs ? await fetchStoredFiles(options, inputs.dir) : options;
+        const preparedOptions = expandContentSelection(command, resolveInputPaths(command, fetchedOptions, PROJECT_ROOT));
+
+        const functionName = DATA_OPS_API_FUNCTIONS[command];
+        // Only the API can limit a sync run to codenames, so those always run in a worker
+        if ((DATA_OPS_BACKEND === 'worker' || syncCodenames) && functionName) {
+            logger.info(`Executing: ${functionName} in a worker thread`);
+            const params = buildDataOpsParams(resolveOutputPaths(command, preparedOptions, cwd));
+            const childProcess = runInWorker(command, functionName, params, syncCodenames);
+            if (inputs) {
+                removeOnExit(childProcess, inputs.remove);
+            }
+            return { childProcess };
         }
         
         // Verify CLI exists
@@ -49,30 +167,44 @@ export async function executeDataOpsCommand(
             );
         }
         
-        // Build command arguments
-        const args = buildDataOpsArgs(command, sanitizedOptions);
+        // Build command arguments; keys go to a config file rather than the command line
+        const { options: cliOptions, secrets } = splitSecretOptions(preparedOptions);
+        const args = buildDataOpsArgs(command, cliOptions);
+        const secretsFile = Object.keys(secrets).length > 0 ? await writeSecretsFile(secrets) : null;
+        if (secretsFile) {
+            args.push('--config-file', secretsFile.file);
+        }
         
-        logger.info(`Executing: node ${DATA_OPS_CLI} ${args.join(' ')}`);
+        logger.info(`Executing: node ${DATA_OPS_CLI} ${redactArgs(args).join(' ')}`);
         
         // Execute command with streaming output using node to run the built JS file
         // When buffer: false, stdout and stderr are ReadableStreams
-        const childProcess = execa('node', [DATA_OPS_CLI, ...args], {
-            stdio: ['pipe', 'pipe', 'pipe'],
-            cwd: PROJECT_ROOT, // Run from project root
-            timeout: 3600000, // 1 hour timeout for long-running operations
-            killSignal: 'SIGTERM',
-            buffer: false // Enable streaming - this makes stdout/stderr streams
-        });
+        let childProcess: ExecaChildProcess<string>;
+        try {
+            childProcess = execa('node', [DATA_OPS_CLI, ...args], {
+                stdio: ['pipe', 'pipe', 'pipe'],
+                cwd,
+                timeout: 3600000, // 1 hour timeout for long-running operations
+                killSignal: 'SIGTERM',
+                buffer: false // Enable streaming - this makes stdout/stderr streams
+            });
+        } catch (error) {
+            await secretsFile?.remove();
+            throw error;
+        }
+        if (secretsFile) {
+            removeOnExit(childProcess as unknown as DataOpsChildProcess, secretsFile.remove);
+        }
+        if (inputs) {
+            removeOnExit(childProcess as unknown as DataOpsChildProcess, inputs.remove);
+        }
+        // execa rejects its promise on non-zero exit codes; 'close' already reports those
+        childProcess.catch(() => undefined);
         
         // Type assertion: when buffer is false, stdout/stderr are streams and childProcess has EventEmitter methods
-        return childProcess as ExecaChildProcess<string> & { 
-            stdout: NodeJS.ReadableStream; 
-            stderr: NodeJS.ReadableStream;
-            on: (event: string, listener: (...args: unknown[]) => void) => void;
-            kill: (signal?: string) => void;
-            killed: boolean;
-        };
+        return { childProcess: childProcess as unknown as DataOpsChildProcess };
     } catch (error) {
+        await inputs?.remove();
         logger.error('Failed to execute data-ops command', error);
         
         // Provide user-friendly error messages
@@ -7,6 +7,11 @@ import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { setupRoutes } from './routes.js';
+import { initJobs } from './jobs.js';
+import { initSchedules } from './schedules.js';
+import { initRetention } from './retention.js';
+import { initStorage, restoreDataFiles } from './storage.js';
+import { initUploads } from './uploads.js';
 import { ServerLogger } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -40,9 +45,33 @@ if (process.env.NODE_ENV !== 'production') {
 // Setup routes
 setupRoutes(app);
 
-// Start server
-app.listen(PORT, () => {
-    logger.info(`Data-Ops Custom App server running on port ${PORT}`);
-    logger.info(`Health check: http://localhost:${PORT}/health`);
-});
+// Refuse to start on an incomplete storage configuration rather than fail the first job
+try {
+    initStorage();
+} catch (error) {
+    logger.error('Invalid artifact storage configuration', error);
+    process.exit(1);
+}
+
+// Files of DATA_DIR kept in the artifact storage too
+const DATA_FILES = ['jobs/', 'snapshots.json', 'schedules.json', 'retention.json'];
+
+// Restore what a redeploy wiped from the disk, load persisted jobs, then start schedules, the backup pruner and the server
+restoreDataFiles(DATA_FILES)
+    .then(restored => {
+        if (restored > 0) logger.info(`Restored ${restored} file(s) of the data directory from the artifact storage`);
+    })
+    .catch(error => logger.error('Failed to restore the data directory from the artifact storage', error))
+    .then(() => initJobs())
+    .catch(error => logger.error('Failed to load persisted jobs', error))
+    .then(() => initSchedules())
+    .catch(error => logger.error('Failed to start schedules', error))
+    .finally(() => {
+        initRetention();
+        initUploads();
+        app.listen(PORT, () => {
+            logger.info(`Data-Ops Custom App server running on port ${PORT}`);
+            logger.info(`Health check: http://localhost:${PORT}/health`);
+        });
+    });
 
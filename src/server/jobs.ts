@@ -0,0 +1,875 @@
+/**
+ * Background job management
+ *
+ * A job owns the data-ops child process, so a command keeps running when the
+ * client that started it disconnects. Every message the job produces gets a
+ * sequence number, is kept in memory and appended to disk, which lets clients
+ * re-attach later and replay what they missed - even after a server restart.
+ * Both files are copied into the artifact storage too, so they survive a redeploy
+ * that wipes the disk (storage.ts). When a job may start is up to the scheduler
+ * (scheduler.ts).
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import type { AuthUser, CommandOptions, JobEvent, JobMetadata, QueueState, SafetyBackupInfo, StreamMessage } from '../types/index.js';
+import { executeDataOpsCommand, prepareDataOpsCommand } from './executor.js';
+import type { DataOpsChildProcess } from './executor.js';
+import { scheduleJob, releaseJob, unscheduleJob, getLockedEnvironments } from './scheduler.js';
+import { createJobWorkspace, removeJobWorkspace, collectArtifacts, storeArtifacts, removeStoredArtifacts, toArtifactReference } from './artifacts.js';
+import { auditJobStarted, auditJobFinished } from './audit.js';
+import { ProgressTracker } from './progress.js';
+import { SAFETY_BACKUP_FILE, getSafetyBackupOptions, getSafetyBackupTarget } from './safetyBackup.js';
+import { ENVIRONMENT_FIELDS } from './environments.js';
+import { requiresConfirmation, consumeConfirmation } from './confirmations.js';
+import { getPlannedCodenames, takeSyncPlan, verifySyncPlan } from './syncPlans.js';
+import { fingerprintEnvironment } from './contentModel.js';
+import type { ManagementApiTarget } from './managementApi.js';
+import { isNativeSyncDiff, writeSyncDiff } from './syncDiff.js';
+import { addSnapshot } from './snapshots.js';
+import { getDefaultOutputName, resolveOutputPaths } from './commands.js';
+import { storeDataFile } from './storage.js';
+import { HttpError } from './errors.js';
+import { collectSecrets, isSecretOption, redact, registerSecrets } from './redaction.js';
+import { DATA_DIR } from './paths.js';
+import { ServerLogger } from './logger.js';
+
+const JOBS_DIR = path.join(DATA_DIR, 'jobs');
+const MAX_BUFFERED_EVENTS = 10000; // Older events are replayed from disk
+const PROGRESS_THROTTLE_MS = 500;
+const ROLLBACK_COMMAND = 'environment rollback';
+
+const logger = new ServerLogger();
+
+interface JobRecord {
+    meta: JobMetadata;
+    events: JobEvent[];
+    emitter: EventEmitter;
+    logStream: fs.WriteStream | null;
+    kill: ((signal: string) => void) | null;
+    // Secrets the command runs with; masked in everything the job emits
+    secrets: string[];
+    releaseSecrets: () => void;
+}
+
+// A command run as part of a job; jobs run one or more of these in the same workspace
+interface JobStep {
+    command: string;
+    options: CommandOptions;
+    label: string;
+    // Backs up the command's target before it runs
+    safetyBackup?: boolean;
+    // Codenames per entity a sync run is limited to, those of its approved plan
+    syncCodenames?: Record<string, string[]>;
+    // Runs in the server instead of data-ops; resolves with a message for the user, throws to fail the step
+    run?: (workspace: string, jobId: string) => Promise<string>;
+}
+
+// What a command was approved with before it may start
+export interface JobApproval {
+    // Typed confirmation of a command that can't be undone (confirmations.ts)
+    confirmation?: unknown;
+    // ID of the approved sync plan a sync run has to match (syncPlans.ts)
+    planId?: unknown;
+}
+
+interface StepOutcome {
+    exitCode: number | null;
+    // Set if the process could not be started or failed
+    error?: string;
+}
+
+const jobs = new Map<string, JobRecord>();
+
+// Pending writes of each job's metadata and output log, in the order they were made
+const jobWrites = new Map<string, Promise<void>>();
+
+function metaPath(id: string): string {
+    return path.join(JOBS_DIR, `${id}.json`);
+}
+
+function logPath(id: string): string {
+    return path.join(JOBS_DIR, `${id}.log`);
+}
+
+/**
+ * Job IDs are used in file names, so only accept what randomUUID produces
+ */
+export function isValidJobId(id: unknown): id is string {
+    return typeof id === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id);
+}
+
+/**
+ * Remove secrets before options are written to disk or returned to clients
+ */
+function stripSecrets(options: CommandOptions): CommandOptions {
+    const safeOptions: CommandOptions = {};
+    for (const [key, value] of Object.entries(options)) {
+        if (!isSecretOption(key)) {
+            safeOptions[key] = value;
+        }
+    }
+    return safeOptions;
+}
+
+/**
+ * Queue a write to a job's files after the writes queued for it before
+ * Writes never fail the chain; errors are logged.
+ */
+function queueJobWrite(id: string, write: () => Promise<void>): Promise<void> {
+    const queued = (jobWrites.get(id) ?? Promise.resolve())
+        .then(write)
+        .catch(error => logger.error(`Failed to persist job ${id}`, error));
+    jobWrites.set(id, queued);
+    void queued.then(() => {
+        if (jobWrites.get(id) === queued) jobWrites.delete(id);
+    });
+    return queued;
+}
+
+/**
+ * Write a job's metadata as it is now
+ * The file is replaced by renaming a temporary one, so a crash never leaves half of it.
+ */
+function persistMetadata(job: JobRecord): Promise<void> {
+    const { id } = job.meta;
+    const content = JSON.stringify(job.meta, null, 2);
+    return queueJobWrite(id, async () => {
+        const tempFile = `${metaPath(id)}.${process.pid}.tmp`;
+        await fsp.writeFile(tempFile, content);
+        await fsp.rename(tempFile, metaPath(id));
+        await storeDataFile(metaPath(id));
+    });
+}
+
+/**
+ * Copy a finished job's output log into the storage, for the job's history to survive the disk
+ */
+function persistLog(id: string): Promise<void> {
+    return queueJobWrite(id, () => storeDataFile(logPath(id)));
+}
+
+/**
+ * Wait until everything written about jobs so far is on disk
+ */
+export async function flushJobWrites(): Promise<void> {
+    await Promise.all([...jobWrites.values()]);
+}
+
+/**
+ * Record a message for a job and notify attached clients
+ */
+function emitJobEvent(job: JobRecord, message: StreamMessage): void {
+    const event: JobEvent = {
+        ...message,
+        message: message.message !== undefined ? redact(message.message, job.secrets) : undefined,
+        seq: ++job.meta.lastSeq,
+        timestamp: new Date().toISOString()
+    };
+
+    job.events.push(event);
+    if (job.events.length > MAX_BUFFERED_EVENTS) {
+        job.events.splice(0, job.events.length - MAX_BUFFERED_EVENTS);
+    }
+
+    job.logStream?.write(`${JSON.stringify(event)}\n`);
+    job.emitter.emit('event', event);
+}
+
+function finishJob(job: JobRecord, status: JobMetadata['status'], message: StreamMessage, exitCode: number | null = null): void {
+    if (!isJobActive(job.meta)) return;
+
+    job.meta.status = status;
+    delete job.meta.queue;
+    job.meta.exitCode = exitCode;
+    job.meta.finishedAt = new Date().toISOString();
+    if (message.type === 'error') {
+        job.meta.error = message.message !== undefined ? redact(message.message, job.secrets) : undefined;
+    }
+
+    emitJobEvent(job, message);
+    job.emitter.emit('end');
+    const logStream = job.logStream;
+    if (logStream) {
+        queueJobWrite(job.meta.id, () => new Promise(resolve => logStream.end(resolve)));
+    }
+    persistLog(job.meta.id);
+    job.logStream = null;
+    job.kill = null;
+    job.releaseSecrets();
+    persistMetadata(job);
+    // Cancelled jobs are audited once their process has exited and their artifacts are known
+    if (status !== 'cancelled') {
+        auditJobFinished(job.meta).catch(() => undefined);
+    }
+
+    logger.info(`Job ${job.meta.id} finished with status: ${status}`);
+}
+
+/**
+ * Split a chunk of process output into non-empty lines
+ */
+function toLines(data: Buffer): string[] {
+    return data.toString().split('\n').filter(line => line.trim());
+}
+
+/**
+ * Check whether a job is waiting to start or running
+ */
+export function isJobActive(meta: JobMetadata): boolean {
+    return meta.status === 'queued' || meta.status === 'running';
+}
+
+function describeQueueState(queue: QueueState): string {
+    return queue.reason === 'lock'
+        ? `Waiting for job ${queue.blockedBy} to finish with environment ${queue.environmentId} (position ${queue.position} in the queue)`
+        : `Queued at position ${queue.position}, waiting for a running command to finish`;
+}
+
+/**
+ * Start a command as a background job
+ *
+ * Validation errors are thrown before the job is created, so callers can
+ * still answer with a plain HTTP error. The job then waits in the scheduler's
+ * queue until it may run. Commands that can't be undone need a typed confirmation
+ * (confirmations.ts), and a sync run started from an approved plan first checks that
+ * neither environment changed since the plan and only syncs what it lists (syncPlans.ts). Destructive commands may
+ * first back up their target (safetyBackup.ts), as an extra step of the same job. Sync
+ * diffs are computed by the server (syncDiff.ts), and sync snapshots
+ * are added to the snapshot library (snapshots.ts).
+ */
+export async function startJob(
+    command: string,
+    options: CommandOptions,
+    startedBy?: AuthUser,
+    approval: JobApproval = {},
+    schedule?: JobMetadata['schedule']
+): Promise<JobMetadata> {
+    const preparedOptions = await prepareDataOpsCommand(command, options);
+    let resolvedOptions = requiresConfirmation(command)
+        ? consumeConfirmation(command, preparedOptions, startedBy, approval.confirmation)
+        : preparedOptions;
+    const steps: JobStep[] = [];
+    let syncPlan: JobMetadata['syncPlan'];
+    let syncCodenames: JobStep['syncCodenames'];
+    if (approval.planId !== undefined) {
+        if (command !== 'sync run') {
+            throw new HttpError('Only sync run can be started from a plan');
+        }
+        const plan = takeSyncPlan(approval.planId, resolvedOptions, startedBy);
+        // data-ops is only given what the approved plan changes
+        syncCodenames = getPlannedCodenames(plan);
+        const checkOptions = resolvedOptions;
+        steps.push({ command, options: {}, label: 'Plan check', run: workspace => verifySyncPlan(plan, checkOptions, workspace) });
+        syncPlan = { id: plan.id, counts: plan.counts };
+    }
+    if (isNativeSyncDiff(command)) {
+        const diffOptions = resolvedOptions;
+        steps.push({ command, options: {}, label: command, run: workspace => writeSyncDiff(diffOptions, workspace) });
+        return submitJob({ command, options: stripSecrets(options), startedBy, schedule }, resolvedOptions, steps);
+    }
+    if (command === 'sync snapshot' && !resolvedOptions.folderName) {
+        // The CLI would name the folder itself; the snapshot library has to find it
+        resolvedOptions = { ...resolvedOptions, folderName: getDefaultOutputName(command) };
+    }
+    const { safetyBackup: _safetyBackup, ...commandOptions } = resolvedOptions;
+    const backupOptions = getSafetyBackupOptions(command, resolvedOptions);
+    if (backupOptions) {
+        steps.push({ command: 'environment backup', options: backupOptions, label: 'Safety backup', safetyBackup: true });
+    }
+    steps.push({ command, options: commandOptions, label: command, syncCodenames });
+    if (command === 'sync snapshot') {
+        const snapshotOptions = resolvedOptions;
+        steps.push({
+            command,
+            options: {},
+            label: 'Add to snapshot library',
+            run: (workspace, jobId) => addSnapshot(String(resolveOutputPaths(command, snapshotOptions, workspace).folderName), {
+                environmentId: String(snapshotOptions.environmentId),
+                entities: Array.isArray(snapshotOptions.entities) ? snapshotOptions.entities.map(String) : [],
+                jobId,
+                createdBy: startedBy?.name ?? startedBy?.id
+            })
+        });
+    }
+    const backupOf = command === 'environment backup' ? String(resolvedOptions.environmentId) : undefined;
+    return submitJob({ command, options: stripSecrets(options), startedBy, syncPlan, schedule, backupOf }, resolvedOptions, steps);
+}
+
+// What a rollback runs with, once it is known the job can be rolled back
+interface PreparedRollback {
+    backup: SafetyBackupInfo;
+    environmentOptions: CommandOptions;
+    cleanOptions: CommandOptions;
+    restoreOptions: CommandOptions;
+}
+
+/**
+ * Check that a job can be rolled back and resolve what its rollback runs with
+ *
+ * Refused unless the job is over, its backup is still there, and no other job has
+ * changed the environment since the backup was taken; restoring would silently undo
+ * those changes too.
+ * @param credentials - environmentAlias, profileId or apiKey of the environment; defaults to
+ * the saved environment or profile the job itself used
+ */
+export async function prepareRollback(jobId: string, credentials: CommandOptions): Promise<PreparedRollback> {
+    const source = jobs.get(jobId)?.meta;
+    if (!source) {
+        throw new HttpError('Job not found', 404);
+    }
+    if (isJobActive(source)) {
+        throw new HttpError(`Job ${jobId} has not finished yet; cancel it before rolling it back`, 409);
+    }
+    const backup = source.safetyBackup;
+    if (!backup) {
+        throw new HttpError(`Job ${jobId} has no safety backup to roll back to`, 409);
+    }
+    if (!source.artifacts?.some(artifact => artifact.name === backup.artifact)) {
+        throw new HttpError(`The safety backup of job ${jobId} is no longer available`, 410);
+    }
+    if (!backup.fingerprint) {
+        throw new HttpError(
+            `The state job ${jobId} left environment ${backup.environmentId} in was not recorded, so later changes can't be ruled out. ` +
+            'Restore the backup manually if it should still replace them.',
+            409
+        );
+    }
+    const laterChange = findChangesSince(backup.environmentId, backup.createdAt, jobId);
+    if (laterChange) {
+        throw new HttpError(
+            `Environment ${backup.environmentId} was changed by job ${laterChange.id} (${laterChange.command}) after the backup was taken. ` +
+            'Restore the backup manually if it should still replace those changes.',
+            409
+        );
+    }
+
+    const environmentOptions: CommandOptions = {
+        environmentId: backup.environmentId,
+        // The environment is rolled back where it was backed up
+        ...(backup.kontentUrl ? { kontentUrl: backup.kontentUrl } : {}),
+        ...getRollbackCredentials(source, credentials)
+    };
+    const cleanOptions = await prepareDataOpsCommand('environment clean', environmentOptions);
+    const restoreOptions = await prepareDataOpsCommand('environment restore', { ...environmentOptions, fileName: backup.reference });
+    // Profiles name their own environment
+    if (cleanOptions.environmentId !== backup.environmentId) {
+        throw new HttpError(`The credentials given are for environment ${cleanOptions.environmentId}, not ${backup.environmentId}`);
+    }
+    return { backup, environmentOptions, cleanOptions, restoreOptions };
+}
+
+/**
+ * Roll a job back to its safety backup: clean the environment, then restore the backup
+ *
+ * The clean needs a typed confirmation for the environment like any other
+ * (confirmations.ts), requested for the clean prepareRollback resolves. Changes made
+ * outside this app are caught by the rollback's first step, which compares the
+ * environment's content model with the one the job left.
+ * @param credentials - As for prepareRollback
+ * @param confirmation - { token, environmentName } confirming the clean
+ */
+export async function startRollbackJob(
+    jobId: string,
+    credentials: CommandOptions,
+    startedBy?: AuthUser,
+    confirmation?: unknown
+): Promise<JobMetadata> {
+    const { backup, environmentOptions, cleanOptions: preparedCleanOptions, restoreOptions } = await prepareRollback(jobId, credentials);
+    const cleanOptions = consumeConfirmation('environment clean', preparedCleanOptions, startedBy, confirmation);
+
+    const target = { environmentId: backup.environmentId, apiKey: String(cleanOptions.apiKey), kontentUrl: cleanOptions.kontentUrl };
+    const steps: JobStep[] = [
+        { command: ROLLBACK_COMMAND, options: {}, label: 'Change check', run: () => verifyEnvironmentUnchanged(backup, target, jobId) },
+        { command: 'environment clean', options: cleanOptions, label: 'Clean environment' },
+        { command: 'environment restore', options: restoreOptions, label: 'Restore safety backup' }
+    ];
+    return submitJob(
+        {
+            command: ROLLBACK_COMMAND,
+            options: stripSecrets({ ...environmentOptions, fileName: backup.reference }),
+            startedBy,
+            rollbackOf: jobId
+        },
+        { ...cleanOptions, ...restoreOptions },
+        steps
+    );
+}
+
+/**
+ * Check that an environment's content model is still the one a job left it with
+ * Content items and assets aren't compared.
+ * @returns What to tell the user when nothing changed
+ */
+async function verifyEnvironmentUnchanged(backup: SafetyBackupInfo, target: ManagementApiTarget, jobId: string): Promise<string> {
+    if (await fingerprintEnvironment(target) !== backup.fingerprint) {
+        throw new Error(
+            `The content model of environment ${backup.environmentId} has changed since job ${jobId} finished; ` +
+            'restore the backup manually if it should still replace those changes'
+        );
+    }
+    return `Content model of environment ${backup.environmentId} unchanged since job ${jobId} finished`;
+}
+
+/**
+ * Credentials for a rollback: those given, or the saved environment or profile the job used
+ */
+function getRollbackCredentials(source: JobMetadata, credentials: CommandOptions): CommandOptions {
+    const given = ['environmentAlias', 'profileId', 'apiKey'].filter(key => credentials[key]);
+    if (given.length > 0) {
+        return Object.fromEntries(given.map(key => [key, credentials[key]]));
+    }
+    const field = ENVIRONMENT_FIELDS.find(f => f.environmentId === getSafetyBackupTarget(source.command));
+    if (field && source.options[field.alias]) {
+        return { environmentAlias: source.options[field.alias] };
+    }
+    if (field && source.options[field.profileId]) {
+        return { profileId: source.options[field.profileId] };
+    }
+    throw new HttpError('An apiKey, environmentAlias or profileId is required to roll back this job');
+}
+
+/**
+ * Find a job other than the given one that changed an environment after a point in time
+ * Queued jobs count too, as they are about to.
+ */
+function findChangesSince(environmentId: string, since: string, exceptJobId: string): JobMetadata | null {
+    for (const { meta } of jobs.values()) {
+        if (meta.id === exceptJobId || !meta.writesTo?.includes(environmentId)) continue;
+        if (meta.status === 'queued' || (meta.startedAt && meta.startedAt > since)) {
+            return meta;
+        }
+    }
+    return null;
+}
+
+/**
+ * Create a job and queue it
+ * @param meta - Details of the job as stored and shown; options without secrets
+ * @param resolvedOptions - Everything the job's steps run with, for locking, masking and auditing
+ */
+async function submitJob(
+    meta: Pick<JobMetadata, 'command' | 'options' | 'startedBy' | 'rollbackOf' | 'syncPlan' | 'schedule' | 'backupOf'>,
+    resolvedOptions: CommandOptions,
+    steps: JobStep[]
+): Promise<JobMetadata> {
+    const id = randomUUID();
+    await fsp.mkdir(JOBS_DIR, { recursive: true });
+
+    const locks = getLockedEnvironments(meta.command, resolvedOptions);
+    const secrets = collectSecrets(resolvedOptions);
+    const job: JobRecord = {
+        meta: {
+            id,
+            ...meta,
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            lastSeq: 0,
+            writesTo: locks
+        },
+        events: [],
+        emitter: new EventEmitter(),
+        logStream: fs.createWriteStream(logPath(id), { flags: 'a' }),
+        kill: null,
+        secrets,
+        // Server logs are masked too until the job is over
+        releaseSecrets: registerSecrets(secrets)
+    };
+    job.emitter.setMaxListeners(0);
+    job.logStream?.on('error', error => logger.error(`Failed to write output of job ${id}`, error));
+    jobs.set(id, job);
+    persistMetadata(job);
+    auditJobStarted(job.meta, resolvedOptions).catch(() => undefined);
+
+    logger.info(`Job ${id} submitted: ${meta.command}`);
+    emitJobEvent(job, { type: 'connected', message: 'Connected to command stream', jobId: id });
+
+    scheduleJob(
+        id,
+        locks,
+        () => void runJob(job, steps),
+        queue => {
+            job.meta.queue = queue;
+            persistMetadata(job);
+            emitJobEvent(job, { type: 'queued', message: describeQueueState(queue), queue });
+        }
+    );
+
+    return job.meta;
+}
+
+/**
+ * Run a job's steps one after the other once the scheduler lets it start
+ * A step that fails stops the job; later steps don't run.
+ */
+async function runJob(job: JobRecord, steps: JobStep[]): Promise<void> {
+    const { id, command } = job.meta;
+    job.meta.status = 'running';
+    job.meta.startedAt = new Date().toISOString();
+    delete job.meta.queue;
+    persistMetadata(job);
+    logger.info(`Job ${id} started: ${command}`);
+    emitJobEvent(job, { type: 'started', message: 'Command started' });
+
+    let outcome: StepOutcome = { exitCode: null, error: 'Command did not run' };
+    let failedStep: JobStep | null = null;
+    let backupStep: JobStep | null = null;
+    try {
+        const workspace = await createJobWorkspace(id);
+        for (const [index, step] of steps.entries()) {
+            if (job.meta.status !== 'running') break;
+            if (steps.length > 1) {
+                emitJobEvent(job, { type: 'output', level: 'info', message: `Step ${index + 1}/${steps.length}: ${step.label}` });
+            }
+            outcome = await runStep(job, step, workspace, { index, count: steps.length });
+            if (outcome.error !== undefined || outcome.exitCode !== 0) {
+                failedStep = step;
+                break;
+            }
+            if (step.safetyBackup) {
+                backupStep = step;
+                job.meta.safetyBackup = {
+                    environmentId: String(step.options.environmentId),
+                    artifact: SAFETY_BACKUP_FILE,
+                    reference: toArtifactReference(id, SAFETY_BACKUP_FILE),
+                    createdAt: new Date().toISOString(),
+                    ...(typeof step.options.kontentUrl === 'string' ? { kontentUrl: step.options.kontentUrl } : {})
+                };
+                persistMetadata(job);
+                emitJobEvent(job, { type: 'output', level: 'success', message: `Safety backup of environment ${job.meta.safetyBackup.environmentId} saved` });
+            }
+        }
+        if (job.meta.safetyBackup && backupStep) {
+            await recordEnvironmentState(job, job.meta.safetyBackup, String(backupStep.options.apiKey));
+        }
+    } catch (error) {
+        outcome = { exitCode: null, error: error instanceof Error ? error.message : String(error) };
+    }
+
+    // The environment stays locked until the process is gone, even for cancelled jobs
+    releaseJob(id);
+    // Record produced files before clients are told the job finished
+    job.meta.artifacts = await collectArtifacts(id);
+    if (job.meta.artifacts.length === 0) {
+        await removeJobWorkspace(id).catch(() => undefined);
+    } else {
+        try {
+            await storeArtifacts(id, job.meta.artifacts);
+        } catch (error) {
+            // The files stay in the workspace, which may not survive a redeploy; a successful job fails
+            logger.error(`Failed to store the files of job ${id}`, error);
+            const message = `Files could not be stored: ${error instanceof Error ? error.message : String(error)}`;
+            if (outcome.error === undefined && outcome.exitCode === 0) {
+                outcome = { exitCode: null, error: message };
+            } else if (job.meta.status === 'running') {
+                emitJobEvent(job, { type: 'output', level: 'error', message });
+            }
+        }
+    }
+    if (job.meta.status !== 'running') {
+        // Cancelled jobs were already finished; still keep their partial output
+        persistMetadata(job);
+        if (job.meta.status === 'cancelled') {
+            auditJobFinished(job.meta).catch(() => undefined);
+        }
+        return;
+    }
+
+    // A failed step keeps the ones after it from running
+    const nextStep = failedStep ? steps[steps.indexOf(failedStep) + 1] : undefined;
+    const prefix = failedStep && nextStep ? `${failedStep.label} failed, ${nextStep.label} was not run: ` : '';
+    if (outcome.error !== undefined) {
+        finishJob(job, 'failed', { type: 'error', message: `${prefix}${outcome.error}` });
+    } else if (outcome.exitCode === 0) {
+        finishJob(job, 'succeeded', { type: 'complete', success: true, message: 'Command completed successfully' }, outcome.exitCode);
+        const source = job.meta.rollbackOf ? jobs.get(job.meta.rollbackOf) : undefined;
+        if (source) {
+            source.meta.rolledBackBy = id;
+            persistMetadata(source);
+        }
+    } else {
+        finishJob(job, 'failed', { type: 'complete', success: false, message: `${prefix}Command exited with code ${outcome.exitCode}` }, outcome.exitCode);
+    }
+}
+
+/**
+ * Remember the content model a job left its environment with, for a rollback to compare against
+ * Without it the job can't be rolled back, but the job itself doesn't fail.
+ */
+async function recordEnvironmentState(job: JobRecord, backup: SafetyBackupInfo, apiKey: string): Promise<void> {
+    try {
+        backup.fingerprint = await fingerprintEnvironment({ environmentId: backup.environmentId, apiKey, kontentUrl: backup.kontentUrl });
+        persistMetadata(job);
+    } catch (error) {
+        logger.warning(`Failed to read environment ${backup.environmentId} after job ${job.meta.id}`, error);
+        if (job.meta.status !== 'running') return;
+        emitJobEvent(job, {
+            type: 'output',
+            level: 'warning',
+            message: `The content model of environment ${backup.environmentId} could not be read, so this job can't be rolled back automatically`
+        });
+    }
+}
+
+/**
+ * Run one step of a job and relay its output
+ * @param share - Position of the step, so its progress is scaled to the job's
+ * @returns Once the step's process has exited
+ */
+async function runStep(job: JobRecord, step: JobStep, workspace: string, share: { index: number; count: number }): Promise<StepOutcome> {
+    const { id } = job.meta;
+    if (step.run) {
+        try {
+            emitJobEvent(job, { type: 'output', level: 'success', message: await step.run(workspace, id) });
+            return { exitCode: 0 };
+        } catch (error) {
+            return { exitCode: null, error: error instanceof Error ? error.message : String(error) };
+        }
+    }
+
+    let childProcess: DataOpsChildProcess;
+    try {
+        ({ childProcess } = await executeDataOpsCommand(step.command, step.options, workspace, step.syncCodenames));
+    } catch (error) {
+        return { exitCode: null, error: error instanceof Error ? error.message : String(error) };
+    }
+
+    const scale = (percent: number | undefined) => Math.round((share.index * 100 + (percent ?? 0)) / share.count * 10) / 10;
+    const progress = new ProgressTracker(step.command);
+    let lastProgressUpdate = 0;
+    let lastPhase: string | undefined;
+
+    // Counted entities; a new phase is reported right away, counts at most every PROGRESS_THROTTLE_MS
+    const reportProgress = (update: StreamMessage) => {
+        if (update.phase?.name !== lastPhase || Date.now() - lastProgressUpdate > PROGRESS_THROTTLE_MS) {
+            emitJobEvent(job, { ...update, percent: scale(update.percent) });
+            lastPhase = update.phase?.name;
+            lastProgressUpdate = Date.now();
+        }
+    };
+
+    childProcess.stdout.on('data', (data: Buffer) => {
+        toLines(data).forEach(line => {
+            const update = progress.update(line);
+            if (update) reportProgress(update);
+
+            // Always send as output too
+            emitJobEvent(job, { type: 'output', level: 'info', message: line });
+        });
+    });
+
+    childProcess.stderr.on('data', (data: Buffer) => {
+        toLines(data).forEach(line => {
+            emitJobEvent(job, { type: 'output', level: 'error', message: line });
+        });
+    });
+
+    // The worker backend reports what the data-ops function returned
+    childProcess.on('result', (result: unknown) => {
+        // The job's result is that of its last step
+        job.meta.result = JSON.parse(redact(JSON.stringify(result), job.secrets));
+    });
+
+    job.kill = (signal: string) => {
+        if (!childProcess.killed) childProcess.kill(signal);
+    };
+
+    return new Promise(resolve => {
+        childProcess.on('close', (code: unknown) => {
+            resolve({ exitCode: typeof code === 'number' ? code : null });
+        });
+
+        childProcess.on('error', (error: unknown) => {
+            logger.error(`Job ${id} execution error`, error);
+            resolve({ exitCode: null, error: error instanceof Error ? error.message : String(error) });
+        });
+
+        // Cancelled while the process was being started
+        if (job.meta.status !== 'running') {
+            childProcess.kill('SIGTERM');
+        }
+    });
+}
+
+/**
+ * Cancel a queued or running job
+ */
+export function cancelJob(id: string): JobMetadata | null {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    if (job.meta.status === 'queued' && unscheduleJob(id)) {
+        finishJob(job, 'cancelled', { type: 'complete', success: false, message: 'Command cancelled by user' });
+        // It never ran, so there is nothing more to wait for
+        auditJobFinished(job.meta).catch(() => undefined);
+    } else if (job.meta.status === 'running') {
+        job.kill?.('SIGTERM');
+        finishJob(job, 'cancelled', { type: 'complete', success: false, message: 'Command cancelled by user' });
+    }
+    return job.meta;
+}
+
+/**
+ * Remove the files a finished job produced; its details and output stay
+ */
+export async function removeJobArtifacts(id: string): Promise<void> {
+    const job = jobs.get(id);
+    if (!job || isJobActive(job.meta) || !job.meta.artifacts?.length) return;
+
+    await removeStoredArtifacts(id);
+    job.meta.artifacts = [];
+    await persistMetadata(job);
+    logger.info(`Files of job ${id} removed`);
+}
+
+/**
+ * Pin or unpin a job's backup; pinned backups are never pruned
+ * @param pinned - Who pinned it and when, or null to unpin
+ */
+export function updateJobPin(id: string, pinned: JobMetadata['pinned'] | null): JobMetadata {
+    const job = jobs.get(id);
+    if (!job) {
+        throw new HttpError('Job not found', 404);
+    }
+    if (pinned) {
+        job.meta.pinned = pinned;
+    } else {
+        delete job.meta.pinned;
+    }
+    persistMetadata(job);
+    return job.meta;
+}
+
+/**
+ * Get job metadata
+ */
+export function getJob(id: string): JobMetadata | null {
+    return jobs.get(id)?.meta || null;
+}
+
+/**
+ * List jobs, newest first
+ */
+export function listJobs(limit = 50): JobMetadata[] {
+    return Array.from(jobs.values())
+        .map(job => job.meta)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit);
+}
+
+/**
+ * Read all persisted events of a job from its output log
+ */
+async function readEventsFromDisk(id: string): Promise<JobEvent[]> {
+    try {
+        const content = await fsp.readFile(logPath(id), 'utf8');
+        return content
+            .split('\n')
+            .filter(line => line.trim())
+            .flatMap(line => {
+                try {
+                    return [JSON.parse(line) as JobEvent];
+                } catch {
+                    // A partially written last line after a crash
+                    return [];
+                }
+            });
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Get the events of a job with a sequence number greater than afterSeq
+ */
+export async function getJobEvents(id: string, afterSeq = 0): Promise<JobEvent[]> {
+    const job = jobs.get(id);
+    if (!job) return [];
+
+    const buffered = job.events.filter(event => event.seq > afterSeq);
+    const firstBufferedSeq = job.events.length > 0 ? job.events[0].seq : job.meta.lastSeq + 1;
+    if (afterSeq + 1 >= firstBufferedSeq) {
+        return buffered;
+    }
+
+    // The requested range starts before the in-memory buffer
+    const fromDisk = (await readEventsFromDisk(id)).filter(event => event.seq > afterSeq && event.seq < firstBufferedSeq);
+    return [...fromDisk, ...buffered];
+}
+
+/**
+ * Attach to a job's live events
+ * @returns Function that detaches the listeners again
+ */
+export function subscribeToJob(id: string, onEvent: (event: JobEvent) => void, onEnd: () => void): () => void {
+    const job = jobs.get(id);
+    if (!job || !isJobActive(job.meta)) {
+        onEnd();
+        return () => undefined;
+    }
+
+    job.emitter.on('event', onEvent);
+    job.emitter.once('end', onEnd);
+    return () => {
+        job.emitter.off('event', onEvent);
+        job.emitter.off('end', onEnd);
+    };
+}
+
+/**
+ * Load persisted jobs on startup
+ *
+ * Jobs that were still queued or running when the server stopped lost their
+ * place or their process, so they are marked as interrupted.
+ */
+export async function initJobs(): Promise<void> {
+    await fsp.mkdir(JOBS_DIR, { recursive: true });
+    const entries = await fsp.readdir(JOBS_DIR);
+    // Temporary files of metadata writes the server stopped in the middle of
+    await Promise.all(entries.filter(file => file.endsWith('.tmp')).map(file => fsp.rm(path.join(JOBS_DIR, file), { force: true })));
+    const files = entries.filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+        try {
+            const meta = JSON.parse(await fsp.readFile(path.join(JOBS_DIR, file), 'utf8')) as JobMetadata;
+            if (!isValidJobId(meta.id) || jobs.has(meta.id)) continue;
+
+            const job: JobRecord = {
+                meta, events: [], emitter: new EventEmitter(), logStream: null, kill: null, secrets: [], releaseSecrets: () => undefined
+            };
+            jobs.set(meta.id, job);
+
+            if (isJobActive(meta)) {
+                // Metadata is not rewritten for every line, the output log is authoritative
+                const events = await readEventsFromDisk(meta.id);
+                job.meta.lastSeq = events.reduce((max, event) => Math.max(max, event.seq), meta.lastSeq);
+                job.meta.error = meta.status === 'queued'
+                    ? 'Server restarted while the command was waiting to start'
+                    : 'Server restarted while the command was running';
+                job.meta.status = 'interrupted';
+                job.meta.finishedAt = new Date().toISOString();
+                delete job.meta.queue;
+                const event: JobEvent = {
+                    type: 'error',
+                    message: job.meta.error,
+                    seq: ++job.meta.lastSeq,
+                    timestamp: job.meta.finishedAt
+                };
+                // Start a new line after a line the crash cut short
+                const log = await fsp.readFile(logPath(meta.id), 'utf8').catch(() => '');
+                const separator = log && !log.endsWith('\n') ? '\n' : '';
+                await fsp.appendFile(logPath(meta.id), `${separator}${JSON.stringify(event)}\n`);
+                await persistMetadata(job);
+                await persistLog(meta.id);
+                await auditJobFinished(job.meta).catch(() => undefined);
+            }
+        } catch (error) {
+            logger.warning(`Skipping unreadable job file: ${file}`, error);
+        }
+    }
+
+    logger.info(`Loaded ${jobs.size} persisted job(s)`);
+}
@@ -1,11 +1,14 @@
 /**
  * Server-side logger for the Data-Ops Custom App
+ * Messages and data are redacted, so secrets in use never reach the log.
  */
 
+import { redact, redactValue } from './redaction.js';
+
 export class ServerLogger {
     log(level: string, message: string, data: unknown = null): void {
         const timestamp = new Date().toISOString();
-        console.log(`[${timestamp}] [${level}] ${message}`, data || '');
+        console.log(`[${timestamp}] [${level}] ${redact(message)}`, data ? redactValue(data) : '');
     }
     
     info(message: string, data: unknown = null): void {
@@ -0,0 +1,38 @@
+/**
+ * Management API clients for the server's own calls
+ *
+ * Besides data-ops, the server reads environments itself: for sync diffs and plans,
+ * confirmations, rollback checks and the entity picker. Those reads go to the same host the
+ * command would: the Management API behind the command's kontentUrl, which for keys held by
+ * the server is the URL stored with them (environments.ts).
+ */
+
+import { ManagementClient } from '@kontent-ai/management-sdk';
+
+/**
+ * An environment to call and where
+ */
+export interface ManagementApiTarget {
+    environmentId: string;
+    apiKey: string;
+    // Resolved kontentUrl of the command; kontent.ai when unset
+    kontentUrl?: unknown;
+}
+
+/**
+ * Base URL of the Management API for a kontentUrl, built the way data-ops builds it
+ * @returns undefined for the default host
+ */
+export function getManagementApiUrl(kontentUrl: unknown): string | undefined {
+    if (typeof kontentUrl !== 'string' || !kontentUrl.trim()) return undefined;
+    const host = kontentUrl.trim().replace(/^https?:\/\//, '').replace(/\/+$/, '');
+    return `https://manage.${host}/v2`;
+}
+
+/**
+ * Management API client for an environment, sending its key only to the target's host
+ */
+export function createManagementClient({ environmentId, apiKey, kontentUrl }: ManagementApiTarget): ManagementClient {
+    const baseUrl = getManagementApiUrl(kontentUrl);
+    return new ManagementClient({ environmentId, apiKey, ...(baseUrl ? { baseUrl } : {}) });
+}
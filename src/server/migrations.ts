@@ -0,0 +1,157 @@
+/**
+ * Migrations folders and their status
+ *
+ * Migration folders live under MIGRATIONS_DIR on the server. `data-ops migrations run`
+ * records every run and rollback in a status.json file next to the migrations,
+ * keyed by environment ID, which is what the status shown here is read from.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import type { MigrationFolder, MigrationFolderStatus, MigrationInfo } from '../types/index.js';
+import { PROJECT_ROOT } from './paths.js';
+import { HttpError } from './errors.js';
+
+export const MIGRATIONS_DIR = process.env.MIGRATIONS_DIR
+    ? path.resolve(process.env.MIGRATIONS_DIR)
+    : path.join(PROJECT_ROOT, 'migrations');
+
+const STATUS_FILE = 'status.json';
+const MIGRATION_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts'];
+const MAX_FOLDER_DEPTH = 3;
+
+// Status record written by data-ops for each migration and environment
+interface StatusRecord {
+    name: string;
+    success: boolean;
+    order?: number | string;
+    time?: string;
+    lastOperation?: 'run' | 'rollback';
+}
+
+/**
+ * Resolve a migrations folder, given relative to MIGRATIONS_DIR
+ * @returns null if the folder would be outside MIGRATIONS_DIR
+ */
+export function resolveMigrationsFolder(folder: unknown): string | null {
+    if (typeof folder !== 'string') return null;
+    const resolved = path.resolve(MIGRATIONS_DIR, folder);
+    if (resolved !== MIGRATIONS_DIR && !resolved.startsWith(MIGRATIONS_DIR + path.sep)) {
+        return null;
+    }
+    return resolved;
+}
+
+function isMigrationFile(fileName: string): boolean {
+    return MIGRATION_EXTENSIONS.includes(path.extname(fileName)) && !fileName.endsWith('.d.ts');
+}
+
+/**
+ * List the folders under MIGRATIONS_DIR that contain migrations
+ */
+export async function listMigrationFolders(): Promise<MigrationFolder[]> {
+    const folders: MigrationFolder[] = [];
+
+    const walk = async (dir: string, depth: number): Promise<void> => {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch {
+            return;
+        }
+
+        const migrationCount = entries.filter(entry => entry.isFile() && isMigrationFile(entry.name)).length;
+        if (migrationCount > 0) {
+            const relative = path.relative(MIGRATIONS_DIR, dir).split(path.sep).join('/');
+            folders.push({ path: relative || '.', migrationCount });
+        }
+
+        if (depth >= MAX_FOLDER_DEPTH) return;
+        for (const entry of entries) {
+            if (entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules') {
+                await walk(path.join(dir, entry.name), depth + 1);
+            }
+        }
+    };
+
+    await walk(MIGRATIONS_DIR, 0);
+    return folders.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Read the order a migration declares, without executing it
+ * Migrations export `order` as a number or a Date (timestamped migrations).
+ */
+async function readMigrationOrder(filePath: string): Promise<number | string | undefined> {
+    try {
+        const source = await fs.readFile(filePath, 'utf8');
+        const match = source.match(/order\s*:\s*(?:new Date\(\s*["'`]([^"'`]+)["'`]\s*\)|(\d+))/);
+        if (!match) return undefined;
+        return match[1] ?? Number(match[2]);
+    } catch {
+        return undefined;
+    }
+}
+
+async function readStatusFile(folderPath: string): Promise<Record<string, StatusRecord[]>> {
+    try {
+        const status = JSON.parse(await fs.readFile(path.join(folderPath, STATUS_FILE), 'utf8'));
+        return status && typeof status === 'object' ? status : {};
+    } catch {
+        return {};
+    }
+}
+
+function compareOrder(a: MigrationInfo, b: MigrationInfo): number {
+    if (a.order === undefined || b.order === undefined) {
+        return a.order === b.order ? a.name.localeCompare(b.name) : a.order === undefined ? 1 : -1;
+    }
+    if (typeof a.order === 'number' && typeof b.order === 'number') {
+        return a.order - b.order || a.name.localeCompare(b.name);
+    }
+    return String(a.order).localeCompare(String(b.order)) || a.name.localeCompare(b.name);
+}
+
+/**
+ * Get the migrations of a folder and their state in an environment
+ */
+export async function getMigrationStatus(folder: string, environmentId?: string): Promise<MigrationFolderStatus> {
+    const folderPath = resolveMigrationsFolder(folder);
+    if (!folderPath) {
+        throw new HttpError('Migrations folder must be inside the migrations directory');
+    }
+
+    let files: string[];
+    try {
+        files = (await fs.readdir(folderPath)).filter(isMigrationFile);
+    } catch {
+        throw new HttpError('Migrations folder not found', 404);
+    }
+
+    const status = await readStatusFile(folderPath);
+    const records = (environmentId && Array.isArray(status[environmentId])) ? status[environmentId] : [];
+
+    const migrations = await Promise.all(files.map(async (file): Promise<MigrationInfo> => {
+        const baseName = path.basename(file, path.extname(file));
+        const record = records.find(r => r.name === file || r.name === baseName);
+        const migration: MigrationInfo = {
+            name: file,
+            order: record?.order ?? await readMigrationOrder(path.join(folderPath, file)),
+            state: 'pending'
+        };
+        if (record) {
+            migration.time = record.time;
+            migration.state = !record.success
+                ? 'failed'
+                : record.lastOperation === 'rollback' ? 'rolledBack' : 'applied';
+        }
+        return migration;
+    }));
+
+    return {
+        folder,
+        environmentId,
+        environments: Object.keys(status),
+        migrations: migrations.sort(compareOrder)
+    };
+}
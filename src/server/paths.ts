@@ -0,0 +1,16 @@
+/**
+ * Filesystem locations used by the server
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const PROJECT_ROOT = path.resolve(__dirname, '../..');
+
+// Server-side state (jobs, output logs, ...) lives here so it survives restarts
+export const DATA_DIR = process.env.DATA_DIR
+    ? path.resolve(process.env.DATA_DIR)
+    : path.join(PROJECT_ROOT, '.data');
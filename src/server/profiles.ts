@@ -0,0 +1,282 @@
+/**
+ * Credential vault
+ *
+ * Named environment profiles shared by everyone using the server. Profile details are
+ * kept in DATA_DIR/profiles.json, while their keys go to the encrypted secret store and
+ * are never handed out again once saved. Commands name a profile instead of carrying keys.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import type { CommandOptions, EnvironmentProfile } from '../types/index.js';
+import { DATA_DIR } from './paths.js';
+import { ENVIRONMENT_FIELDS, pinKontentUrl } from './environments.js';
+import type { StoredKeyHost } from './environments.js';
+import { getSecret, setSecret, deleteSecret } from './secrets.js';
+import { assertStoredKeysAllowed } from './auth.js';
+import { validateApiKey, validateEnvironmentId, validateKontentUrl } from './validation.js';
+import { HttpError } from './errors.js';
+
+const PROFILES_FILE = path.join(DATA_DIR, 'profiles.json');
+const PROFILE_SECRETS = ['managementApiKey', 'secureAssetDeliveryKey'] as const;
+
+type ProfileSecret = typeof PROFILE_SECRETS[number];
+
+interface StoredProfile {
+    id: string;
+    name: string;
+    environmentId: string;
+    kontentUrl?: string;
+    secrets: ProfileSecret[];
+    createdAt: string;
+    updatedAt: string;
+}
+
+export interface ProfileInput {
+    name?: unknown;
+    environmentId?: unknown;
+    kontentUrl?: unknown;
+    managementApiKey?: unknown;
+    secureAssetDeliveryKey?: unknown;
+}
+
+// Writes are queued so concurrent updates don't overwrite each other
+let writeQueue: Promise<unknown> = Promise.resolve();
+
+function getSecretName(profileId: string, secret: ProfileSecret): string {
+    return `profiles/${profileId}/${secret}`;
+}
+
+function toPublicProfile(profile: StoredProfile): EnvironmentProfile {
+    return {
+        id: profile.id,
+        name: profile.name,
+        environmentId: profile.environmentId,
+        kontentUrl: profile.kontentUrl,
+        hasManagementApiKey: profile.secrets.includes('managementApiKey'),
+        hasSecureAssetDeliveryKey: profile.secrets.includes('secureAssetDeliveryKey'),
+        createdAt: profile.createdAt,
+        updatedAt: profile.updatedAt
+    };
+}
+
+async function readProfiles(): Promise<StoredProfile[]> {
+    try {
+        return JSON.parse(await fs.readFile(PROFILES_FILE, 'utf8'));
+    } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+async function updateProfiles<T>(update: (profiles: StoredProfile[]) => Promise<T>): Promise<T> {
+    const write = writeQueue.then(async () => {
+        const profiles = await readProfiles();
+        const result = await update(profiles);
+        await fs.mkdir(path.dirname(PROFILES_FILE), { recursive: true });
+        const tempFile = `${PROFILES_FILE}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(profiles, null, 2));
+        await fs.rename(tempFile, PROFILES_FILE);
+        return result;
+    });
+    writeQueue = write.catch(() => undefined);
+    return write;
+}
+
+function findProfile(profiles: StoredProfile[], profileId: string): StoredProfile {
+    const profile = profiles.find(p => p.id === profileId);
+    if (!profile) {
+        throw new HttpError('Profile not found', 404);
+    }
+    return profile;
+}
+
+/**
+ * Validate profile fields; only fields that are present are checked unless they are required
+ */
+function validateProfileInput(input: ProfileInput, isNew: boolean): void {
+    const errors: string[] = [];
+
+    if (isNew || input.name !== undefined) {
+        if (typeof input.name !== 'string' || input.name.trim() === '' || input.name.length > 100) {
+            errors.push('name is required and must be at most 100 characters');
+        }
+    }
+    if (isNew || input.environmentId !== undefined) {
+        if (!validateEnvironmentId(input.environmentId)) {
+            errors.push('environmentId must be a valid UUID format');
+        }
+    }
+    if (isNew || input.managementApiKey !== undefined) {
+        if (!validateApiKey(input.managementApiKey)) {
+            errors.push('managementApiKey appears to be invalid');
+        }
+    }
+    if (input.secureAssetDeliveryKey !== undefined && input.secureAssetDeliveryKey !== '' &&
+        !validateApiKey(input.secureAssetDeliveryKey)) {
+        errors.push('secureAssetDeliveryKey appears to be invalid');
+    }
+    if (input.kontentUrl !== undefined && input.kontentUrl !== '' && !validateKontentUrl(input.kontentUrl)) {
+        errors.push('kontentUrl must be an http(s) URL');
+    }
+
+    if (errors.length > 0) {
+        throw new HttpError(`Validation errors: ${errors.join(', ')}`);
+    }
+}
+
+/**
+ * Store or remove the secrets given in a profile update
+ * An empty string removes an optional secret.
+ */
+async function applySecrets(profile: StoredProfile, input: ProfileInput): Promise<void> {
+    for (const secret of PROFILE_SECRETS) {
+        const value = input[secret];
+        if (value === undefined) continue;
+
+        if (value === '') {
+            await deleteSecret(getSecretName(profile.id, secret));
+            profile.secrets = profile.secrets.filter(s => s !== secret);
+        } else {
+            await setSecret(getSecretName(profile.id, secret), String(value).trim());
+            if (!profile.secrets.includes(secret)) {
+                profile.secrets.push(secret);
+            }
+        }
+    }
+}
+
+/**
+ * List all profiles
+ */
+export async function listProfiles(): Promise<EnvironmentProfile[]> {
+    return (await readProfiles())
+        .map(toPublicProfile)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a profile
+ */
+export async function getProfile(profileId: string): Promise<EnvironmentProfile> {
+    return toPublicProfile(findProfile(await readProfiles(), profileId));
+}
+
+/**
+ * Create a profile
+ */
+export async function createProfile(input: ProfileInput): Promise<EnvironmentProfile> {
+    assertStoredKeysAllowed();
+    validateProfileInput(input, true);
+
+    return updateProfiles(async profiles => {
+        const now = new Date().toISOString();
+        const profile: StoredProfile = {
+            id: randomUUID(),
+            name: (input.name as string).trim(),
+            environmentId: (input.environmentId as string).trim(),
+            kontentUrl: typeof input.kontentUrl === 'string' && input.kontentUrl !== '' ? input.kontentUrl : undefined,
+            secrets: [],
+            createdAt: now,
+            updatedAt: now
+        };
+        await applySecrets(profile, input);
+        profiles.push(profile);
+        return toPublicProfile(profile);
+    });
+}
+
+/**
+ * Update a profile; secrets are only replaced when given
+ */
+export async function updateProfile(profileId: string, input: ProfileInput): Promise<EnvironmentProfile> {
+    assertStoredKeysAllowed();
+    validateProfileInput(input, false);
+
+    return updateProfiles(async profiles => {
+        const profile = findProfile(profiles, profileId);
+        if (input.name !== undefined) profile.name = (input.name as string).trim();
+        if (input.environmentId !== undefined) profile.environmentId = (input.environmentId as string).trim();
+        if (input.kontentUrl !== undefined) {
+            profile.kontentUrl = input.kontentUrl === '' ? undefined : input.kontentUrl as string;
+        }
+        await applySecrets(profile, input);
+        profile.updatedAt = new Date().toISOString();
+        return toPublicProfile(profile);
+    });
+}
+
+/**
+ * Delete a profile and its secrets
+ */
+export async function deleteProfile(profileId: string): Promise<void> {
+    await updateProfiles(async profiles => {
+        const profile = findProfile(profiles, profileId);
+        for (const secret of profile.secrets) {
+            await deleteSecret(getSecretName(profile.id, secret));
+        }
+        profiles.splice(profiles.indexOf(profile), 1);
+    });
+}
+
+/**
+ * Get the environment ID and keys of a profile, for use by the server only
+ */
+export async function getProfileCredentials(profileId: unknown): Promise<{
+    profile: EnvironmentProfile;
+    apiKey: string;
+    secureAssetDeliveryKey?: string;
+}> {
+    assertStoredKeysAllowed();
+    const profile = (await readProfiles()).find(p => p.id === profileId);
+    if (!profile) {
+        throw new HttpError(`Unknown profile: ${String(profileId)}`);
+    }
+    const apiKey = await getSecret(getSecretName(profile.id, 'managementApiKey'));
+    if (!apiKey) {
+        throw new HttpError(`Profile "${profile.name}" has no Management API key`);
+    }
+    const secureAssetDeliveryKey = profile.secrets.includes('secureAssetDeliveryKey')
+        ? await getSecret(getSecretName(profile.id, 'secureAssetDeliveryKey'))
+        : undefined;
+    return { profile: toPublicProfile(profile), apiKey, secureAssetDeliveryKey };
+}
+
+/**
+ * Replace profile IDs in command options with the profile's environment ID and keys
+ * The command runs against the profile's kontentUrl; a different one sent with it is refused.
+ * @param hosts - Server-held keys the command already uses (from environment aliases)
+ */
+export async function resolveProfiles(
+    command: string,
+    options: CommandOptions,
+    hosts: StoredKeyHost[] = []
+): Promise<CommandOptions> {
+    const resolved: CommandOptions = { ...options };
+
+    for (const field of ENVIRONMENT_FIELDS) {
+        const profileId = resolved[field.profileId];
+        delete resolved[field.profileId];
+        if (profileId === undefined || profileId === null || profileId === '') continue;
+
+        if (resolved[field.apiKey]) {
+            throw new HttpError(`Use either ${field.profileId} or ${field.apiKey}, not both`);
+        }
+        const { profile, apiKey, secureAssetDeliveryKey } = await getProfileCredentials(profileId);
+        if (resolved[field.environmentId] && resolved[field.environmentId] !== profile.environmentId) {
+            throw new HttpError(`${field.environmentId} does not match profile "${profile.name}"`);
+        }
+        resolved[field.environmentId] = profile.environmentId;
+        resolved[field.apiKey] = apiKey;
+        hosts.push({ owner: `profile "${profile.name}"`, kontentUrl: profile.kontentUrl });
+        // Only backups download assets, which is what the secure asset delivery key is for
+        if (command === 'environment backup' && field.profileId === 'profileId' && secureAssetDeliveryKey &&
+            !resolved.secureAssetDeliveryKey) {
+            resolved.secureAssetDeliveryKey = secureAssetDeliveryKey;
+        }
+    }
+
+    pinKontentUrl(resolved, options.kontentUrl, hosts);
+    return resolved;
+}
@@ -0,0 +1,210 @@
+/**
+ * Progress tracking
+ *
+ * Progress is counted in the entities a command processes rather than guessed from
+ * keywords. Output lines are read for counters ("content items 340/1200"), announced
+ * totals ("Found 1200 content items") and lines reporting a single entity ("Exported
+ * content item ..."). Each kind of entity is a phase with its own throughput and ETA;
+ * the phases a command is expected to go through weigh equally in the overall percentage.
+ */
+
+import type { PhaseProgress, StreamMessage } from '../types/index.js';
+
+interface EntityKind {
+    name: string;
+    label: string;
+    // Whole words naming the entity at the start or at the end of a piece of a line
+    atStart: RegExp;
+    atEnd: RegExp;
+}
+
+interface PhaseState {
+    kind: EntityKind;
+    processed: number;
+    total: number | null;
+    startedAt: number;
+}
+
+function entityKind(name: string, label: string, words: string): EntityKind {
+    return { name, label, atStart: new RegExp(`^(?:${words})\\b`, 'i'), atEnd: new RegExp(`\\b(?:${words})$`, 'i') };
+}
+
+// More specific names first: "language variants" before "languages", "asset folders" before "assets"
+const ENTITY_KINDS: EntityKind[] = [
+    entityKind('languageVariants', 'Language variants', 'language[ -]?variants?|variants?'),
+    entityKind('contentItems', 'Content items', 'content[ -]?items?|items?'),
+    entityKind('assetFolders', 'Asset folders', 'asset[ -]?folders?'),
+    entityKind('assets', 'Assets', 'assets?'),
+    entityKind('contentTypeSnippets', 'Snippets', '(?:content[ -]?type[ -]?)?snippets?'),
+    entityKind('contentTypes', 'Content types', 'content[ -]?types?|types?'),
+    entityKind('taxonomies', 'Taxonomies', 'taxonom(?:y|ies)'),
+    entityKind('collections', 'Collections', 'collections?'),
+    entityKind('languages', 'Languages', 'languages?'),
+    entityKind('workflows', 'Workflows', 'workflows?'),
+    entityKind('spaces', 'Spaces', 'spaces?'),
+    entityKind('webSpotlight', 'Web Spotlight', 'web[ -]?spotlight'),
+    entityKind('previewUrls', 'Preview URLs', 'preview[ -]?urls?'),
+    entityKind('webhooks', 'Webhooks', 'webhooks?'),
+    entityKind('roles', 'Roles', 'roles?'),
+    entityKind('migrations', 'Migrations', 'migrations?')
+];
+
+const CONTENT_MODEL = ['taxonomies', 'contentTypeSnippets', 'contentTypes', 'collections', 'spaces', 'languages', 'workflows'];
+
+// Phases each command is expected to go through, in order
+const COMMAND_PHASES: Record<string, string[]> = {
+    'environment backup': [...CONTENT_MODEL, 'assetFolders', 'assets', 'contentItems', 'languageVariants'],
+    'environment restore': [...CONTENT_MODEL, 'assetFolders', 'assets', 'contentItems', 'languageVariants'],
+    'environment clean': ['languageVariants', 'contentItems', 'assets', 'assetFolders', 'contentTypes', 'contentTypeSnippets', 'taxonomies'],
+    'sync run': CONTENT_MODEL,
+    'sync snapshot': CONTENT_MODEL,
+    'sync diff': CONTENT_MODEL,
+    'migrate-content snapshot': ['contentItems', 'languageVariants', 'assets'],
+    'migrate-content run': ['assets', 'contentItems', 'languageVariants'],
+    'migrations run': ['migrations']
+};
+
+// "content items 340/1200", "Assets: 55 / 300", "Processed 340 of 1200 content items"; not
+// dates, paths or versions ("2026/10/19", "v1.2/3"), and only next to the entities counted
+const COUNTER_PATTERN = /(?<![\w./:-])(\d+)\s*(?:\/|\bof\b)\s*(\d+)(?![\w./:-])/i;
+// "Found 1200 content items", "Exporting 300 assets"
+const TOTAL_PATTERN = /\b(?:found|fetched|loaded|exporting|importing|deleting|downloading|uploading|restoring|removing|processing|migrating|running)\s+(\d+)\s+([a-z][a-z -]*)/i;
+// "Exported content item 'Home'", "✓ Deleted asset hero.png"
+const ENTITY_PATTERN = /^\s*(?:[✓✔•*-]\s*)?(?:exported|imported|deleted|downloaded|uploaded|created|updated|upserted|archived|published|removed|processed|migrated|executed)\s+(?:the\s+)?([a-z][a-z -]*)/i;
+
+const MIN_THROUGHPUT_WINDOW_MS = 1000;
+const MAX_PERCENT_BEFORE_COMPLETION = 99;
+
+/**
+ * Entity named at the start or at the end of a piece of a line
+ */
+function findKind(text: string, at: 'start' | 'end'): EntityKind | undefined {
+    const trimmed = at === 'start' ? text.trimStart() : text.replace(/[\s:]+$/, '');
+    return ENTITY_KINDS.find(kind => (at === 'start' ? kind.atStart : kind.atEnd).test(trimmed));
+}
+
+/**
+ * Format a phase like "Content items 340/1200"
+ */
+export function describePhase(phase: PhaseProgress): string {
+    return phase.total !== null
+        ? `${phase.label} ${phase.processed}/${phase.total}`
+        : `${phase.label} ${phase.processed}`;
+}
+
+/**
+ * Tracks the progress of one job from its output
+ */
+export class ProgressTracker {
+    private phases: PhaseState[] = [];
+    private current: PhaseState | null = null;
+    private expected: string[];
+    private percent = 0;
+
+    constructor(command: string) {
+        this.expected = COMMAND_PHASES[command] || [];
+    }
+
+    /**
+     * Read an output line
+     * @returns Progress message if the line moved progress on
+     */
+    update(line: string): StreamMessage | null {
+        const counter = line.match(COUNTER_PATTERN);
+        if (counter) {
+            const index = counter.index ?? 0;
+            const kind = findKind(line.slice(0, index), 'end') ?? findKind(line.slice(index + counter[0].length), 'start');
+            if (kind && Number(counter[1]) <= Number(counter[2])) {
+                const phase = this.enterPhase(kind);
+                phase.processed = Number(counter[1]);
+                phase.total = Number(counter[2]);
+                return this.toMessage();
+            }
+        }
+
+        const total = line.match(TOTAL_PATTERN);
+        if (total) {
+            const kind = findKind(total[2], 'start');
+            if (kind) {
+                this.enterPhase(kind).total = Number(total[1]);
+                return this.toMessage();
+            }
+        }
+
+        const entity = line.match(ENTITY_PATTERN);
+        if (entity) {
+            const kind = findKind(entity[1], 'start');
+            if (kind) {
+                this.enterPhase(kind).processed++;
+                return this.toMessage();
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Name of the phase currently running, so callers can tell phase changes apart
+     */
+    get phase(): string | null {
+        return this.current?.kind.name ?? null;
+    }
+
+    private enterPhase(kind: EntityKind): PhaseState {
+        if (this.current?.kind === kind) {
+            return this.current;
+        }
+        let phase = this.phases.find(p => p.kind === kind);
+        if (!phase) {
+            phase = { kind, processed: 0, total: null, startedAt: Date.now() };
+            this.phases.push(phase);
+        }
+        this.current = phase;
+        return phase;
+    }
+
+    private getPhaseProgress(phase: PhaseState): PhaseProgress {
+        const elapsed = Date.now() - phase.startedAt;
+        const throughput = elapsed >= MIN_THROUGHPUT_WINDOW_MS && phase.processed > 0
+            ? phase.processed / (elapsed / 1000)
+            : null;
+        const remaining = phase.total !== null ? Math.max(phase.total - phase.processed, 0) : null;
+        return {
+            name: phase.kind.name,
+            label: phase.kind.label,
+            processed: phase.processed,
+            total: phase.total,
+            throughput: throughput !== null ? Math.round(throughput * 10) / 10 : null,
+            etaSeconds: throughput !== null && remaining !== null ? Math.round(remaining / throughput) : null
+        };
+    }
+
+    /**
+     * Overall percentage: phases before the current one count as done (expected phases
+     * that never showed up were skipped), the current one by its share processed
+     */
+    private getPercent(): number {
+        const names = [...new Set([...this.expected, ...this.phases.map(p => p.kind.name)])];
+        const currentIndex = this.current ? names.indexOf(this.current.kind.name) : -1;
+        const done = names.reduce((sum, _name, index) => {
+            if (index < currentIndex) return sum + 1;
+            if (index > currentIndex) return sum;
+            const phase = this.current as PhaseState;
+            return sum + (phase.total ? Math.min(phase.processed / phase.total, 1) : 0);
+        }, 0);
+        return names.length > 0 ? (done / names.length) * 100 : 0;
+    }
+
+    private toMessage(): StreamMessage {
+        // Progress never goes back, and only completion makes it 100%
+        this.percent = Math.max(this.percent, Math.min(this.getPercent(), MAX_PERCENT_BEFORE_COMPLETION));
+        const phase = this.getPhaseProgress(this.current as PhaseState);
+        return {
+            type: 'progress',
+            percent: Math.round(this.percent * 10) / 10,
+            stage: phase.label,
+            message: describePhase(phase),
+            phase
+        };
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * Secret redaction
+ *
+ * The secrets a command runs with (Management API keys, delivery keys) are registered
+ * here while they are in use, and text that leaves the process - server logs, streamed
+ * output, stored job logs - passes through redact() first. Arguments naming a key
+ * (--api-key <value>) and bearer tokens are masked even when their value is unknown.
+ */
+
+import type { CommandOptions } from '../types/index.js';
+
+export const REDACTED = '[REDACTED]';
+
+// Option names whose values are secrets
+const SECRET_OPTION_PATTERN = /key|secret|token|password/i;
+
+// Shorter values would mask ordinary words; real keys are much longer
+const MIN_SECRET_LENGTH = 8;
+
+const KEY_ARGUMENT_PATTERN = /(--[a-z-]*(?:key|secret|token|password)(?:=|\s+))(?!\[REDACTED\])("[^"]*"|'[^']*'|\S+)/gi;
+const BEARER_PATTERN = /(Bearer\s+)[A-Za-z0-9\-._~+/]+=*/gi;
+
+// Registered secrets and how many users (jobs, requests) hold each
+const activeSecrets = new Map<string, number>();
+
+/**
+ * Check whether an option holds a secret
+ */
+export function isSecretOption(name: string): boolean {
+    return SECRET_OPTION_PATTERN.test(name);
+}
+
+/**
+ * Get the secret values of command options
+ */
+export function collectSecrets(options: CommandOptions): string[] {
+    return Object.entries(options)
+        .filter(([key, value]) => isSecretOption(key) && typeof value === 'string')
+        .map(([, value]) => (value as string).trim())
+        .filter(value => value.length >= MIN_SECRET_LENGTH);
+}
+
+/**
+ * Register secrets so they are masked everywhere while in use
+ * @returns Function that releases the secrets again; calling it more than once is harmless
+ */
+export function registerSecrets(secrets: string[]): () => void {
+    const registered = secrets.filter(secret => secret.length >= MIN_SECRET_LENGTH);
+    registered.forEach(secret => activeSecrets.set(secret, (activeSecrets.get(secret) ?? 0) + 1));
+
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        registered.forEach(secret => {
+            const count = (activeSecrets.get(secret) ?? 1) - 1;
+            if (count > 0) {
+                activeSecrets.set(secret, count);
+            } else {
+                activeSecrets.delete(secret);
+            }
+        });
+    };
+}
+
+/**
+ * Mask registered secrets, the given secrets, key arguments and bearer tokens in text
+ */
+export function redact(text: string, secrets: Iterable<string> = []): string {
+    const known = new Set([...activeSecrets.keys(), ...Array.from(secrets).filter(s => s.length >= MIN_SECRET_LENGTH)]);
+
+    // Longest first, so a secret containing another one is masked as a whole
+    let result = text;
+    [...known].sort((a, b) => b.length - a.length).forEach(secret => {
+        result = result.split(secret).join(REDACTED);
+    });
+
+    return result
+        .replace(KEY_ARGUMENT_PATTERN, `$1${REDACTED}`)
+        .replace(BEARER_PATTERN, `$1${REDACTED}`);
+}
+
+/**
+ * Mask the values of key arguments in an argument list
+ */
+export function redactArgs(args: string[]): string[] {
+    return args.map((arg, index) => {
+        if (index > 0 && /^--[a-z-]*(key|secret|token|password)$/i.test(args[index - 1])) {
+            return REDACTED;
+        }
+        return redact(arg);
+    });
+}
+
+/**
+ * Replace the values of secret options, keeping their names so it's visible they were given
+ */
+export function redactOptions(options: CommandOptions): CommandOptions {
+    const redacted: CommandOptions = {};
+    for (const [key, value] of Object.entries(options)) {
+        redacted[key] = isSecretOption(key) && value !== undefined && value !== null && value !== ''
+            ? REDACTED
+            : typeof value === 'string' ? redact(value) : value;
+    }
+    return redacted;
+}
+
+/**
+ * Redact any value for logging: strings, errors, and the values of arrays and objects
+ * Logged objects (HTTP errors in particular) can be deep or circular, so nesting is limited.
+ */
+export function redactValue(value: unknown, depth: number = 0, seen: WeakSet<object> = new WeakSet()): unknown {
+    if (typeof value === 'string') {
+        return redact(value);
+    }
+    if (value instanceof Error) {
+        return redact(value.stack || `${value.name}: ${value.message}`);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (seen.has(value) || depth >= 5) {
+        return '[…]';
+    }
+    seen.add(value);
+    if (Array.isArray(value)) {
+        return value.map(item => redactValue(item, depth + 1, seen));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        isSecretOption(key) && typeof item === 'string' && item !== '' ? REDACTED : redactValue(item, depth + 1, seen)
+    ]));
+}
@@ -0,0 +1,304 @@
+/**
+ * Backup retention
+ *
+ * Backups are the files of environment backup jobs and the safety backups destructive
+ * commands take, stored with the other files of their jobs. A retention policy per environment
+ * keeps the newest backups and the newest one of each of the last days, weeks and months;
+ * a background pruner deletes the files of the others and records each deletion in the
+ * audit log. Safety backups, pinned backups and backups a queued or running job reads are
+ * never pruned and don't count toward the rules. Policies are kept in
+ * DATA_DIR/retention.json; environments without one keep all their backups.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import type { ArtifactInfo, AuthUser, BackupInfo, JobMetadata, RetentionPolicy, RetentionRules } from '../types/index.js';
+import { DATA_DIR } from './paths.js';
+import { listJobs, getJob, isJobActive, removeJobArtifacts, updateJobPin } from './jobs.js';
+import { toArtifactReference } from './artifacts.js';
+import { auditBackupPruned } from './audit.js';
+import { validateEnvironmentId } from './validation.js';
+import { HttpError } from './errors.js';
+import { storeDataFile } from './storage.js';
+import { ServerLogger } from './logger.js';
+
+const RETENTION_FILE = path.join(DATA_DIR, 'retention.json');
+const RULES: (keyof RetentionRules)[] = ['keepLast', 'keepDaily', 'keepWeekly', 'keepMonthly'];
+const MAX_RULE_VALUE = 1000;
+const DEFAULT_PRUNE_INTERVAL_MINUTES = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const logger = new ServerLogger();
+
+// Writes are queued so concurrent updates don't overwrite each other
+let writeQueue: Promise<unknown> = Promise.resolve();
+// Prune runs are queued so two never delete the same backup
+let pruneQueue: Promise<unknown> = Promise.resolve();
+
+async function readPolicies(): Promise<RetentionPolicy[]> {
+    try {
+        return JSON.parse(await fs.readFile(RETENTION_FILE, 'utf8'));
+    } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+async function updatePolicies<T>(update: (policies: RetentionPolicy[]) => Promise<T>): Promise<T> {
+    const write = writeQueue.then(async () => {
+        const policies = await readPolicies();
+        const result = await update(policies);
+        await fs.mkdir(path.dirname(RETENTION_FILE), { recursive: true });
+        const tempFile = `${RETENTION_FILE}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(policies, null, 2));
+        await fs.rename(tempFile, RETENTION_FILE);
+        await storeDataFile(RETENTION_FILE);
+        return result;
+    });
+    writeQueue = write.catch(() => undefined);
+    return write;
+}
+
+function getPruneIntervalMinutes(): number {
+    const value = parseInt(process.env.BACKUP_PRUNE_INTERVAL_MINUTES || '', 10);
+    return value > 0 ? value : DEFAULT_PRUNE_INTERVAL_MINUTES;
+}
+
+function toRules(policy: RetentionRules): RetentionRules {
+    return Object.fromEntries(RULES.filter(rule => policy[rule] !== undefined).map(rule => [rule, policy[rule]]));
+}
+
+/**
+ * Check retention rules; a policy without any would prune every backup
+ */
+function validateRules(input: unknown): RetentionRules {
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+        throw new HttpError('Retention rules must be an object');
+    }
+    const rules: RetentionRules = {};
+    for (const rule of RULES) {
+        const value = (input as Record<string, unknown>)[rule];
+        if (value === undefined || value === null) continue;
+        if (!Number.isInteger(value) || (value as number) < 1 || (value as number) > MAX_RULE_VALUE) {
+            throw new HttpError(`${rule} must be a whole number from 1 to ${MAX_RULE_VALUE}`);
+        }
+        rules[rule] = value as number;
+    }
+    if (Object.keys(rules).length === 0) {
+        throw new HttpError(`A retention policy needs at least one of ${RULES.join(', ')}; delete the policy to keep all backups`);
+    }
+    return rules;
+}
+
+/**
+ * List the retention policies
+ */
+export async function listRetentionPolicies(): Promise<RetentionPolicy[]> {
+    return readPolicies();
+}
+
+/**
+ * Set the retention policy of an environment, replacing its rules
+ */
+export async function setRetentionPolicy(environmentId: string, input: unknown, user?: AuthUser): Promise<RetentionPolicy> {
+    if (!validateEnvironmentId(environmentId)) {
+        throw new HttpError('Invalid environment ID format');
+    }
+    const policy: RetentionPolicy = {
+        environmentId,
+        ...validateRules(input),
+        updatedAt: new Date().toISOString(),
+        updatedBy: user?.name ?? user?.id
+    };
+    return updatePolicies(async policies => {
+        const index = policies.findIndex(p => p.environmentId === environmentId);
+        policies.splice(index >= 0 ? index : policies.length, index >= 0 ? 1 : 0, policy);
+        return policy;
+    });
+}
+
+/**
+ * Remove the retention policy of an environment; its backups are kept from then on
+ */
+export async function deleteRetentionPolicy(environmentId: string): Promise<void> {
+    await updatePolicies(async policies => {
+        const index = policies.findIndex(p => p.environmentId === environmentId);
+        if (index < 0) {
+            throw new HttpError('Retention policy not found', 404);
+        }
+        policies.splice(index, 1);
+    });
+}
+
+/**
+ * Why the pruner has to leave a job's backup alone, if it has to
+ */
+function getProtection(job: JobMetadata, kind: BackupInfo['kind'], activeJobs: JobMetadata[]): string | undefined {
+    if (job.pinned) {
+        return `Pinned${job.pinned.by ? ` by ${job.pinned.by}` : ''}`;
+    }
+    if (kind === 'safety-backup') {
+        return `Safety backup of ${job.command}`;
+    }
+    const prefix = toArtifactReference(job.id, '');
+    const reader = activeJobs.find(active => Object.values(active.options).some(value => typeof value === 'string' && value.startsWith(prefix)));
+    return reader ? `Used by job ${reader.id}` : undefined;
+}
+
+function toBackup(
+    job: JobMetadata,
+    kind: BackupInfo['kind'],
+    environmentId: string,
+    artifacts: ArtifactInfo[],
+    createdAt: string,
+    activeJobs: JobMetadata[]
+): BackupInfo {
+    return {
+        jobId: job.id,
+        environmentId,
+        kind,
+        artifacts,
+        size: artifacts.reduce((total, artifact) => total + artifact.size, 0),
+        createdAt,
+        pinned: job.pinned,
+        protectedBy: getProtection(job, kind, activeJobs)
+    };
+}
+
+/**
+ * List the backups whose files are still there, newest first
+ */
+export function listBackups(environmentId?: string): BackupInfo[] {
+    const jobs = listJobs(Infinity);
+    const activeJobs = jobs.filter(isJobActive);
+    const backups: BackupInfo[] = [];
+    for (const job of jobs) {
+        if (isJobActive(job) || !job.artifacts?.length) continue;
+        // Jobs from before backupOf was recorded still name the environment in their options
+        const backupOf = job.backupOf ?? job.options.environmentId;
+        if (job.command === 'environment backup' && job.status === 'succeeded' && typeof backupOf === 'string') {
+            backups.push(toBackup(job, 'backup', backupOf, job.artifacts, job.finishedAt ?? job.createdAt, activeJobs));
+        }
+        const safetyBackup = job.safetyBackup;
+        const file = safetyBackup && job.artifacts.find(artifact => artifact.name === safetyBackup.artifact);
+        if (safetyBackup && file) {
+            backups.push(toBackup(job, 'safety-backup', safetyBackup.environmentId, [file], safetyBackup.createdAt, activeJobs));
+        }
+    }
+    return backups
+        .filter(backup => !environmentId || backup.environmentId === environmentId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Pin or unpin the backup of a job
+ */
+export function pinBackup(jobId: string, pinned: boolean, user?: AuthUser): BackupInfo {
+    if (!getJob(jobId)) {
+        throw new HttpError('Job not found', 404);
+    }
+    if (!listBackups().some(backup => backup.jobId === jobId)) {
+        throw new HttpError(`Job ${jobId} has no backup to pin`);
+    }
+    updateJobPin(jobId, pinned ? { at: new Date().toISOString(), by: user?.name ?? user?.id } : null);
+    return listBackups().find(backup => backup.jobId === jobId) as BackupInfo;
+}
+
+function dayOf(time: number): number {
+    return Math.floor(time / DAY_MS);
+}
+
+// 1 January 1970 was a Thursday; weeks start on Monday
+function weekOf(time: number): number {
+    return Math.floor((dayOf(time) + 3) / 7);
+}
+
+function monthOf(time: number): number {
+    const date = new Date(time);
+    return date.getUTCFullYear() * 12 + date.getUTCMonth();
+}
+
+/**
+ * Pick the backups retention rules don't keep
+ * keepDaily: 7 keeps the newest backup of each of the last 7 days, today included;
+ * weeks and months work the same way.
+ * @param backups - Backups of one environment the pruner may delete
+ */
+export function selectBackupsToPrune(backups: BackupInfo[], rules: RetentionRules, now = new Date()): BackupInfo[] {
+    const newestFirst = [...backups].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const kept = new Set(newestFirst.slice(0, rules.keepLast ?? 0));
+    const periods: [number | undefined, (time: number) => number][] = [
+        [rules.keepDaily, dayOf],
+        [rules.keepWeekly, weekOf],
+        [rules.keepMonthly, monthOf]
+    ];
+    for (const [count, periodOf] of periods) {
+        if (!count) continue;
+        const current = periodOf(now.getTime());
+        const seen = new Set<number>();
+        for (const backup of newestFirst) {
+            const period = periodOf(Date.parse(backup.createdAt));
+            if (current - period < count && !seen.has(period)) {
+                seen.add(period);
+                kept.add(backup);
+            }
+        }
+    }
+    return newestFirst.filter(backup => !kept.has(backup));
+}
+
+/**
+ * Apply the retention policies: delete the files of the backups they don't keep
+ * @param dryRun - Only tell which backups would be deleted
+ * @param user - Who asked for it; the background pruner runs on its own
+ * @returns The backups pruned, or that would be
+ */
+export async function pruneBackups(
+    { dryRun = false, user, now = new Date() }: { dryRun?: boolean; user?: AuthUser; now?: Date } = {}
+): Promise<BackupInfo[]> {
+    const prune = async () => {
+        const pruned: BackupInfo[] = [];
+        for (const policy of await readPolicies()) {
+            const candidates = listBackups(policy.environmentId).filter(backup => !backup.protectedBy);
+            for (const backup of selectBackupsToPrune(candidates, policy, now)) {
+                if (!dryRun) {
+                    try {
+                        await removeJobArtifacts(backup.jobId);
+                    } catch (error) {
+                        logger.warning(`Failed to prune the backup of job ${backup.jobId}`, error);
+                        continue;
+                    }
+                    await auditBackupPruned(backup, toRules(policy), user).catch(() => undefined);
+                    logger.info(`Pruned the backup of environment ${backup.environmentId} made by job ${backup.jobId}`);
+                }
+                pruned.push(backup);
+            }
+        }
+        return pruned;
+    };
+    if (dryRun) {
+        return prune();
+    }
+    const run = pruneQueue.then(prune);
+    pruneQueue = run.catch(() => undefined);
+    return run;
+}
+
+/**
+ * Start the background pruner: now, then every BACKUP_PRUNE_INTERVAL_MINUTES
+ * Called once jobs are loaded, so all backups are known.
+ */
+export function initRetention(): void {
+    const prune = () => {
+        pruneBackups()
+            .then(pruned => {
+                if (pruned.length > 0) {
+                    logger.info(`Retention policies pruned ${pruned.length} backup(s)`);
+                }
+            })
+            .catch(error => logger.error('Failed to prune backups', error));
+    };
+    prune();
+    // The pruner alone doesn't keep the process running
+    setInterval(prune, getPruneIntervalMinutes() * 60 * 1000).unref();
+}
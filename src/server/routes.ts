@@ -4,13 +4,41 @@
 
 import express, { Request, Response } from 'express';
 import path from 'path';
+import { pipeline } from 'stream/promises';
 import { fileURLToPath } from 'url';
-import { ManagementClient } from '@kontent-ai/management-sdk';
-import type { CommandDefinition, EntityResponse, StreamMessage, ProgressStages } from '../types/index.js';
+import type { AuditQuery, AuthUser, CommandDefinition, CommandOption, CommandOptions, EntityResponse, JobEvent, JobMetadata, StreamMessage } from '../types/index.js';
 import { rateLimitMiddleware } from './rateLimit.js';
-import { executeDataOpsCommand } from './executor.js';
-import { validateEnvironmentId, validateApiKey } from './validation.js';
-import { getErrorSolution } from './errors.js';
+import { authenticate, requireRole, hasRole, assertCommandAllowed, getCommandRoles, isAuthEnabled, issueDownloadToken } from './auth.js';
+import { auditCommandDenied, queryAudit, toAuditCsv } from './audit.js';
+import { startJob, prepareRollback, startRollbackJob, getJob, listJobs, getJobEvents, subscribeToJob, cancelJob, isValidJobId, isJobActive } from './jobs.js';
+import { resolveArtifactPath, findLocalArtifact, getArtifactKey } from './artifacts.js';
+import { getStorage } from './storage.js';
+import { isSafetyBackupEnforced } from './safetyBackup.js';
+import { requiresConfirmation, createConfirmation } from './confirmations.js';
+import { createSyncPlan } from './syncPlans.js';
+import { renderSyncDiffHtml } from './syncDiff.js';
+import { listSnapshots, updateSnapshotTags, deleteSnapshot, diffSnapshots, toSnapshotReference } from './snapshots.js';
+import { inspectArchive, listArchiveItems, getArchiveItem, openArchiveEntityFile } from './backupArchives.js';
+import { listSchedules, getSchedule, createSchedule, updateSchedule, deleteSchedule, triggerSchedule } from './schedules.js';
+import {
+    listBackups, pinBackup, listRetentionPolicies, setRetentionPolicy, deleteRetentionPolicy, pruneBackups
+} from './retention.js';
+import { prepareDataOpsCommand } from './executor.js';
+import {
+    createUpload, getUpload, appendUploadChunk, completeUpload, removeUpload, listUploads,
+    getUserWorkspaceId, isUploadReference, parseUploadReference, UPLOAD_CHUNK_SIZE, MAX_UPLOAD_SIZE
+} from './uploads.js';
+import { listMigrationFolders, getMigrationStatus } from './migrations.js';
+import {
+    getConfiguredEnvironments, getEnvironmentKeySecretName, getEnvironmentApiKey, isCommandAllowed, pinKontentUrl
+} from './environments.js';
+import type { StoredKeyHost } from './environments.js';
+import { createManagementClient } from './managementApi.js';
+import { listSecretNames } from './secrets.js';
+import { collectSecrets, redact, registerSecrets } from './redaction.js';
+import { listProfiles, getProfile, createProfile, updateProfile, deleteProfile, getProfileCredentials } from './profiles.js';
+import { validateEnvironmentId, validateApiKey, validateKontentUrl } from './validation.js';
+import { getErrorSolution, HttpError } from './errors.js';
 import { ServerLogger } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -32,10 +60,28 @@ const syncEntityChoices = [
     'workflows'
 ];
 
+// Item selection shared by migrate-content snapshot and run
+// Codename lists are entered comma-separated; collections are turned into a Delivery API filter
+const migrateContentSelectionOptions: CommandOption[] = [
+    { id: 'language', label: 'Language Codename', type: 'text', required: true, placeholder: 'e.g. default' },
+    { id: 'items', label: 'Content Item Codenames', type: 'text', required: false, placeholder: 'Comma-separated item codenames' },
+    { id: 'byTypesCodenames', label: 'Content Type Codenames', type: 'text', required: false, placeholder: 'Comma-separated content type codenames' },
+    { id: 'collections', label: 'Collection Codenames', type: 'text', required: false, placeholder: 'Comma-separated collection codenames' },
+    { id: 'filter', label: 'Delivery API Filter', type: 'text', required: false, placeholder: 'e.g. system.workflow_step=published' },
+    { id: 'sourceDeliveryPreviewKey', label: 'Source Delivery Preview API Key', type: 'password', required: false, placeholder: 'Required when selecting by content types, collections or filter' },
+    { id: 'depth', label: 'Linked Items Depth', type: 'number', required: false },
+    { id: 'limit', label: 'Delivery API Page Size', type: 'number', required: false }
+];
+
 /**
  * Get available commands
  */
 export function getCommands(): Record<string, CommandDefinition> {
+    // Without a choice when the server backs up before every destructive command
+    const safetyBackupOptions: CommandOption[] = isSafetyBackupEnforced() ? [] : [
+        { id: 'safetyBackup', label: 'Back Up Target First', type: 'checkbox', required: false }
+    ];
+
     return {
         'environment backup': {
             name: 'Environment Backup',
@@ -58,23 +104,24 @@ export function getCommands(): Record<string, CommandDefinition> {
             options: [
                 { id: 'environmentId', label: 'Environment ID', type: 'text', required: true, placeholder: 'Enter environment ID' },
                 { id: 'apiKey', label: 'Management API Key', type: 'password', required: true, placeholder: 'Enter Management API key (not Delivery API key)' },
-                { id: 'fileName', label: 'Backup File Name', type: 'text', required: true, placeholder: 'backup.zip' },
+                { id: 'fileName', label: 'Backup File Name', type: 'text', required: true, placeholder: 'backup.zip or choose a file to upload', upload: true, inspectable: true },
                 { id: 'include', label: 'Include Entities', type: 'entity-multiselect', fetchable: true, required: false },
                 { id: 'exclude', label: 'Exclude Entities', type: 'entity-multiselect', fetchable: true, required: false },
                 { id: 'excludeInactiveLanguages', label: 'Exclude Inactive Languages', type: 'checkbox', required: false },
+                ...safetyBackupOptions,
                 { id: 'kontentUrl', label: 'Custom Kontent URL', type: 'text', required: false, placeholder: 'Optional: Custom URL for Kontent.ai endpoints (defaults to kontent.ai)' }
             ]
         },
         'environment clean': {
             name: 'Environment Clean',
             description: 'Removes all content, assets and configuration from a Kontent.ai environment.',
-            tooltip: '⚠️ WARNING: This permanently removes all content from your environment. Use with caution!',
+            tooltip: '⚠️ WARNING: This permanently removes all content from your environment. Use with caution! You will be shown what is about to be deleted and asked to type the environment\'s name to confirm.',
             options: [
                 { id: 'environmentId', label: 'Environment ID', type: 'text', required: true, placeholder: 'Enter environment ID' },
                 { id: 'apiKey', label: 'Management API Key', type: 'password', required: true, placeholder: 'Enter Management API key (not Delivery API key)' },
                 { id: 'include', label: 'Include Entities', type: 'entity-multiselect', fetchable: true, required: false },
                 { id: 'exclude', label: 'Exclude Entities', type: 'entity-multiselect', fetchable: true, required: false },
-                { id: 'skipWarning', label: 'Skip Warning', type: 'checkbox', required: false },
+                ...safetyBackupOptions,
                 { id: 'kontentUrl', label: 'Custom Kontent URL', type: 'text', required: false, placeholder: 'Optional: Custom URL for Kontent.ai endpoints (defaults to kontent.ai)' }
             ]
         },
@@ -88,8 +135,9 @@ export function getCommands(): Record<string, CommandDefinition> {
                 { id: 'entities', label: 'Entities to Sync', type: 'multiselect', options: syncEntityChoices, required: true },
                 { id: 'sourceEnvironmentId', label: 'Source Environment ID', type: 'text', required: false, placeholder: 'Enter source environment ID' },
                 { id: 'sourceApiKey', label: 'Source Management API Key', type: 'password', required: false, placeholder: 'Enter source Management API key (not Delivery API key)' },
-                { id: 'folderName', label: 'Source Folder Name', type: 'text', required: false, placeholder: 'Or use folder with snapshot' },
+                { id: 'folderName', label: 'Source Folder Name', type: 'text', required: false, placeholder: 'Or use folder with snapshot', snapshots: true },
                 { id: 'skipConfirmation', label: 'Skip Confirmation', type: 'checkbox', required: false },
+                ...safetyBackupOptions,
                 { id: 'kontentUrl', label: 'Custom Kontent URL', type: 'text', required: false, placeholder: 'Optional: Custom URL for Kontent.ai endpoints (defaults to kontent.ai)' }
             ]
         },
@@ -108,23 +156,263 @@ export function getCommands(): Record<string, CommandDefinition> {
         'sync diff': {
             name: 'Sync Diff',
             description: 'Compares content models from two Kontent.ai environments.',
-            tooltip: 'Generates a diff report showing differences between two environments or between an environment and a snapshot folder.',
+            tooltip: 'Shows the differences between two environments, or between an environment and a snapshot folder. Diffs are shown in the app and can be downloaded as HTML or JSON.',
             options: [
                 { id: 'targetEnvironmentId', label: 'Target Environment ID', type: 'text', required: true, placeholder: 'Enter target environment ID' },
                 { id: 'targetApiKey', label: 'Target Management API Key', type: 'password', required: true, placeholder: 'Enter target Management API key (not Delivery API key)' },
                 { id: 'sourceEnvironmentId', label: 'Source Environment ID', type: 'text', required: false, placeholder: 'Enter source environment ID' },
                 { id: 'sourceApiKey', label: 'Source Management API Key', type: 'password', required: false, placeholder: 'Enter source Management API key (not Delivery API key)' },
-                { id: 'folderName', label: 'Source Folder Name', type: 'text', required: false, placeholder: 'Or use folder with snapshot' },
+                { id: 'folderName', label: 'Source Folder Name', type: 'text', required: false, placeholder: 'Or use folder with snapshot', snapshots: true },
                 { id: 'entities', label: 'Entities to Diff', type: 'multiselect', options: syncEntityChoices, required: false },
-                { id: 'advanced', label: 'Generate Advanced Diff HTML', type: 'checkbox', required: false, implies: ['outPath'] },
-                { id: 'outPath', label: 'Output Path', type: 'text', required: false, placeholder: 'Path for diff output (required with advanced)', dependsOn: 'advanced' },
-                { id: 'noOpen', label: 'Don\'t Open Automatically', type: 'checkbox', required: false, dependsOn: 'advanced' },
                 { id: 'kontentUrl', label: 'Custom Kontent URL', type: 'text', required: false, placeholder: 'Optional: Custom URL for Kontent.ai endpoints (defaults to kontent.ai)' }
             ]
+        },
+        'migrate-content snapshot': {
+            name: 'Migrate Content Snapshot',
+            description: 'Creates a zip snapshot of selected content items and their assets from a Kontent.ai environment.',
+            tooltip: 'Exports content items (and the assets they use) in one language. Select items by codename, or by content types, collections or a Delivery API filter. The snapshot can later be imported with migrate-content run.',
+            options: [
+                { id: 'sourceEnvironmentId', label: 'Source Environment ID', type: 'text', required: true, placeholder: 'Enter source environment ID' },
+                { id: 'sourceApiKey', label: 'Source Management API Key', type: 'password', required: true, placeholder: 'Enter source Management API key (not Delivery API key)' },
+                ...migrateContentSelectionOptions,
+                { id: 'filename', label: 'Output File Name', type: 'text', required: false, placeholder: 'Optional: snapshot zip file name' },
+                { id: 'kontentUrl', label: 'Custom Kontent URL', type: 'text', required: false, placeholder: 'Optional: Custom URL for Kontent.ai endpoints (defaults to kontent.ai)' }
+            ]
+        },
+        'migrate-content run': {
+            name: 'Migrate Content Run',
+            description: 'Migrates content items and their assets into a Kontent.ai environment.',
+            tooltip: 'Imports content items either from a snapshot zip created by migrate-content snapshot, or directly from a source environment using the same item selection as the snapshot command.',
+            options: [
+                { id: 'targetEnvironmentId', label: 'Target Environment ID', type: 'text', required: true, placeholder: 'Enter target environment ID' },
+                { id: 'targetApiKey', label: 'Target Management API Key', type: 'password', required: true, placeholder: 'Enter target Management API key (not Delivery API key)' },
+                { id: 'filename', label: 'Snapshot File Name', type: 'text', required: false, placeholder: 'Snapshot zip, or use a source environment below', upload: true },
+                { id: 'sourceEnvironmentId', label: 'Source Environment ID', type: 'text', required: false, placeholder: 'Enter source environment ID' },
+                { id: 'sourceApiKey', label: 'Source Management API Key', type: 'password', required: false, placeholder: 'Enter source Management API key (not Delivery API key)' },
+                ...migrateContentSelectionOptions.map(option => ({ ...option, required: false })),
+                { id: 'skipFailedItems', label: 'Skip Failed Items', type: 'checkbox', required: false },
+                { id: 'kontentUrl', label: 'Custom Kontent URL', type: 'text', required: false, placeholder: 'Optional: Custom URL for Kontent.ai endpoints (defaults to kontent.ai)' }
+            ]
+        },
+        'migrations add': {
+            name: 'Migrations Add',
+            description: 'Creates a new migration script in a migrations folder on the server.',
+            tooltip: 'Generates a migration template with run and rollback functions. Migrations are ordered by a number, or by a timestamp when enabled.',
+            options: [
+                { id: 'migrationsFolder', label: 'Migrations Folder', type: 'text', required: true, placeholder: 'Folder inside the server\'s migrations directory, e.g. .' },
+                { id: 'name', label: 'Migration Name', type: 'text', required: true, placeholder: 'e.g. add_article_type' },
+                { id: 'type', label: 'Script Type', type: 'select', options: ['ts', 'js'], required: false },
+                { id: 'timestamp', label: 'Order by Timestamp', type: 'checkbox', required: false }
+            ]
+        },
+        'migrations run': {
+            name: 'Migrations Run',
+            description: 'Runs or rolls back migration scripts against a Kontent.ai environment.',
+            tooltip: 'Executes migrations from a folder on the server. Choose a single migration, a range (from:to), the next N pending migrations, or all of them. Enable rollback to undo them instead. Applied migrations are recorded in the folder\'s status file.',
+            options: [
+                { id: 'environmentId', label: 'Environment ID', type: 'text', required: true, placeholder: 'Enter environment ID' },
+                { id: 'apiKey', label: 'Management API Key', type: 'password', required: true, placeholder: 'Enter Management API key (not Delivery API key)' },
+                { id: 'migrationsFolder', label: 'Migrations Folder', type: 'text', required: true, placeholder: 'Folder inside the server\'s migrations directory, e.g. .' },
+                { id: 'name', label: 'Migration Name', type: 'text', required: false, placeholder: 'Run a single migration' },
+                { id: 'range', label: 'Range', type: 'text', required: false, placeholder: 'Or a range of orders, e.g. 1:5' },
+                { id: 'next', label: 'Next N Migrations', type: 'number', required: false },
+                { id: 'all', label: 'All Migrations', type: 'checkbox', required: false },
+                { id: 'rollback', label: 'Rollback', type: 'checkbox', required: false },
+                { id: 'continueOnError', label: 'Continue on Error', type: 'checkbox', required: false },
+                { id: 'kontentUrl', label: 'Custom Kontent URL', type: 'text', required: false, placeholder: 'Optional: Custom URL for Kontent.ai endpoints (defaults to kontent.ai)' }
+            ]
+        }
+    };
+}
+
+/**
+ * Write a Server-Sent Events message
+ */
+function writeStreamMessage(res: Response, message: StreamMessage | JobEvent): void {
+    if ('seq' in message) {
+        res.write(`id: ${message.seq}\ndata: ${JSON.stringify(message)}\n\n`);
+    } else {
+        res.write(`data: ${JSON.stringify(message)}\n\n`);
+    }
+}
+
+/**
+ * Stream a job's events to the client
+ * Replays everything after afterSeq, then follows the job until it ends or the client detaches.
+ */
+async function streamJob(req: Request, res: Response, jobId: string, afterSeq: number): Promise<void> {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    // CORS headers already set by cors middleware
+    res.flushHeaders();
+    
+    // Subscribe before replaying so no event falls between the two; duplicates are skipped by seq
+    let lastSentSeq = afterSeq;
+    const pending: JobEvent[] = [];
+    let replaying = true;
+    
+    const send = (event: JobEvent) => {
+        if (event.seq <= lastSentSeq) return;
+        writeStreamMessage(res, event);
+        lastSentSeq = event.seq;
+    };
+    
+    let ended = false;
+    const end = () => {
+        if (ended) return;
+        ended = true;
+        res.end();
+    };
+    
+    const unsubscribe = subscribeToJob(
+        jobId,
+        event => (replaying ? pending.push(event) : send(event)),
+        () => {
+            if (!replaying) end();
+        }
+    );
+    
+    // Detaching only stops streaming, the job itself keeps running
+    req.on('close', () => {
+        unsubscribe();
+        if (!ended) {
+            ended = true;
+            logger.info(`Client detached from job ${jobId}`);
+        }
+    });
+    
+    const replay = await getJobEvents(jobId, afterSeq);
+    replay.forEach(send);
+    pending.forEach(send);
+    replaying = false;
+    
+    const job = getJob(jobId);
+    if (!job || !isJobActive(job)) {
+        unsubscribe();
+        end();
+    }
+}
+
+/**
+ * Stream a file of the artifact storage, answering a single Range like res.download does
+ * @returns false if the storage has no such file
+ */
+async function sendStoredFile(req: Request, res: Response, key: string, fileName: string): Promise<boolean> {
+    const storage = getStorage();
+    const stored = await storage.stat(key);
+    if (!stored) return false;
+
+    const ranges = req.headers.range ? req.range(stored.size) : undefined;
+    if (ranges === -1) {
+        res.status(416).set('Content-Range', `bytes */${stored.size}`).end();
+        return true;
+    }
+    // Malformed and multiple ranges get the whole file
+    const range = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ? ranges[0] : undefined;
+    const stream = await storage.createReadStream(key, range);
+
+    res.attachment(fileName);
+    res.set('Accept-Ranges', 'bytes');
+    res.set('Last-Modified', new Date(stored.lastModified).toUTCString());
+    if (range) {
+        res.status(206);
+        res.set('Content-Range', `bytes ${range.start}-${range.end}/${stored.size}`);
+    }
+    res.set('Content-Length', String(range ? range.end - range.start + 1 : stored.size));
+    await pipeline(stream, res);
+    return true;
+}
+
+/**
+ * Get the workspace a request works in: the caller's own (uploads are kept per workspace)
+ */
+function getWorkspaceId(req: Request): string {
+    return getUserWorkspaceId(req.user);
+}
+
+/**
+ * Get the backup archive a request inspects (?reference=)
+ */
+function getArchiveReference(req: Request): string {
+    const { reference } = req.query;
+    if (typeof reference !== 'string' || !reference) {
+        throw new HttpError('The reference of a backup archive is required');
+    }
+    return reference;
+}
+
+/**
+ * Check that the caller may read a job's output and files, which hold environment data
+ * Viewers only see the jobs they started themselves.
+ */
+function assertJobOutputAllowed(req: Request, job: JobMetadata): void {
+    if (!hasRole(req.user, 'operator') && (!job.startedBy || job.startedBy.id !== req.user?.id)) {
+        throw new HttpError('The output and files of jobs are open to operators and to the user who started the job', 403);
+    }
+}
+
+/**
+ * Check that the caller may run a command; refusals are recorded in the audit log
+ */
+function authorizeCommand(req: Request, command: string, options: CommandOptions = {}): void {
+    try {
+        assertCommandAllowed(req.user, command);
+        // Uploads are only open to the user who uploaded them
+        Object.values(options || {}).forEach(value => {
+            if (isUploadReference(value) && parseUploadReference(value)?.workspaceId !== getWorkspaceId(req)) {
+                throw new HttpError('Upload not found', 404);
+            }
+        });
+    } catch (error) {
+        auditCommandDenied(command, options, req.user, error instanceof Error ? error.message : String(error)).catch(() => undefined);
+        throw error;
+    }
+}
+
+/**
+ * Read audit log filters from the query string
+ */
+function getAuditQuery(req: Request): AuditQuery {
+    const text = (name: string) => typeof req.query[name] === 'string' && req.query[name] !== '' ? req.query[name] as string : undefined;
+    const limit = text('limit') ? parseInt(text('limit') as string, 10) : undefined;
+    if (limit !== undefined && isNaN(limit)) {
+        throw new HttpError('limit must be a number');
+    }
+    for (const name of ['from', 'to']) {
+        const value = text(name);
+        if (value && isNaN(Date.parse(value))) {
+            throw new HttpError(`${name} must be an ISO date, e.g. 2024-01-31 or 2024-01-31T12:00:00Z`);
         }
+    }
+    return {
+        from: text('from'),
+        to: text('to'),
+        userId: text('userId'),
+        command: text('command'),
+        environmentId: text('environmentId'),
+        status: text('status'),
+        jobId: text('jobId'),
+        limit
     };
 }
 
+/**
+ * Answer with the status of an HttpError, or 500 for anything unexpected
+ */
+function sendError(res: Response, error: unknown, fallbackMessage: string): void {
+    if (error instanceof HttpError) {
+        res.status(error.status).json({ error: error.message, solution: getErrorSolution(error) });
+        return;
+    }
+    logger.error(fallbackMessage, error);
+    res.status(500).json({
+        error: fallbackMessage,
+        solution: getErrorSolution(error),
+        details: process.env.NODE_ENV === 'development' ? (error instanceof Error ? error.message : String(error)) : undefined
+    });
+}
+
 /**
  * Setup API routes
  */
@@ -144,15 +432,67 @@ export function setupRoutes(app: express.Application): void {
         }
     });
 
+    // Every API route needs an authenticated caller (when authentication is configured)
+    app.use('/api', authenticate);
+
+    // The signed-in user and the roles commands need
+    app.get('/api/auth/me', rateLimitMiddleware, (req: Request, res: Response) => {
+        try {
+            res.json({ authEnabled: isAuthEnabled(), user: req.user, commandRoles: getCommandRoles() });
+        } catch (error) {
+            sendError(res, error, 'Failed to get user');
+        }
+    });
+
+    // A single-use token for a download link (links can't send the Authorization header)
+    app.post('/api/downloads', rateLimitMiddleware, (req: Request, res: Response) => {
+        try {
+            res.json(issueDownloadToken(req.body?.path, req.user as AuthUser));
+        } catch (error) {
+            sendError(res, error, 'Failed to issue download token');
+        }
+    });
+
     // Get available commands
     app.get('/api/commands', rateLimitMiddleware, (_req: Request, res: Response) => {
         res.json(getCommands());
     });
 
     // Fetch entities endpoint (content types, taxonomies, etc.)
-    app.post('/api/fetch-entities', rateLimitMiddleware, async (req: Request, res: Response) => {
+    app.post('/api/fetch-entities', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
+        let releaseSecrets = () => {};
         try {
-            const { environmentId, apiKey } = req.body;
+            let { environmentId, apiKey } = req.body;
+            const hosts: StoredKeyHost[] = [];
+            
+            // A configured environment brings its server-held API key
+            if (req.body.environmentAlias) {
+                const environment = getConfiguredEnvironments().find(env => env.alias === req.body.environmentAlias);
+                if (!environment) {
+                    throw new HttpError(`Unknown environment alias: ${String(req.body.environmentAlias)}`);
+                }
+                environmentId = environment.environmentId;
+                apiKey = await getEnvironmentApiKey(environment);
+                hosts.push({ owner: `environment "${environment.label}"`, kontentUrl: environment.kontentUrl });
+            }
+
+            // A vault profile brings its stored API key
+            if (req.body.profileId) {
+                if (apiKey) {
+                    throw new HttpError('Use either profileId or apiKey, not both');
+                }
+                const credentials = await getProfileCredentials(req.body.profileId);
+                environmentId = credentials.profile.environmentId;
+                apiKey = credentials.apiKey;
+                hosts.push({ owner: `profile "${credentials.profile.name}"`, kontentUrl: credentials.profile.kontentUrl });
+            }
+
+            // Server-held keys only go to the URL stored with them
+            const target: CommandOptions = { kontentUrl: req.body.kontentUrl };
+            pinKontentUrl(target, req.body.kontentUrl, hosts);
+            if (target.kontentUrl !== undefined && !validateKontentUrl(target.kontentUrl)) {
+                throw new HttpError('kontentUrl must be an http(s) URL');
+            }
             
             // Validate input
             if (!environmentId || !apiKey) {
@@ -177,12 +517,14 @@ export function setupRoutes(app: express.Application): void {
                 });
             }
             
+            // SDK errors can echo the key; keep it out of the logs
+            releaseSecrets = registerSecrets([apiKey]);
             logger.info(`Fetching entities for environment: ${environmentId}`);
             
-            // Create Management API client with timeout
-            const client = new ManagementClient({
+            const client = createManagementClient({
                 environmentId: environmentId as string,
-                apiKey: apiKey as string
+                apiKey: apiKey as string,
+                kontentUrl: target.kontentUrl
             });
             
             // Fetch all entities in parallel with error handling
@@ -236,6 +578,10 @@ export function setupRoutes(app: express.Application): void {
             return;
             
         } catch (error) {
+            if (error instanceof HttpError) {
+                sendError(res, error, 'Failed to fetch entities');
+                return;
+            }
             logger.error('Failed to fetch entities', error);
             
             // Provide user-friendly error messages
@@ -256,14 +602,16 @@ export function setupRoutes(app: express.Application): void {
             res.status(500).json({
                 error: errorMessage,
                 solution: solution,
-                details: process.env.NODE_ENV === 'development' ? (error instanceof Error ? error.message : String(error)) : undefined
+                details: process.env.NODE_ENV === 'development' ? redact(error instanceof Error ? error.message : String(error)) : undefined
             });
             return;
+        } finally {
+            releaseSecrets();
         }
     });
 
     // Execute command endpoint
-    app.post('/api/execute', rateLimitMiddleware, async (req: Request, res: Response) => {
+    app.post('/api/execute', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
         try {
             const { command, options } = req.body;
             
@@ -292,133 +640,19 @@ export function setupRoutes(app: express.Application): void {
                 });
             }
             
+            authorizeCommand(req, command, options);
             logger.info(`Command execution requested: ${command}`);
             
-            // Get child process with proper typing for streaming
-            const childProcess = await executeDataOpsCommand(command, options || {});
-            
-            // Set up response for streaming
-            res.setHeader('Content-Type', 'text/event-stream');
-            res.setHeader('Cache-Control', 'no-cache');
-            res.setHeader('Connection', 'keep-alive');
-            // CORS headers already set by cors middleware
-            
-            // Send initial connection message
-            const connectedMsg: StreamMessage = { type: 'connected', message: 'Connected to command stream' };
-            res.write(`data: ${JSON.stringify(connectedMsg)}\n\n`);
-            
-            // Track progress stages
-            let lastProgressUpdate = 0;
-            const progressStages: ProgressStages = {
-                'environment backup': [
-                    { pattern: /backing up|starting backup/i, percent: 10, stage: 'Starting backup...' },
-                    { pattern: /fetching.*content|retrieving/i, percent: 30, stage: 'Fetching content...' },
-                    { pattern: /processing.*assets|downloading.*assets/i, percent: 50, stage: 'Processing assets...' },
-                    { pattern: /creating.*zip|compressing/i, percent: 80, stage: 'Creating backup file...' },
-                    { pattern: /backup.*complete|finished/i, percent: 100, stage: 'Backup complete!' }
-                ],
-                'environment restore': [
-                    { pattern: /restoring|starting restore/i, percent: 10, stage: 'Starting restore...' },
-                    { pattern: /extracting|unzipping/i, percent: 20, stage: 'Extracting backup...' },
-                    { pattern: /uploading|importing/i, percent: 50, stage: 'Importing data...' },
-                    { pattern: /restore.*complete|finished/i, percent: 100, stage: 'Restore complete!' }
-                ],
-                'sync run': [
-                    { pattern: /syncing|starting sync/i, percent: 10, stage: 'Starting sync...' },
-                    { pattern: /comparing|analyzing/i, percent: 30, stage: 'Comparing environments...' },
-                    { pattern: /applying.*changes|updating/i, percent: 60, stage: 'Applying changes...' },
-                    { pattern: /sync.*complete|finished/i, percent: 100, stage: 'Sync complete!' }
-                ]
-            };
-            
-            const commandStages = progressStages[command] || [];
-            
-            // Stream stdout - childProcess.stdout is a Readable stream when stdio is 'pipe'
-            const stdout = childProcess.stdout;
-            if (stdout && typeof stdout === 'object' && 'on' in stdout) {
-                (stdout as NodeJS.ReadableStream).on('data', (data: Buffer) => {
-                    const output = data.toString();
-                    const lines = output.split('\n').filter(line => line.trim());
-                    lines.forEach(line => {
-                        // Check for progress indicators
-                        for (const stage of commandStages) {
-                            if (stage.pattern.test(line) && Date.now() - lastProgressUpdate > 500) {
-                                const progressMsg: StreamMessage = { 
-                                    type: 'progress', 
-                                    percent: stage.percent, 
-                                    message: line, 
-                                    stage: stage.stage 
-                                };
-                                res.write(`data: ${JSON.stringify(progressMsg)}\n\n`);
-                                lastProgressUpdate = Date.now();
-                                break;
-                            }
-                        }
-                        
-                        // Always send as output too
-                        const outputMsg: StreamMessage = { type: 'output', level: 'info', message: line };
-                        res.write(`data: ${JSON.stringify(outputMsg)}\n\n`);
-                    });
-                });
-            }
-            
-            // Stream stderr - childProcess.stderr is a Readable stream when stdio is 'pipe'
-            const stderr = childProcess.stderr;
-            if (stderr && typeof stderr === 'object' && 'on' in stderr) {
-                (stderr as NodeJS.ReadableStream).on('data', (data: Buffer) => {
-                    const output = data.toString();
-                    const lines = output.split('\n').filter(line => line.trim());
-                    lines.forEach(line => {
-                        const errorMsg: StreamMessage = { type: 'output', level: 'error', message: line };
-                        res.write(`data: ${JSON.stringify(errorMsg)}\n\n`);
-                    });
-                });
-            }
-            
-            // Type assertion needed because TypeScript doesn't recognize the extended type from executor
-            const cp = childProcess as unknown as NodeJS.EventEmitter & { killed: boolean; kill: (signal: string) => void };
-            
-            // Handle completion - childProcess is an EventEmitter
-            cp.on('close', (code: number | null) => {
-                if (code === 0) {
-                    const completeMsg: StreamMessage = { 
-                        type: 'complete', 
-                        success: true, 
-                        message: 'Command completed successfully' 
-                    };
-                    res.write(`data: ${JSON.stringify(completeMsg)}\n\n`);
-                } else {
-                    const completeMsg: StreamMessage = { 
-                        type: 'complete', 
-                        success: false, 
-                        message: `Command exited with code ${code}` 
-                    };
-                    res.write(`data: ${JSON.stringify(completeMsg)}\n\n`);
-                }
-                res.end();
-            });
-            
-            // Handle errors
-            cp.on('error', (error: Error) => {
-                logger.error('Command execution error', error);
-                const errorMsg: StreamMessage = { type: 'error', message: error.message };
-                res.write(`data: ${JSON.stringify(errorMsg)}\n\n`);
-                res.end();
-            });
-            
-            // Handle client disconnect or cancellation
-            req.on('close', () => {
-                if (!cp.killed) {
-                    cp.kill('SIGTERM');
-                    logger.info('Client disconnected, terminating command');
-                }
-            });
-            
-            // Note: This endpoint uses Server-Sent Events, response is kept open for streaming
-            // The response is handled asynchronously via event listeners
+            // The job keeps running if this client disconnects; it can re-attach via /api/jobs/:id/stream
+            const job = await startJob(command, options || {}, req.user, { confirmation: req.body.confirmation, planId: req.body.planId });
+            await streamJob(req, res, job.id, 0);
             return;
             
         } catch (error) {
+            if (error instanceof HttpError && !res.headersSent) {
+                sendError(res, error, 'Failed to execute command');
+                return;
+            }
             logger.error('Failed to execute command', error);
             
             // Provide user-friendly error messages
@@ -447,13 +681,679 @@ export function setupRoutes(app: express.Application): void {
                 return;
             } else {
                 const errorMsg: StreamMessage = { type: 'error', message: errorMessage, solution: solution };
-                res.write(`data: ${JSON.stringify(errorMsg)}\n\n`);
+                writeStreamMessage(res, errorMsg);
                 res.end();
                 return;
             }
         }
     });
 
+    // Summarize what a command needing a typed confirmation would delete, with the token confirming it
+    // The token and the typed environment name are then sent as `confirmation` when starting the job
+    app.post('/api/jobs/confirmations', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
+        let releaseSecrets = () => {};
+        try {
+            const { command, options } = req.body;
+            if (typeof command !== 'string' || !requiresConfirmation(command)) {
+                throw new HttpError(`${String(command)} does not need a confirmation`);
+            }
+            authorizeCommand(req, command, options);
+            const resolvedOptions = await prepareDataOpsCommand(command, options || {});
+            // SDK errors can echo the key; keep it out of the logs
+            releaseSecrets = registerSecrets(collectSecrets(resolvedOptions));
+            res.json(await createConfirmation(command, resolvedOptions, req.user));
+        } catch (error) {
+            const message = error instanceof Error ? error.message : '';
+            sendError(res, message.startsWith('Validation errors') ? new HttpError(message) : error, 'Failed to prepare confirmation');
+        } finally {
+            releaseSecrets();
+        }
+    });
+
+    // Compute what a sync run would change in its target, without changing anything
+    // Starting the sync run with the plan's ID as `planId` first checks neither environment changed since
+    app.post('/api/jobs/plans', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
+        let releaseSecrets = () => {};
+        try {
+            const options = req.body.options;
+            authorizeCommand(req, 'sync run', options);
+            const resolvedOptions = await prepareDataOpsCommand('sync run', options || {});
+            // SDK errors can echo the keys; keep them out of the logs
+            releaseSecrets = registerSecrets(collectSecrets(resolvedOptions));
+            res.json(await createSyncPlan(resolvedOptions, req.user));
+        } catch (error) {
+            const message = error instanceof Error ? error.message : '';
+            sendError(res, message.startsWith('Validation errors') ? new HttpError(message) : error, 'Failed to compute sync plan');
+        } finally {
+            releaseSecrets();
+        }
+    });
+
+    // Start a command as a background job
+    app.post('/api/jobs', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
+        try {
+            const { command, options } = req.body;
+            
+            if (!command || typeof command !== 'string') {
+                return res.status(400).json({
+                    error: 'Command is required',
+                    solution: 'Please select a command to execute'
+                });
+            }
+            
+            if (options && typeof options !== 'object') {
+                return res.status(400).json({
+                    error: 'Invalid options format',
+                    solution: 'Options must be an object'
+                });
+            }
+            
+            authorizeCommand(req, command, options);
+            const job = await startJob(command, options || {}, req.user, { confirmation: req.body.confirmation, planId: req.body.planId });
+            res.status(202).json(job);
+            return;
+        } catch (error) {
+            if (error instanceof HttpError) {
+                sendError(res, error, 'Failed to start job');
+                return;
+            }
+            logger.error('Failed to start job', error);
+            const err = error as Error;
+            const isValidationError = !!err.message && (err.message.includes('Validation errors') || err.message.includes('required'));
+            res.status(isValidationError ? 400 : 500).json({
+                error: err.message || 'Failed to start job',
+                solution: isValidationError ? 'Please correct the validation errors and try again.' : getErrorSolution(error)
+            });
+            return;
+        }
+    });
+
+    // List recent jobs
+    app.get('/api/jobs', rateLimitMiddleware, (req: Request, res: Response) => {
+        const limit = Math.min(parseInt(String(req.query.limit || '50'), 10) || 50, 500);
+        res.json(listJobs(limit));
+    });
+
+    // Get job metadata
+    app.get('/api/jobs/:id', rateLimitMiddleware, (req: Request, res: Response) => {
+        const job = isValidJobId(req.params.id) ? getJob(req.params.id) : null;
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found', solution: 'The job may have been removed from the server.' });
+        }
+        res.json(job);
+        return;
+    });
+
+    // Attach to a job's output; replays events after ?after=<seq> or the Last-Event-ID header
+    // Not rate limited: clients re-attach automatically after connection drops
+    app.get('/api/jobs/:id/stream', async (req: Request, res: Response) => {
+        const job = isValidJobId(req.params.id) ? getJob(req.params.id) : null;
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found', solution: 'The job may have been removed from the server.' });
+        }
+        try {
+            assertJobOutputAllowed(req, job);
+        } catch (error) {
+            sendError(res, error, 'Failed to attach to job');
+            return;
+        }
+        
+        const afterSeq = parseInt(String(req.query.after ?? req.header('Last-Event-ID') ?? '0'), 10) || 0;
+        await streamJob(req, res, req.params.id, afterSeq);
+        return;
+    });
+
+    // Cancel a running job
+    // Only callers allowed to run the job's command may cancel it
+    app.post('/api/jobs/:id/cancel', rateLimitMiddleware, requireRole('operator'), (req: Request, res: Response) => {
+        const job = isValidJobId(req.params.id) ? getJob(req.params.id) : null;
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found', solution: 'The job may have been removed from the server.' });
+        }
+        try {
+            assertCommandAllowed(req.user, job.command);
+        } catch (error) {
+            sendError(res, error, 'Failed to cancel job');
+            return;
+        }
+        cancelJob(job.id);
+        logger.info(`Job ${job.id} cancellation requested`);
+        res.json(job);
+        return;
+    });
+
+    // Summarize what rolling a job back would delete, with the token confirming the clean
+    // Body: environmentAlias, profileId or apiKey of the environment, unless the job used a saved one
+    app.post('/api/jobs/:id/rollback/confirmation', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
+        const job = isValidJobId(req.params.id) ? getJob(req.params.id) : null;
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found', solution: 'The job may have been removed from the server.' });
+        }
+        let releaseSecrets = () => {};
+        try {
+            const { environmentAlias, profileId, apiKey } = req.body || {};
+            authorizeCommand(req, 'environment rollback', { environmentId: job.safetyBackup?.environmentId });
+            const { cleanOptions } = await prepareRollback(job.id, { environmentAlias, profileId, apiKey });
+            // SDK errors can echo the key; keep it out of the logs
+            releaseSecrets = registerSecrets(collectSecrets(cleanOptions));
+            res.json(await createConfirmation('environment clean', cleanOptions, req.user));
+        } catch (error) {
+            const message = error instanceof Error ? error.message : '';
+            sendError(res, message.startsWith('Validation errors') ? new HttpError(message) : error, 'Failed to prepare confirmation');
+        } finally {
+            releaseSecrets();
+        }
+        return;
+    });
+
+    // Roll a job back to the safety backup taken before it ran
+    // Body: the credentials given for the confirmation, and `confirmation` with its token and the typed environment name
+    app.post('/api/jobs/:id/rollback', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
+        const job = isValidJobId(req.params.id) ? getJob(req.params.id) : null;
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found', solution: 'The job may have been removed from the server.' });
+        }
+        try {
+            const { environmentAlias, profileId, apiKey, confirmation } = req.body || {};
+            authorizeCommand(req, 'environment rollback', { environmentId: job.safetyBackup?.environmentId });
+            const rollback = await startRollbackJob(job.id, { environmentAlias, profileId, apiKey }, req.user, confirmation);
+            logger.info(`Job ${rollback.id} rolls back job ${job.id}`);
+            res.status(202).json(rollback);
+        } catch (error) {
+            // Invalid credentials surface as validation errors of the clean and restore commands
+            const message = error instanceof Error ? error.message : '';
+            sendError(res, message.startsWith('Validation errors') ? new HttpError(message) : error, 'Failed to start rollback');
+        }
+        return;
+    });
+
+    // List files produced by a job
+    app.get('/api/jobs/:id/artifacts', rateLimitMiddleware, (req: Request, res: Response) => {
+        const job = isValidJobId(req.params.id) ? getJob(req.params.id) : null;
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found', solution: 'The job may have been removed from the server.' });
+        }
+        try {
+            assertJobOutputAllowed(req, job);
+        } catch (error) {
+            sendError(res, error, 'Failed to list artifacts');
+            return;
+        }
+        res.json(job.artifacts || []);
+        return;
+    });
+
+    // Download a file produced by a job (supports Range requests for resumable downloads)
+    app.get('/api/jobs/:id/artifacts/*', rateLimitMiddleware, async (req: Request, res: Response) => {
+        const job = isValidJobId(req.params.id) ? getJob(req.params.id) : null;
+        const name = (req.params as Record<string, string>)[0];
+        const artifact = job?.artifacts?.find(a => a.name === name);
+        
+        if (!job || !artifact || !resolveArtifactPath(job.id, artifact.name)) {
+            return res.status(404).json({ error: 'Artifact not found', solution: 'Check the list of files produced by this job.' });
+        }
+        try {
+            assertJobOutputAllowed(req, job);
+        } catch (error) {
+            sendError(res, error, 'Failed to download artifact');
+            return;
+        }
+        const notAvailable = (error?: unknown) => {
+            if (error) {
+                logger.error(`Failed to send artifact ${name} of job ${job.id}`, error);
+            }
+            if (!res.headersSent) {
+                res.status(404).json({ error: 'Artifact not available', solution: 'The file may have been removed from the server.' });
+            } else {
+                res.destroy();
+            }
+        };
+        const fileName = path.posix.basename(artifact.name);
+        
+        const filePath = await findLocalArtifact(job.id, artifact.name);
+        if (filePath) {
+            // res.download sets Content-Length and Content-Disposition and answers Range requests
+            res.download(filePath, fileName, { dotfiles: 'allow' }, error => {
+                if (error && !res.headersSent) notAvailable(error);
+            });
+            return;
+        }
+        // Files in a remote storage are streamed through the server
+        try {
+            if (!await sendStoredFile(req, res, getArtifactKey(job.id, artifact.name), fileName)) {
+                notAvailable();
+            }
+        } catch (error) {
+            notAvailable(error);
+        }
+        return;
+    });
+
+    // List the environments of the custom app configuration (never their API keys)
+    // With ?command=, only environments that permit the command are listed
+    // Without authentication none can be used, so none are offered
+    app.get('/api/environments', rateLimitMiddleware, async (req: Request, res: Response) => {
+        try {
+            if (!isAuthEnabled()) {
+                res.json([]);
+                return;
+            }
+            const command = typeof req.query.command === 'string' ? req.query.command : undefined;
+            const storedSecrets = new Set(getConfiguredEnvironments().length > 0 ? await listSecretNames() : []);
+            const environments = getConfiguredEnvironments()
+                .filter(environment => !command || isCommandAllowed(environment, command))
+                .map(environment => ({
+                    ...environment,
+                    hasApiKey: storedSecrets.has(getEnvironmentKeySecretName(environment.alias))
+                }));
+            res.json(environments);
+        } catch (error) {
+            sendError(res, error, 'Failed to list environments');
+        }
+    });
+
+    // List the environment profiles of the credential vault (never their keys)
+    app.get('/api/profiles', rateLimitMiddleware, async (_req: Request, res: Response) => {
+        try {
+            res.json(await listProfiles());
+        } catch (error) {
+            sendError(res, error, 'Failed to list profiles');
+        }
+    });
+
+    // Create a profile; its keys are encrypted and can't be read back
+    app.post('/api/profiles', rateLimitMiddleware, requireRole('admin'), async (req: Request, res: Response) => {
+        try {
+            const profile = await createProfile(req.body || {});
+            logger.info(`Profile ${profile.id} created: ${profile.name}`);
+            res.status(201).json(profile);
+        } catch (error) {
+            sendError(res, error, 'Failed to create profile');
+        }
+    });
+
+    // Get a profile
+    app.get('/api/profiles/:id', rateLimitMiddleware, async (req: Request, res: Response) => {
+        try {
+            res.json(await getProfile(req.params.id));
+        } catch (error) {
+            sendError(res, error, 'Failed to get profile');
+        }
+    });
+
+    // Update a profile; keys are only replaced when given
+    app.put('/api/profiles/:id', rateLimitMiddleware, requireRole('admin'), async (req: Request, res: Response) => {
+        try {
+            const profile = await updateProfile(req.params.id, req.body || {});
+            logger.info(`Profile ${profile.id} updated: ${profile.name}`);
+            res.json(profile);
+        } catch (error) {
+            sendError(res, error, 'Failed to update profile');
+        }
+    });
+
+    // Delete a profile and its keys
+    app.delete('/api/profiles/:id', rateLimitMiddleware, requireRole('admin'), async (req: Request, res: Response) => {
+        try {
+            await deleteProfile(req.params.id);
+            logger.info(`Profile ${req.params.id} deleted`);
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, 'Failed to delete profile');
+        }
+    });
+
+    // List the snapshot library, newest first
+    app.get('/api/snapshots', rateLimitMiddleware, async (_req: Request, res: Response) => {
+        try {
+            res.json(await listSnapshots());
+        } catch (error) {
+            sendError(res, error, 'Failed to list snapshots');
+        }
+    });
+
+    // Compare two snapshots of the library; ?format=html answers with the downloadable report
+    app.get('/api/snapshots/diff', rateLimitMiddleware, async (req: Request, res: Response) => {
+        try {
+            const { source, target } = req.query;
+            if (typeof source !== 'string' || typeof target !== 'string' || source === target) {
+                throw new HttpError('Two different snapshots are required as source and target');
+            }
+            const diff = await diffSnapshots(source, target);
+            if (req.query.format === 'html') {
+                res.attachment('sync-diff.html').type('html').send(renderSyncDiffHtml(diff));
+            } else {
+                res.json(diff);
+            }
+        } catch (error) {
+            sendError(res, error, 'Failed to compare snapshots');
+        }
+    });
+
+    // Replace the tags of a snapshot
+    app.put('/api/snapshots/:id', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
+        try {
+            res.json(await updateSnapshotTags(req.params.id, req.body?.tags));
+        } catch (error) {
+            sendError(res, error, 'Failed to update snapshot');
+        }
+    });
+
+    // Delete a snapshot, unless a job is about to use it
+    app.delete('/api/snapshots/:id', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
+        try {
+            const reference = toSnapshotReference(req.params.id);
+            const user = listJobs(Infinity).find(job => isJobActive(job) && job.options.folderName === reference);
+            if (user) {
+                throw new HttpError(`Snapshot is used by job ${user.id} (${user.command}); wait for it to finish`, 409);
+            }
+            await deleteSnapshot(req.params.id);
+            logger.info(`Snapshot ${req.params.id} deleted`);
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, 'Failed to delete snapshot');
+        }
+    });
+
+    // List scheduled commands with their past runs
+    app.get('/api/schedules', rateLimitMiddleware, async (_req: Request, res: Response) => {
+        try {
+            res.json(await listSchedules());
+        } catch (error) {
+            sendError(res, error, 'Failed to list schedules');
+        }
+    });
+
+    // Schedule a command; it runs on behalf of the caller, who must be allowed to run it
+    app.post('/api/schedules', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
+        try {
+            const input = req.body || {};
+            authorizeCommand(req, String(input.command), input.options);
+            const schedule = await createSchedule(input, req.user);
+            logger.info(`Schedule ${schedule.id} created: ${schedule.name} (${schedule.command}, ${schedule.cron} ${schedule.timeZone})`);
+            res.status(201).json(schedule);
+        } catch (error) {
+            sendError(res, error, 'Failed to create schedule');
+        }
+    });
+
+    // Get a schedule with its past runs
+    app.get('/api/schedules/:id', rateLimitMiddleware, async (req: Request, res: Response) => {
+        try {
+            res.json(await getSchedule(req.params.id));
+        } catch (error) {
+            sendError(res, error, 'Failed to get schedule');
+        }
+    });
+
+    // Update a schedule; { paused: true } pauses it
+    app.put('/api/schedules/:id', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
+        try {
+            const input = req.body || {};
+            authorizeCommand(req, (await getSchedule(req.params.id)).command);
+            if (input.command !== undefined) {
+                authorizeCommand(req, String(input.command), input.options);
+            }
+            const schedule = await updateSchedule(req.params.id, input);
+            logger.info(`Schedule ${schedule.id} updated: ${schedule.name}${schedule.paused ? ' (paused)' : ''}`);
+            res.json(schedule);
+        } catch (error) {
+            sendError(res, error, 'Failed to update schedule');
+        }
+    });
+
+    // Delete a schedule; jobs it started are kept
+    app.delete('/api/schedules/:id', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
+        try {
+            authorizeCommand(req, (await getSchedule(req.params.id)).command);
+            await deleteSchedule(req.params.id);
+            logger.info(`Schedule ${req.params.id} deleted`);
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, 'Failed to delete schedule');
+        }
+    });
+
+    // Run a schedule now, on behalf of the caller
+    app.post('/api/schedules/:id/run', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
+        try {
+            const schedule = await getSchedule(req.params.id);
+            authorizeCommand(req, schedule.command, schedule.options);
+            const run = await triggerSchedule(req.params.id, req.user);
+            if (run.error) {
+                throw new HttpError(`${schedule.command} could not be started: ${run.error}`);
+            }
+            res.status(202).json(run);
+        } catch (error) {
+            sendError(res, error, 'Failed to run schedule');
+        }
+    });
+
+    // List the backups whose files are still on the server, newest first; ?environmentId= filters them
+    app.get('/api/backups', rateLimitMiddleware, (req: Request, res: Response) => {
+        try {
+            const environmentId = typeof req.query.environmentId === 'string' && req.query.environmentId ? req.query.environmentId : undefined;
+            res.json(listBackups(environmentId));
+        } catch (error) {
+            sendError(res, error, 'Failed to list backups');
+        }
+    });
+
+    // Pin a job's backup, so retention policies never prune it
+    app.put('/api/backups/:jobId/pin', rateLimitMiddleware, requireRole('operator'), (req: Request, res: Response) => {
+        try {
+            const backup = pinBackup(req.params.jobId, true, req.user);
+            logger.info(`Backup of job ${backup.jobId} pinned`);
+            res.json(backup);
+        } catch (error) {
+            sendError(res, error, 'Failed to pin backup');
+        }
+    });
+
+    app.delete('/api/backups/:jobId/pin', rateLimitMiddleware, requireRole('operator'), (req: Request, res: Response) => {
+        try {
+            const backup = pinBackup(req.params.jobId, false, req.user);
+            logger.info(`Backup of job ${backup.jobId} unpinned`);
+            res.json(backup);
+        } catch (error) {
+            sendError(res, error, 'Failed to unpin backup');
+        }
+    });
+
+    // List the retention policies of environments
+    app.get('/api/retention', rateLimitMiddleware, async (_req: Request, res: Response) => {
+        try {
+            res.json(await listRetentionPolicies());
+        } catch (error) {
+            sendError(res, error, 'Failed to list retention policies');
+        }
+    });
+
+    // Set the retention policy of an environment; the pruner deletes backups it doesn't keep
+    app.put('/api/retention/:environmentId', rateLimitMiddleware, requireRole('admin'), async (req: Request, res: Response) => {
+        try {
+            const policy = await setRetentionPolicy(req.params.environmentId, req.body || {}, req.user);
+            logger.info(`Retention policy of environment ${policy.environmentId} set`);
+            res.json(policy);
+        } catch (error) {
+            sendError(res, error, 'Failed to set retention policy');
+        }
+    });
+
+    app.delete('/api/retention/:environmentId', rateLimitMiddleware, requireRole('admin'), async (req: Request, res: Response) => {
+        try {
+            await deleteRetentionPolicy(req.params.environmentId);
+            logger.info(`Retention policy of environment ${req.params.environmentId} deleted`);
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, 'Failed to delete retention policy');
+        }
+    });
+
+    // Apply the retention policies now; { dryRun: true } only lists the backups that would be pruned
+    app.post('/api/retention/prune', rateLimitMiddleware, requireRole('admin'), async (req: Request, res: Response) => {
+        try {
+            const dryRun = req.body?.dryRun === true;
+            const pruned = await pruneBackups({ dryRun, user: req.user });
+            res.json({ dryRun, pruned });
+        } catch (error) {
+            sendError(res, error, 'Failed to prune backups');
+        }
+    });
+
+    // Query the audit log; ?format=csv exports CSV, ?download=1 answers with an attachment
+    app.get('/api/audit', rateLimitMiddleware, requireRole('admin'), async (req: Request, res: Response) => {
+        try {
+            const entries = await queryAudit(getAuditQuery(req));
+            const format = req.query.format === 'csv' ? 'csv' : 'json';
+            if (req.query.download) {
+                res.attachment(`data-ops-audit-${new Date().toISOString().split('T')[0]}.${format}`);
+            }
+            if (format === 'csv') {
+                res.type('text/csv').send(toAuditCsv(entries));
+            } else {
+                res.json(entries);
+            }
+        } catch (error) {
+            sendError(res, error, 'Failed to query audit log');
+        }
+    });
+
+    // List the migrations folders on the server
+    app.get('/api/migrations/folders', rateLimitMiddleware, async (_req: Request, res: Response) => {
+        try {
+            res.json(await listMigrationFolders());
+        } catch (error) {
+            sendError(res, error, 'Failed to list migrations folders');
+        }
+    });
+
+    // Get the migrations of a folder and which of them are applied in an environment
+    app.get('/api/migrations/status', rateLimitMiddleware, async (req: Request, res: Response) => {
+        try {
+            const folder = typeof req.query.folder === 'string' ? req.query.folder : '.';
+            const environmentId = typeof req.query.environmentId === 'string' && req.query.environmentId !== ''
+                ? req.query.environmentId
+                : undefined;
+            if (environmentId && !validateEnvironmentId(environmentId)) {
+                throw new HttpError('environmentId must be a valid UUID format');
+            }
+            res.json(await getMigrationStatus(folder, environmentId));
+        } catch (error) {
+            sendError(res, error, 'Failed to get migrations status');
+        }
+    });
+
+    // List completed uploads of the caller's workspace
+    app.get('/api/uploads', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
+        try {
+            res.json(await listUploads(getWorkspaceId(req)));
+        } catch (error) {
+            sendError(res, error, 'Failed to list uploads');
+        }
+    });
+
+    // Start a resumable upload of a backup archive
+    app.post('/api/uploads', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
+        try {
+            const { fileName, size } = req.body;
+            const upload = await createUpload(getWorkspaceId(req), fileName, size);
+            logger.info(`Upload ${upload.id} created: ${upload.fileName} (${upload.size} bytes)`);
+            res.status(201).json({ ...upload, chunkSize: UPLOAD_CHUNK_SIZE, maxSize: MAX_UPLOAD_SIZE });
+        } catch (error) {
+            sendError(res, error, 'Failed to create upload');
+        }
+    });
+
+    // Get upload status; offset tells the client where to resume
+    app.get('/api/uploads/:id', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
+        try {
+            res.json(await getUpload(getWorkspaceId(req), req.params.id));
+        } catch (error) {
+            sendError(res, error, 'Failed to get upload');
+        }
+    });
+
+    // Append a chunk (raw bytes) at the offset given in the Upload-Offset header
+    // Not rate limited: large archives need many chunk requests
+    app.put('/api/uploads/:id', requireRole('operator'), async (req: Request, res: Response) => {
+        try {
+            const offset = parseInt(req.header('Upload-Offset') || '', 10);
+            if (isNaN(offset) || offset < 0) {
+                throw new HttpError('Upload-Offset header is required');
+            }
+            res.json(await appendUploadChunk(getWorkspaceId(req), req.params.id, offset, req));
+        } catch (error) {
+            sendError(res, error, 'Failed to store upload chunk');
+        }
+    });
+
+    // Finish an upload; validates the archive and returns its server-side reference
+    app.post('/api/uploads/:id/complete', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
+        try {
+            const upload = await completeUpload(getWorkspaceId(req), req.params.id);
+            logger.info(`Upload ${upload.id} completed: ${upload.reference}`);
+            res.json(upload);
+        } catch (error) {
+            sendError(res, error, 'Failed to complete upload');
+        }
+    });
+
+    // Delete an upload
+    app.delete('/api/uploads/:id', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
+        try {
+            await removeUpload(getWorkspaceId(req), req.params.id);
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, 'Failed to delete upload');
+        }
+    });
+
+    // Open a backup archive: entity counts, source environment metadata and other files
+    // Archives hold environment data, so they are open to operators only
+    app.get('/api/backup-archives', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
+        try {
+            res.json(await inspectArchive(getArchiveReference(req), getWorkspaceId(req)));
+        } catch (error) {
+            sendError(res, error, 'Failed to open backup archive');
+        }
+    });
+
+    // List the entities of one type in a backup archive (?offset=&limit=&search=)
+    // ?format=json downloads the entity file as it is in the archive
+    app.get('/api/backup-archives/entities/:entity', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
+        try {
+            const reference = getArchiveReference(req);
+            if (req.query.format === 'json') {
+                const file = await openArchiveEntityFile(reference, getWorkspaceId(req), req.params.entity);
+                res.attachment(`${req.params.entity}.json`).type('json').set('Content-Length', String(file.size));
+                await pipeline(file.stream, res);
+                return;
+            }
+            res.json(await listArchiveItems(reference, getWorkspaceId(req), req.params.entity, {
+                offset: parseInt(String(req.query.offset || '0'), 10) || 0,
+                limit: parseInt(String(req.query.limit || ''), 10) || undefined,
+                search: typeof req.query.search === 'string' ? req.query.search : undefined
+            }));
+        } catch (error) {
+            if (res.headersSent) {
+                logger.error(`Failed to send ${req.params.entity}.json of a backup archive`, error);
+                res.destroy();
+                return;
+            }
+            sendError(res, error, 'Failed to list backup archive entities');
+        }
+    });
+
+    // Get the JSON of one entity of a backup archive, by its position in the list
+    app.get('/api/backup-archives/entities/:entity/:index', rateLimitMiddleware, requireRole('operator'), async (req: Request, res: Response) => {
+        try {
+            res.json(await getArchiveItem(getArchiveReference(req), getWorkspaceId(req), req.params.entity, Number(req.params.index)));
+        } catch (error) {
+            sendError(res, error, 'Failed to read backup archive entity');
+        }
+    });
+
     // Error handling middleware (must be last)
     app.use((err: Error, _req: Request, res: Response, _next: express.NextFunction) => {
         logger.error('Unhandled error', err);
@@ -0,0 +1,428 @@
+/**
+ * S3-compatible storage
+ *
+ * Talks to the S3 REST API directly over http(s), signing requests with AWS Signature
+ * Version 4, so it works with AWS S3 and the services that mimic it (MinIO, Cloudflare R2,
+ * Backblaze B2, ...). Bodies are streamed both ways: files are uploaded from disk with
+ * an unsigned payload, in parts once they are larger than a part, and downloads hand out
+ * the response stream.
+ *
+ * Configured with S3_BUCKET, S3_PREFIX, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID and
+ * S3_SECRET_ACCESS_KEY (the AWS_* variables are used when these aren't set) and
+ * S3_SSE / S3_SSE_KMS_KEY_ID for server-side encryption. Without an endpoint, AWS S3 is
+ * addressed with virtual-hosted URLs; with one, path-style URLs are used, as MinIO expects.
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import http from 'http';
+import https from 'https';
+import { createHash, createHmac } from 'crypto';
+import type { IncomingMessage } from 'http';
+import type { Readable } from 'stream';
+import type { ByteRange, StorageDriver, StoredObject } from './storage.js';
+import { normalizeStorageKey } from './storage.js';
+
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const EMPTY_PAYLOAD_HASH = createHash('sha256').digest('hex');
+const SERVER_SIDE_ENCRYPTIONS = ['AES256', 'aws:kms'];
+// S3 parts are 5 MiB to 5 GiB, and there are at most 10000 of them
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const DEFAULT_PART_SIZE = 64 * 1024 * 1024;
+const MAX_PARTS = 10000;
+
+export interface S3Config {
+    bucket: string;
+    /** Prepended to every key, e.g. "data-ops/production/" */
+    prefix?: string;
+    region?: string;
+    /** e.g. http://localhost:9000 for MinIO; AWS S3 when not given */
+    endpoint?: string;
+    accessKeyId: string;
+    secretAccessKey: string;
+    sessionToken?: string;
+    /** AES256 or aws:kms */
+    serverSideEncryption?: string;
+    kmsKeyId?: string;
+    /** Files larger than this are uploaded in parts of this size */
+    partSize?: number;
+}
+
+export interface S3Credentials {
+    accessKeyId: string;
+    secretAccessKey: string;
+    sessionToken?: string;
+}
+
+/**
+ * A request to sign; headers are sent as given, plus the ones signing adds
+ */
+export interface SignableRequest {
+    method: string;
+    host: string;
+    /** Already URI-encoded */
+    path: string;
+    query?: Record<string, string>;
+    headers: Record<string, string>;
+    /** Hex SHA-256 of the body, or UNSIGNED-PAYLOAD */
+    payloadHash: string;
+}
+
+/**
+ * Encode a string the way Signature Version 4 expects (RFC 3986)
+ */
+function encodeRfc3986(value: string): string {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKey(key: string): string {
+    return key.split('/').map(encodeRfc3986).join('/');
+}
+
+function toQueryString(query: Record<string, string> = {}): string {
+    return Object.keys(query)
+        .sort()
+        .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+        .join('&');
+}
+
+function hmac(key: string | Buffer, value: string): Buffer {
+    return createHmac('sha256', key).update(value, 'utf8').digest();
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * Every header given is signed.
+ * @returns The headers to send, Authorization included
+ */
+export function signRequest(request: SignableRequest, credentials: S3Credentials, region: string, date = new Date()): Record<string, string> {
+    const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const headers: Record<string, string> = {
+        ...request.headers,
+        host: request.host,
+        'x-amz-content-sha256': request.payloadHash,
+        'x-amz-date': amzDate
+    };
+    if (credentials.sessionToken) {
+        headers['x-amz-security-token'] = credentials.sessionToken;
+    }
+
+    const canonicalHeaders: Record<string, string> = {};
+    Object.entries(headers).forEach(([name, value]) => {
+        canonicalHeaders[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+    });
+    const signedHeaders = Object.keys(canonicalHeaders).sort();
+    const canonicalRequest = [
+        request.method,
+        request.path,
+        toQueryString(request.query),
+        ...signedHeaders.map(name => `${name}:${canonicalHeaders[name]}`),
+        '',
+        signedHeaders.join(';'),
+        request.payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${credentials.secretAccessKey}`, dateStamp), region));
+    const signature = createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, ` +
+        `SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`;
+    return headers;
+}
+
+/**
+ * Decode the text of an XML element
+ */
+function decodeXml(value: string): string {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+        .replace(/&amp;/g, '&');
+}
+
+function escapeXml(value: string): string {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Texts of the elements with a name; S3's responses are flat enough not to need a parser
+ */
+function xmlElements(xml: string, name: string): string[] {
+    return [...xml.matchAll(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`, 'g'))].map(match => match[1]);
+}
+
+async function readBody(response: IncomingMessage): Promise<string> {
+    const chunks: Buffer[] = [];
+    for await (const chunk of response) {
+        chunks.push(chunk as Buffer);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Read the S3 configuration from the environment
+ * @throws If the bucket or credentials are missing, or the encryption is unknown
+ */
+export function getS3ConfigFromEnv(): S3Config {
+    const env = process.env;
+    const config: S3Config = {
+        bucket: env.S3_BUCKET || '',
+        prefix: env.S3_PREFIX,
+        region: env.S3_REGION || env.AWS_REGION,
+        endpoint: env.S3_ENDPOINT,
+        accessKeyId: env.S3_ACCESS_KEY_ID || env.AWS_ACCESS_KEY_ID || '',
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY || env.AWS_SECRET_ACCESS_KEY || '',
+        sessionToken: env.S3_SESSION_TOKEN || env.AWS_SESSION_TOKEN,
+        serverSideEncryption: env.S3_SSE,
+        kmsKeyId: env.S3_SSE_KMS_KEY_ID
+    };
+    const partSizeMb = parseInt(env.S3_PART_SIZE_MB || '', 10);
+    if (partSizeMb > 0) {
+        config.partSize = partSizeMb * 1024 * 1024;
+    }
+    return config;
+}
+
+/**
+ * Keeps files in a bucket of an S3-compatible service
+ */
+export class S3Storage implements StorageDriver {
+    readonly description: string;
+    private readonly bucket: string;
+    private readonly prefix: string;
+    private readonly region: string;
+    private readonly baseUrl: URL;
+    private readonly pathStyle: boolean;
+    private readonly credentials: S3Credentials;
+    private readonly encryptionHeaders: Record<string, string> = {};
+    private readonly partSize: number;
+
+    constructor(config: S3Config) {
+        if (!config.bucket) {
+            throw new Error('S3 storage needs a bucket: set S3_BUCKET');
+        }
+        if (!config.accessKeyId || !config.secretAccessKey) {
+            throw new Error('S3 storage needs credentials: set S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+        }
+        if (config.serverSideEncryption && !SERVER_SIDE_ENCRYPTIONS.includes(config.serverSideEncryption)) {
+            throw new Error(`S3_SSE must be one of ${SERVER_SIDE_ENCRYPTIONS.join(', ')}`);
+        }
+        if (config.kmsKeyId && config.serverSideEncryption !== 'aws:kms') {
+            throw new Error('S3_SSE_KMS_KEY_ID needs S3_SSE=aws:kms');
+        }
+
+        this.bucket = config.bucket;
+        this.region = config.region || 'us-east-1';
+        // "backups", "/backups/" and "backups/" all mean the same folder
+        const prefix = (config.prefix || '').replace(/^\/+|\/+$/g, '');
+        this.prefix = prefix ? `${prefix}/` : '';
+        this.pathStyle = Boolean(config.endpoint);
+        this.baseUrl = new URL(config.endpoint || `https://${config.bucket}.s3.${this.region}.amazonaws.com`);
+        this.credentials = {
+            accessKeyId: config.accessKeyId,
+            secretAccessKey: config.secretAccessKey,
+            sessionToken: config.sessionToken
+        };
+        if (config.serverSideEncryption) {
+            this.encryptionHeaders['x-amz-server-side-encryption'] = config.serverSideEncryption;
+        }
+        if (config.kmsKeyId) {
+            this.encryptionHeaders['x-amz-server-side-encryption-aws-kms-key-id'] = config.kmsKeyId;
+        }
+        this.partSize = Math.max(config.partSize ?? DEFAULT_PART_SIZE, MIN_PART_SIZE);
+        this.description = `S3 bucket ${this.bucket}${this.prefix ? ` under ${this.prefix}` : ''} at ${this.baseUrl.host}`;
+    }
+
+    getLocalPath(): null {
+        return null;
+    }
+
+    /**
+     * Path of an object, or of the bucket for ''
+     */
+    private getObjectPath(key: string): string {
+        if (!this.pathStyle) {
+            return `/${encodeKey(key)}`;
+        }
+        const bucketPath = `/${encodeRfc3986(this.bucket)}`;
+        return key === '' ? bucketPath : `${bucketPath}/${encodeKey(key)}`;
+    }
+
+    /**
+     * Send a signed request
+     * @param key - Key within the bucket (prefix included); '' for the bucket itself
+     * @param body - A string is signed, a stream is sent as an unsigned payload of contentLength bytes
+     * @returns The response, once its status is known to be a success
+     */
+    private async request(
+        method: string,
+        key: string,
+        { query, headers = {}, body, contentLength }: {
+            query?: Record<string, string>;
+            headers?: Record<string, string>;
+            body?: string | Readable;
+            contentLength?: number;
+        } = {}
+    ): Promise<IncomingMessage> {
+        const basePath = this.baseUrl.pathname.replace(/\/+$/, '');
+        const requestPath = `${basePath}${this.getObjectPath(key)}`;
+        const sentHeaders = { ...headers };
+        let payloadHash = EMPTY_PAYLOAD_HASH;
+        if (typeof body === 'string') {
+            payloadHash = createHash('sha256').update(body).digest('hex');
+            sentHeaders['content-length'] = String(Buffer.byteLength(body));
+        } else if (body) {
+            payloadHash = UNSIGNED_PAYLOAD;
+            sentHeaders['content-length'] = String(contentLength);
+        }
+        const signedHeaders = signRequest(
+            { method, host: this.baseUrl.host, path: requestPath, query, headers: sentHeaders, payloadHash },
+            this.credentials,
+            this.region
+        );
+
+        const queryString = toQueryString(query);
+        const transport = this.baseUrl.protocol === 'http:' ? http : https;
+        const response = await new Promise<IncomingMessage>((resolve, reject) => {
+            const req = transport.request({
+                protocol: this.baseUrl.protocol,
+                hostname: this.baseUrl.hostname,
+                port: this.baseUrl.port || undefined,
+                method,
+                path: queryString ? `${requestPath}?${queryString}` : requestPath,
+                headers: signedHeaders
+            }, resolve);
+            req.on('error', reject);
+            if (typeof body === 'string') {
+                req.end(body);
+            } else if (body) {
+                body.on('error', error => req.destroy(error));
+                body.pipe(req);
+            } else {
+                req.end();
+            }
+        });
+
+        const status = response.statusCode ?? 0;
+        if (status >= 200 && status < 300) {
+            return response;
+        }
+        const text = method === 'HEAD' ? '' : await readBody(response);
+        const [code] = xmlElements(text, 'Code');
+        const [message] = xmlElements(text, 'Message');
+        const error = new Error(`S3 ${method} of ${key || this.bucket} failed with ${status}${code ? ` ${code}` : ''}${message ? `: ${decodeXml(message)}` : ''}`);
+        (error as Error & { status: number }).status = status;
+        throw error;
+    }
+
+    async upload(key: string, filePath: string): Promise<void> {
+        const objectKey = this.prefix + normalizeStorageKey(key);
+        const { size } = await fsp.stat(filePath);
+        if (size <= this.partSize) {
+            const response = await this.request('PUT', objectKey, {
+                headers: this.encryptionHeaders,
+                body: fs.createReadStream(filePath),
+                contentLength: size
+            });
+            response.resume();
+            return;
+        }
+        await this.uploadInParts(objectKey, filePath, size);
+    }
+
+    /**
+     * Multipart upload, for files a single PUT can't or shouldn't carry
+     */
+    private async uploadInParts(objectKey: string, filePath: string, size: number): Promise<void> {
+        const partSize = Math.max(this.partSize, Math.ceil(size / MAX_PARTS));
+        const created = await readBody(await this.request('POST', objectKey, { query: { uploads: '' }, headers: this.encryptionHeaders }));
+        const [uploadId] = xmlElements(created, 'UploadId').map(decodeXml);
+        if (!uploadId) {
+            throw new Error(`S3 did not start a multipart upload of ${objectKey}`);
+        }
+
+        try {
+            const etags: string[] = [];
+            for (let start = 0; start < size; start += partSize) {
+                const end = Math.min(start + partSize, size) - 1;
+                const response = await this.request('PUT', objectKey, {
+                    query: { partNumber: String(etags.length + 1), uploadId },
+                    body: fs.createReadStream(filePath, { start, end }),
+                    contentLength: end - start + 1
+                });
+                response.resume();
+                etags.push(String(response.headers.etag));
+            }
+            const parts = etags.map((etag, index) => `<Part><PartNumber>${index + 1}</PartNumber><ETag>${escapeXml(etag)}</ETag></Part>`);
+            const completed = await readBody(await this.request('POST', objectKey, {
+                query: { uploadId },
+                body: `<CompleteMultipartUpload>${parts.join('')}</CompleteMultipartUpload>`
+            }));
+            // S3 can fail a completion after it has answered 200
+            if (xmlElements(completed, 'Code').length > 0) {
+                throw new Error(`S3 could not complete the upload of ${objectKey}: ${decodeXml(xmlElements(completed, 'Message')[0] ?? '')}`);
+            }
+        } catch (error) {
+            await this.request('DELETE', objectKey, { query: { uploadId } }).then(response => response.resume(), () => undefined);
+            throw error;
+        }
+    }
+
+    async createReadStream(key: string, range?: ByteRange): Promise<Readable> {
+        return this.request('GET', this.prefix + normalizeStorageKey(key), {
+            headers: range ? { range: `bytes=${range.start}-${range.end}` } : {}
+        });
+    }
+
+    async stat(key: string): Promise<StoredObject | null> {
+        try {
+            const response = await this.request('HEAD', this.prefix + normalizeStorageKey(key));
+            response.resume();
+            return {
+                key,
+                size: Number(response.headers['content-length'] ?? 0),
+                lastModified: new Date(String(response.headers['last-modified'])).toISOString()
+            };
+        } catch (error) {
+            if ((error as { status?: number }).status === 404) return null;
+            throw error;
+        }
+    }
+
+    async list(prefix: string): Promise<StoredObject[]> {
+        const objects: StoredObject[] = [];
+        let continuationToken: string | undefined;
+        do {
+            const query: Record<string, string> = { 'list-type': '2', prefix: this.prefix + prefix };
+            if (continuationToken) {
+                query['continuation-token'] = continuationToken;
+            }
+            const xml = await readBody(await this.request('GET', '', { query }));
+            for (const contents of xmlElements(xml, 'Contents')) {
+                const [key] = xmlElements(contents, 'Key').map(decodeXml);
+                const [size] = xmlElements(contents, 'Size');
+                const [lastModified] = xmlElements(contents, 'LastModified');
+                objects.push({ key: key.slice(this.prefix.length), size: Number(size), lastModified });
+            }
+            continuationToken = xmlElements(xml, 'IsTruncated')[0] === 'true'
+                ? xmlElements(xml, 'NextContinuationToken').map(decodeXml)[0]
+                : undefined;
+        } while (continuationToken);
+        return objects;
+    }
+
+    async remove(key: string): Promise<void> {
+        const normalized = normalizeStorageKey(key);
+        const keys = normalized.endsWith('/') ? (await this.list(normalized)).map(object => object.key) : [normalized];
+        for (const objectKey of keys) {
+            // Deleting a missing object succeeds too
+            (await this.request('DELETE', this.prefix + objectKey)).resume();
+        }
+    }
+}
@@ -0,0 +1,72 @@
+/**
+ * Pre-flight safety backups
+ *
+ * Before a command overwrites or removes the content of an environment, the job can
+ * first back that environment up into its own workspace. The command only runs once
+ * the backup succeeded, and the job links the backup so it can be restored later.
+ * With SAFETY_BACKUP=always every such command is backed up; by default it is up to
+ * the user (the safetyBackup option).
+ */
+
+import type { CommandOptions } from '../types/index.js';
+import { ServerLogger } from './logger.js';
+
+export const SAFETY_BACKUP_FILE = 'safety-backup.zip';
+
+// 'optional' backs up when the safetyBackup option is set, 'always' enforces it
+const SAFETY_BACKUP_POLICY = process.env.SAFETY_BACKUP || 'optional';
+
+// The environment each destructive command writes to, and the options holding its key
+const SAFETY_BACKUP_COMMANDS: Record<string, { environmentId: string; apiKey: string }> = {
+    'environment restore': { environmentId: 'environmentId', apiKey: 'apiKey' },
+    'environment clean': { environmentId: 'environmentId', apiKey: 'apiKey' },
+    'sync run': { environmentId: 'targetEnvironmentId', apiKey: 'targetApiKey' }
+};
+
+const logger = new ServerLogger();
+
+if (!['optional', 'always'].includes(SAFETY_BACKUP_POLICY)) {
+    logger.warning(`Unknown SAFETY_BACKUP "${SAFETY_BACKUP_POLICY}", safety backups stay optional`);
+}
+
+/**
+ * Check whether a command can be preceded by a safety backup
+ */
+export function supportsSafetyBackup(command: string): boolean {
+    return command in SAFETY_BACKUP_COMMANDS;
+}
+
+/**
+ * Option naming the environment a command's safety backup is taken of
+ */
+export function getSafetyBackupTarget(command: string): string | undefined {
+    return SAFETY_BACKUP_COMMANDS[command]?.environmentId;
+}
+
+/**
+ * Check whether the server backs up before every destructive command
+ */
+export function isSafetyBackupEnforced(): boolean {
+    return SAFETY_BACKUP_POLICY === 'always';
+}
+
+/**
+ * Options of the `environment backup` to run before a command
+ * @param options - Resolved options of the command, with the key of its target
+ * @returns null if the command runs without a safety backup
+ */
+export function getSafetyBackupOptions(command: string, options: CommandOptions): CommandOptions | null {
+    const target = SAFETY_BACKUP_COMMANDS[command];
+    if (!target || !(isSafetyBackupEnforced() || options.safetyBackup === true)) {
+        return null;
+    }
+    const backupOptions: CommandOptions = {
+        environmentId: options[target.environmentId],
+        apiKey: options[target.apiKey],
+        fileName: SAFETY_BACKUP_FILE
+    };
+    if (options.kontentUrl) {
+        backupOptions.kontentUrl = options.kontentUrl;
+    }
+    return backupOptions;
+}
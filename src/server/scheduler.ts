@@ -0,0 +1,132 @@
+/**
+ * Job scheduler
+ *
+ * Jobs start in the order they were submitted, at most MAX_CONCURRENT_JOBS at a time.
+ * Commands that change an environment also lock it: while one runs, other writes to the
+ * same environment wait, so a restore and a clean can't work on it at the same time.
+ * A job waiting for a lock keeps its place without holding up jobs behind it that don't
+ * need that environment.
+ */
+
+import type { CommandOptions, QueueState } from '../types/index.js';
+
+const DEFAULT_MAX_CONCURRENT_JOBS = 2;
+
+// Options naming the environment each command writes to
+const WRITE_TARGETS: Record<string, string[]> = {
+    'environment restore': ['environmentId'],
+    'environment clean': ['environmentId'],
+    'sync run': ['targetEnvironmentId'],
+    'migrate-content run': ['targetEnvironmentId'],
+    'migrations run': ['environmentId'],
+    'environment rollback': ['environmentId']
+};
+
+interface ScheduledJob {
+    id: string;
+    locks: string[];
+    start: () => void;
+    onWait: (state: QueueState) => void;
+    state?: QueueState;
+}
+
+const queue: ScheduledJob[] = [];
+// Running jobs and the environments they lock
+const running = new Map<string, string[]>();
+
+function getMaxConcurrentJobs(): number {
+    const value = parseInt(process.env.MAX_CONCURRENT_JOBS || '', 10);
+    return value > 0 ? value : DEFAULT_MAX_CONCURRENT_JOBS;
+}
+
+/**
+ * Environments a command locks while it runs
+ */
+export function getLockedEnvironments(command: string, options: CommandOptions): string[] {
+    const ids = (WRITE_TARGETS[command] || [])
+        .map(option => options[option])
+        .filter((value): value is string => typeof value === 'string' && value !== '')
+        .map(value => value.toLowerCase());
+    return [...new Set(ids)];
+}
+
+function findLockHolder(locks: string[], holders: Iterable<[string, string[]]>): { jobId: string; environmentId: string } | null {
+    for (const [jobId, held] of holders) {
+        const environmentId = locks.find(lock => held.includes(lock));
+        if (environmentId) {
+            return { jobId, environmentId };
+        }
+    }
+    return null;
+}
+
+function isSameState(a: QueueState | undefined, b: QueueState): boolean {
+    return !!a && a.position === b.position && a.reason === b.reason &&
+        a.environmentId === b.environmentId && a.blockedBy === b.blockedBy;
+}
+
+/**
+ * Start whatever can start, and tell the jobs still waiting where they stand
+ */
+function dispatch(): void {
+    const maxJobs = getMaxConcurrentJobs();
+    // Locks of jobs ahead in the queue; later jobs don't overtake them
+    const claimed = new Map<string, string[]>();
+    const starting: ScheduledJob[] = [];
+    let position = 0;
+
+    for (const job of [...queue]) {
+        const holder = findLockHolder(job.locks, running) ?? findLockHolder(job.locks, claimed);
+        if (!holder && running.size < maxJobs) {
+            queue.splice(queue.indexOf(job), 1);
+            running.set(job.id, job.locks);
+            starting.push(job);
+            continue;
+        }
+
+        position++;
+        claimed.set(job.id, job.locks);
+        const state: QueueState = holder
+            ? { position, reason: 'lock', environmentId: holder.environmentId, blockedBy: holder.jobId }
+            : { position, reason: 'capacity' };
+        if (!isSameState(job.state, state)) {
+            job.state = state;
+            job.onWait(state);
+        }
+    }
+
+    // Started once the queue is settled, as a job that fails right away dispatches again
+    starting.forEach(job => job.start());
+}
+
+/**
+ * Queue a job; start is called once it may run
+ * @param onWait - Called with the job's place in the queue whenever it changes
+ */
+export function scheduleJob(id: string, locks: string[], start: () => void, onWait: (state: QueueState) => void): void {
+    queue.push({ id, locks, start, onWait });
+    dispatch();
+}
+
+/**
+ * Free the slot and locks of a job that finished
+ */
+export function releaseJob(id: string): void {
+    if (running.delete(id)) {
+        dispatch();
+    }
+}
+
+/**
+ * Take a job that hasn't started out of the queue
+ * @returns Whether the job was queued
+ */
+export function unscheduleJob(id: string): boolean {
+    const index = queue.findIndex(job => job.id === id);
+    if (index === -1) {
+        return false;
+    }
+    queue.splice(index, 1);
+    dispatch();
+    return true;
+}
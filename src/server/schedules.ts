@@ -0,0 +1,366 @@
+/**
+ * Scheduled commands
+ *
+ * A schedule runs a command with fixed options on a cron expression in a time zone
+ * (cron.ts). Schedules are kept in DATA_DIR/schedules.json and never hold keys: they name
+ * a saved environment or a vault profile, which is resolved each time the command runs.
+ * A due schedule starts an ordinary job on behalf of whoever created it, so roles,
+ * environment locks and the audit log apply as to any other job. Runs missed while the
+ * server was down are skipped or caught up once, as the schedule says.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import type { AuthUser, CatchUpPolicy, CommandOptions, Schedule, ScheduleRun } from '../types/index.js';
+import { DATA_DIR } from './paths.js';
+import { parseCron, getNextCronTime, isValidTimeZone } from './cron.js';
+import { startJob, getJob, isJobActive, removeJobArtifacts } from './jobs.js';
+import { prepareDataOpsCommand } from './executor.js';
+import { requiresConfirmation } from './confirmations.js';
+import { isSecretOption } from './redaction.js';
+import { HttpError } from './errors.js';
+import { storeDataFile } from './storage.js';
+import { ServerLogger } from './logger.js';
+
+const SCHEDULES_FILE = path.join(DATA_DIR, 'schedules.json');
+const CATCH_UP_POLICIES: CatchUpPolicy[] = ['skip', 'run-once'];
+const MAX_RUNS = 100; // Older runs are dropped from a schedule's history
+const MAX_TIMER_MS = 60 * 60 * 1000; // Due times are checked again at least this often
+
+const logger = new ServerLogger();
+
+export interface ScheduleInput {
+    name?: unknown;
+    command?: unknown;
+    options?: unknown;
+    cron?: unknown;
+    timeZone?: unknown;
+    catchUp?: unknown;
+    keepArtifacts?: unknown;
+    paused?: unknown;
+}
+
+// Writes are queued so concurrent updates don't overwrite each other
+let writeQueue: Promise<unknown> = Promise.resolve();
+let timer: NodeJS.Timeout | null = null;
+// Due schedules only run once initSchedules has caught up
+let started = false;
+
+async function readSchedules(): Promise<Schedule[]> {
+    try {
+        return JSON.parse(await fs.readFile(SCHEDULES_FILE, 'utf8'));
+    } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+async function updateSchedules<T>(update: (schedules: Schedule[]) => Promise<T>): Promise<T> {
+    const write = writeQueue.then(async () => {
+        const schedules = await readSchedules();
+        const result = await update(schedules);
+        await fs.mkdir(path.dirname(SCHEDULES_FILE), { recursive: true });
+        const tempFile = `${SCHEDULES_FILE}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(schedules, null, 2));
+        await fs.rename(tempFile, SCHEDULES_FILE);
+        await storeDataFile(SCHEDULES_FILE);
+        armTimer(schedules);
+        return result;
+    });
+    writeQueue = write.catch(() => undefined);
+    return write;
+}
+
+function findSchedule(schedules: Schedule[], scheduleId: string): Schedule {
+    const schedule = schedules.find(s => s.id === scheduleId);
+    if (!schedule) {
+        throw new HttpError('Schedule not found', 404);
+    }
+    return schedule;
+}
+
+/**
+ * Runs with the status of their jobs
+ */
+function withRunStatus(schedule: Schedule): Schedule {
+    return {
+        ...schedule,
+        runs: schedule.runs.map(run => {
+            const job = run.jobId ? getJob(run.jobId) : null;
+            return job ? { ...run, status: job.status } : run;
+        })
+    };
+}
+
+function getNextRunAt(schedule: Pick<Schedule, 'cron' | 'timeZone' | 'paused'>, after: Date): string | null {
+    if (schedule.paused) return null;
+    return getNextCronTime(parseCron(schedule.cron), after, schedule.timeZone)?.toISOString() ?? null;
+}
+
+/**
+ * Check a schedule's command and options the way a job would, without keys
+ */
+async function validateCommand(command: string, options: CommandOptions): Promise<void> {
+    if (requiresConfirmation(command)) {
+        throw new HttpError(`${command} needs a typed confirmation every time it runs, so it can't be scheduled`);
+    }
+    const secrets = Object.keys(options).filter(key => isSecretOption(key) && options[key] !== undefined && options[key] !== '');
+    if (secrets.length > 0) {
+        throw new HttpError(`Schedules can't hold keys (${secrets.join(', ')}); pick a saved environment or an environment profile instead`);
+    }
+    try {
+        await prepareDataOpsCommand(command, options);
+    } catch (error) {
+        if (error instanceof HttpError) throw error;
+        throw new HttpError(error instanceof Error ? error.message : String(error));
+    }
+}
+
+/**
+ * Validate schedule fields; only fields that are present are checked unless they are required
+ * @returns The fields as stored
+ */
+async function validateScheduleInput(input: ScheduleInput, current?: Schedule): Promise<Partial<Schedule>> {
+    const fields: Partial<Schedule> = {};
+    if (!current || input.name !== undefined) {
+        if (typeof input.name !== 'string' || input.name.trim() === '' || input.name.length > 100) {
+            throw new HttpError('name is required and must be at most 100 characters');
+        }
+        fields.name = input.name.trim();
+    }
+    if (!current || input.cron !== undefined) {
+        parseCron(input.cron);
+        fields.cron = String(input.cron).trim();
+    }
+    if (!current || input.timeZone !== undefined) {
+        const timeZone = input.timeZone ?? 'UTC';
+        if (!isValidTimeZone(timeZone)) {
+            throw new HttpError('timeZone must be an IANA time zone, e.g. Europe/Prague or UTC');
+        }
+        fields.timeZone = timeZone;
+    }
+    if (!current || input.catchUp !== undefined) {
+        const catchUp = input.catchUp ?? 'skip';
+        if (!CATCH_UP_POLICIES.includes(catchUp as CatchUpPolicy)) {
+            throw new HttpError(`catchUp must be one of ${CATCH_UP_POLICIES.join(', ')}`);
+        }
+        fields.catchUp = catchUp as CatchUpPolicy;
+    }
+    if (input.keepArtifacts !== undefined) {
+        if (input.keepArtifacts !== null && (!Number.isInteger(input.keepArtifacts) || (input.keepArtifacts as number) < 1)) {
+            throw new HttpError('keepArtifacts must be a whole number of runs, at least 1');
+        }
+        fields.keepArtifacts = input.keepArtifacts === null ? undefined : input.keepArtifacts as number;
+    }
+    if (input.paused !== undefined) {
+        if (typeof input.paused !== 'boolean') {
+            throw new HttpError('paused must be true or false');
+        }
+        fields.paused = input.paused;
+    }
+    if (!current || input.command !== undefined || input.options !== undefined) {
+        const command = input.command ?? current?.command;
+        const options = input.options ?? current?.options ?? {};
+        if (typeof command !== 'string' || command === '') {
+            throw new HttpError('command is required');
+        }
+        if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+            throw new HttpError('options must be an object');
+        }
+        await validateCommand(command, options as CommandOptions);
+        fields.command = command;
+        fields.options = options as CommandOptions;
+    }
+    return fields;
+}
+
+/**
+ * Remove the files of runs beyond the number a schedule keeps
+ * Safety backups stay, since a rollback may still need them, and so do pinned backups.
+ */
+async function pruneArtifacts(schedule: Schedule): Promise<void> {
+    if (!schedule.keepArtifacts) return;
+    const older = schedule.runs.filter(run => run.jobId).slice(schedule.keepArtifacts);
+    for (const run of older) {
+        const job = getJob(run.jobId as string);
+        if (job && !isJobActive(job) && !job.safetyBackup && !job.pinned) {
+            await removeJobArtifacts(job.id).catch(error => logger.warning(`Failed to remove files of job ${job.id}`, error));
+        }
+    }
+}
+
+/**
+ * Start a run of a schedule as a job, unless the previous one is still going
+ * @param startedBy - Who triggered the run; the schedule's creator for due runs
+ */
+async function startRun(schedule: Schedule, trigger: ScheduleRun['trigger'], scheduledFor: string, startedBy?: AuthUser): Promise<ScheduleRun> {
+    const run: ScheduleRun = { scheduledFor, startedAt: new Date().toISOString(), trigger };
+    const previous = schedule.runs.find(r => {
+        const job = r.jobId ? getJob(r.jobId) : null;
+        return job !== null && isJobActive(job);
+    });
+    if (previous) {
+        run.skipped = `The previous run (job ${previous.jobId}) has not finished yet`;
+    } else {
+        try {
+            const job = await startJob(schedule.command, schedule.options, startedBy ?? schedule.createdBy, {}, { id: schedule.id, name: schedule.name });
+            run.jobId = job.id;
+        } catch (error) {
+            run.error = error instanceof Error ? error.message : String(error);
+            logger.error(`Schedule ${schedule.id} (${schedule.name}) could not start ${schedule.command}`, error);
+        }
+    }
+    schedule.runs.unshift(run);
+    schedule.runs.splice(MAX_RUNS);
+    await pruneArtifacts(schedule);
+    return run;
+}
+
+/**
+ * List schedules with their runs
+ */
+export async function listSchedules(): Promise<Schedule[]> {
+    return (await readSchedules()).map(withRunStatus);
+}
+
+/**
+ * Get a schedule with its runs
+ */
+export async function getSchedule(scheduleId: string): Promise<Schedule> {
+    return withRunStatus(findSchedule(await readSchedules(), scheduleId));
+}
+
+/**
+ * Create a schedule; it runs on behalf of the user creating it
+ */
+export async function createSchedule(input: ScheduleInput, user?: AuthUser): Promise<Schedule> {
+    const fields = await validateScheduleInput(input);
+    const now = new Date();
+    const schedule: Schedule = {
+        id: randomUUID(),
+        name: fields.name as string,
+        command: fields.command as string,
+        options: fields.options as CommandOptions,
+        cron: fields.cron as string,
+        timeZone: fields.timeZone as string,
+        catchUp: fields.catchUp as CatchUpPolicy,
+        keepArtifacts: fields.keepArtifacts,
+        paused: fields.paused ?? false,
+        nextRunAt: null,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+        createdBy: user,
+        runs: []
+    };
+    schedule.nextRunAt = getNextRunAt(schedule, now);
+    await updateSchedules(async schedules => {
+        schedules.push(schedule);
+    });
+    return schedule;
+}
+
+/**
+ * Update a schedule; pausing stops its runs, resuming continues with the next due time
+ */
+export async function updateSchedule(scheduleId: string, input: ScheduleInput): Promise<Schedule> {
+    const current = findSchedule(await readSchedules(), scheduleId);
+    const fields = await validateScheduleInput(input, current);
+    return updateSchedules(async schedules => {
+        const schedule = findSchedule(schedules, scheduleId);
+        Object.assign(schedule, fields, { updatedAt: new Date().toISOString() });
+        if ('keepArtifacts' in fields && fields.keepArtifacts === undefined) {
+            delete schedule.keepArtifacts;
+        }
+        schedule.nextRunAt = getNextRunAt(schedule, new Date());
+        return withRunStatus(schedule);
+    });
+}
+
+/**
+ * Delete a schedule; jobs it started are kept
+ */
+export async function deleteSchedule(scheduleId: string): Promise<void> {
+    await updateSchedules(async schedules => {
+        schedules.splice(schedules.indexOf(findSchedule(schedules, scheduleId)), 1);
+    });
+}
+
+/**
+ * Run a schedule now, paused or not; its due times don't change
+ */
+export async function triggerSchedule(scheduleId: string, user?: AuthUser): Promise<ScheduleRun> {
+    return updateSchedules(async schedules => {
+        const schedule = findSchedule(schedules, scheduleId);
+        const run = await startRun(schedule, 'manual', new Date().toISOString(), user);
+        if (run.skipped) {
+            throw new HttpError(run.skipped, 409);
+        }
+        return run;
+    });
+}
+
+/**
+ * Start the runs that are due
+ * @param missed - Due times passed while the server was down: the catch-up policy applies
+ */
+export async function runDueSchedules(now = new Date(), missed = false): Promise<ScheduleRun[]> {
+    return updateSchedules(async schedules => {
+        const runs: ScheduleRun[] = [];
+        for (const schedule of schedules) {
+            if (schedule.paused || !schedule.nextRunAt || Date.parse(schedule.nextRunAt) > now.getTime()) continue;
+
+            if (!missed) {
+                runs.push(await startRun(schedule, 'schedule', schedule.nextRunAt));
+            } else if (schedule.catchUp === 'run-once') {
+                runs.push(await startRun(schedule, 'catch-up', schedule.nextRunAt));
+            } else {
+                const run: ScheduleRun = {
+                    scheduledFor: schedule.nextRunAt,
+                    startedAt: now.toISOString(),
+                    trigger: 'schedule',
+                    skipped: 'Missed while the server was down'
+                };
+                schedule.runs.unshift(run);
+                schedule.runs.splice(MAX_RUNS);
+                runs.push(run);
+            }
+            schedule.nextRunAt = getNextRunAt(schedule, now);
+        }
+        return runs;
+    });
+}
+
+/**
+ * Wake up for the earliest due schedule
+ */
+function armTimer(schedules: Schedule[]): void {
+    if (!started) return;
+    if (timer) clearTimeout(timer);
+    const due = schedules
+        .filter(schedule => !schedule.paused && schedule.nextRunAt)
+        .map(schedule => Date.parse(schedule.nextRunAt as string));
+    if (due.length === 0) {
+        timer = null;
+        return;
+    }
+    const delay = Math.min(Math.max(Math.min(...due) - Date.now(), 0), MAX_TIMER_MS);
+    timer = setTimeout(() => {
+        timer = null;
+        runDueSchedules().catch(error => logger.error('Failed to run due schedules', error));
+    }, delay);
+    // Schedules alone don't keep the process running
+    timer.unref();
+}
+
+/**
+ * Catch up on runs missed while the server was down and start running schedules
+ * Called once jobs are loaded, so overlapping runs are recognized.
+ */
+export async function initSchedules(): Promise<void> {
+    started = true;
+    const runs = await runDueSchedules(new Date(), true);
+    if (runs.length > 0) {
+        logger.info(`${runs.length} scheduled run(s) missed while the server was down: ${runs.filter(run => !run.skipped).length} caught up`);
+    }
+}
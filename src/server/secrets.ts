@@ -0,0 +1,131 @@
+/**
+ * Encrypted secret store
+ *
+ * Secrets (Management API keys held by the server) are encrypted with AES-256-GCM
+ * using a key derived from SECRETS_MASTER_KEY and kept in DATA_DIR/secrets.json.
+ * Without the master key the file is useless, and the master key never touches disk.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+import { DATA_DIR } from './paths.js';
+import { HttpError } from './errors.js';
+
+const SECRETS_FILE = path.join(DATA_DIR, 'secrets.json');
+const ALGORITHM = 'aes-256-gcm';
+const KEY_SALT = 'kontent-data-ops-secrets';
+
+interface EncryptedSecret {
+    iv: string;
+    tag: string;
+    data: string;
+    updatedAt: string;
+}
+
+let cachedKey: { masterKey: string; key: Buffer } | null = null;
+
+// Writes are queued so concurrent updates don't overwrite each other
+let writeQueue: Promise<unknown> = Promise.resolve();
+
+/**
+ * Check whether a master key is configured
+ */
+export function isSecretStoreConfigured(): boolean {
+    return Boolean(process.env.SECRETS_MASTER_KEY);
+}
+
+function getKey(): Buffer {
+    const masterKey = process.env.SECRETS_MASTER_KEY;
+    if (!masterKey) {
+        throw new HttpError('The secret store is not configured. Set SECRETS_MASTER_KEY on the server.', 500);
+    }
+    if (cachedKey?.masterKey !== masterKey) {
+        cachedKey = { masterKey, key: scryptSync(masterKey, KEY_SALT, 32) };
+    }
+    return cachedKey.key;
+}
+
+function encrypt(value: string): EncryptedSecret {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv(ALGORITHM, getKey(), iv);
+    const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+        updatedAt: new Date().toISOString()
+    };
+}
+
+function decrypt(secret: EncryptedSecret): string {
+    try {
+        const decipher = createDecipheriv(ALGORITHM, getKey(), Buffer.from(secret.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(secret.tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(secret.data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+        if (error instanceof HttpError) throw error;
+        throw new HttpError('A stored secret could not be decrypted. Was SECRETS_MASTER_KEY changed?', 500);
+    }
+}
+
+async function readSecrets(): Promise<Record<string, EncryptedSecret>> {
+    try {
+        return JSON.parse(await fs.readFile(SECRETS_FILE, 'utf8'));
+    } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') return {};
+        throw error;
+    }
+}
+
+async function updateSecrets(update: (secrets: Record<string, EncryptedSecret>) => void): Promise<void> {
+    const write = writeQueue.then(async () => {
+        const secrets = await readSecrets();
+        update(secrets);
+        await fs.mkdir(path.dirname(SECRETS_FILE), { recursive: true });
+        const tempFile = `${SECRETS_FILE}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(secrets, null, 2), { mode: 0o600 });
+        await fs.rename(tempFile, SECRETS_FILE);
+    });
+    writeQueue = write.catch(() => undefined);
+    return write;
+}
+
+/**
+ * Get a secret
+ * @returns undefined if no secret is stored under the name
+ */
+export async function getSecret(name: string): Promise<string | undefined> {
+    const secret = (await readSecrets())[name];
+    return secret ? decrypt(secret) : undefined;
+}
+
+/**
+ * Store a secret, replacing any previous value
+ */
+export async function setSecret(name: string, value: string): Promise<void> {
+    const encrypted = encrypt(value);
+    await updateSecrets(secrets => {
+        secrets[name] = encrypted;
+    });
+}
+
+/**
+ * Delete a secret
+ * @returns false if there was no such secret
+ */
+export async function deleteSecret(name: string): Promise<boolean> {
+    let existed = false;
+    await updateSecrets(secrets => {
+        existed = name in secrets;
+        delete secrets[name];
+    });
+    return existed;
+}
+
+/**
+ * List the names of stored secrets (never their values)
+ */
+export async function listSecretNames(): Promise<string[]> {
+    return Object.keys(await readSecrets()).sort();
+}
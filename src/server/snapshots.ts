@@ -0,0 +1,290 @@
+/**
+ * Snapshot library
+ *
+ * Folders written by `sync snapshot` are copied into the artifact storage under
+ * snapshots/<id>/ (DATA_DIR/snapshots by default), so they outlive the job that took them
+ * and can be found again by environment, entities, date and tag. Details are kept in
+ * DATA_DIR/snapshots.json. A stored snapshot is passed as a `snapshot:` reference wherever
+ * sync expects a folder, and two stored snapshots can be compared without reading any
+ * environment.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import type { SnapshotInfo, SyncDiff } from '../types/index.js';
+import { DATA_DIR } from './paths.js';
+import { MODEL_ENTITIES, createSyncDiff, normalizeContentModel, toWebSpotlightEntities } from './contentModel.js';
+import type { ContentModel } from './contentModel.js';
+import { HttpError } from './errors.js';
+import { getStorage, uploadFolder, downloadFolder, readStoredText, storeDataFile } from './storage.js';
+
+const SNAPSHOTS_FILE = path.join(DATA_DIR, 'snapshots.json');
+const SNAPSHOT_REFERENCE_PREFIX = 'snapshot:';
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+// Files sync snapshot writes entities to, where the name differs from the entity's
+const ENTITY_FILE_NAMES: Record<string, string> = { taxonomies: 'taxonomyGroups.json' };
+
+// Writes are queued so concurrent updates don't overwrite each other
+let writeQueue: Promise<unknown> = Promise.resolve();
+
+function isValidSnapshotId(id: string): boolean {
+    return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id);
+}
+
+// Folder of a snapshot's files in the artifact storage
+function getSnapshotKey(id: string): string {
+    return `snapshots/${id}/`;
+}
+
+async function readSnapshots(): Promise<SnapshotInfo[]> {
+    try {
+        return JSON.parse(await fs.readFile(SNAPSHOTS_FILE, 'utf8'));
+    } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+async function updateSnapshots<T>(update: (snapshots: SnapshotInfo[]) => Promise<T>): Promise<T> {
+    const write = writeQueue.then(async () => {
+        const snapshots = await readSnapshots();
+        const result = await update(snapshots);
+        await fs.mkdir(path.dirname(SNAPSHOTS_FILE), { recursive: true });
+        const tempFile = `${SNAPSHOTS_FILE}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(snapshots, null, 2));
+        await fs.rename(tempFile, SNAPSHOTS_FILE);
+        await storeDataFile(SNAPSHOTS_FILE);
+        return result;
+    });
+    writeQueue = write.catch(() => undefined);
+    return write;
+}
+
+function findSnapshot(snapshots: SnapshotInfo[], id: string): SnapshotInfo {
+    const snapshot = snapshots.find(s => s.id === id);
+    if (!snapshot) {
+        throw new HttpError('Snapshot not found', 404);
+    }
+    return snapshot;
+}
+
+async function getFolderSize(dir: string): Promise<number> {
+    let size = 0;
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            size += await getFolderSize(fullPath);
+        } else if (entry.isFile()) {
+            size += (await fs.stat(fullPath)).size;
+        }
+    }
+    return size;
+}
+
+/**
+ * Tags are trimmed and deduplicated
+ */
+function validateTags(tags: unknown): string[] {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+        throw new HttpError('tags must be an array of strings');
+    }
+    const cleaned = [...new Set(tags.map(tag => tag.trim()).filter(tag => tag !== ''))];
+    if (cleaned.length > MAX_TAGS || cleaned.some(tag => tag.length > MAX_TAG_LENGTH)) {
+        throw new HttpError(`At most ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters are allowed`);
+    }
+    return cleaned;
+}
+
+/**
+ * Add the folder a sync snapshot job wrote to the library
+ * @param folder - The snapshot folder in the job's workspace; the job keeps its own copy
+ * @returns What to tell the user
+ */
+export async function addSnapshot(
+    folder: string,
+    details: Pick<SnapshotInfo, 'environmentId' | 'entities' | 'jobId' | 'createdBy'>
+): Promise<string> {
+    const id = randomUUID();
+    const storage = getStorage();
+    try {
+        await uploadFolder(storage, getSnapshotKey(id), folder);
+        const snapshot: SnapshotInfo = {
+            id,
+            name: path.basename(folder),
+            ...details,
+            createdAt: new Date().toISOString(),
+            size: await getFolderSize(folder),
+            tags: []
+        };
+        await updateSnapshots(async snapshots => {
+            snapshots.push(snapshot);
+        });
+    } catch (error) {
+        await storage.remove(getSnapshotKey(id)).catch(() => undefined);
+        throw error;
+    }
+    return `Snapshot added to the snapshot library as ${toSnapshotReference(id)}`;
+}
+
+/**
+ * List the snapshots of the library, newest first
+ */
+export async function listSnapshots(): Promise<SnapshotInfo[]> {
+    return (await readSnapshots()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Get a snapshot of the library
+ */
+export async function getSnapshot(id: string): Promise<SnapshotInfo> {
+    return findSnapshot(await readSnapshots(), id);
+}
+
+/**
+ * Replace the tags of a snapshot
+ */
+export async function updateSnapshotTags(id: string, tags: unknown): Promise<SnapshotInfo> {
+    const cleaned = validateTags(tags);
+    return updateSnapshots(async snapshots => {
+        const snapshot = findSnapshot(snapshots, id);
+        snapshot.tags = cleaned;
+        return snapshot;
+    });
+}
+
+/**
+ * Remove a snapshot and its folder from the library
+ */
+export async function deleteSnapshot(id: string): Promise<void> {
+    await updateSnapshots(async snapshots => {
+        const index = snapshots.indexOf(findSnapshot(snapshots, id));
+        snapshots.splice(index, 1);
+    });
+    await getStorage().remove(getSnapshotKey(id));
+}
+
+/**
+ * Reference to a snapshot of the library, usable as the folderName of sync run and sync diff
+ */
+export function toSnapshotReference(id: string): string {
+    return `${SNAPSHOT_REFERENCE_PREFIX}${id}`;
+}
+
+/**
+ * Check whether an option value is a snapshot reference
+ */
+export function isSnapshotReference(value: unknown): value is string {
+    return typeof value === 'string' && value.startsWith(SNAPSHOT_REFERENCE_PREFIX);
+}
+
+/**
+ * ID of the snapshot a reference points at
+ * @returns null if the reference is malformed
+ */
+export function parseSnapshotReference(reference: string): string | null {
+    const id = reference.slice(SNAPSHOT_REFERENCE_PREFIX.length);
+    return isSnapshotReference(reference) && isValidSnapshotId(id) ? id : null;
+}
+
+/**
+ * Resolve a snapshot reference to the snapshot's folder on disk
+ * @returns null if the reference is malformed, or the storage doesn't keep files on disk
+ */
+export function resolveSnapshotReference(reference: string): string | null {
+    const id = parseSnapshotReference(reference);
+    return id ? getStorage().getLocalPath(getSnapshotKey(id)) : null;
+}
+
+/**
+ * Get the folder a snapshot reference points at onto the disk
+ * @param dir - Where to download it if the storage doesn't keep it on disk
+ * @returns Its path, or null if the reference is malformed
+ */
+export async function fetchSnapshotReference(reference: string, dir: string): Promise<string | null> {
+    const id = parseSnapshotReference(reference);
+    if (!id) return null;
+
+    const storage = getStorage();
+    const localPath = storage.getLocalPath(getSnapshotKey(id));
+    if (localPath) return localPath;
+
+    const folder = path.join(dir, id);
+    if (await downloadFolder(storage, getSnapshotKey(id), folder) === 0) {
+        throw new Error(`Snapshot ${id} has no files in the storage`);
+    }
+    return folder;
+}
+
+function getEntityFileName(entity: string): string {
+    return ENTITY_FILE_NAMES[entity] ?? `${entity}.json`;
+}
+
+// Entities as a snapshot file holds them
+function toModelEntities(entity: string, text: string): ContentModel[string] {
+    const content: unknown = JSON.parse(text);
+    return entity === 'webSpotlight' ? toWebSpotlightEntities(content) : content as ContentModel[string];
+}
+
+/**
+ * Read the given entities of a stored snapshot as a content model
+ */
+async function readSnapshotModel(id: string, entities: string[]): Promise<ContentModel> {
+    const read: ContentModel = {};
+    for (const entity of entities) {
+        try {
+            read[entity] = toModelEntities(entity, await readStoredText(getStorage(), `${getSnapshotKey(id)}${getEntityFileName(entity)}`));
+        } catch (error) {
+            throw new HttpError(`Could not read ${entity} of snapshot ${id}: ${error instanceof Error ? error.message : String(error)}`, 500);
+        }
+    }
+    return normalizeContentModel(read, entities);
+}
+
+/**
+ * Read the given entities of a folder sync snapshot wrote on disk as a content model
+ * Entities the folder has no file for are left out.
+ */
+export async function readSnapshotFolderModel(folder: string, entities: string[]): Promise<ContentModel> {
+    const read: ContentModel = {};
+    for (const entity of entities) {
+        const file = path.join(folder, getEntityFileName(entity));
+        let text: string;
+        try {
+            text = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            if ((error as NodeJS.ErrnoException).code === 'ENOENT') continue;
+            throw error;
+        }
+        try {
+            read[entity] = toModelEntities(entity, text);
+        } catch (error) {
+            throw new HttpError(`Could not read ${entity} of the snapshot folder: ${error instanceof Error ? error.message : String(error)}`, 500);
+        }
+    }
+    return normalizeContentModel(read, Object.keys(read));
+}
+
+/**
+ * Compare two snapshots of the library on the entities both contain
+ * @param sourceId - The snapshot changes are shown for, as if the target were synced from it
+ */
+export async function diffSnapshots(sourceId: string, targetId: string): Promise<SyncDiff> {
+    const snapshots = await readSnapshots();
+    const source = findSnapshot(snapshots, sourceId);
+    const target = findSnapshot(snapshots, targetId);
+    const entities = source.entities.filter(entity => target.entities.includes(entity) && MODEL_ENTITIES.includes(entity));
+    if (entities.length === 0) {
+        throw new HttpError('The snapshots have no entities in common to compare');
+    }
+
+    const [sourceModel, targetModel] = await Promise.all([readSnapshotModel(source.id, entities), readSnapshotModel(target.id, entities)]);
+    return createSyncDiff(sourceModel, targetModel, {
+        sourceEnvironmentId: source.environmentId,
+        targetEnvironmentId: target.environmentId,
+        sourceSnapshotId: source.id,
+        targetSnapshotId: target.id
+    });
+}
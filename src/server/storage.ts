@@ -0,0 +1,272 @@
+/**
+ * Artifact storage
+ *
+ * Files that have to outlive the job that wrote them (backups, snapshot folders, diff
+ * reports) are kept in a storage backend under keys like artifacts/<jobId>/<name> and
+ * snapshots/<id>/<file>. Commands still read and write local files: a job's outputs are
+ * uploaded once it has finished, and stored inputs are downloaded before a command runs.
+ *
+ * STORAGE_DRIVER picks the backend:
+ * - filesystem (default) keeps files under STORAGE_DIR, DATA_DIR unless set. Job workspaces
+ *   are in DATA_DIR too, so with the defaults nothing is copied.
+ * - s3 keeps them in a bucket of an S3-compatible service (AWS S3, MinIO, Cloudflare R2...),
+ *   so they survive redeploys that wipe the server's disk. See s3Storage.ts.
+ *
+ * What the server knows about those files (job details, the snapshot index, schedules and
+ * retention policies) is kept in DATA_DIR, and copied into the storage under the same
+ * relative path whenever it changes. On startup, files missing from DATA_DIR are restored
+ * from there.
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import type { Readable } from 'stream';
+import { DATA_DIR } from './paths.js';
+import { S3Storage, getS3ConfigFromEnv } from './s3Storage.js';
+import { ServerLogger } from './logger.js';
+
+const logger = new ServerLogger();
+
+/**
+ * A stored file
+ */
+export interface StoredObject {
+    key: string;
+    size: number;
+    lastModified: string;
+}
+
+/**
+ * Bytes start to end of a file, both included, like in a Range header
+ */
+export interface ByteRange {
+    start: number;
+    end: number;
+}
+
+/**
+ * A backend files are stored in
+ * Keys are relative paths with forward slashes; a key ending with a slash names a folder.
+ */
+export interface StorageDriver {
+    /** Where files are kept, for the logs */
+    readonly description: string;
+    /** Store a local file, streaming it */
+    upload(key: string, filePath: string): Promise<void>;
+    /** Stream a stored file, or part of it */
+    createReadStream(key: string, range?: ByteRange): Promise<Readable>;
+    /** Size and date of a stored file, null if there is none */
+    stat(key: string): Promise<StoredObject | null>;
+    /** All stored files whose keys start with a prefix */
+    list(prefix: string): Promise<StoredObject[]>;
+    /** Remove a stored file, or everything in a folder */
+    remove(key: string): Promise<void>;
+    /** The file's path on disk if the backend keeps it there, so it needn't be downloaded */
+    getLocalPath(key: string): string | null;
+}
+
+/**
+ * Check a key names something inside the storage
+ * @returns The key without redundant segments
+ */
+export function normalizeStorageKey(key: string): string {
+    const normalized = path.posix.normalize(key);
+    if (key === '' || path.posix.isAbsolute(normalized) || normalized === '..' || normalized.startsWith('../') || key.includes('\\')) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    // normalize keeps the trailing slash of folders
+    return normalized === './' ? '' : normalized;
+}
+
+/**
+ * Keeps files in a directory, with keys as paths relative to it
+ */
+export class FilesystemStorage implements StorageDriver {
+    readonly description: string;
+
+    constructor(private readonly root: string) {
+        this.description = `directory ${root}`;
+    }
+
+    getLocalPath(key: string): string {
+        return path.join(this.root, ...normalizeStorageKey(key).split('/'));
+    }
+
+    async upload(key: string, filePath: string): Promise<void> {
+        const target = this.getLocalPath(key);
+        // Files written into the storage directory are stored already
+        if (path.resolve(filePath) === target) return;
+
+        await fsp.mkdir(path.dirname(target), { recursive: true });
+        const tempFile = `${target}.${process.pid}.tmp`;
+        try {
+            await pipeline(fs.createReadStream(filePath), fs.createWriteStream(tempFile));
+            await fsp.rename(tempFile, target);
+        } catch (error) {
+            await fsp.rm(tempFile, { force: true });
+            throw error;
+        }
+    }
+
+    async createReadStream(key: string, range?: ByteRange): Promise<Readable> {
+        const filePath = this.getLocalPath(key);
+        // Fail here rather than on the stream's first read
+        await fsp.access(filePath);
+        return fs.createReadStream(filePath, range);
+    }
+
+    async stat(key: string): Promise<StoredObject | null> {
+        try {
+            const stats = await fsp.stat(this.getLocalPath(key));
+            return stats.isFile() ? { key, size: stats.size, lastModified: stats.mtime.toISOString() } : null;
+        } catch (error) {
+            if ((error as NodeJS.ErrnoException).code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async list(prefix: string): Promise<StoredObject[]> {
+        const objects: StoredObject[] = [];
+        // Walk the folder the prefix is in, then filter on the whole prefix
+        const base = prefix.endsWith('/') ? prefix : path.posix.dirname(prefix) + '/';
+        const walk = async (folder: string): Promise<void> => {
+            let entries;
+            try {
+                entries = await fsp.readdir(this.getLocalPath(folder || '.'), { withFileTypes: true });
+            } catch {
+                return;
+            }
+            for (const entry of entries) {
+                const key = `${folder}${entry.name}`;
+                if (entry.isDirectory()) {
+                    await walk(`${key}/`);
+                } else if (entry.isFile() && key.startsWith(prefix) && !key.endsWith('.tmp')) {
+                    const stats = await fsp.stat(this.getLocalPath(key));
+                    objects.push({ key, size: stats.size, lastModified: stats.mtime.toISOString() });
+                }
+            }
+        };
+        await walk(base === './' ? '' : base);
+        return objects.sort((a, b) => a.key.localeCompare(b.key));
+    }
+
+    async remove(key: string): Promise<void> {
+        await fsp.rm(this.getLocalPath(key), { recursive: true, force: true });
+    }
+}
+
+/**
+ * Store all files of a local folder under a folder key
+ */
+export async function uploadFolder(storage: StorageDriver, folderKey: string, dir: string): Promise<void> {
+    for (const entry of await fsp.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            await uploadFolder(storage, `${folderKey}${entry.name}/`, fullPath);
+        } else if (entry.isFile()) {
+            await storage.upload(`${folderKey}${entry.name}`, fullPath);
+        }
+    }
+}
+
+/**
+ * Download a stored file to a local path
+ */
+export async function downloadFile(storage: StorageDriver, key: string, filePath: string): Promise<void> {
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await pipeline(await storage.createReadStream(key), fs.createWriteStream(filePath));
+}
+
+/**
+ * Download all files under a folder key into a local folder
+ * @returns How many files there were
+ */
+export async function downloadFolder(storage: StorageDriver, folderKey: string, dir: string): Promise<number> {
+    const objects = await storage.list(folderKey);
+    for (const object of objects) {
+        await downloadFile(storage, object.key, path.join(dir, ...object.key.slice(folderKey.length).split('/')));
+    }
+    return objects.length;
+}
+
+/**
+ * Read a stored text file
+ */
+export async function readStoredText(storage: StorageDriver, key: string): Promise<string> {
+    const chunks: Buffer[] = [];
+    for await (const chunk of await storage.createReadStream(key)) {
+        chunks.push(chunk as Buffer);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+// Key of a file of DATA_DIR in the storage
+function getDataFileKey(filePath: string): string {
+    const relative = path.relative(DATA_DIR, filePath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new Error(`Not a file of the data directory: ${filePath}`);
+    }
+    return normalizeStorageKey(relative.split(path.sep).join('/'));
+}
+
+/**
+ * Copy a file of DATA_DIR into the storage, replacing the copy there
+ * A storage that keeps its files in DATA_DIR has it already.
+ */
+export async function storeDataFile(filePath: string): Promise<void> {
+    await getStorage().upload(getDataFileKey(filePath), filePath);
+}
+
+/**
+ * Restore files of DATA_DIR the disk lost, e.g. to a redeploy, from their copies in the storage
+ * Files still on disk are left as they are.
+ * @param keys - Files and folders (ending with a slash) relative to DATA_DIR
+ * @returns How many files were restored
+ */
+export async function restoreDataFiles(keys: string[]): Promise<number> {
+    const storage = getStorage();
+    let restored = 0;
+    for (const key of keys) {
+        // A storage that keeps its files in DATA_DIR has nothing the disk doesn't
+        const localPath = storage.getLocalPath(key);
+        if (localPath && path.resolve(localPath) === path.resolve(DATA_DIR, key)) continue;
+        for (const object of await storage.list(key)) {
+            const filePath = path.join(DATA_DIR, ...object.key.split('/'));
+            if (await fsp.access(filePath).then(() => true, () => false)) continue;
+            await downloadFile(storage, object.key, filePath);
+            restored++;
+        }
+    }
+    return restored;
+}
+
+let storage: StorageDriver | null = null;
+
+function createStorage(): StorageDriver {
+    const driver = process.env.STORAGE_DRIVER || 'filesystem';
+    if (driver === 's3') {
+        return new S3Storage(getS3ConfigFromEnv());
+    }
+    if (driver !== 'filesystem') {
+        logger.warning(`Unknown STORAGE_DRIVER "${driver}", storing files on the filesystem`);
+    }
+    return new FilesystemStorage(process.env.STORAGE_DIR ? path.resolve(process.env.STORAGE_DIR) : DATA_DIR);
+}
+
+/**
+ * Get the storage backend STORAGE_DRIVER configures
+ * @throws If its configuration is incomplete
+ */
+export function getStorage(): StorageDriver {
+    storage ??= createStorage();
+    return storage;
+}
+
+/**
+ * Set up the storage STORAGE_DRIVER configures, and say where files go
+ */
+export function initStorage(): void {
+    logger.info(`Storing backups, snapshots and reports in ${getStorage().description}`);
+}
@@ -0,0 +1,149 @@
+/**
+ * Native sync diffs
+ *
+ * `sync diff` is computed by the server (contentModel.ts) instead of the CLI, whose report
+ * is an HTML file written and opened on the server. The source is an environment or a
+ * snapshot folder: a folder on the server, a snapshot of the library or a folder of an
+ * earlier job. The diff is kept as job artifacts: sync-diff.json for the app to render,
+ * and a self-contained sync-diff.html to download and share.
+ */
+
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import type { CommandOptions, ModelEntityChange, ModelEntityChanges, PropertyChange, SyncDiff } from '../types/index.js';
+import { createSyncDiff, readEnvironmentModel, readSyncModels, MODEL_ENTITIES } from './contentModel.js';
+import type { ContentModel } from './contentModel.js';
+import { fetchStoredFiles, resolveInputPaths } from './commands.js';
+import { getSnapshot, parseSnapshotReference, readSnapshotFolderModel } from './snapshots.js';
+import { HttpError } from './errors.js';
+import { PROJECT_ROOT } from './paths.js';
+
+const SYNC_DIFF_JSON_FILE = 'sync-diff.json';
+const SYNC_DIFF_HTML_FILE = 'sync-diff.html';
+
+/**
+ * Check whether a command is a sync diff, which the server computes rather than data-ops
+ */
+export function isNativeSyncDiff(command: string): boolean {
+    return command === 'sync diff';
+}
+
+function escapeHtml(text: string): string {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function formatValue(value: unknown): string {
+    return value === undefined ? '—' : escapeHtml(JSON.stringify(value, null, 2));
+}
+
+function renderChanges(changes: PropertyChange[]): string {
+    const rows = changes.map(change => `
+        <tr><td><code>${escapeHtml(change.path)}</code></td><td><pre>${formatValue(change.before)}</pre></td><td><pre>${formatValue(change.after)}</pre></td></tr>`);
+    return `<table><thead><tr><th>Property</th><th>Target (before)</th><th>Source (after)</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+function renderEntityChange(kind: keyof ModelEntityChanges, change: ModelEntityChange): string {
+    const title = `${escapeHtml(change.name ?? change.codename)} <code>${escapeHtml(change.codename)}</code>`;
+    const body = kind === 'modified'
+        ? renderChanges(change.changes ?? [])
+        : `<pre>${formatValue(kind === 'added' ? change.after : change.before)}</pre>`;
+    return `<details class="${kind}"><summary>${kind}: ${title}</summary>${body}</details>`;
+}
+
+function describeSide(environmentId: string, snapshotId?: string, folder?: string): string {
+    if (folder) return `folder ${folder}`;
+    return snapshotId ? `snapshot ${snapshotId} (of ${environmentId})` : environmentId;
+}
+
+/**
+ * A report readable without the app
+ */
+export function renderSyncDiffHtml(diff: SyncDiff): string {
+    const source = escapeHtml(describeSide(diff.sourceEnvironmentId, diff.sourceSnapshotId, diff.sourceFolder));
+    const target = escapeHtml(describeSide(diff.targetEnvironmentId, diff.targetSnapshotId));
+    const sections = Object.entries(diff.entities).map(([entity, changes]) => {
+        const entries = (['added', 'modified', 'removed'] as const)
+            .flatMap(kind => changes[kind].map(change => renderEntityChange(kind, change)));
+        return `<section><h2>${escapeHtml(entity)} (${entries.length})</h2>${entries.join('') || '<p>No differences</p>'}</section>`;
+    });
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Sync diff ${source} → ${target}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; margin: 2rem; color: #222; }
+details { margin: 4px 0 4px 1rem; }
+summary { cursor: pointer; }
+.added > summary { color: #1e7e34; }
+.modified > summary { color: #b8860b; }
+.removed > summary { color: #c82333; }
+table { border-collapse: collapse; margin: 6px 0 6px 1rem; }
+td, th { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+pre { margin: 0; white-space: pre-wrap; word-break: break-all; }
+</style>
+</head>
+<body>
+<h1>Sync diff</h1>
+<p>Source ${source}, target ${target}, compared ${escapeHtml(diff.createdAt)}.
+${diff.counts.added} added, ${diff.counts.modified} modified, ${diff.counts.removed} removed in the source compared to the target.</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Read the content model of a sync diff's snapshot folder source
+ * Snapshots of the library and folders of earlier jobs are downloaded first if the storage
+ * doesn't keep them on disk; other folders are looked up where data-ops would look for them.
+ */
+async function readFolderSource(
+    options: CommandOptions,
+    entities: string[]
+): Promise<{ model: ContentModel; sides: Pick<SyncDiff, 'sourceEnvironmentId' | 'sourceSnapshotId' | 'sourceFolder'> }> {
+    const folderName = String(options.folderName);
+    const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'sync-diff-'));
+    try {
+        const fetched = resolveInputPaths('sync diff', await fetchStoredFiles({ folderName }, dir), PROJECT_ROOT);
+        const model = await readSnapshotFolderModel(String(fetched.folderName), entities);
+        const snapshotId = parseSnapshotReference(folderName);
+        const sides = snapshotId
+            ? { sourceEnvironmentId: (await getSnapshot(snapshotId)).environmentId, sourceSnapshotId: snapshotId }
+            : { sourceEnvironmentId: '', sourceFolder: folderName };
+        return { model, sides };
+    } finally {
+        await fsp.rm(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Compare the content models of a sync diff's source and target and write the diff into the job's workspace
+ * @param options - Resolved options of the sync diff, with the keys
+ * @returns What to tell the user
+ */
+export async function writeSyncDiff(options: CommandOptions, workspace: string): Promise<string> {
+    const selected = Array.isArray(options.entities) ? options.entities.map(String).filter(entity => MODEL_ENTITIES.includes(entity)) : [];
+    const entities = selected.length > 0 ? selected : MODEL_ENTITIES;
+    let diff: SyncDiff;
+    if (options.folderName) {
+        const { model: source, sides } = await readFolderSource(options, entities);
+        const inFolder = Object.keys(source);
+        if (inFolder.length === 0) {
+            throw new HttpError(`The snapshot folder has none of the entities to diff (${entities.join(', ')})`);
+        }
+        const target = await readEnvironmentModel(options.targetEnvironmentId, options.targetApiKey, options.kontentUrl, inFolder);
+        diff = createSyncDiff(source, target, { ...sides, targetEnvironmentId: String(options.targetEnvironmentId) });
+    } else {
+        const { source, target } = await readSyncModels(options, entities);
+        diff = createSyncDiff(source, target, {
+            sourceEnvironmentId: String(options.sourceEnvironmentId),
+            targetEnvironmentId: String(options.targetEnvironmentId)
+        });
+    }
+
+    await fsp.writeFile(path.join(workspace, SYNC_DIFF_JSON_FILE), JSON.stringify(diff, null, 2));
+    await fsp.writeFile(path.join(workspace, SYNC_DIFF_HTML_FILE), renderSyncDiffHtml(diff));
+    return `Diff computed: ${diff.counts.added} added, ${diff.counts.modified} modified, ${diff.counts.removed} removed`;
+}
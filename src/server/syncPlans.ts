@@ -0,0 +1,153 @@
+/**
+ * Sync plans
+ *
+ * Before a sync run, the server can compute what it would change in the target: the
+ * create, update and delete operations per entity type. A sync run started with the ID
+ * of such a plan first reads both environments again and fails if either changed since
+ * the plan was computed. Plans are single-use and bound to the user, the environments
+ * and the entities they were computed for.
+ *
+ * The plan comes from the server's own comparison (contentModel.ts), which is tested to find
+ * the same changes as data-ops. data-ops still computes its changes itself when the sync
+ * runs, so the run is limited to the plan: data-ops is only given the codenames the plan
+ * lists (toSyncEntities in workerBackend.ts) and can't touch anything else.
+ */
+
+import { randomUUID } from 'crypto';
+import fsp from 'fs/promises';
+import path from 'path';
+import type { AuthUser, CommandOptions, ModelEntityChanges, SyncOperation, SyncPlan } from '../types/index.js';
+import { readSyncModels, diffContentModels, fingerprintContentModel, MODEL_ENTITIES } from './contentModel.js';
+import { HttpError } from './errors.js';
+
+const PLAN_TTL_MS = 30 * 60 * 1000;
+const SYNC_PLAN_FILE = 'sync-plan.json';
+
+interface StoredPlan {
+    plan: SyncPlan;
+    userId: string | null;
+    // Kontent.ai URL the environments were read from
+    kontentUrl: string | null;
+    expiresAt: number;
+}
+
+const plans = new Map<string, StoredPlan>();
+
+function removeExpired(): void {
+    const now = Date.now();
+    plans.forEach((stored, id) => {
+        if (stored.expiresAt <= now) plans.delete(id);
+    });
+}
+
+function getEntities(options: CommandOptions): string[] {
+    const entities = Array.isArray(options.entities)
+        ? options.entities.map(String).filter(entity => MODEL_ENTITIES.includes(entity))
+        : [];
+    if (entities.length === 0) {
+        throw new HttpError('Select the entities to sync');
+    }
+    return entities;
+}
+
+function toOperations(changes: ModelEntityChanges): SyncOperation[] {
+    return [
+        ...changes.added.map(({ codename, name }): SyncOperation => ({ operation: 'create', codename, name })),
+        ...changes.modified.map(({ codename, name, changes: propertyChanges }): SyncOperation => ({
+            operation: 'update', codename, name, changes: propertyChanges
+        })),
+        ...changes.removed.map(({ codename, name }): SyncOperation => ({ operation: 'delete', codename, name }))
+    ];
+}
+
+/**
+ * Compute what a sync run would change in its target, as the server compares content models
+ * @param options - Resolved options of the sync run, with both keys
+ */
+export async function createSyncPlan(options: CommandOptions, user?: AuthUser): Promise<SyncPlan> {
+    if (options.folderName) {
+        throw new HttpError('A plan needs a source environment; sync runs from a snapshot folder can\'t be planned');
+    }
+    const entities = getEntities(options);
+    const { source, target } = await readSyncModels(options, entities);
+    const operations = Object.fromEntries(Object.entries(diffContentModels(source, target))
+        .map(([entity, changes]) => [entity, toOperations(changes)]));
+    const all = Object.values(operations).flat();
+
+    removeExpired();
+    const createdAt = Date.now();
+    const plan: SyncPlan = {
+        id: randomUUID(),
+        createdAt: new Date(createdAt).toISOString(),
+        expiresAt: new Date(createdAt + PLAN_TTL_MS).toISOString(),
+        sourceEnvironmentId: String(options.sourceEnvironmentId),
+        targetEnvironmentId: String(options.targetEnvironmentId),
+        entities,
+        operations,
+        counts: {
+            create: all.filter(operation => operation.operation === 'create').length,
+            update: all.filter(operation => operation.operation === 'update').length,
+            delete: all.filter(operation => operation.operation === 'delete').length
+        },
+        sourceFingerprint: fingerprintContentModel(source),
+        targetFingerprint: fingerprintContentModel(target)
+    };
+    plans.set(plan.id, {
+        plan,
+        userId: user?.id ?? null,
+        kontentUrl: typeof options.kontentUrl === 'string' ? options.kontentUrl : null,
+        expiresAt: createdAt + PLAN_TTL_MS
+    });
+    return plan;
+}
+
+/**
+ * Take the approved plan a sync run is started with, using it up
+ * @param options - Resolved options of the sync run
+ */
+export function takeSyncPlan(planId: unknown, options: CommandOptions, user?: AuthUser): SyncPlan {
+    removeExpired();
+    const stored = typeof planId === 'string' ? plans.get(planId) : undefined;
+    if (!stored || stored.userId !== (user?.id ?? null)) {
+        throw new HttpError('The sync plan has expired or is not valid; compute a new one', 428);
+    }
+    const { plan } = stored;
+    const entities = Array.isArray(options.entities) ? options.entities.map(String).filter(entity => MODEL_ENTITIES.includes(entity)) : [];
+    const kontentUrl = typeof options.kontentUrl === 'string' ? options.kontentUrl : null;
+    if (plan.sourceEnvironmentId !== options.sourceEnvironmentId || plan.targetEnvironmentId !== options.targetEnvironmentId ||
+        [...plan.entities].sort().join() !== entities.sort().join() || stored.kontentUrl !== kontentUrl || options.folderName) {
+        throw new HttpError('The sync plan was computed for different environments or entities; compute a new one', 428);
+    }
+    plans.delete(plan.id);
+    return plan;
+}
+
+/**
+ * Codenames of what a plan changes per entity, which its sync run is limited to
+ * Entities renamed in the target (the default language) are listed under both codenames.
+ */
+export function getPlannedCodenames(plan: SyncPlan): Record<string, string[]> {
+    return Object.fromEntries(Object.entries(plan.operations).map(([entity, operations]) => [entity, [...new Set(operations.flatMap(operation => [
+        operation.codename,
+        ...(operation.changes ?? []).filter(change => change.path === 'codename').map(change => String(change.after))
+    ]))]]));
+}
+
+/**
+ * Check that neither environment changed since a plan was computed, and keep the plan with the job
+ * @param options - Resolved options of the sync run, with both keys
+ * @returns What to tell the user when the plan still holds
+ */
+export async function verifySyncPlan(plan: SyncPlan, options: CommandOptions, workspace: string): Promise<string> {
+    await fsp.writeFile(path.join(workspace, SYNC_PLAN_FILE), JSON.stringify(plan, null, 2));
+
+    const { source, target } = await readSyncModels(options, plan.entities);
+    if (fingerprintContentModel(target) !== plan.targetFingerprint) {
+        throw new Error(`Target environment ${plan.targetEnvironmentId} has changed since the plan was computed; compute and approve a new plan`);
+    }
+    if (fingerprintContentModel(source) !== plan.sourceFingerprint) {
+        throw new Error(`Source environment ${plan.sourceEnvironmentId} has changed since the plan was computed; compute and approve a new plan`);
+    }
+    const { create, update, delete: remove } = plan.counts;
+    return `Environments unchanged since the plan was computed: ${create} to create, ${update} to update, ${remove} to delete`;
+}
@@ -0,0 +1,362 @@
+/**
+ * Resumable uploads of backup archives
+ *
+ * Clients create an upload, then append the file in chunks. The size of the
+ * partial file on disk is the authoritative offset, so an interrupted upload
+ * resumes from wherever the server got to. Completed uploads are checked to be
+ * data-ops backup archives and handed back as an `upload:` reference that can
+ * be used as the `fileName` of `environment restore`. Uploads are kept in a
+ * workspace per signed-in user; uploads that stop receiving chunks expire.
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
+import StreamZip from 'node-stream-zip';
+import type { AuthUser, UploadInfo } from '../types/index.js';
+import { DATA_DIR } from './paths.js';
+import { HttpError } from './errors.js';
+import { ServerLogger } from './logger.js';
+
+const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
+const UPLOAD_REFERENCE_PREFIX = 'upload:';
+
+const UPLOAD_CLEANUP_INTERVAL = 60 * 60 * 1000;
+
+const logger = new ServerLogger();
+
+export const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024; // 8 MB per request
+export const MAX_UPLOAD_SIZE = process.env.MAX_UPLOAD_SIZE
+    ? parseInt(process.env.MAX_UPLOAD_SIZE, 10)
+    : 2 * 1024 * 1024 * 1024; // 2 GB
+export const UPLOAD_EXPIRY_HOURS = process.env.UPLOAD_EXPIRY_HOURS
+    ? parseFloat(process.env.UPLOAD_EXPIRY_HOURS)
+    : 24;
+
+// Entity files found in archives written by `data-ops environment backup`
+export const BACKUP_ENTITY_FILES = [
+    'assetFolders.json',
+    'assets.json',
+    'collections.json',
+    'contentItems.json',
+    'contentTypes.json',
+    'contentTypeSnippets.json',
+    'languages.json',
+    'languageVariants.json',
+    'previewUrls.json',
+    'roles.json',
+    'spaces.json',
+    'taxonomies.json',
+    'webSpotlight.json',
+    'workflows.json'
+];
+
+// Uploads currently receiving a chunk; parallel writes would corrupt the file
+const activeWrites = new Set<string>();
+
+/**
+ * Get the workspace of a user, which keeps their uploads apart from everyone else's
+ * User IDs of identity providers may hold any characters, so the workspace is named by a hash.
+ */
+export function getUserWorkspaceId(user: AuthUser | undefined): string {
+    return `user-${createHash('sha256').update(user?.id ?? '').digest('hex').slice(0, 32)}`;
+}
+
+/**
+ * Workspace IDs are used as directory names
+ */
+export function sanitizeWorkspaceId(workspaceId: unknown): string {
+    if (typeof workspaceId !== 'string') return 'default';
+    const sanitized = workspaceId.replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 64);
+    return sanitized || 'default';
+}
+
+function isValidUploadId(id: string): boolean {
+    return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id);
+}
+
+function uploadPaths(workspaceId: string, uploadId: string) {
+    const dir = path.join(UPLOADS_DIR, workspaceId);
+    return {
+        dir,
+        meta: path.join(dir, `${uploadId}.json`),
+        part: path.join(dir, `${uploadId}.part`),
+        file: path.join(dir, `${uploadId}.zip`)
+    };
+}
+
+async function readUpload(workspaceId: string, uploadId: string): Promise<UploadInfo> {
+    if (!isValidUploadId(uploadId)) {
+        throw new HttpError('Upload not found', 404);
+    }
+    try {
+        return JSON.parse(await fsp.readFile(uploadPaths(workspaceId, uploadId).meta, 'utf8')) as UploadInfo;
+    } catch {
+        throw new HttpError('Upload not found', 404);
+    }
+}
+
+async function writeUpload(upload: UploadInfo): Promise<void> {
+    await fsp.writeFile(uploadPaths(upload.workspaceId, upload.id).meta, JSON.stringify(upload, null, 2));
+}
+
+async function getPartSize(workspaceId: string, uploadId: string): Promise<number> {
+    try {
+        return (await fsp.stat(uploadPaths(workspaceId, uploadId).part)).size;
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Create a new upload
+ */
+export async function createUpload(workspaceId: string, fileName: unknown, size: unknown): Promise<UploadInfo> {
+    if (typeof fileName !== 'string' || !fileName.toLowerCase().endsWith('.zip')) {
+        throw new HttpError('Only .zip backup archives can be uploaded');
+    }
+    if (typeof size !== 'number' || !Number.isInteger(size) || size <= 0) {
+        throw new HttpError('File size must be a positive integer');
+    }
+    if (size > MAX_UPLOAD_SIZE) {
+        throw new HttpError(`File is larger than the maximum upload size of ${MAX_UPLOAD_SIZE} bytes`, 413);
+    }
+
+    const upload: UploadInfo = {
+        id: randomUUID(),
+        workspaceId,
+        fileName: path.basename(fileName),
+        size,
+        offset: 0,
+        status: 'pending',
+        createdAt: new Date().toISOString()
+    };
+
+    const paths = uploadPaths(workspaceId, upload.id);
+    await fsp.mkdir(paths.dir, { recursive: true });
+    await fsp.writeFile(paths.part, '');
+    await writeUpload(upload);
+    return upload;
+}
+
+/**
+ * Get an upload with its current offset
+ */
+export async function getUpload(workspaceId: string, uploadId: string): Promise<UploadInfo> {
+    const upload = await readUpload(workspaceId, uploadId);
+    if (upload.status === 'pending') {
+        upload.offset = await getPartSize(workspaceId, uploadId);
+    }
+    return upload;
+}
+
+/**
+ * Append a chunk to an upload
+ * @param offset - Offset the client believes it is writing at; must match the server's
+ */
+export async function appendUploadChunk(
+    workspaceId: string,
+    uploadId: string,
+    offset: number,
+    chunk: NodeJS.ReadableStream
+): Promise<UploadInfo> {
+    const upload = await getUpload(workspaceId, uploadId);
+    if (upload.status !== 'pending') {
+        throw new HttpError('Upload is already complete', 409);
+    }
+    if (offset !== upload.offset) {
+        throw new HttpError(`Offset mismatch: the server has ${upload.offset} bytes`, 409);
+    }
+    if (activeWrites.has(uploadId)) {
+        throw new HttpError('Another chunk of this upload is being written', 409);
+    }
+
+    activeWrites.add(uploadId);
+    try {
+        let received = 0;
+        const limiter = new Transform({
+            transform(data: Buffer, _encoding, callback) {
+                received += data.length;
+                if (received > UPLOAD_CHUNK_SIZE || upload.offset + received > upload.size) {
+                    callback(new HttpError('Chunk exceeds the allowed size', 413));
+                    return;
+                }
+                callback(null, data);
+            }
+        });
+
+        // Whatever reached the disk before an error counts; the client resumes from there
+        await pipeline(chunk, limiter, fs.createWriteStream(uploadPaths(workspaceId, uploadId).part, { flags: 'a' }))
+            .catch(error => {
+                if (error instanceof HttpError) throw error;
+            });
+    } finally {
+        activeWrites.delete(uploadId);
+    }
+
+    return getUpload(workspaceId, uploadId);
+}
+
+/**
+ * Check that a file is a data-ops backup archive
+ * @returns Entity files found in the archive and its backup metadata, if any
+ */
+export async function inspectBackupArchive(filePath: string): Promise<{ entities: string[]; metadata?: Record<string, unknown> }> {
+    let zip;
+    try {
+        zip = new StreamZip.async({ file: filePath });
+        const entries = await zip.entries();
+        const entities = BACKUP_ENTITY_FILES.filter(name => entries[name]);
+        if (entities.length === 0) {
+            throw new HttpError('The archive does not contain any data-ops backup files');
+        }
+
+        let metadata: Record<string, unknown> | undefined;
+        if (entries['metadata.json']) {
+            try {
+                metadata = JSON.parse((await zip.entryData('metadata.json')).toString('utf8'));
+            } catch {
+                // Metadata is informational only
+            }
+        }
+
+        return { entities: entities.map(name => name.replace(/\.json$/, '')), metadata };
+    } catch (error) {
+        if (error instanceof HttpError) throw error;
+        throw new HttpError('The file is not a valid zip archive');
+    } finally {
+        await zip?.close().catch(() => undefined);
+    }
+}
+
+/**
+ * Finish an upload once all bytes arrived and validate the archive
+ */
+export async function completeUpload(workspaceId: string, uploadId: string): Promise<UploadInfo> {
+    const upload = await getUpload(workspaceId, uploadId);
+    if (upload.status === 'complete') {
+        return upload;
+    }
+    if (upload.offset !== upload.size) {
+        throw new HttpError(`Upload is incomplete: ${upload.offset} of ${upload.size} bytes received`, 409);
+    }
+
+    const paths = uploadPaths(workspaceId, uploadId);
+    const archive = await inspectBackupArchive(paths.part).catch(async error => {
+        // An invalid archive can't be fixed by resuming, so drop it
+        await removeUpload(workspaceId, uploadId);
+        throw error;
+    });
+
+    await fsp.rename(paths.part, paths.file);
+    upload.status = 'complete';
+    upload.completedAt = new Date().toISOString();
+    upload.entities = archive.entities;
+    upload.metadata = archive.metadata;
+    upload.reference = `${UPLOAD_REFERENCE_PREFIX}${workspaceId}/${uploadId}`;
+    await writeUpload(upload);
+    return upload;
+}
+
+/**
+ * Delete an upload and its data
+ */
+export async function removeUpload(workspaceId: string, uploadId: string): Promise<void> {
+    if (!isValidUploadId(uploadId)) {
+        throw new HttpError('Upload not found', 404);
+    }
+    const paths = uploadPaths(workspaceId, uploadId);
+    await Promise.all([paths.meta, paths.part, paths.file].map(file => fsp.rm(file, { force: true })));
+}
+
+/**
+ * List the completed uploads of a workspace
+ */
+export async function listUploads(workspaceId: string): Promise<UploadInfo[]> {
+    let files: string[];
+    try {
+        files = await fsp.readdir(path.join(UPLOADS_DIR, workspaceId));
+    } catch {
+        return [];
+    }
+
+    const uploads = await Promise.all(
+        files
+            .filter(file => file.endsWith('.json'))
+            .map(file => readUpload(workspaceId, file.replace(/\.json$/, '')).catch(() => null))
+    );
+    return uploads
+        .filter((upload): upload is UploadInfo => upload !== null && upload.status === 'complete')
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Remove uploads that haven't received a chunk for UPLOAD_EXPIRY_HOURS
+ * @returns How many were removed
+ */
+export async function removeAbandonedUploads(now: number = Date.now()): Promise<number> {
+    const workspaces = await fsp.readdir(UPLOADS_DIR).catch(() => [] as string[]);
+    let removed = 0;
+    for (const workspaceId of workspaces) {
+        const files = await fsp.readdir(path.join(UPLOADS_DIR, workspaceId)).catch(() => [] as string[]);
+        for (const file of files.filter(name => name.endsWith('.part'))) {
+            const uploadId = file.replace(/\.part$/, '');
+            const stats = await fsp.stat(path.join(UPLOADS_DIR, workspaceId, file)).catch(() => null);
+            if (!stats || activeWrites.has(uploadId) || now - stats.mtimeMs < UPLOAD_EXPIRY_HOURS * 60 * 60 * 1000) {
+                continue;
+            }
+            await removeUpload(workspaceId, uploadId).catch(() => undefined);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+/**
+ * Start removing abandoned uploads: now, then every hour
+ */
+export function initUploads(): void {
+    const cleanUp = () => {
+        removeAbandonedUploads()
+            .then(removed => {
+                if (removed > 0) {
+                    logger.info(`Removed ${removed} abandoned upload(s)`);
+                }
+            })
+            .catch(error => logger.error('Failed to remove abandoned uploads', error));
+    };
+    cleanUp();
+    // The cleanup alone doesn't keep the process running
+    setInterval(cleanUp, UPLOAD_CLEANUP_INTERVAL).unref();
+}
+
+/**
+ * Check whether an option value is an upload reference
+ */
+export function isUploadReference(value: unknown): value is string {
+    return typeof value === 'string' && value.startsWith(UPLOAD_REFERENCE_PREFIX);
+}
+
+/**
+ * Get the workspace and upload an upload reference points at
+ * @returns null if the reference is malformed
+ */
+export function parseUploadReference(reference: string): { workspaceId: string; uploadId: string } | null {
+    const [workspaceId, uploadId, ...rest] = reference.slice(UPLOAD_REFERENCE_PREFIX.length).split('/');
+    if (rest.length > 0 || sanitizeWorkspaceId(workspaceId) !== workspaceId || !isValidUploadId(uploadId || '')) {
+        return null;
+    }
+    return { workspaceId, uploadId };
+}
+
+/**
+ * Resolve an upload reference to the archive's path on disk
+ * @returns null if the reference is malformed
+ */
+export function resolveUploadReference(reference: string): string | null {
+    const parsed = parseUploadReference(reference);
+    return parsed && uploadPaths(parsed.workspaceId, parsed.uploadId).file;
+}
@@ -5,6 +5,15 @@
 import path from 'path';
 import type { CommandOptions, ValidationResult } from '../types/index.js';
 
+// Options entered as comma-separated codenames; the CLI takes them as repeated flags
+const LIST_OPTIONS: Record<string, string[]> = {
+    'migrate-content snapshot': ['items', 'byTypesCodenames', 'collections'],
+    'migrate-content run': ['items', 'byTypesCodenames', 'collections']
+};
+
+// Options that select content through the Delivery API rather than by item codename
+const DELIVERY_SELECTION_OPTIONS = ['byTypesCodenames', 'collections', 'filter'];
+
 /**
  * Sanitize input string
  */
@@ -33,6 +42,18 @@ export function validateApiKey(apiKey: unknown, minLength = 10): boolean {
     return apiKey.trim().length >= minLength;
 }
 
+/**
+ * Validate a custom Kontent.ai URL (http or https)
+ */
+export function validateKontentUrl(url: unknown): boolean {
+    if (!url || typeof url !== 'string') return false;
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch {
+        return false;
+    }
+}
+
 /**
  * Validate file path (prevent directory traversal)
  */
@@ -43,6 +64,72 @@ export function validateFilePath(filePath: unknown, maxLength = 500): boolean {
     return !normalized.includes('..') && normalized.length > 0 && normalized.length < maxLength;
 }
 
+/**
+ * Validate a codename (content items, types, collections)
+ */
+export function validateCodename(codename: unknown): boolean {
+    if (!codename || typeof codename !== 'string') return false;
+    return /^[a-z0-9_]{1,60}$/.test(codename);
+}
+
+/**
+ * Validate a language codename; unlike other codenames these may contain capitals and dashes (en-US)
+ */
+export function validateLanguageCodename(codename: unknown): boolean {
+    if (!codename || typeof codename !== 'string') return false;
+    return /^[a-zA-Z0-9_-]{1,60}$/.test(codename);
+}
+
+/**
+ * Validate the content item selection of migrate-content commands
+ */
+function validateContentSelection(options: CommandOptions): ValidationResult {
+    if (!validateLanguageCodename(options.language)) {
+        return { valid: false, message: 'language must be a valid language codename' };
+    }
+
+    const deliverySelection = DELIVERY_SELECTION_OPTIONS.filter(key => options[key]);
+    if (!options.items && deliverySelection.length === 0) {
+        return { valid: false, message: 'One of items, byTypesCodenames, collections or filter is required for migrate-content' };
+    }
+    if (options.items && deliverySelection.length > 0) {
+        return { valid: false, message: `items cannot be combined with ${deliverySelection.join(', ')}` };
+    }
+    if (deliverySelection.length > 0 && !options.sourceDeliveryPreviewKey) {
+        return { valid: false, message: 'sourceDeliveryPreviewKey is required when selecting by content types, collections or filter' };
+    }
+
+    for (const key of ['items', 'byTypesCodenames', 'collections']) {
+        const value = options[key];
+        if (value === undefined) continue;
+        const invalid = (Array.isArray(value) ? value : [value]).filter(codename => !validateCodename(codename));
+        if (invalid.length > 0) {
+            return { valid: false, message: `${key} contains invalid codenames: ${invalid.join(', ')}` };
+        }
+    }
+
+    if (hasValue(options.filter) && (typeof options.filter !== 'string' || options.filter.startsWith('?') || options.filter.length > 2000)) {
+        return { valid: false, message: 'filter must be a Delivery API filter query without the leading ?, e.g. system.type=article' };
+    }
+    if (hasValue(options.depth) && !isIntegerInRange(options.depth, 0, 100)) {
+        return { valid: false, message: 'depth must be a whole number between 0 and 100' };
+    }
+    if (hasValue(options.limit) && !isIntegerInRange(options.limit, 1, 2000)) {
+        return { valid: false, message: 'limit must be a whole number between 1 and 2000' };
+    }
+
+    return { valid: true };
+}
+
+function hasValue(value: unknown): boolean {
+    return value !== undefined && value !== null && value !== '';
+}
+
+function isIntegerInRange(value: unknown, min: number, max: number): boolean {
+    const number = typeof value === 'string' ? Number(value) : value;
+    return typeof number === 'number' && Number.isInteger(number) && number >= min && number <= max;
+}
+
 /**
  * Validate command options structure
  */
@@ -92,15 +179,69 @@ export function validateCommandOptions(command: string, options: CommandOptions)
             if (options.sourceEnvironmentId && !options.sourceApiKey) {
                 return { valid: false, message: 'sourceApiKey is required when using sourceEnvironmentId' };
             }
-            // If advanced is enabled, outPath is required
-            if (options.advanced && (!options.outPath || (typeof options.outPath === 'string' && options.outPath.trim() === ''))) {
-                return { valid: false, message: 'outPath is required when advanced option is enabled' };
+            // The server computes diffs (syncDiff.ts); the CLI's HTML report at outPath is never written
+            if (options.advanced || options.outPath) {
+                return { valid: false, message: 'advanced and outPath are not supported; every diff is kept as the sync-diff.html artifact of its job' };
+            }
+        }
+    } else if (mainCommand === 'migrate-content') {
+        if (subCommand === 'snapshot') {
+            if (!options.sourceEnvironmentId || !options.sourceApiKey || !options.language) {
+                return { valid: false, message: 'sourceEnvironmentId, sourceApiKey, and language are required for migrate-content snapshot' };
+            }
+            return validateContentSelection(options);
+        } else if (subCommand === 'run') {
+            if (!options.targetEnvironmentId || !options.targetApiKey) {
+                return { valid: false, message: 'targetEnvironmentId and targetApiKey are required for migrate-content run' };
+            }
+            if (options.filename && options.sourceEnvironmentId) {
+                return { valid: false, message: 'Use either filename or sourceEnvironmentId+sourceApiKey for migrate-content run, not both' };
+            }
+            if (options.filename) {
+                const selection = ['language', 'items', 'sourceDeliveryPreviewKey', 'depth', 'limit', ...DELIVERY_SELECTION_OPTIONS]
+                    .filter(key => hasValue(options[key]));
+                if (selection.length > 0) {
+                    return { valid: false, message: `${selection.join(', ')} can only be used with sourceEnvironmentId, not with a snapshot file` };
+                }
+                return { valid: true };
+            }
+            if (!options.sourceEnvironmentId || !options.sourceApiKey) {
+                return { valid: false, message: 'Either filename or sourceEnvironmentId+sourceApiKey is required for migrate-content run' };
+            }
+            return validateContentSelection(options);
+        }
+        return { valid: false, message: `Unknown command: ${command}` };
+    } else if (mainCommand === 'migrations') {
+        if (!options.migrationsFolder) {
+            return { valid: false, message: `migrationsFolder is required for ${command}` };
+        }
+        if (subCommand === 'add') {
+            if (!options.name || typeof options.name !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(options.name)) {
+                return { valid: false, message: 'name is required for migrations add and may only contain letters, numbers, - and _' };
+            }
+            if (options.type && options.type !== 'js' && options.type !== 'ts') {
+                return { valid: false, message: 'type must be js or ts' };
+            }
+        } else if (subCommand === 'run') {
+            if (!options.environmentId || !options.apiKey) {
+                return { valid: false, message: 'environmentId and apiKey are required for migrations run' };
+            }
+            const selection = ['name', 'range', 'next', 'all'].filter(key => hasValue(options[key]) && options[key] !== false);
+            if (selection.length !== 1) {
+                return { valid: false, message: 'Exactly one of name, range, next or all is required for migrations run' };
             }
+            if (hasValue(options.name) && (typeof options.name !== 'string' || /[\\/]/.test(options.name))) {
+                return { valid: false, message: 'name must be the name of a single migration' };
+            }
+            if (hasValue(options.range) && (typeof options.range !== 'string' || !/^[^:\s]+:[^\s]+$/.test(options.range))) {
+                return { valid: false, message: 'range must be given as from:to, e.g. 1:5' };
+            }
+            if (hasValue(options.next) && !isIntegerInRange(options.next, 1, 10000)) {
+                return { valid: false, message: 'next must be a whole number of migrations, at least 1' };
+            }
+        } else {
+            return { valid: false, message: `Unknown command: ${command}` };
         }
-    } else if (mainCommand === 'migrate-content' || mainCommand === 'migrations') {
-        // Migration commands validation would go here
-        // For now, we'll be lenient and let the CLI validate
-        return { valid: true };
     } else {
         return { valid: false, message: `Unknown command: ${command}` };
     }
@@ -108,14 +249,33 @@ export function validateCommandOptions(command: string, options: CommandOptions)
     return { valid: true };
 }
 
+function splitList(value: unknown): string[] | null {
+    if (value === null || value === undefined) return [];
+    const parts = typeof value === 'string' ? value.split(/[\s,]+/) : value;
+    if (!Array.isArray(parts) || parts.some(part => typeof part !== 'string')) return null;
+    return parts.map(part => part.trim()).filter(part => part !== '');
+}
+
 /**
  * Enhanced validation for command options
  */
-export function validateAndSanitizeOptions(_command: string, options: CommandOptions): CommandOptions {
+export function validateAndSanitizeOptions(command: string, options: CommandOptions): CommandOptions {
     const sanitized: CommandOptions = {};
     const errors: string[] = [];
+    const listOptions = LIST_OPTIONS[command] || [];
     
     for (const [key, value] of Object.entries(options)) {
+        // Split comma-separated lists, dropping the option if nothing is left
+        if (listOptions.includes(key)) {
+            const list = splitList(value);
+            if (list === null) {
+                errors.push(`${key} must be a list of codenames`);
+            } else if (list.length > 0) {
+                sanitized[key] = list;
+            }
+            continue;
+        }
+        
         // Skip internal options
         if (key.startsWith('_')) {
             sanitized[key] = value;
@@ -142,6 +302,10 @@ export function validateAndSanitizeOptions(_command: string, options: CommandOpt
             }
         }
         
+        if (key === 'kontentUrl' && value && !validateKontentUrl(value)) {
+            errors.push('kontentUrl must be an http(s) URL');
+        }
+        
         if (key.toLowerCase().includes('filename') || key.toLowerCase().includes('file_name') || 
             key.toLowerCase().includes('outpath') || key.toLowerCase().includes('folder')) {
             if (value && !validateFilePath(value)) {
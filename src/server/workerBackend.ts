@@ -0,0 +1,144 @@
+/**
+ * Worker thread backend for data-ops commands
+ *
+ * Instead of spawning the CLI, the command's data-ops API function is called in a worker
+ * thread (dataOpsWorker.ts), so keys stay in memory and the function's result is kept.
+ * The data-ops API takes no logger or progress callback (its log options are only a log
+ * level), so what it logs is read off the worker's stdout and stderr and counted into
+ * progress the same way as the CLI's output. The returned object behaves like the child
+ * process of the CLI backend.
+ */
+
+import { Worker } from 'worker_threads';
+import { EventEmitter } from 'events';
+import { PassThrough } from 'stream';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import type { DataOpsChildProcess } from './executor.js';
+import { PROJECT_ROOT } from './paths.js';
+import { ServerLogger } from './logger.js';
+
+// The data-ops package, or a path to its API entry point
+const DATA_OPS_API = process.env.DATA_OPS_API_PATH || '@kontent-ai/data-ops';
+
+const WORKER_TIMEOUT = 3600000; // 1 hour, as for the CLI
+
+const WORKER_SCRIPT = new URL('./dataOpsWorker.js', import.meta.url);
+
+const logger = new ServerLogger();
+
+export interface WorkerTask {
+    command: string;
+    functionName: string;
+    params: Record<string, unknown>;
+    apiModule: string;
+    // Codenames per entity a sync run is limited to, those of its approved plan
+    syncCodenames?: Record<string, string[]>;
+}
+
+// What syncRun is told to sync: a filter per entity, and whether to sync Web Spotlight
+export type SyncEntities = Record<string, ((entity: { codename: string; is_default?: boolean }) => boolean) | boolean>;
+
+export type WorkerMessage =
+    | { type: 'result'; result: unknown }
+    | { type: 'failed'; message: string };
+
+function getApiModule(): string {
+    return DATA_OPS_API.startsWith('.') || path.isAbsolute(DATA_OPS_API)
+        ? pathToFileURL(path.resolve(PROJECT_ROOT, DATA_OPS_API)).href
+        : DATA_OPS_API;
+}
+
+/**
+ * The entities parameter of syncRun for the entities a command selects
+ * The API takes a filter per entity where the CLI takes entity names. A sync run limited to
+ * codenames only lets those through, on both sides, so data-ops can't create, update or
+ * delete anything else. Default languages always pass, since data-ops can't compare
+ * languages without them.
+ */
+export function toSyncEntities(entities: unknown, codenames?: Record<string, string[]>): SyncEntities {
+    const selected = Array.isArray(entities) ? entities.map(String) : [];
+    return Object.fromEntries(selected.map(entity => {
+        if (!codenames) {
+            return [entity, entity === 'webSpotlight' ? true : () => true];
+        }
+        const allowed = new Set(codenames[entity] ?? []);
+        if (entity === 'webSpotlight') {
+            return [entity, allowed.size > 0];
+        }
+        return [entity, (item: { codename: string; is_default?: boolean }) =>
+            allowed.has(item.codename) || (entity === 'languages' && item.is_default === true)];
+    }));
+}
+
+/**
+ * A data-ops API call in a worker thread, behaving like a child process
+ * @param script - Worker script; the data-ops worker unless testing
+ */
+export class WorkerProcess extends EventEmitter implements DataOpsChildProcess {
+    stdout = new PassThrough();
+    stderr = new PassThrough();
+    killed = false;
+    private worker: Worker;
+    private succeeded = false;
+
+    constructor(task: WorkerTask, script: URL = WORKER_SCRIPT) {
+        super();
+        this.worker = new Worker(script, {
+            workerData: task,
+            stdout: true,
+            stderr: true
+        });
+        // What data-ops logs through the console
+        this.worker.stdout.pipe(this.stdout, { end: false });
+        this.worker.stderr.pipe(this.stderr, { end: false });
+
+        const timeout = setTimeout(() => {
+            this.stderr.write('Command timed out\n');
+            this.kill();
+        }, WORKER_TIMEOUT);
+
+        this.worker.on('message', (message: WorkerMessage) => this.handleMessage(message));
+        this.worker.on('error', error => this.emit('error', error));
+        this.worker.on('exit', () => {
+            clearTimeout(timeout);
+            this.stdout.end();
+            this.stderr.end();
+            // Like a process, report the outcome once all output is through
+            setImmediate(() => this.emit('close', this.succeeded ? 0 : 1));
+        });
+    }
+
+    private handleMessage(message: WorkerMessage): void {
+        switch (message.type) {
+            case 'result':
+                this.succeeded = true;
+                this.emit('result', message.result);
+                // Open connections of the API client would keep the worker alive
+                this.worker.terminate();
+                break;
+            case 'failed':
+                this.stderr.write(`${message.message}\n`);
+                this.worker.terminate();
+                break;
+        }
+    }
+
+    kill(): void {
+        if (this.killed) return;
+        this.killed = true;
+        this.worker.terminate().catch(error => logger.warning('Failed to stop data-ops worker', error));
+    }
+}
+
+/**
+ * Call a data-ops API function in a worker thread
+ */
+export function runInWorker(
+    command: string,
+    functionName: string,
+    params: Record<string, unknown>,
+    syncCodenames?: Record<string, string[]>
+): DataOpsChildProcess {
+    return new WorkerProcess({ command, functionName, params, apiModule: getApiModule(), syncCodenames });
+}
@@ -28,6 +28,11 @@ export interface CommandOption {
     fetchable?: boolean;
     implies?: string[];
     dependsOn?: string;
+    upload?: boolean;
+    // Offer the snapshot library as a source
+    snapshots?: boolean;
+    // The field names a backup archive the archive inspector can open
+    inspectable?: boolean;
 }
 
 export interface EntityResponse {
@@ -68,23 +73,382 @@ export interface RateLimitInfo {
     requests: number[];
 }
 
-export interface ProgressStage {
-    pattern: RegExp;
-    percent: number;
-    stage: string;
-}
-
-export interface ProgressStages {
-    [command: string]: ProgressStage[];
+export interface PhaseProgress {
+    name: string;
+    label: string;
+    processed: number;
+    total: number | null;
+    // Entities per second
+    throughput: number | null;
+    etaSeconds: number | null;
 }
 
 export interface StreamMessage {
-    type: 'connected' | 'output' | 'progress' | 'complete' | 'error';
+    type: 'connected' | 'queued' | 'started' | 'output' | 'progress' | 'complete' | 'error';
     message?: string;
     level?: 'info' | 'error' | 'warning' | 'success';
     percent?: number;
     stage?: string;
     success?: boolean;
     solution?: string;
+    jobId?: string;
+    phase?: PhaseProgress;
+    queue?: QueueState;
+}
+
+export type JobStatus = 'queued' | 'running' | 'succeeded' | 'failed' | 'cancelled' | 'interrupted';
+
+export interface QueueState {
+    // 1-based place among the jobs waiting to start
+    position: number;
+    // Waiting for a free slot, or for another job to release an environment
+    reason: 'capacity' | 'lock';
+    environmentId?: string;
+    blockedBy?: string;
+}
+
+export interface JobMetadata {
+    id: string;
+    command: string;
+    options: CommandOptions;
+    status: JobStatus;
+    createdAt: string;
+    finishedAt?: string;
+    exitCode?: number | null;
+    error?: string;
+    lastSeq: number;
+    artifacts?: ArtifactInfo[];
+    startedBy?: AuthUser;
+    // What the data-ops API function returned (worker backend only)
+    result?: unknown;
+    // Where the job stands while it waits to start
+    queue?: QueueState;
+    startedAt?: string;
+    // Backup of the target taken before the command ran
+    safetyBackup?: SafetyBackupInfo;
+    // Environments the command changes
+    writesTo?: string[];
+    // The job a rollback restores the safety backup of, and the rollback that did
+    rollbackOf?: string;
+    rolledBackBy?: string;
+    // The approved plan a sync run was checked against
+    syncPlan?: { id: string; counts: SyncPlan['counts'] };
+    // The schedule that started the job
+    schedule?: { id: string; name: string };
+    // Environment an environment backup job backed up
+    backupOf?: string;
+    // Pinned backups are never pruned
+    pinned?: { at: string; by?: string };
+}
+
+export interface ConfirmationRequest {
+    token: string;
+    expiresAt: string;
+    command: string;
+    environmentId: string;
+    projectName: string;
+    // What the user has to type to confirm
+    environmentName: string;
+    // Entities the command would delete, by entity name
+    counts: Record<string, number>;
+}
+
+// A difference in one property of an entity; added properties have no before, removed ones no after
+export interface PropertyChange {
+    // e.g. elements[title].name
+    path: string;
+    before?: unknown;
+    after?: unknown;
+}
+
+export interface ModelEntityChange {
+    codename: string;
+    name?: string;
+    // The whole entity, for added and removed ones
+    before?: unknown;
+    after?: unknown;
+    changes?: PropertyChange[];
+}
+
+// How one kind of entity (contentTypes, taxonomies, ...) differs between two environments
+export interface ModelEntityChanges {
+    added: ModelEntityChange[];
+    modified: ModelEntityChange[];
+    removed: ModelEntityChange[];
+}
+
+// How the content model of a source differs from that of a target
+export interface SyncDiff {
+    sourceEnvironmentId: string;
+    targetEnvironmentId: string;
+    // Set when a side is a snapshot of the library rather than the live environment
+    sourceSnapshotId?: string;
+    targetSnapshotId?: string;
+    // Set when the source is a snapshot folder on the server; its environment isn't known then
+    sourceFolder?: string;
+    createdAt: string;
+    counts: Record<keyof ModelEntityChanges, number>;
+    // Changes per entity type
+    entities: Record<string, ModelEntityChanges>;
+}
+
+export interface SyncOperation {
+    operation: 'create' | 'update' | 'delete';
+    codename: string;
+    name?: string;
+    changes?: PropertyChange[];
+}
+
+// What sync run will change in the target, computed before it runs
+export interface SyncPlan {
+    id: string;
+    createdAt: string;
+    expiresAt: string;
+    sourceEnvironmentId: string;
+    targetEnvironmentId: string;
+    entities: string[];
+    // Operations per entity type
+    operations: Record<string, SyncOperation[]>;
+    counts: Record<SyncOperation['operation'], number>;
+    // Hashes of both content models, to tell whether they changed since
+    sourceFingerprint: string;
+    targetFingerprint: string;
+}
+
+export interface SafetyBackupInfo {
+    environmentId: string;
+    // Artifact of the job holding the backup
+    artifact: string;
+    // Reference usable as the fileName of environment restore
+    reference: string;
+    createdAt: string;
+    // Kontent.ai URL of the environment, unless kontent.ai; the fingerprint and the rollback use it too
+    kontentUrl?: string;
+    // Content model fingerprint of the environment once the job was done with it; a rollback checks it is unchanged
+    fingerprint?: string;
+}
+
+// How many backups of an environment are kept; backups no rule keeps are pruned
+export interface RetentionRules {
+    // The newest backups
+    keepLast?: number;
+    // The newest backup of each of the last days, weeks (starting Monday) and months, in UTC
+    keepDaily?: number;
+    keepWeekly?: number;
+    keepMonthly?: number;
+}
+
+export interface RetentionPolicy extends RetentionRules {
+    environmentId: string;
+    updatedAt: string;
+    updatedBy?: string;
+}
+
+// A backup file kept with the job that made it
+export interface BackupInfo {
+    jobId: string;
+    environmentId: string;
+    // Made by environment backup, or by a destructive command before it ran
+    kind: 'backup' | 'safety-backup';
+    artifacts: ArtifactInfo[];
+    size: number;
+    createdAt: string;
+    pinned?: JobMetadata['pinned'];
+    // Why the pruner leaves it alone whatever the rules say
+    protectedBy?: string;
+}
+
+export interface ArtifactInfo {
+    name: string;
+    size: number;
+    createdAt: string;
+}
+
+export interface JobEvent extends StreamMessage {
+    seq: number;
+    timestamp: string;
+}
+
+export interface UploadInfo {
+    id: string;
+    workspaceId: string;
+    fileName: string;
+    size: number;
+    offset: number;
+    status: 'pending' | 'complete';
+    createdAt: string;
+    completedAt?: string;
+    reference?: string;
+    entities?: string[];
+    metadata?: Record<string, unknown>;
 }
 
+// What a backup archive holds of one entity type
+export interface BackupArchiveEntity {
+    // Entity type, as the include and exclude options of environment restore name it
+    name: string;
+    count: number;
+    // Uncompressed bytes of its JSON file
+    size: number;
+}
+
+// Contents of a backup archive, as the archive inspector shows them
+export interface BackupArchiveSummary {
+    reference: string;
+    fileName: string;
+    // Bytes of the zip
+    size: number;
+    // Source environment of the backup and the data-ops version that wrote it
+    metadata?: Record<string, unknown>;
+    entities: BackupArchiveEntity[];
+    // Asset binaries and anything else besides the entity files
+    otherFiles: { count: number; size: number };
+}
+
+// One entity of a backup archive, as lists show it
+export interface BackupArchiveItem {
+    // Position in its entity file; items are fetched by it
+    index: number;
+    id?: string;
+    codename?: string;
+    name?: string;
+    // Language of a language variant
+    language?: string;
+}
+
+export interface BackupArchiveItemPage {
+    entity: string;
+    // Items matching the search
+    total: number;
+    offset: number;
+    items: BackupArchiveItem[];
+}
+
+export type MigrationState = 'pending' | 'applied' | 'failed' | 'rolledBack';
+
+export interface MigrationFolder {
+    path: string;
+    migrationCount: number;
+}
+
+export interface MigrationInfo {
+    name: string;
+    order?: number | string;
+    state: MigrationState;
+    time?: string;
+}
+
+export interface MigrationFolderStatus {
+    folder: string;
+    environmentId?: string;
+    environments: string[];
+    migrations: MigrationInfo[];
+}
+
+export interface ConfiguredEnvironment {
+    alias: string;
+    label: string;
+    environmentId: string;
+    commands: string[];
+    // Custom Kontent.ai URL; the environment's key is never sent anywhere else
+    kontentUrl?: string;
+}
+
+export interface EnvironmentProfile {
+    id: string;
+    name: string;
+    environmentId: string;
+    kontentUrl?: string;
+    hasManagementApiKey: boolean;
+    hasSecureAssetDeliveryKey: boolean;
+    createdAt: string;
+    updatedAt: string;
+}
+
+// A sync snapshot kept in the snapshot library
+export interface SnapshotInfo {
+    id: string;
+    // Folder name the snapshot was taken with
+    name: string;
+    environmentId: string;
+    entities: string[];
+    createdAt: string;
+    // Bytes on disk
+    size: number;
+    tags: string[];
+    // The sync snapshot job that took it
+    jobId?: string;
+    createdBy?: string;
+}
+
+// What a schedule does with runs it missed while the server was down
+export type CatchUpPolicy = 'skip' | 'run-once';
+
+// A command run on a cron schedule
+export interface Schedule {
+    id: string;
+    name: string;
+    command: string;
+    // Keys come from saved environments or profiles; schedules never hold them
+    options: CommandOptions;
+    cron: string;
+    timeZone: string;
+    catchUp: CatchUpPolicy;
+    // Runs whose files are kept; files of older runs are removed
+    keepArtifacts?: number;
+    paused: boolean;
+    nextRunAt: string | null;
+    createdAt: string;
+    updatedAt: string;
+    createdBy?: AuthUser;
+    // Newest first
+    runs: ScheduleRun[];
+}
+
+export interface ScheduleRun {
+    // When the run was due
+    scheduledFor: string;
+    startedAt: string;
+    trigger: 'schedule' | 'catch-up' | 'manual';
+    jobId?: string;
+    // Why no job was started
+    skipped?: string;
+    error?: string;
+    // Of the job, when listed
+    status?: JobStatus;
+}
+
+export type Role = 'viewer' | 'operator' | 'admin';
+
+export interface AuthUser {
+    id: string;
+    name?: string;
+    role: Role;
+}
+
+export type AuditStatus = JobStatus | 'denied' | 'pruned';
+
+export interface AuditEntry {
+    jobId?: string;
+    command: string;
+    user: AuthUser | null;
+    environmentIds: string[];
+    options: CommandOptions;
+    startedAt: string;
+    finishedAt?: string;
+    status: AuditStatus;
+    exitCode?: number | null;
+    error?: string;
+    artifacts?: ArtifactInfo[];
+}
+
+export interface AuditQuery {
+    from?: string;
+    to?: string;
+    userId?: string;
+    command?: string;
+    environmentId?: string;
+    status?: string;
+    jobId?: string;
+    limit?: number;
+}
@@ -0,0 +1,84 @@
+/**
+ * Tests for job artifacts (src/server/artifacts.ts)
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const JOB_ID = '0b7c7a43-2d4f-4e59-9a1e-1f7c3a5d9e21';
+const OTHER_JOB_ID = '5f0e6c1a-8b2d-4c3e-9f4a-7d6b5c4e3f21';
+
+describe('job artifacts', () => {
+    let tempDir;
+    let artifacts;
+
+    beforeAll(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'artifacts-test-'));
+        vi.stubEnv('DATA_DIR', tempDir);
+        vi.resetModules();
+        artifacts = await import('../src/server/artifacts.ts');
+    });
+
+    afterAll(async () => {
+        vi.unstubAllEnvs();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should list every file a job wrote, in folders too', async () => {
+        const workspace = await artifacts.createJobWorkspace(JOB_ID);
+        await fs.mkdir(path.join(workspace, 'snapshot', 'contentTypes'), { recursive: true });
+        await fs.writeFile(path.join(workspace, 'backup.zip'), 'zip');
+        await fs.writeFile(path.join(workspace, 'snapshot', 'contentTypes', 'article.json'), '{}');
+        await fs.mkdir(path.join(workspace, 'empty'));
+
+        const collected = await artifacts.collectArtifacts(JOB_ID);
+        expect(collected.map(artifact => [artifact.name, artifact.size])).toEqual([
+            ['backup.zip', 3],
+            ['snapshot/contentTypes/article.json', 2]
+        ]);
+        expect(Date.parse(collected[0].createdAt)).not.toBeNaN();
+        expect(await artifacts.collectArtifacts(OTHER_JOB_ID)).toEqual([]);
+    });
+
+    it('should keep artifact names inside the job\'s workspace', () => {
+        const workspace = artifacts.getJobWorkspace(JOB_ID);
+        expect(artifacts.resolveArtifactPath(JOB_ID, 'snapshot/contentTypes/article.json'))
+            .toBe(path.join(workspace, 'snapshot', 'contentTypes', 'article.json'));
+
+        expect(artifacts.resolveArtifactPath(JOB_ID, '../../secrets.json')).toBeNull();
+        expect(artifacts.resolveArtifactPath(JOB_ID, `../${OTHER_JOB_ID}/backup.zip`)).toBeNull();
+        expect(artifacts.resolveArtifactPath(JOB_ID, 'snapshot/../../backup.zip')).toBeNull();
+        expect(artifacts.resolveArtifactPath(JOB_ID, '/etc/passwd')).toBeNull();
+        expect(artifacts.resolveArtifactPath(JOB_ID, '')).toBeNull();
+        expect(artifacts.resolveArtifactPath(JOB_ID, '.')).toBeNull();
+    });
+
+    it('should parse artifact references and refuse those leaving the job', () => {
+        const reference = artifacts.toArtifactReference(JOB_ID, 'snapshot/contentTypes/article.json');
+        expect(reference).toBe(`artifact:${JOB_ID}/snapshot/contentTypes/article.json`);
+        expect(artifacts.isArtifactReference(reference)).toBe(true);
+        expect(artifacts.isArtifactReference('upload:default/123')).toBe(false);
+        expect(artifacts.parseArtifactReference(reference)).toEqual({ jobId: JOB_ID, name: 'snapshot/contentTypes/article.json' });
+
+        expect(artifacts.parseArtifactReference(`artifact:${JOB_ID}/../${OTHER_JOB_ID}/backup.zip`)).toBeNull();
+        expect(artifacts.parseArtifactReference(`artifact:${JOB_ID}/`)).toBeNull();
+        expect(artifacts.parseArtifactReference(`artifact:${JOB_ID}`)).toBeNull();
+        expect(artifacts.parseArtifactReference('artifact:../data/backup.zip')).toBeNull();
+        expect(artifacts.parseArtifactReference('artifact:not-a-job/backup.zip')).toBeNull();
+    });
+
+    it('should resolve references to files kept on disk', async () => {
+        expect(artifacts.resolveArtifactReference(`artifact:${JOB_ID}/backup.zip`))
+            .toBe(path.join(artifacts.getJobWorkspace(JOB_ID), 'backup.zip'));
+        expect(await artifacts.findLocalArtifact(JOB_ID, 'backup.zip')).toBe(path.join(artifacts.getJobWorkspace(JOB_ID), 'backup.zip'));
+        expect(await artifacts.findLocalArtifact(JOB_ID, 'snapshot')).toBeNull();
+        expect(await artifacts.findLocalArtifact(JOB_ID, '../../secrets.json')).toBeNull();
+
+        await artifacts.removeStoredArtifacts(JOB_ID);
+        expect(await artifacts.collectArtifacts(JOB_ID)).toEqual([]);
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for the audit log (src/server/audit.ts)
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const API_KEY = 'ew0KICAiYWxnIjogIkhTMjU2IiwNCiAgInR5cCI6ICJKV1Qi';
+const PRODUCTION_ID = '11111111-2222-3333-4444-555555555555';
+const DEV_ID = '66666666-7777-8888-9999-000000000000';
+
+const alice = { id: 'alice@example.com', name: 'Alice', role: 'admin' };
+const bob = { id: 'bob@example.com', role: 'operator' };
+
+function job(id, command, startedBy, createdAt, extra = {}) {
+    return { id, command, options: {}, status: 'running', createdAt, lastSeq: 0, startedBy, ...extra };
+}
+
+describe('audit log', () => {
+    let tempDir;
+    let audit;
+
+    beforeAll(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-test-'));
+        vi.stubEnv('DATA_DIR', tempDir);
+        vi.resetModules();
+        audit = await import('../src/server/audit.ts');
+
+        // A backup of production in September that finished in October
+        const backup = job('job-1', 'environment backup', alice, '2026-09-30T23:50:00.000Z');
+        await audit.auditJobStarted(backup, { environmentId: PRODUCTION_ID, apiKey: API_KEY });
+        await audit.auditJobFinished({
+            ...backup,
+            status: 'succeeded',
+            exitCode: 0,
+            finishedAt: '2026-10-01T00:10:00.000Z',
+            artifacts: [{ name: 'backup.zip', size: 10, createdAt: '2026-10-01T00:10:00.000Z' }]
+        });
+
+        const sync = job('job-2', 'sync run', bob, '2026-10-05T12:00:00.000Z');
+        await audit.auditJobStarted(sync, {
+            sourceEnvironmentId: DEV_ID, sourceApiKey: API_KEY, targetEnvironmentId: PRODUCTION_ID, targetApiKey: `${API_KEY}2`
+        });
+        await audit.auditJobFinished({ ...sync, status: 'failed', exitCode: 1, error: '=HYPERLINK("x")', finishedAt: '2026-10-05T12:05:00.000Z' });
+
+        await audit.auditJobStarted(job('job-3', 'environment backup', bob, '2026-10-06T09:00:00.000Z'), { environmentId: DEV_ID, apiKey: API_KEY });
+    });
+
+    afterAll(async () => {
+        vi.unstubAllEnvs();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should merge the records of each job into one entry, newest first, without keys', async () => {
+        const entries = await audit.queryAudit();
+
+        expect(entries.map(entry => [entry.jobId, entry.status])).toEqual([['job-3', 'running'], ['job-2', 'failed'], ['job-1', 'succeeded']]);
+        expect(entries[2]).toMatchObject({
+            command: 'environment backup',
+            user: alice,
+            environmentIds: [PRODUCTION_ID],
+            startedAt: '2026-09-30T23:50:00.000Z',
+            finishedAt: '2026-10-01T00:10:00.000Z',
+            exitCode: 0,
+            artifacts: [{ name: 'backup.zip' }]
+        });
+        expect(entries[1].environmentIds).toEqual([DEV_ID, PRODUCTION_ID]);
+        expect(JSON.stringify(entries)).not.toContain(API_KEY);
+        expect(entries[1].options.targetEnvironmentId).toBe(PRODUCTION_ID);
+
+        const files = await fs.readdir(path.join(tempDir, 'audit'));
+        expect(files.sort()).toEqual(['audit-2026-09.jsonl', 'audit-2026-10.jsonl']);
+    });
+
+    it('should filter entries by time, user, command, environment, status and job', async () => {
+        const ids = async query => (await audit.queryAudit(query)).map(entry => entry.jobId);
+
+        expect(await ids({ from: '2026-10-01' })).toEqual(['job-3', 'job-2']);
+        expect(await ids({ to: '2026-10-05' })).toEqual(['job-2', 'job-1']);
+        expect(await ids({ userId: 'bob@example.com', command: 'environment backup' })).toEqual(['job-3']);
+        expect(await ids({ environmentId: PRODUCTION_ID })).toEqual(['job-2', 'job-1']);
+        expect(await ids({ status: 'failed' })).toEqual(['job-2']);
+        expect(await ids({ jobId: 'job-1' })).toEqual(['job-1']);
+        expect(await ids({ limit: 1 })).toEqual(['job-3']);
+    });
+
+    it('should record refused commands and pruned backups', async () => {
+        await audit.auditCommandDenied('environment clean', { environmentId: PRODUCTION_ID, apiKey: API_KEY }, bob, 'environment clean requires the admin role');
+        await audit.auditBackupPruned(
+            { jobId: 'job-1', environmentId: PRODUCTION_ID, kind: 'backup', createdAt: '2026-09-30T23:50:00.000Z', size: 10, artifacts: [] },
+            { keepLast: 1 }
+        );
+
+        const recent = await audit.queryAudit({ from: new Date(Date.now() - 60000).toISOString() });
+        const pruned = recent.find(entry => entry.command === 'backup prune');
+        const denied = recent.find(entry => entry.command === 'environment clean');
+        expect(pruned).toMatchObject({ command: 'backup prune', status: 'pruned', jobId: 'job-1', user: null, options: { keepLast: 1 } });
+        expect(denied).toMatchObject({ command: 'environment clean', status: 'denied', user: bob, error: 'environment clean requires the admin role' });
+        expect(JSON.stringify(denied)).not.toContain(API_KEY);
+    });
+
+    it('should export entries as CSV that spreadsheets don\'t evaluate', async () => {
+        const csv = audit.toAuditCsv(await audit.queryAudit({ jobId: 'job-2' }));
+        const [header, row, end] = csv.split('\r\n');
+
+        expect(header).toBe('startedAt,finishedAt,status,exitCode,command,userId,userName,role,environmentIds,jobId,options,artifacts,error');
+        expect(row.startsWith(`2026-10-05T12:00:00.000Z,2026-10-05T12:05:00.000Z,failed,1,sync run,bob@example.com,,operator,${DEV_ID};${PRODUCTION_ID},job-2,"{`)).toBe(true);
+        expect(row.endsWith(',,"\'=HYPERLINK(""x"")"')).toBe(true);
+        expect(end).toBe('');
+    });
+});
@@ -0,0 +1,238 @@
+/**
+ * Tests for authentication and role gating (src/server/auth.ts, src/server/routes.ts)
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createHmac, generateKeyPairSync, sign } from 'crypto';
+import express from 'express';
+
+const API_KEY = 'ew0KICAiYWxnIjogIkhTMjU2IiwNCiAgInR5cCI6ICJKV1Qi';
+const ENVIRONMENT_ID = '11111111-2222-3333-4444-555555555555';
+const JWKS_URL = 'https://login.example.com/.well-known/jwks.json';
+
+function encode(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function claims(overrides = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    return { sub: 'alice', roles: ['operator'], iat: now, exp: now + 600, ...overrides };
+}
+
+describe('access tokens', () => {
+    let auth;
+
+    beforeAll(async () => {
+        vi.stubEnv('AUTH_JWT_SECRET', 'test-jwt-secret');
+        vi.stubEnv('AUTH_JWKS_URL', '');
+        vi.resetModules();
+        auth = await import('../src/server/auth.ts');
+    });
+
+    afterAll(() => {
+        vi.unstubAllEnvs();
+        vi.unstubAllGlobals();
+    });
+
+    it('should verify HS256 tokens and read the highest role they grant', async () => {
+        const token = auth.signAccessToken('alice', 'admin', 600, 'Alice');
+        expect(await auth.verifyAccessToken(token)).toEqual({ id: 'alice', name: 'Alice', role: 'admin' });
+
+        vi.stubEnv('AUTH_ROLES_CLAIM', 'realm_access.roles');
+        const signed = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims({ roles: undefined, realm_access: { roles: ['viewer', 'operator', 'uma_authorization'] } }))}`;
+        const signature = createHmac('sha256', 'test-jwt-secret').update(signed).digest('base64url');
+        expect((await auth.verifyAccessToken(`${signed}.${signature}`)).role).toBe('operator');
+        vi.stubEnv('AUTH_ROLES_CLAIM', '');
+    });
+
+    it('should refuse forged, expired and foreign tokens', async () => {
+        const token = auth.signAccessToken('alice', 'viewer');
+        const [header, payload] = token.split('.');
+        const forged = `${header}.${encode({ ...JSON.parse(Buffer.from(payload, 'base64url').toString()), roles: ['admin'] })}.${token.split('.')[2]}`;
+        await expect(auth.verifyAccessToken(forged)).rejects.toThrow(/signature is invalid/);
+        await expect(auth.verifyAccessToken(`${encode({ alg: 'none' })}.${payload}.`)).rejects.toMatchObject({ status: 401 });
+        await expect(auth.verifyAccessToken('not-a-token')).rejects.toThrow(/Malformed/);
+
+        await expect(auth.verifyAccessToken(auth.signAccessToken('alice', 'viewer', -120))).rejects.toThrow(/expired/);
+
+        vi.stubEnv('AUTH_JWT_ISSUER', 'https://login.example.com');
+        vi.stubEnv('AUTH_JWT_AUDIENCE', 'data-ops');
+        try {
+            const valid = auth.signAccessToken('alice', 'viewer');
+            expect((await auth.verifyAccessToken(valid)).id).toBe('alice');
+            vi.stubEnv('AUTH_JWT_AUDIENCE', 'another-app');
+            await expect(auth.verifyAccessToken(valid)).rejects.toThrow(/not meant for this app/);
+        } finally {
+            vi.stubEnv('AUTH_JWT_ISSUER', '');
+            vi.stubEnv('AUTH_JWT_AUDIENCE', '');
+        }
+    });
+
+    it('should verify RS256 tokens with the signing keys of the JWKS URL', async () => {
+        const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig' }] };
+        const fetchMock = vi.fn(async () => new Response(JSON.stringify(jwks), { status: 200 }));
+        vi.stubGlobal('fetch', fetchMock);
+        vi.stubEnv('AUTH_JWKS_URL', JWKS_URL);
+
+        const signRs256 = (header, payload) => {
+            const signed = `${encode(header)}.${encode(payload)}`;
+            return `${signed}.${sign('sha256', Buffer.from(signed), privateKey).toString('base64url')}`;
+        };
+        try {
+            const token = signRs256({ alg: 'RS256', kid: 'key-1' }, claims({ email: 'alice@example.com' }));
+            expect(await auth.verifyAccessToken(token)).toEqual({ id: 'alice', name: 'alice@example.com', role: 'operator' });
+            expect(await auth.verifyAccessToken(token)).toMatchObject({ id: 'alice' });
+            // The keys are cached
+            expect(fetchMock).toHaveBeenCalledTimes(1);
+            expect(fetchMock).toHaveBeenCalledWith(JWKS_URL);
+
+            await expect(auth.verifyAccessToken(signRs256({ alg: 'RS256', kid: 'key-2' }, claims())))
+                .rejects.toThrow(/unknown key/);
+            await expect(auth.verifyAccessToken(signRs256({ alg: 'RS256', kid: 'key-1' }, claims({ roles: ['guest'] }))))
+                .rejects.toMatchObject({ status: 403 });
+        } finally {
+            vi.stubEnv('AUTH_JWKS_URL', '');
+            vi.unstubAllGlobals();
+        }
+    });
+
+    it('should gate commands by role, with AUTH_COMMAND_ROLES overriding the defaults', async () => {
+        const operator = { id: 'alice', role: 'operator' };
+        expect(() => auth.assertCommandAllowed(operator, 'environment backup')).not.toThrow();
+        expect(() => auth.assertCommandAllowed(operator, 'sync run')).toThrow(/requires the admin role/);
+        expect(() => auth.assertCommandAllowed({ id: 'bob', role: 'viewer' }, 'environment backup')).toThrow(/operator/);
+        expect(() => auth.assertCommandAllowed(undefined, 'environment backup')).toThrow();
+        expect(auth.getCommandRole('some new command')).toBe('admin');
+
+        vi.stubEnv('AUTH_COMMAND_ROLES', JSON.stringify({ 'sync run': 'operator' }));
+        vi.resetModules();
+        const fresh = await import('../src/server/auth.ts');
+        expect(() => fresh.assertCommandAllowed(operator, 'sync run')).not.toThrow();
+        vi.stubEnv('AUTH_COMMAND_ROLES', '');
+    });
+});
+
+describe('API role gating', () => {
+    let tempDir;
+    let server;
+    let baseUrl;
+    let auth;
+    let jobs;
+    let ownJob;
+    const viewer = { id: 'viewer@example.com', role: 'viewer' };
+
+    async function get(urlPath, token) {
+        return fetch(`${baseUrl}${urlPath}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+    }
+
+    beforeAll(async () => {
+        // A stand-in for the data-ops CLI whose backups are a small file
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'auth-test-'));
+        const cliPath = path.join(tempDir, 'cli.js');
+        await fs.writeFile(cliPath, [
+            'const args = process.argv.slice(2);',
+            'const fileName = args.indexOf("--file-name");',
+            'require("fs").writeFileSync(fileName >= 0 ? args[fileName + 1] : "backup.zip", "backup");',
+            'console.log("Backup done");'
+        ].join('\n'));
+
+        vi.stubEnv('DATA_DIR', path.join(tempDir, 'data'));
+        vi.stubEnv('DATA_OPS_CLI_PATH', cliPath);
+        vi.stubEnv('AUTH_JWT_SECRET', 'test-jwt-secret');
+        vi.stubEnv('AUTH_JWKS_URL', '');
+        vi.resetModules();
+        auth = await import('../src/server/auth.ts');
+        jobs = await import('../src/server/jobs.ts');
+        const { setupRoutes } = await import('../src/server/routes.ts');
+
+        const app = express();
+        app.use(express.json());
+        setupRoutes(app);
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        ownJob = await jobs.startJob('environment backup', { environmentId: ENVIRONMENT_ID, apiKey: API_KEY }, viewer);
+        await new Promise(resolve => jobs.subscribeToJob(ownJob.id, () => {}, resolve));
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        vi.unstubAllEnvs();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should require a valid access token', async () => {
+        const response = await get('/api/jobs');
+        expect(response.status).toBe(401);
+        expect(response.headers.get('www-authenticate')).toBe('Bearer');
+        expect((await get('/api/jobs', 'not-a-token')).status).toBe(401);
+        expect((await get(`/api/jobs?access_token=${auth.signAccessToken('alice', 'admin')}`)).status).toBe(401);
+        expect((await get('/api/auth/me', auth.signAccessToken('alice', 'viewer'))).status).toBe(200);
+    });
+
+    it('should keep job output and files to operators and the user who started the job', async () => {
+        const artifact = `/api/jobs/${ownJob.id}/artifacts/backup.zip`;
+        const stream = `/api/jobs/${ownJob.id}/stream`;
+        const artifacts = `/api/jobs/${ownJob.id}/artifacts`;
+        const owner = auth.signAccessToken(viewer.id, 'viewer');
+        const otherViewer = auth.signAccessToken('someone@example.com', 'viewer');
+        const operator = auth.signAccessToken('ops@example.com', 'operator');
+
+        expect((await get(artifact, otherViewer)).status).toBe(403);
+        expect((await get(artifacts, otherViewer)).status).toBe(403);
+        expect((await get(stream, otherViewer)).status).toBe(403);
+        expect(await (await get(artifact, owner)).text()).toBe('backup');
+        expect((await get(stream, owner)).status).toBe(200);
+        expect((await (await get(artifacts, owner)).json()).map(file => file.name)).toEqual(['backup.zip']);
+        expect((await get(artifact, operator)).status).toBe(200);
+        expect((await get(artifacts, operator)).status).toBe(200);
+
+        const archive = `/api/backup-archives?reference=${encodeURIComponent(`artifact:${ownJob.id}/backup.zip`)}`;
+        expect((await get(archive, owner)).status).toBe(403);
+        // The file is no zip, but the operator gets as far as opening it
+        expect((await get(archive, operator)).status).toBe(400);
+    });
+
+    it('should only let users restore their own uploads', async () => {
+        const { getUserWorkspaceId } = await import('../src/server/uploads.ts');
+        const reference = `upload:${getUserWorkspaceId({ id: 'bob@example.com' })}/${ownJob.id}`;
+        const response = await fetch(`${baseUrl}/api/jobs`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${auth.signAccessToken('alice@example.com', 'admin')}` },
+            body: JSON.stringify({ command: 'environment restore', options: { environmentId: ENVIRONMENT_ID, apiKey: API_KEY, fileName: reference } })
+        });
+        expect(response.status).toBe(404);
+        expect((await response.json()).error).toBe('Upload not found');
+    });
+
+    it('should let download links through with a single-use token for their path only', async () => {
+        const artifact = `/api/jobs/${ownJob.id}/artifacts/backup.zip`;
+        const issue = async (downloadPath, token) => fetch(`${baseUrl}/api/downloads`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body: JSON.stringify({ path: downloadPath })
+        });
+
+        const operator = auth.signAccessToken('ops@example.com', 'operator');
+        const { token } = await (await issue(artifact, operator)).json();
+        expect(await (await get(`${artifact}?download_token=${token}`)).text()).toBe('backup');
+        expect((await get(`${artifact}?download_token=${token}`)).status).toBe(401);
+
+        const { token: scoped } = await (await issue(artifact, operator)).json();
+        expect((await get(`/api/jobs/${ownJob.id}/stream?download_token=${scoped}`)).status).toBe(401);
+
+        // The token acts as the user it was issued to
+        const { token: viewerToken } = await (await issue(artifact, auth.signAccessToken('someone@example.com', 'viewer'))).json();
+        expect((await get(`${artifact}?download_token=${viewerToken}`)).status).toBe(403);
+
+        expect((await issue('https://elsewhere.example.com/file', operator)).status).toBe(400);
+    });
+});
@@ -0,0 +1,200 @@
+/**
+ * Tests for the backup archive inspector (src/server/backupArchives.ts)
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+
+const API_KEY = 'ew0KICAiYWxnIjogIkhTMjU2IiwNCiAgInR5cCI6ICJKV1Qi';
+const ENVIRONMENT_ID = '11111111-2222-3333-4444-555555555555';
+
+/**
+ * Write a zip with uncompressed entries, enough for node-stream-zip to read
+ */
+async function writeZip(filePath, files) {
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+    for (const [name, content] of Object.entries(files)) {
+        const data = Buffer.from(content);
+        const fileName = Buffer.from(name);
+        const crc = zlib.crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(fileName.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(fileName.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        parts.push(local, fileName, data);
+        directory.push(central, fileName);
+        offset += local.length + fileName.length + data.length;
+    }
+    const directorySize = directory.reduce((total, part) => total + part.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(offset, 16);
+    await fs.writeFile(filePath, Buffer.concat([...parts, ...directory, end]));
+}
+
+const contentItems = Array.from({ length: 60 }, (_, index) => ({
+    id: `item-${index}`,
+    name: index === 42 ? 'Coffee Beverages Explained' : `Article ${index}`,
+    codename: `article_${index}`,
+    type: { id: 'type-article' }
+}));
+
+const BACKUP_FILES = {
+    'metadata.json': JSON.stringify({ version: '1.2.0', timestamp: '2026-10-18T14:00:00Z', environmentId: ENVIRONMENT_ID }),
+    'contentTypes.json': JSON.stringify([{ id: 'type-article', name: 'Article', codename: 'article', elements: [] }]),
+    'contentItems.json': JSON.stringify(contentItems),
+    'languageVariants.json': JSON.stringify([
+        { item: { id: 'item-0' }, language: { id: 'language-en' }, elements: [] },
+        { item: { id: 'item-0' }, language: { id: 'language-cs' }, elements: [] }
+    ]),
+    'assets.json': JSON.stringify([{ id: 'asset-1', codename: 'logo', title: null, file_name: 'logo.png', size: 4 }]),
+    'webSpotlight.json': JSON.stringify({ enabled: false, root_type: null }),
+    'assets/asset-1.png': 'logo'
+};
+
+describe('backup archive inspector', () => {
+    let tempDir;
+    let jobs;
+    let uploads;
+    let archives;
+    let reference;
+
+    async function runJob(command, options) {
+        const job = await jobs.startJob(command, options);
+        await new Promise(resolve => jobs.subscribeToJob(job.id, () => {}, resolve));
+        return jobs.getJob(job.id);
+    }
+
+    async function uploadArchive(workspaceId, filePath) {
+        const { size } = await fs.stat(filePath);
+        const upload = await uploads.createUpload(workspaceId, 'uploaded.zip', size);
+        await uploads.appendUploadChunk(workspaceId, upload.id, 0, createReadStream(filePath));
+        return uploads.completeUpload(workspaceId, upload.id);
+    }
+
+    beforeAll(async () => {
+        // A stand-in for the data-ops CLI whose backups are a prepared archive
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'backup-archives-test-'));
+        const archivePath = path.join(tempDir, 'prepared.zip');
+        await writeZip(archivePath, BACKUP_FILES);
+        const cliPath = path.join(tempDir, 'cli.js');
+        await fs.writeFile(cliPath, [
+            'const args = process.argv.slice(2);',
+            'const fileName = args.indexOf("--file-name");',
+            `if (args[1] === "backup") require("fs").copyFileSync(${JSON.stringify(archivePath)}, fileName >= 0 ? args[fileName + 1] : "backup.zip");`
+        ].join('\n'));
+
+        vi.stubEnv('DATA_DIR', path.join(tempDir, 'data'));
+        vi.stubEnv('DATA_OPS_CLI_PATH', cliPath);
+        vi.resetModules();
+        jobs = await import('../src/server/jobs.ts');
+        uploads = await import('../src/server/uploads.ts');
+        archives = await import('../src/server/backupArchives.ts');
+
+        const backup = await runJob('environment backup', { environmentId: ENVIRONMENT_ID, apiKey: API_KEY });
+        reference = `artifact:${backup.id}/backup.zip`;
+    });
+
+    afterAll(async () => {
+        vi.unstubAllEnvs();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should count the entities of a backup and show where it was taken', async () => {
+        const summary = await archives.inspectArchive(reference, 'default');
+
+        expect(summary).toMatchObject({
+            reference,
+            fileName: 'backup.zip',
+            metadata: { environmentId: ENVIRONMENT_ID, version: '1.2.0' },
+            otherFiles: { count: 1, size: 4 }
+        });
+        expect(summary.entities.map(entity => [entity.name, entity.count])).toEqual([
+            ['assets', 1],
+            ['contentItems', 60],
+            ['contentTypes', 1],
+            ['languageVariants', 2],
+            ['webSpotlight', 1]
+        ]);
+        expect(summary.entities[1].size).toBe(Buffer.byteLength(BACKUP_FILES['contentItems.json']));
+    });
+
+    it('should page through and search the entities of a type', async () => {
+        const first = await archives.listArchiveItems(reference, 'default', 'contentItems');
+        expect(first).toMatchObject({ entity: 'contentItems', total: 60, offset: 0 });
+        expect(first.items).toHaveLength(50);
+        expect(first.items[0]).toEqual({ index: 0, id: 'item-0', codename: 'article_0', name: 'Article 0' });
+
+        const rest = await archives.listArchiveItems(reference, 'default', 'contentItems', { offset: 50, limit: 500 });
+        expect(rest.items.map(item => item.index)).toEqual(Array.from({ length: 10 }, (_, index) => index + 50));
+
+        const found = await archives.listArchiveItems(reference, 'default', 'contentItems', { search: ' coffee ' });
+        expect(found.items).toEqual([{ index: 42, id: 'item-42', codename: 'article_42', name: 'Coffee Beverages Explained' }]);
+
+        const variants = await archives.listArchiveItems(reference, 'default', 'languageVariants', { search: 'language-cs' });
+        expect(variants.items).toEqual([{ index: 1, id: 'item-0', language: 'language-cs' }]);
+
+        const assets = await archives.listArchiveItems(reference, 'default', 'assets');
+        expect(assets.items[0].name).toBe('logo.png');
+    });
+
+    it('should read single entities and whole entity files', async () => {
+        expect(await archives.getArchiveItem(reference, 'default', 'contentItems', 42)).toEqual(contentItems[42]);
+        expect(await archives.getArchiveItem(reference, 'default', 'webSpotlight', 0)).toEqual({ enabled: false, root_type: null });
+        await expect(archives.getArchiveItem(reference, 'default', 'contentItems', 60)).rejects.toMatchObject({ status: 404 });
+        await expect(archives.listArchiveItems(reference, 'default', 'taxonomies')).rejects.toMatchObject({ status: 404 });
+        await expect(archives.listArchiveItems(reference, 'default', 'metadata')).rejects.toMatchObject({ status: 404 });
+
+        const file = await archives.openArchiveEntityFile(reference, 'default', 'contentTypes');
+        const chunks = [];
+        for await (const chunk of file.stream) chunks.push(chunk);
+        expect(Buffer.concat(chunks).toString('utf8')).toBe(BACKUP_FILES['contentTypes.json']);
+        expect(file.size).toBe(Buffer.byteLength(BACKUP_FILES['contentTypes.json']));
+    });
+
+    it('should only open uploads from the workspace that uploaded them', async () => {
+        const upload = await uploadArchive('team-a', path.join(tempDir, 'prepared.zip'));
+
+        const summary = await archives.inspectArchive(upload.reference, 'team-a');
+        expect(summary).toMatchObject({ fileName: 'uploaded.zip', metadata: { environmentId: ENVIRONMENT_ID } });
+        await expect(archives.inspectArchive(upload.reference, 'team-b')).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should refuse other references and files that aren\'t backups', async () => {
+        await expect(archives.inspectArchive('snapshot:1234', 'default')).rejects.toMatchObject({ status: 400 });
+        await expect(archives.inspectArchive(`artifact:${ENVIRONMENT_ID}/backup.zip`, 'default')).rejects.toMatchObject({ status: 404 });
+
+        const notBackup = path.join(tempDir, 'not-a-backup.zip');
+        await writeZip(notBackup, { 'readme.txt': 'hello' });
+        const upload = await uploads.createUpload('default', 'not-a-backup.zip', (await fs.stat(notBackup)).size);
+        await uploads.appendUploadChunk('default', upload.id, 0, createReadStream(notBackup));
+        await expect(uploads.completeUpload('default', upload.id)).rejects.toMatchObject({ status: 400 });
+        await expect(archives.inspectArchive(`upload:default/${upload.id}`, 'default')).rejects.toMatchObject({ status: 404 });
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for typed confirmations (src/server/confirmations.ts)
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const API_KEY = 'ew0KICAiYWxnIjogIkhTMjU2IiwNCiAgInR5cCI6ICJKV1Qi';
+const ENVIRONMENT_ID = '11111111-2222-3333-4444-555555555555';
+const OTHER_ENVIRONMENT_ID = '66666666-7777-8888-9999-000000000000';
+const OPTIONS = { environmentId: ENVIRONMENT_ID, apiKey: API_KEY };
+const USER = { id: 'alice', name: 'Alice', role: 'operator' };
+
+// Configurations the fake Management API clients were created with
+const clients = [];
+
+// A Management API with 3 items, 2 assets and 1 type
+vi.mock('@kontent-ai/management-sdk', () => {
+    const list = count => () => ({ toAllPromise: async () => ({ data: { items: new Array(count).fill({}) } }) });
+    class ManagementClient {
+        constructor(config) {
+            clients.push(config);
+        }
+
+        environmentInformation() {
+            return { toPromise: async () => ({ data: { project: { id: ENVIRONMENT_ID, name: 'Shop', environment: 'Staging' } } }) };
+        }
+    }
+    ManagementClient.prototype.listContentItems = list(3);
+    ManagementClient.prototype.listAssets = list(2);
+    ManagementClient.prototype.listContentTypes = list(1);
+    return { ManagementClient };
+});
+
+const { createConfirmation, consumeConfirmation } = await import('../src/server/confirmations.ts');
+
+describe('createConfirmation', () => {
+    it('should summarize what the command deletes', async () => {
+        const confirmation = await createConfirmation('environment clean', OPTIONS, USER);
+
+        expect(confirmation).toMatchObject({
+            command: 'environment clean',
+            environmentId: ENVIRONMENT_ID,
+            projectName: 'Shop',
+            environmentName: 'Staging',
+            counts: { contentItems: 3, assets: 2, contentTypes: 1 }
+        });
+        expect(confirmation.token).toEqual(expect.any(String));
+    });
+
+    it('should only count the entities the command deletes', async () => {
+        const confirmation = await createConfirmation('environment clean', { ...OPTIONS, exclude: ['assets'] }, USER);
+
+        expect(confirmation.counts).toEqual({ contentItems: 3, contentTypes: 1 });
+    });
+
+    it('should read the environment from the Management API of the command\'s kontentUrl', async () => {
+        clients.length = 0;
+        await createConfirmation('environment clean', { ...OPTIONS, kontentUrl: 'https://kontent.example.com' }, USER);
+
+        expect(clients).toEqual([{ environmentId: ENVIRONMENT_ID, apiKey: API_KEY, baseUrl: 'https://manage.kontent.example.com/v2' }]);
+    });
+
+    it('should refuse commands that need no confirmation', async () => {
+        await expect(createConfirmation('environment backup', OPTIONS, USER)).rejects.toMatchObject({ status: 400 });
+    });
+});
+
+describe('consumeConfirmation', () => {
+    it('should accept the token with the typed environment name once', async () => {
+        const { token } = await createConfirmation('environment clean', OPTIONS, USER);
+        const confirmed = consumeConfirmation('environment clean', OPTIONS, USER, { token, environmentName: 'Staging' });
+
+        expect(confirmed).toEqual({ ...OPTIONS, skipWarning: true });
+        expect(() => consumeConfirmation('environment clean', OPTIONS, USER, { token, environmentName: 'Staging' }))
+            .toThrow(expect.objectContaining({ status: 428 }));
+    });
+
+    it('should require a token', () => {
+        expect(() => consumeConfirmation('environment clean', OPTIONS, USER, undefined))
+            .toThrow(expect.objectContaining({ status: 428 }));
+    });
+
+    it('should reject a wrongly typed environment name and keep the token', async () => {
+        const { token } = await createConfirmation('environment clean', OPTIONS, USER);
+
+        expect(() => consumeConfirmation('environment clean', OPTIONS, USER, { token, environmentName: 'Production' }))
+            .toThrow(expect.objectContaining({ status: 400 }));
+        expect(consumeConfirmation('environment clean', OPTIONS, USER, { token, environmentName: 'Staging' }).skipWarning).toBe(true);
+    });
+
+    it('should reject a token given for another environment, Kontent.ai URL, selection or user', async () => {
+        const { token } = await createConfirmation('environment clean', { ...OPTIONS, include: ['contentItems'] }, USER);
+        const confirmation = { token, environmentName: 'Staging' };
+
+        expect(() => consumeConfirmation('environment clean', { ...OPTIONS, environmentId: OTHER_ENVIRONMENT_ID }, USER, confirmation))
+            .toThrow(expect.objectContaining({ status: 428 }));
+        expect(() => consumeConfirmation('environment clean', {
+            ...OPTIONS, include: ['contentItems'], kontentUrl: 'https://kontent.example.com'
+        }, USER, confirmation)).toThrow(expect.objectContaining({ status: 428 }));
+        expect(() => consumeConfirmation('environment clean', OPTIONS, USER, confirmation))
+            .toThrow(expect.objectContaining({ status: 428 }));
+        expect(() => consumeConfirmation('environment clean', { ...OPTIONS, include: ['contentItems'] }, { ...USER, id: 'bob' }, confirmation))
+            .toThrow(expect.objectContaining({ status: 428 }));
+    });
+});
+
+describe('starting a confirmed command', () => {
+    let tempDir;
+    let jobs;
+
+    beforeAll(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'confirmations-test-'));
+        vi.stubEnv('DATA_DIR', tempDir);
+        vi.resetModules();
+        jobs = await import('../src/server/jobs.ts');
+    });
+
+    afterAll(async () => {
+        vi.unstubAllEnvs();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should not start environment clean without a confirmation', async () => {
+        await expect(jobs.startJob('environment clean', { ...OPTIONS, skipWarning: true })).rejects.toMatchObject({ status: 428 });
+    });
+});
@@ -0,0 +1,230 @@
+/**
+ * Tests for configured environments (src/server/environments.ts)
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+const API_KEY = 'ew0KICAiYWxnIjogIkhTMjU2IiwNCiAgInR5cCI6ICJKV1Qi';
+const PRODUCTION_ID = '11111111-2222-3333-4444-555555555555';
+const DEV_ID = '66666666-7777-8888-9999-000000000000';
+const ON_PREMISE_ID = '22222222-3333-4444-5555-666666666666';
+
+const CONFIG = {
+    environments: [
+        { alias: 'production', label: 'Production', environmentId: PRODUCTION_ID, commands: ['environment backup', 'sync run'] },
+        { alias: 'dev', environmentId: DEV_ID, commands: ['*'] },
+        { alias: 'on-premise', label: 'On premise', environmentId: ON_PREMISE_ID, commands: ['*'], kontentUrl: 'https://kontent.example.com' }
+    ]
+};
+
+// Base URL of every Management API client the server creates; the fake API has an empty project
+const baseUrls = [];
+
+vi.mock('@kontent-ai/management-sdk', () => {
+    const list = () => () => ({ toAllPromise: async () => ({ data: { items: [] } }) });
+    const raw = rawData => () => ({ toPromise: async () => ({ rawData }) });
+    class ManagementClient {
+        constructor(config) {
+            baseUrls.push(config.baseUrl);
+        }
+
+        environmentInformation() {
+            return { toPromise: async () => ({ data: { project: { name: 'Shop', environment: 'On premise' } } }) };
+        }
+    }
+    ['listContentItems', 'listAssets', 'listContentTypes', 'listContentTypeSnippets', 'listTaxonomies', 'listLanguages']
+        .forEach(method => { ManagementClient.prototype[method] = list(); });
+    ManagementClient.prototype.listCollections = raw({ collections: [] });
+    ManagementClient.prototype.listSpaces = raw([]);
+    ManagementClient.prototype.listWorkflows = raw([]);
+    return { ManagementClient };
+});
+
+describe('configured environments', () => {
+    let tempDir;
+    let environments;
+    let secrets;
+
+    beforeAll(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'environments-test-'));
+        vi.stubEnv('DATA_DIR', tempDir);
+        vi.stubEnv('SECRETS_MASTER_KEY', 'test-master-key');
+        vi.stubEnv('AUTH_JWT_SECRET', 'test-jwt-secret');
+        vi.stubEnv('CUSTOM_APP_CONFIG', JSON.stringify(CONFIG));
+        vi.resetModules();
+        environments = await import('../src/server/environments.ts');
+        secrets = await import('../src/server/secrets.ts');
+
+        for (const alias of ['production', 'dev', 'on-premise']) {
+            await secrets.setSecret(environments.getEnvironmentKeySecretName(alias), `${API_KEY}-${alias}`);
+        }
+    });
+
+    afterAll(async () => {
+        vi.unstubAllEnvs();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should read the environments of the custom app configuration', () => {
+        expect(environments.getConfiguredEnvironments().map(env => [env.alias, env.label])).toEqual([
+            ['production', 'Production'],
+            ['dev', 'dev'],
+            ['on-premise', 'On premise']
+        ]);
+    });
+
+    it('should replace aliases with the environment ID and its stored key', async () => {
+        const resolved = await environments.resolveEnvironmentAliases('sync run', {
+            sourceEnvironmentAlias: 'dev',
+            targetEnvironmentAlias: 'production',
+            entities: ['contentTypes']
+        });
+
+        expect(resolved).toEqual({
+            sourceEnvironmentId: DEV_ID,
+            sourceApiKey: `${API_KEY}-dev`,
+            targetEnvironmentId: PRODUCTION_ID,
+            targetApiKey: `${API_KEY}-production`,
+            entities: ['contentTypes']
+        });
+    });
+
+    it('should refuse commands an environment doesn\'t allow, unknown aliases and mismatching IDs', async () => {
+        await expect(environments.resolveEnvironmentAliases('environment clean', { environmentAlias: 'production' }))
+            .rejects.toMatchObject({ status: 403 });
+        await expect(environments.resolveEnvironmentAliases('environment backup', { environmentAlias: 'staging' }))
+            .rejects.toMatchObject({ status: 400 });
+        await expect(environments.resolveEnvironmentAliases('environment backup', { environmentAlias: 'production', apiKey: API_KEY }))
+            .rejects.toThrow(/not both/);
+        await expect(environments.resolveEnvironmentAliases('environment backup', { environmentAlias: 'production', environmentId: DEV_ID }))
+            .rejects.toThrow(/does not match/);
+    });
+
+    it('should only send stored keys to the Kontent.ai URL stored with them', async () => {
+        await expect(environments.resolveEnvironmentAliases('environment backup', {
+            environmentAlias: 'production',
+            kontentUrl: 'https://attacker.example.com'
+        })).rejects.toThrow(/kontentUrl can't be set/);
+
+        await expect(environments.resolveEnvironmentAliases('sync run', {
+            sourceEnvironmentAlias: 'on-premise',
+            targetEnvironmentAlias: 'dev'
+        })).rejects.toThrow(/different Kontent.ai URLs/);
+
+        expect((await environments.resolveEnvironmentAliases('environment backup', { environmentAlias: 'on-premise' })).kontentUrl)
+            .toBe('https://kontent.example.com');
+        expect((await environments.resolveEnvironmentAliases('environment backup', {
+            environmentAlias: 'on-premise',
+            kontentUrl: 'https://kontent.example.com'
+        })).kontentUrl).toBe('https://kontent.example.com');
+
+        // Commands with their own keys may use any URL
+        expect((await environments.resolveEnvironmentAliases('environment backup', {
+            environmentId: DEV_ID,
+            apiKey: API_KEY,
+            kontentUrl: 'https://elsewhere.example.com'
+        })).kontentUrl).toBe('https://elsewhere.example.com');
+    });
+
+    it('should refuse aliases without authentication', async () => {
+        vi.stubEnv('AUTH_JWT_SECRET', '');
+        try {
+            await expect(environments.resolveEnvironmentAliases('environment backup', { environmentAlias: 'dev' }))
+                .rejects.toThrow(/authentication/);
+        } finally {
+            vi.stubEnv('AUTH_JWT_SECRET', 'test-jwt-secret');
+        }
+    });
+
+    it('should refuse invalid configurations', async () => {
+        vi.stubEnv('CUSTOM_APP_CONFIG', JSON.stringify({
+            environments: [{ alias: 'dev', environmentId: DEV_ID, commands: ['*'], kontentUrl: 'ftp://kontent.example.com' }]
+        }));
+        vi.resetModules();
+        const fresh = await import('../src/server/environments.ts');
+
+        expect(() => fresh.getConfiguredEnvironments()).toThrow(/kontentUrl must be an http\(s\) URL/);
+        vi.stubEnv('CUSTOM_APP_CONFIG', JSON.stringify(CONFIG));
+    });
+});
+
+describe('server calls with stored keys', () => {
+    let tempDir;
+    let server;
+    let baseUrl;
+    let token;
+    let environments;
+    let createConfirmation;
+
+    async function fetchEntities(body) {
+        return fetch(`${baseUrl}/api/fetch-entities`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body: JSON.stringify(body)
+        });
+    }
+
+    beforeAll(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'environments-test-'));
+        vi.stubEnv('DATA_DIR', tempDir);
+        vi.stubEnv('SECRETS_MASTER_KEY', 'test-master-key');
+        vi.stubEnv('AUTH_JWT_SECRET', 'test-jwt-secret');
+        vi.stubEnv('AUTH_JWKS_URL', '');
+        vi.stubEnv('CUSTOM_APP_CONFIG', JSON.stringify(CONFIG));
+        vi.resetModules();
+        environments = await import('../src/server/environments.ts');
+        ({ createConfirmation } = await import('../src/server/confirmations.ts'));
+        const secrets = await import('../src/server/secrets.ts');
+        const auth = await import('../src/server/auth.ts');
+        const { setupRoutes } = await import('../src/server/routes.ts');
+        await secrets.setSecret(environments.getEnvironmentKeySecretName('on-premise'), API_KEY);
+        token = auth.signAccessToken('ops@example.com', 'operator');
+
+        const app = express();
+        app.use(express.json());
+        setupRoutes(app);
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        vi.unstubAllEnvs();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should read an environment with a custom Kontent.ai URL only from that URL', async () => {
+        baseUrls.length = 0;
+        expect((await fetchEntities({ environmentAlias: 'on-premise' })).status).toBe(200);
+
+        const resolved = await environments.resolveEnvironmentAliases('environment clean', { environmentAlias: 'on-premise' });
+        await createConfirmation('environment clean', resolved);
+
+        expect(baseUrls).toEqual(['https://manage.kontent.example.com/v2', 'https://manage.kontent.example.com/v2']);
+    });
+
+    it('should refuse to send a stored key to another Kontent.ai URL', async () => {
+        baseUrls.length = 0;
+        const response = await fetchEntities({ environmentAlias: 'on-premise', kontentUrl: 'https://attacker.example.com' });
+
+        expect(response.status).toBe(400);
+        expect((await response.json()).error).toMatch(/kontentUrl can't be set/);
+        expect(baseUrls).toEqual([]);
+    });
+
+    it('should read environments with their own keys from the Kontent.ai URL sent', async () => {
+        baseUrls.length = 0;
+        expect((await fetchEntities({ environmentId: DEV_ID, apiKey: API_KEY, kontentUrl: 'https://elsewhere.example.com' })).status).toBe(200);
+        expect((await fetchEntities({ environmentId: DEV_ID, apiKey: API_KEY })).status).toBe(200);
+
+        expect(baseUrls).toEqual(['https://manage.elsewhere.example.com/v2', undefined]);
+    });
+});
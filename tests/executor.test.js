@@ -0,0 +1,130 @@
+/**
+ * Tests for running the data-ops CLI (src/server/executor.ts)
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { buildDataOpsArgs, buildDataOpsParams, resolveOutputPaths, splitSecretOptions } from '../src/server/commands.ts';
+
+const API_KEY = 'ew0KICAiYWxnIjogIkhTMjU2IiwNCiAgInR5cCI6ICJKV1Qi';
+const ENVIRONMENT_ID = '11111111-2222-3333-4444-555555555555';
+
+describe('splitSecretOptions', () => {
+    it('should separate keys from ordinary options', () => {
+        const { options, secrets } = splitSecretOptions({
+            sourceEnvironmentId: ENVIRONMENT_ID,
+            sourceApiKey: API_KEY,
+            targetApiKey: `${API_KEY}2`,
+            secureAssetDeliveryKey: '',
+            skipConfirmation: true
+        });
+        expect(secrets).toEqual({ sourceApiKey: API_KEY, targetApiKey: `${API_KEY}2` });
+        expect(buildDataOpsArgs('sync run', options))
+            .toEqual(['sync', 'run', '--source-environment-id', ENVIRONMENT_ID, '--skip-confirmation']);
+    });
+});
+
+describe('artifact references', () => {
+    const JOB_ID = 'aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee';
+
+    it('should pass the file of an earlier job', () => {
+        const args = buildDataOpsArgs('environment restore', { fileName: `artifact:${JOB_ID}/safety-backup.zip` });
+        expect(args.at(-1).endsWith(path.join('artifacts', JOB_ID, 'safety-backup.zip'))).toBe(true);
+    });
+
+    it('should refuse references outside a job\'s workspace', () => {
+        expect(() => buildDataOpsArgs('environment restore', { fileName: `artifact:${JOB_ID}/../other/backup.zip` }))
+            .toThrow('fileName is not a valid artifact reference');
+    });
+});
+
+describe('resolveOutputPaths', () => {
+    it('should resolve output files against the working directory', () => {
+        expect(resolveOutputPaths('sync snapshot', { folderName: 'model' }, '/jobs/1'))
+            .toEqual({ folderName: path.resolve('/jobs/1', 'model') });
+    });
+
+    it('should fill in a default name when none is given', () => {
+        expect(resolveOutputPaths('environment backup', { environmentId: ENVIRONMENT_ID }, '/jobs/1'))
+            .toEqual({ environmentId: ENVIRONMENT_ID, fileName: path.join('/jobs/1', 'backup.zip') });
+    });
+
+    it('should leave commands without output files alone', () => {
+        const options = { environmentId: ENVIRONMENT_ID };
+        expect(resolveOutputPaths('environment clean', options, '/jobs/1')).toBe(options);
+    });
+
+    it('should refuse output files outside the working directory', () => {
+        expect(() => resolveOutputPaths('environment backup', { fileName: '/etc/backup.zip' }, '/jobs/1'))
+            .toThrow("fileName must be a relative path inside the job's folder");
+        expect(() => resolveOutputPaths('sync snapshot', { folderName: 'model/../../other' }, '/jobs/1')).toThrow(/folderName/);
+        expect(() => resolveOutputPaths('migrate-content snapshot', { filename: '.' }, '/jobs/1')).toThrow(/filename/);
+        expect(resolveOutputPaths('sync snapshot', { folderName: 'model/../models' }, '/jobs/1'))
+            .toEqual({ folderName: path.resolve('/jobs/1', 'models') });
+    });
+});
+
+describe('buildDataOpsParams', () => {
+    it('should keep option names and drop empty and internal options', () => {
+        expect(buildDataOpsParams({
+            environmentId: ENVIRONMENT_ID,
+            apiKey: API_KEY,
+            include: ['items'],
+            skipWarning: true,
+            kontentUrl: '',
+            _internal: 'x'
+        })).toEqual({ environmentId: ENVIRONMENT_ID, apiKey: API_KEY, include: ['items'], skipWarning: true });
+    });
+});
+
+describe('executeDataOpsCommand', () => {
+    let tempDir;
+    let executor;
+
+    beforeAll(async () => {
+        // A stand-in for the data-ops CLI that reports its arguments and the config file it was given
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'executor-test-'));
+        const cliPath = path.join(tempDir, 'cli.js');
+        await fs.writeFile(cliPath, [
+            'const fs = require("fs");',
+            'const args = process.argv.slice(2);',
+            'const file = args[args.indexOf("--config-file") + 1];',
+            'console.log(JSON.stringify({ args, file, mode: fs.statSync(file).mode & 0o777, config: JSON.parse(fs.readFileSync(file, "utf8")) }));'
+        ].join('\n'));
+
+        vi.stubEnv('DATA_DIR', path.join(tempDir, 'data'));
+        vi.stubEnv('DATA_OPS_CLI_PATH', cliPath);
+        vi.resetModules();
+        executor = await import('../src/server/executor.ts');
+    });
+
+    afterAll(async () => {
+        vi.unstubAllEnvs();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should pass keys in a private config file that is removed on exit', async () => {
+        const { childProcess } = await executor.executeDataOpsCommand(
+            'environment backup',
+            { environmentId: ENVIRONMENT_ID, apiKey: API_KEY },
+            tempDir
+        );
+        let output = '';
+        childProcess.stdout.on('data', chunk => { output += chunk; });
+        await new Promise(resolve => childProcess.on('close', resolve));
+
+        const report = JSON.parse(output);
+        expect(report.args).toContain('--environment-id');
+        expect(report.args.join(' ')).not.toContain(API_KEY);
+        expect(report.mode).toBe(0o600);
+        expect(report.config).toEqual({ apiKey: API_KEY });
+
+        await vi.waitFor(async () => {
+            await expect(fs.access(report.file)).rejects.toThrow();
+        });
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for persisted jobs (src/server/jobs.ts): metadata and output on disk, replay after a restart
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const API_KEY = 'ew0KICAiYWxnIjogIkhTMjU2IiwNCiAgInR5cCI6ICJKV1Qi';
+const ENVIRONMENT_ID = '11111111-2222-3333-4444-555555555555';
+
+describe('persisted jobs', () => {
+    let tempDir;
+    let jobsDir;
+    let jobs;
+
+    async function loadJobs() {
+        vi.resetModules();
+        jobs = await import('../src/server/jobs.ts');
+        await jobs.initJobs();
+    }
+
+    async function readMetadata(id) {
+        return JSON.parse(await fs.readFile(path.join(jobsDir, `${id}.json`), 'utf8'));
+    }
+
+    beforeAll(async () => {
+        // A stand-in for the data-ops CLI that writes a few lines of output
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jobs-test-'));
+        const cliPath = path.join(tempDir, 'cli.js');
+        await fs.writeFile(cliPath, [
+            'console.log("Exporting content types");',
+            'console.log("Exporting content items");',
+            'require("fs").writeFileSync("backup.zip", "zip");'
+        ].join('\n'));
+
+        jobsDir = path.join(tempDir, 'data', 'jobs');
+        vi.stubEnv('DATA_DIR', path.join(tempDir, 'data'));
+        vi.stubEnv('DATA_OPS_CLI_PATH', cliPath);
+        await loadJobs();
+    });
+
+    afterAll(async () => {
+        vi.unstubAllEnvs();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should keep finished jobs and replay their output after a restart', async () => {
+        const started = await jobs.startJob('environment backup', { environmentId: ENVIRONMENT_ID, apiKey: API_KEY });
+        await new Promise(resolve => jobs.subscribeToJob(started.id, () => {}, resolve));
+        const finished = jobs.getJob(started.id);
+        const events = await jobs.getJobEvents(started.id);
+        await jobs.flushJobWrites();
+
+        const stored = await readMetadata(started.id);
+        expect(stored).toMatchObject({ status: 'succeeded', exitCode: 0, lastSeq: finished.lastSeq });
+        expect(stored.options).toEqual({ environmentId: ENVIRONMENT_ID });
+        expect(JSON.stringify(stored)).not.toContain(API_KEY);
+
+        await loadJobs();
+        expect(jobs.getJob(started.id)).toEqual(finished);
+        expect(await jobs.getJobEvents(started.id)).toEqual(events);
+        expect(events.map(event => event.message)).toEqual(expect.arrayContaining(['Exporting content types', 'Exporting content items']));
+        expect((await jobs.getJobEvents(started.id, events.length - 1)).map(event => event.seq)).toEqual([events.length]);
+    });
+
+    it('should mark jobs the server stopped in the middle of as interrupted', async () => {
+        const id = randomUUID();
+        const now = new Date().toISOString();
+        await fs.writeFile(path.join(jobsDir, `${id}.json`), JSON.stringify({
+            id,
+            command: 'environment backup',
+            options: { environmentId: ENVIRONMENT_ID },
+            status: 'running',
+            createdAt: now,
+            startedAt: now,
+            lastSeq: 1
+        }));
+        // The metadata is older than the output log, and a write was cut short
+        await fs.writeFile(path.join(jobsDir, `${id}.log`), [
+            { type: 'connected', message: 'Connected to command stream', seq: 1, timestamp: now },
+            { type: 'output', message: 'Exporting content types', seq: 2, timestamp: now }
+        ].map(event => `${JSON.stringify(event)}\n`).join('') + '{"type":"out');
+        await fs.writeFile(path.join(jobsDir, `${id}.json.12345.tmp`), '{"id":');
+
+        await loadJobs();
+
+        expect(jobs.getJob(id)).toMatchObject({ status: 'interrupted', lastSeq: 3, error: 'Server restarted while the command was running' });
+        expect((await jobs.getJobEvents(id)).map(event => [event.seq, event.type])).toEqual([[1, 'connected'], [2, 'output'], [3, 'error']]);
+        expect(await readMetadata(id)).toMatchObject({ status: 'interrupted', lastSeq: 3 });
+        expect((await fs.readdir(jobsDir)).filter(file => file.endsWith('.tmp'))).toEqual([]);
+    });
+
+    it('should write metadata changes in order, leaving the latest on disk', async () => {
+        const started = await jobs.startJob('environment backup', { environmentId: ENVIRONMENT_ID, apiKey: API_KEY });
+        await new Promise(resolve => jobs.subscribeToJob(started.id, () => {}, resolve));
+
+        for (let index = 0; index < 20; index++) {
+            jobs.updateJobPin(started.id, { by: `user-${index}`, at: new Date().toISOString() });
+        }
+        jobs.updateJobPin(started.id, null);
+        jobs.updateJobPin(started.id, { by: 'last', at: new Date().toISOString() });
+        await jobs.flushJobWrites();
+
+        expect((await readMetadata(started.id)).pinned.by).toBe('last');
+        expect((await fs.readdir(jobsDir)).filter(file => file.endsWith('.tmp'))).toEqual([]);
+    });
+
+    it('should refuse to write files outside the job\'s folder before starting a job', async () => {
+        const count = jobs.listJobs().length;
+        await expect(jobs.startJob('environment backup', { environmentId: ENVIRONMENT_ID, apiKey: API_KEY, fileName: path.join(tempDir, 'backup.zip') }))
+            .rejects.toThrow("fileName must be a relative path inside the job's folder");
+        expect(jobs.listJobs()).toHaveLength(count);
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for migrations folders and their status (src/server/migrations.ts)
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const ENVIRONMENT_ID = '11111111-2222-3333-4444-555555555555';
+const OTHER_ENVIRONMENT_ID = '66666666-7777-8888-9999-000000000000';
+
+describe('migrations', () => {
+    let tempDir;
+    let migrations;
+
+    beforeAll(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'migrations-test-'));
+        const folder = path.join(tempDir, 'content-model');
+        await fs.mkdir(path.join(folder, 'nested', 'deeper'), { recursive: true });
+        await fs.writeFile(path.join(folder, '01-add-author.ts'), 'export default { order: 1, run: async () => {} };');
+        await fs.writeFile(path.join(folder, '02-add-tags.js'), 'export default { order: 2, run: async () => {} };');
+        await fs.writeFile(path.join(folder, 'timestamped.ts'), 'export default { order: new Date("2026-10-01T10:00:00Z") };');
+        await fs.writeFile(path.join(folder, 'unordered.mjs'), 'export default { run: async () => {} };');
+        await fs.writeFile(path.join(folder, 'types.d.ts'), 'export {};');
+        await fs.writeFile(path.join(folder, 'nested', 'deeper', '01-other.js'), 'export default { order: 1 };');
+        await fs.writeFile(path.join(folder, 'status.json'), JSON.stringify({
+            [ENVIRONMENT_ID]: [
+                { name: '01-add-author.ts', success: true, order: 1, time: '2026-10-10T08:00:00.000Z', lastOperation: 'run' },
+                { name: '02-add-tags', success: true, order: 2, time: '2026-10-11T08:00:00.000Z', lastOperation: 'rollback' },
+                { name: 'timestamped.ts', success: false, order: '2026-10-01T10:00:00Z', time: '2026-10-12T08:00:00.000Z' }
+            ],
+            [OTHER_ENVIRONMENT_ID]: []
+        }));
+
+        vi.stubEnv('MIGRATIONS_DIR', tempDir);
+        vi.resetModules();
+        migrations = await import('../src/server/migrations.ts');
+    });
+
+    afterAll(async () => {
+        vi.unstubAllEnvs();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should list the folders that contain migrations', async () => {
+        expect(await migrations.listMigrationFolders()).toEqual([
+            { path: 'content-model', migrationCount: 4 },
+            { path: 'content-model/nested/deeper', migrationCount: 1 }
+        ]);
+    });
+
+    it('should read the state of each migration in an environment from the status file', async () => {
+        const status = await migrations.getMigrationStatus('content-model', ENVIRONMENT_ID);
+
+        expect(status.environments).toEqual([ENVIRONMENT_ID, OTHER_ENVIRONMENT_ID]);
+        expect(status.migrations).toEqual([
+            { name: '01-add-author.ts', order: 1, state: 'applied', time: '2026-10-10T08:00:00.000Z' },
+            { name: '02-add-tags.js', order: 2, state: 'rolledBack', time: '2026-10-11T08:00:00.000Z' },
+            { name: 'timestamped.ts', order: '2026-10-01T10:00:00Z', state: 'failed', time: '2026-10-12T08:00:00.000Z' },
+            { name: 'unordered.mjs', order: undefined, state: 'pending' }
+        ]);
+    });
+
+    it('should show everything as pending in environments without runs', async () => {
+        const status = await migrations.getMigrationStatus('content-model', OTHER_ENVIRONMENT_ID);
+        expect(status.migrations.map(migration => migration.state)).toEqual(['pending', 'pending', 'pending', 'pending']);
+        expect((await migrations.getMigrationStatus('content-model')).migrations.map(migration => migration.order))
+            .toEqual([1, 2, '2026-10-01T10:00:00Z', undefined]);
+    });
+
+    it('should refuse folders outside the migrations directory', async () => {
+        expect(migrations.resolveMigrationsFolder('../elsewhere')).toBeNull();
+        expect(migrations.resolveMigrationsFolder('content-model/../../elsewhere')).toBeNull();
+        expect(migrations.resolveMigrationsFolder('.')).toBe(path.resolve(tempDir));
+        await expect(migrations.getMigrationStatus('../elsewhere')).rejects.toMatchObject({ status: 400 });
+        await expect(migrations.getMigrationStatus('missing')).rejects.toMatchObject({ status: 404 });
+    });
+});
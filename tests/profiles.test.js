@@ -0,0 +1,142 @@
+/**
+ * Tests for the credential vault (src/server/profiles.ts, src/server/secrets.ts)
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const API_KEY = 'ew0KICAiYWxnIjogIkhTMjU2IiwNCiAgInR5cCI6ICJKV1Qi';
+const ENVIRONMENT_ID = '11111111-2222-3333-4444-555555555555';
+const OTHER_ENVIRONMENT_ID = '66666666-7777-8888-9999-000000000000';
+
+describe('credential vault', () => {
+    let tempDir;
+    let profiles;
+    let secrets;
+
+    async function loadModules() {
+        vi.resetModules();
+        profiles = await import('../src/server/profiles.ts');
+        secrets = await import('../src/server/secrets.ts');
+    }
+
+    beforeAll(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'profiles-test-'));
+        vi.stubEnv('DATA_DIR', tempDir);
+        vi.stubEnv('SECRETS_MASTER_KEY', 'test-master-key');
+        vi.stubEnv('AUTH_JWT_SECRET', 'test-jwt-secret');
+        await loadModules();
+    });
+
+    afterAll(async () => {
+        vi.unstubAllEnvs();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should encrypt secrets and refuse tampered ones or another master key', async () => {
+        await secrets.setSecret('test/key', API_KEY);
+
+        const file = await fs.readFile(path.join(tempDir, 'secrets.json'), 'utf8');
+        expect(file).not.toContain(API_KEY);
+        expect(await secrets.getSecret('test/key')).toBe(API_KEY);
+        expect(await secrets.listSecretNames()).toEqual(['test/key']);
+
+        const stored = JSON.parse(file);
+        const data = Buffer.from(stored['test/key'].data, 'base64');
+        data[0] ^= 1;
+        stored['test/key'].data = data.toString('base64');
+        await fs.writeFile(path.join(tempDir, 'secrets.json'), JSON.stringify(stored));
+        await expect(secrets.getSecret('test/key')).rejects.toMatchObject({ status: 500 });
+
+        await secrets.setSecret('test/key', API_KEY);
+        vi.stubEnv('SECRETS_MASTER_KEY', 'another-master-key');
+        await expect(secrets.getSecret('test/key')).rejects.toThrow(/SECRETS_MASTER_KEY/);
+        vi.stubEnv('SECRETS_MASTER_KEY', 'test-master-key');
+
+        expect(await secrets.deleteSecret('test/key')).toBe(true);
+        expect(await secrets.deleteSecret('test/key')).toBe(false);
+    });
+
+    it('should keep profile keys in the secret store and never return them', async () => {
+        const profile = await profiles.createProfile({
+            name: ' Production ',
+            environmentId: ENVIRONMENT_ID,
+            managementApiKey: API_KEY,
+            secureAssetDeliveryKey: `${API_KEY}-assets`
+        });
+
+        expect(profile).toMatchObject({ name: 'Production', environmentId: ENVIRONMENT_ID, hasManagementApiKey: true, hasSecureAssetDeliveryKey: true });
+        expect(JSON.stringify(await profiles.listProfiles())).not.toContain(API_KEY);
+        expect(await fs.readFile(path.join(tempDir, 'profiles.json'), 'utf8')).not.toContain(API_KEY);
+
+        // Keys are only replaced when given; an empty string removes an optional one
+        const updated = await profiles.updateProfile(profile.id, { name: 'Prod', secureAssetDeliveryKey: '' });
+        expect(updated).toMatchObject({ name: 'Prod', hasManagementApiKey: true, hasSecureAssetDeliveryKey: false });
+        expect((await profiles.getProfileCredentials(profile.id)).apiKey).toBe(API_KEY);
+
+        await profiles.deleteProfile(profile.id);
+        await expect(profiles.getProfile(profile.id)).rejects.toMatchObject({ status: 404 });
+        expect(await secrets.listSecretNames()).toEqual([]);
+    });
+
+    it('should refuse invalid profiles', async () => {
+        await expect(profiles.createProfile({ name: 'No key', environmentId: ENVIRONMENT_ID })).rejects.toThrow(/managementApiKey/);
+        await expect(profiles.createProfile({ name: 'Bad ID', environmentId: 'production', managementApiKey: API_KEY }))
+            .rejects.toThrow(/environmentId/);
+        await expect(profiles.createProfile({ name: 'Bad URL', environmentId: ENVIRONMENT_ID, managementApiKey: API_KEY, kontentUrl: 'file:///etc' }))
+            .rejects.toThrow(/kontentUrl/);
+    });
+
+    it('should resolve profiles in commands, sending their keys only to their own URL', async () => {
+        const production = await profiles.createProfile({
+            name: 'Production',
+            environmentId: ENVIRONMENT_ID,
+            managementApiKey: API_KEY,
+            secureAssetDeliveryKey: `${API_KEY}-assets`
+        });
+        const custom = await profiles.createProfile({
+            name: 'Custom',
+            environmentId: OTHER_ENVIRONMENT_ID,
+            managementApiKey: `${API_KEY}-custom`,
+            kontentUrl: 'https://kontent.example.com'
+        });
+
+        expect(await profiles.resolveProfiles('environment backup', { profileId: production.id })).toEqual({
+            environmentId: ENVIRONMENT_ID,
+            apiKey: API_KEY,
+            secureAssetDeliveryKey: `${API_KEY}-assets`
+        });
+        expect((await profiles.resolveProfiles('environment restore', { profileId: custom.id, fileName: 'backup.zip' })).kontentUrl)
+            .toBe('https://kontent.example.com');
+
+        await expect(profiles.resolveProfiles('environment backup', { profileId: production.id, kontentUrl: 'https://attacker.example.com' }))
+            .rejects.toThrow(/kontentUrl can't be set/);
+        await expect(profiles.resolveProfiles('environment backup', { profileId: custom.id, kontentUrl: 'https://attacker.example.com' }))
+            .rejects.toThrow(/kontentUrl can't be set/);
+        await expect(profiles.resolveProfiles('sync run', { sourceProfileId: custom.id, targetProfileId: production.id }))
+            .rejects.toThrow(/different Kontent.ai URLs/);
+        await expect(profiles.resolveProfiles('environment backup', { profileId: production.id, environmentId: OTHER_ENVIRONMENT_ID }))
+            .rejects.toThrow(/does not match profile/);
+        await expect(profiles.resolveProfiles('environment backup', { profileId: production.id, apiKey: API_KEY }))
+            .rejects.toThrow(/not both/);
+        await expect(profiles.resolveProfiles('environment backup', { profileId: 'unknown' })).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should refuse to keep or use keys without authentication', async () => {
+        const profile = await profiles.createProfile({ name: 'Production', environmentId: ENVIRONMENT_ID, managementApiKey: API_KEY });
+
+        vi.stubEnv('AUTH_JWT_SECRET', '');
+        try {
+            await expect(profiles.resolveProfiles('environment backup', { profileId: profile.id })).rejects.toMatchObject({ status: 403 });
+            await expect(profiles.createProfile({ name: 'Dev', environmentId: OTHER_ENVIRONMENT_ID, managementApiKey: API_KEY }))
+                .rejects.toThrow(/authentication/);
+            await expect(profiles.updateProfile(profile.id, { managementApiKey: `${API_KEY}-new` })).rejects.toMatchObject({ status: 403 });
+        } finally {
+            vi.stubEnv('AUTH_JWT_SECRET', 'test-jwt-secret');
+        }
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for progress tracking (src/server/progress.ts)
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { ProgressTracker, describePhase } from '../src/server/progress.ts';
+
+describe('ProgressTracker', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('should read counters', () => {
+        const tracker = new ProgressTracker('migrate-content snapshot');
+        const update = tracker.update('content items 340/1200');
+
+        expect(update.type).toBe('progress');
+        expect(update.stage).toBe('Content items');
+        expect(update.message).toBe('Content items 340/1200');
+        expect(update.phase).toMatchObject({ name: 'contentItems', processed: 340, total: 1200 });
+        // The first of three phases, 340/1200 of the way through
+        expect(update.percent).toBeCloseTo((340 / 1200) / 3 * 100, 1);
+    });
+
+    it('should count single entities against an announced total', () => {
+        const tracker = new ProgressTracker('environment clean');
+        tracker.update('Found 300 assets');
+        tracker.update('Deleted asset hero.png');
+        const update = tracker.update('✓ Deleted asset logo.svg');
+
+        expect(update.phase).toMatchObject({ name: 'assets', processed: 2, total: 300 });
+    });
+
+    it('should report throughput and ETA', () => {
+        vi.useFakeTimers();
+        const tracker = new ProgressTracker('environment backup');
+        tracker.update('Found 100 content items');
+        vi.advanceTimersByTime(10000);
+        const update = tracker.update('Exporting content items 20/100');
+
+        expect(update.phase.throughput).toBe(2);
+        expect(update.phase.etaSeconds).toBe(40);
+    });
+
+    it('should count earlier phases as done', () => {
+        const tracker = new ProgressTracker('migrate-content run');
+        tracker.update('assets 10/10');
+        const update = tracker.update('content items 0/50');
+
+        expect(update.percent).toBeCloseTo(100 / 3, 1);
+    });
+
+    it('should never report 100% or go backwards before the command completes', () => {
+        const tracker = new ProgressTracker('migrations run');
+        expect(tracker.update('migrations 5/5').percent).toBe(99);
+        expect(tracker.update('migrations 1/5').percent).toBe(99);
+    });
+
+    it('should ignore lines without entity counts', () => {
+        const tracker = new ProgressTracker('environment backup');
+        expect(tracker.update('Backup finished')).toBeNull();
+        expect(tracker.update('Connecting to environment 11111111-2222-3333-4444-555555555555')).toBeNull();
+    });
+
+    it('should read data-ops output lines', () => {
+        const tracker = new ProgressTracker('environment backup');
+        const lines = [
+            'Exporting data from environment id 11111111-2222-3333-4444-555555555555',
+            'Found 2 taxonomies',
+            'Exported taxonomy \'Categories\'',
+            'contentTypes: 3 / 12',
+            'Fetched 250 language variants',
+            'Exported languageVariant Home (en-US)',
+            'Processed 40 of 250 languageVariants',
+            'All entities from environment 11111111-2222-3333-4444-555555555555 were successfully exported into backup.zip'
+        ];
+
+        expect(lines.map(line => tracker.update(line)?.message ?? null)).toEqual([
+            null,
+            'Taxonomies 0/2',
+            'Taxonomies 1/2',
+            'Content types 3/12',
+            'Language variants 0/250',
+            'Language variants 1/250',
+            'Language variants 40/250',
+            null
+        ]);
+    });
+
+    it('should not read entities out of other words or counters out of dates, paths and versions', () => {
+        const tracker = new ProgressTracker('environment backup');
+        expect(tracker.update('Found 12 itemsets')).toBeNull();
+        expect(tracker.update('Deleted typescript cache')).toBeNull();
+        expect(tracker.update('Exported prototypes')).toBeNull();
+        expect(tracker.update('Loaded 4 controles')).toBeNull();
+        expect(tracker.update('Backup saved to backups/2026/10/19/items.zip')).toBeNull();
+        expect(tracker.update('Content types changed on 10/19/2026')).toBeNull();
+        expect(tracker.update('Using @kontent-ai/management-sdk v7.9/1 for assets')).toBeNull();
+        expect(tracker.update('Retrying request (1/3) for item Home')).toBeNull();
+        expect(tracker.update('items 12/10')).toBeNull();
+        expect(tracker.update('Roles: 1/4').message).toBe('Roles 1/4');
+    });
+
+    it('should track phases of commands without expected phases', () => {
+        const tracker = new ProgressTracker('migrations add');
+        expect(tracker.update('Processed 1 of 4 taxonomies').percent).toBe(25);
+    });
+});
+
+describe('describePhase', () => {
+    it('should show the total when known', () => {
+        expect(describePhase({ label: 'Assets', processed: 55, total: 300 })).toBe('Assets 55/300');
+        expect(describePhase({ label: 'Assets', processed: 55, total: null })).toBe('Assets 55');
+    });
+});
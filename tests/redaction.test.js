@@ -0,0 +1,200 @@
+/**
+ * Tests for the secret redaction layer (src/server/redaction.ts)
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+    REDACTED,
+    collectSecrets,
+    registerSecrets,
+    redact,
+    redactArgs,
+    redactOptions,
+    redactValue
+} from '../src/server/redaction.ts';
+import { ServerLogger } from '../src/server/logger.ts';
+
+const API_KEY = 'ew0KICAiYWxnIjogIkhTMjU2IiwNCiAgInR5cCI6ICJKV1Qi';
+const ENVIRONMENT_ID = '11111111-2222-3333-4444-555555555555';
+
+describe('collectSecrets', () => {
+    it('should collect the values of secret options', () => {
+        const secrets = collectSecrets({
+            environmentId: ENVIRONMENT_ID,
+            apiKey: API_KEY,
+            targetApiKey: ` ${API_KEY}x `,
+            fileName: 'backup.zip'
+        });
+        expect(secrets).toEqual([API_KEY, `${API_KEY}x`]);
+    });
+
+    it('should ignore values too short to be keys', () => {
+        expect(collectSecrets({ apiKey: 'abc' })).toEqual([]);
+    });
+});
+
+describe('registerSecrets', () => {
+    it('should mask registered secrets until released', () => {
+        const release = registerSecrets([API_KEY]);
+        expect(redact(`key is ${API_KEY}`)).toBe(`key is ${REDACTED}`);
+
+        release();
+        expect(redact(`key is ${API_KEY}`)).toBe(`key is ${API_KEY}`);
+    });
+
+    it('should keep a secret registered while another user still holds it', () => {
+        const releaseFirst = registerSecrets([API_KEY]);
+        const releaseSecond = registerSecrets([API_KEY]);
+
+        releaseFirst();
+        releaseFirst();
+        expect(redact(API_KEY)).toBe(REDACTED);
+
+        releaseSecond();
+        expect(redact(API_KEY)).toBe(API_KEY);
+    });
+});
+
+describe('redact', () => {
+    it('should mask given secrets wherever they appear', () => {
+        const text = `Failed: 401 for ${API_KEY} (key ${API_KEY})`;
+        expect(redact(text, [API_KEY])).toBe(`Failed: 401 for ${REDACTED} (key ${REDACTED})`);
+    });
+
+    it('should mask a secret containing another one as a whole', () => {
+        expect(redact(`${API_KEY}suffix`, [API_KEY, `${API_KEY}suffix`])).toBe(REDACTED);
+    });
+
+    it('should mask key arguments with unknown values', () => {
+        expect(redact('data-ops environment backup --apiKey unknownvalue1 --environmentId x'))
+            .toBe(`data-ops environment backup --apiKey ${REDACTED} --environmentId x`);
+        expect(redact('--target-api-key=unknownvalue2')).toBe(`--target-api-key=${REDACTED}`);
+        expect(redact('--secureAssetDeliveryKey "quoted value"')).toBe(`--secureAssetDeliveryKey ${REDACTED}`);
+    });
+
+    it('should not mask an argument twice', () => {
+        expect(redact(`--apiKey ${API_KEY}`, [API_KEY])).toBe(`--apiKey ${REDACTED}`);
+    });
+
+    it('should mask bearer tokens', () => {
+        expect(redact('Authorization: Bearer abc.def-ghi_jkl')).toBe(`Authorization: Bearer ${REDACTED}`);
+    });
+
+    it('should leave other text alone', () => {
+        const text = `Backing up environment ${ENVIRONMENT_ID} to backup.zip`;
+        expect(redact(text)).toBe(text);
+    });
+});
+
+describe('redactArgs', () => {
+    it('should mask the values following key arguments', () => {
+        expect(redactArgs(['environment', 'backup', '--apiKey', 'shortkey', '--environmentId', ENVIRONMENT_ID]))
+            .toEqual(['environment', 'backup', '--apiKey', REDACTED, '--environmentId', ENVIRONMENT_ID]);
+    });
+});
+
+describe('redactOptions', () => {
+    it('should replace the values of secret options and keep their names', () => {
+        expect(redactOptions({ environmentId: ENVIRONMENT_ID, apiKey: API_KEY, targetApiKey: '', include: ['a'] }))
+            .toEqual({ environmentId: ENVIRONMENT_ID, apiKey: REDACTED, targetApiKey: '', include: ['a'] });
+    });
+});
+
+describe('redactValue', () => {
+    it('should redact nested values and secret fields', () => {
+        const release = registerSecrets([API_KEY]);
+        try {
+            expect(redactValue({
+                request: { headers: { authorization: 'anything' }, url: `https://x/?k=${API_KEY}` },
+                items: [API_KEY, 1, null]
+            })).toEqual({
+                request: { headers: { authorization: 'anything' }, url: `https://x/?k=${REDACTED}` },
+                items: [REDACTED, 1, null]
+            });
+            expect(redactValue({ apiKey: 'whatever' })).toEqual({ apiKey: REDACTED });
+        } finally {
+            release();
+        }
+    });
+
+    it('should redact errors', () => {
+        const release = registerSecrets([API_KEY]);
+        try {
+            const error = new Error(`Invalid key ${API_KEY}`);
+            expect(redactValue(error)).toContain(`Invalid key ${REDACTED}`);
+        } finally {
+            release();
+        }
+    });
+
+    it('should cope with circular values', () => {
+        const value = { name: 'loop' };
+        value.self = value;
+        expect(redactValue(value)).toEqual({ name: 'loop', self: '[…]' });
+    });
+});
+
+describe('ServerLogger', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should not write registered secrets to the server log', () => {
+        const consoleLog = vi.spyOn(console, 'log').mockImplementation(() => {});
+        const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const release = registerSecrets([API_KEY]);
+        try {
+            const logger = new ServerLogger();
+            logger.info(`Executing with ${API_KEY}`);
+            logger.error('Request failed', new Error(`Unauthorized: ${API_KEY}`));
+        } finally {
+            release();
+        }
+
+        const written = [...consoleLog.mock.calls, ...consoleError.mock.calls].flat().map(String).join('\n');
+        expect(written).toContain('Executing with');
+        expect(written).not.toContain(API_KEY);
+    });
+});
+
+describe('job output', () => {
+    let tempDir;
+    let jobs;
+
+    beforeAll(async () => {
+        // A stand-in for the data-ops CLI that echoes its arguments to both streams
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'redaction-test-'));
+        const cliPath = path.join(tempDir, 'cli.js');
+        await fs.writeFile(cliPath, [
+            'console.log(`args: ${process.argv.slice(2).join(" ")}`);',
+            'console.error(`error: ${process.argv.slice(2).join(" ")}`);'
+        ].join('\n'));
+
+        vi.stubEnv('DATA_DIR', path.join(tempDir, 'data'));
+        vi.stubEnv('DATA_OPS_CLI_PATH', cliPath);
+        vi.resetModules();
+        jobs = await import('../src/server/jobs.ts');
+    });
+
+    afterAll(async () => {
+        vi.unstubAllEnvs();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should keep keys out of streamed events and the stored log', async () => {
+        const job = await jobs.startJob('environment backup', { environmentId: ENVIRONMENT_ID, apiKey: API_KEY });
+        await new Promise(resolve => jobs.subscribeToJob(job.id, () => {}, resolve));
+
+        const events = await jobs.getJobEvents(job.id);
+        expect(events.some(event => event.message?.includes(ENVIRONMENT_ID))).toBe(true);
+        expect(JSON.stringify(events)).not.toContain(API_KEY);
+
+        const storedLog = await fs.readFile(path.join(tempDir, 'data', 'jobs', `${job.id}.log`), 'utf8');
+        expect(storedLog).not.toContain(API_KEY);
+    });
+});
@@ -0,0 +1,175 @@
+/**
+ * Tests for backup retention (src/server/retention.ts)
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { selectBackupsToPrune } from '../src/server/retention.ts';
+
+const API_KEY = 'ew0KICAiYWxnIjogIkhTMjU2IiwNCiAgInR5cCI6ICJKV1Qi';
+const ENVIRONMENT_ID = '11111111-2222-3333-4444-555555555555';
+const OTHER_ENVIRONMENT_ID = '66666666-7777-8888-9999-000000000000';
+
+function backupsAt(...dates) {
+    return dates.map((createdAt, index) => ({ jobId: `job-${index}`, createdAt }));
+}
+
+function prunedIds(backups, rules, now) {
+    return selectBackupsToPrune(backups, rules, new Date(now)).map(backup => backup.jobId).sort();
+}
+
+describe('retention rules', () => {
+    // Two backups a day from Monday 5 to Sunday 18 October 2026
+    const backups = backupsAt(...Array.from({ length: 14 }, (_, day) => [
+        `2026-10-${String(day + 5).padStart(2, '0')}T02:00:00Z`,
+        `2026-10-${String(day + 5).padStart(2, '0')}T14:00:00Z`
+    ]).flat());
+    const now = '2026-10-18T20:00:00Z';
+
+    it('should keep the newest backups', () => {
+        const pruned = prunedIds(backups, { keepLast: 3 }, now);
+
+        expect(pruned).toHaveLength(25);
+        expect(pruned).not.toContain('job-27');
+        expect(pruned).not.toContain('job-25');
+        expect(pruned).toContain('job-24');
+    });
+
+    it('should keep the newest backup of each of the last days, weeks and months', () => {
+        const daily = prunedIds(backups, { keepDaily: 3 }, now);
+        // 18, 17 and 16 October, from their afternoons
+        expect(28 - daily.length).toBe(3);
+        expect(daily).not.toContain('job-27');
+        expect(daily).not.toContain('job-25');
+        expect(daily).not.toContain('job-23');
+        expect(daily).toContain('job-26');
+
+        // Weeks start on Monday: the newest of 12-18 and of 5-11 October
+        expect(backups.filter(backup => !prunedIds(backups, { keepWeekly: 8 }, now).includes(backup.jobId)).map(backup => backup.createdAt))
+            .toEqual(['2026-10-11T14:00:00Z', '2026-10-18T14:00:00Z']);
+
+        expect(prunedIds(backups, { keepMonthly: 12 }, now)).toHaveLength(27);
+    });
+
+    it('should combine rules and count periods from now, not from the newest backup', () => {
+        const combined = prunedIds(backups, { keepLast: 2, keepDaily: 2 }, now);
+        // The two of 18 October, and the newest of 17 October
+        expect(28 - combined.length).toBe(3);
+
+        // A week later, no backup falls into the last 2 days
+        expect(prunedIds(backups, { keepDaily: 2 }, '2026-10-25T20:00:00Z')).toHaveLength(28);
+    });
+});
+
+describe('backup retention', () => {
+    let tempDir;
+    let jobs;
+    let retention;
+    let audit;
+    const user = { id: 'admin@example.com', name: 'Admin', role: 'admin' };
+
+    async function runJob(command, options) {
+        const job = await jobs.startJob(command, options);
+        await new Promise(resolve => jobs.subscribeToJob(job.id, () => {}, resolve));
+        return jobs.getJob(job.id);
+    }
+
+    function backUp(environmentId = ENVIRONMENT_ID) {
+        return runJob('environment backup', { environmentId, apiKey: API_KEY });
+    }
+
+    beforeAll(async () => {
+        // A stand-in for the data-ops CLI: backups write their file, other commands just succeed
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'retention-test-'));
+        const cliPath = path.join(tempDir, 'cli.js');
+        await fs.writeFile(cliPath, [
+            'const args = process.argv.slice(2);',
+            'const fileName = args.indexOf("--file-name");',
+            'if (args[1] === "backup") require("fs").writeFileSync(fileName >= 0 ? args[fileName + 1] : "backup.zip", "zip");'
+        ].join('\n'));
+
+        vi.stubEnv('DATA_DIR', path.join(tempDir, 'data'));
+        vi.stubEnv('DATA_OPS_CLI_PATH', cliPath);
+        vi.resetModules();
+        jobs = await import('../src/server/jobs.ts');
+        retention = await import('../src/server/retention.ts');
+        audit = await import('../src/server/audit.ts');
+    });
+
+    afterAll(async () => {
+        vi.unstubAllEnvs();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should refuse policies without rules or with invalid ones', async () => {
+        await expect(retention.setRetentionPolicy(ENVIRONMENT_ID, {})).rejects.toMatchObject({ status: 400 });
+        await expect(retention.setRetentionPolicy(ENVIRONMENT_ID, { keepDaily: 0 })).rejects.toMatchObject({ status: 400 });
+        await expect(retention.setRetentionPolicy(ENVIRONMENT_ID, { keepLast: '3' })).rejects.toMatchObject({ status: 400 });
+        await expect(retention.setRetentionPolicy('production', { keepLast: 3 })).rejects.toMatchObject({ status: 400 });
+        await expect(retention.deleteRetentionPolicy(ENVIRONMENT_ID)).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should prune backups the policy doesn\'t keep, but never pinned or safety backups, and audit it', async () => {
+        const pinned = await backUp();
+        const oldest = await backUp();
+        const older = await backUp();
+        const newest = await backUp();
+        const otherEnvironment = await backUp(OTHER_ENVIRONMENT_ID);
+        const restore = await runJob('environment restore', {
+            environmentId: ENVIRONMENT_ID,
+            apiKey: API_KEY,
+            fileName: `artifact:${newest.id}/backup.zip`,
+            safetyBackup: true
+        });
+        expect(restore.safetyBackup).toBeDefined();
+
+        expect(retention.pinBackup(pinned.id, true, user)).toMatchObject({ jobId: pinned.id, protectedBy: 'Pinned by Admin' });
+        expect(retention.listBackups(ENVIRONMENT_ID).map(backup => [backup.jobId, backup.kind])).toEqual([
+            [restore.id, 'safety-backup'],
+            [newest.id, 'backup'],
+            [older.id, 'backup'],
+            [oldest.id, 'backup'],
+            [pinned.id, 'backup']
+        ]);
+
+        await retention.setRetentionPolicy(ENVIRONMENT_ID, { keepLast: 1 }, user);
+        const preview = await retention.pruneBackups({ dryRun: true });
+        expect(preview.map(backup => backup.jobId)).toEqual([older.id, oldest.id]);
+        expect(jobs.getJob(older.id).artifacts).toHaveLength(1);
+
+        const pruned = await retention.pruneBackups({ user });
+        expect(pruned.map(backup => backup.jobId)).toEqual([older.id, oldest.id]);
+        expect(jobs.getJob(older.id).artifacts).toEqual([]);
+        await expect(fs.access(path.join(tempDir, 'data', 'artifacts', older.id))).rejects.toThrow();
+        [pinned, newest, restore, otherEnvironment].forEach(job => {
+            expect(jobs.getJob(job.id).artifacts.length).toBeGreaterThan(0);
+        });
+
+        const entries = await audit.queryAudit({ status: 'pruned' });
+        expect(entries.map(entry => entry.jobId).sort()).toEqual([older.id, oldest.id].sort());
+        expect(entries[0]).toMatchObject({
+            command: 'backup prune',
+            user,
+            environmentIds: [ENVIRONMENT_ID],
+            options: { keepLast: 1 },
+            artifacts: [expect.objectContaining({ name: 'backup.zip' })]
+        });
+    });
+
+    it('should prune a backup once it is unpinned and the policy doesn\'t keep it', async () => {
+        const [latest] = retention.listBackups(ENVIRONMENT_ID).filter(backup => backup.kind === 'backup');
+        const pinned = retention.listBackups(ENVIRONMENT_ID).find(backup => backup.pinned);
+
+        expect(retention.pinBackup(pinned.jobId, false, user).protectedBy).toBeUndefined();
+        expect((await retention.pruneBackups()).map(backup => backup.jobId)).toEqual([pinned.jobId]);
+        expect(retention.listBackups(ENVIRONMENT_ID).map(backup => backup.jobId)).toContain(latest.jobId);
+        expect(() => retention.pinBackup(pinned.jobId, true, user)).toThrow(/no backup/);
+
+        await retention.deleteRetentionPolicy(ENVIRONMENT_ID);
+        expect(await retention.listRetentionPolicies()).toEqual([]);
+    });
+});
@@ -0,0 +1,236 @@
+/**
+ * Tests for pre-flight safety backups (src/server/safetyBackup.ts) and rollbacks
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getSafetyBackupOptions } from '../src/server/safetyBackup.ts';
+
+const API_KEY = 'ew0KICAiYWxnIjogIkhTMjU2IiwNCiAgInR5cCI6ICJKV1Qi';
+const ENVIRONMENT_ID = '11111111-2222-3333-4444-555555555555';
+const SOURCE_ENVIRONMENT_ID = '66666666-7777-8888-9999-000000000000';
+
+// Content model of the fake Management API; jobs with a safety backup record it when they finish
+const environment = { contentTypes: [{ id: 'article-id', codename: 'article', name: 'Article' }], unreachable: false };
+// Base URL of every client created
+const baseUrls = [];
+
+vi.mock('@kontent-ai/management-sdk', () => {
+    const read = rawData => {
+        if (environment.unreachable) throw new Error('connect ECONNREFUSED');
+        return rawData;
+    };
+    const list = entity => () => ({ toAllPromise: async () => ({ data: { items: read(environment[entity] ?? []).map(item => ({ _raw: item })) } }) });
+    const raw = rawData => () => ({ toPromise: async () => ({ rawData: read(rawData) }) });
+    class ManagementClient {
+        constructor(config) {
+            baseUrls.push(config.baseUrl);
+        }
+
+        environmentInformation() {
+            return { toPromise: async () => ({ data: { project: { name: 'Shop', environment: 'Production' } } }) };
+        }
+    }
+    ManagementClient.prototype.listContentItems = list('contentItems');
+    ManagementClient.prototype.listAssets = list('assets');
+    ManagementClient.prototype.listContentTypes = list('contentTypes');
+    ManagementClient.prototype.listContentTypeSnippets = list('contentTypeSnippets');
+    ManagementClient.prototype.listTaxonomies = list('taxonomies');
+    ManagementClient.prototype.listLanguages = list('languages');
+    ManagementClient.prototype.listCollections = raw({ collections: [] });
+    ManagementClient.prototype.listAssetFolders = raw({ folders: [] });
+    ManagementClient.prototype.listSpaces = raw([]);
+    ManagementClient.prototype.listWorkflows = raw([]);
+    ManagementClient.prototype.checkWebSpotlightStatus = raw({ enabled: false });
+    return { ManagementClient };
+});
+
+describe('getSafetyBackupOptions', () => {
+    it('should back up the target of a destructive command when asked to', () => {
+        expect(getSafetyBackupOptions('sync run', {
+            sourceEnvironmentId: SOURCE_ENVIRONMENT_ID,
+            sourceApiKey: `${API_KEY}2`,
+            targetEnvironmentId: ENVIRONMENT_ID,
+            targetApiKey: API_KEY,
+            safetyBackup: true
+        })).toEqual({ environmentId: ENVIRONMENT_ID, apiKey: API_KEY, fileName: 'safety-backup.zip' });
+    });
+
+    it('should not back up unless asked to or the command is destructive', () => {
+        expect(getSafetyBackupOptions('environment clean', { environmentId: ENVIRONMENT_ID, apiKey: API_KEY })).toBeNull();
+        expect(getSafetyBackupOptions('environment backup', { environmentId: ENVIRONMENT_ID, apiKey: API_KEY, safetyBackup: true }))
+            .toBeNull();
+    });
+
+    it('should always back up when the policy requires it', async () => {
+        vi.stubEnv('SAFETY_BACKUP', 'always');
+        vi.resetModules();
+        const safetyBackup = await import('../src/server/safetyBackup.ts');
+        vi.unstubAllEnvs();
+
+        expect(safetyBackup.getSafetyBackupOptions('environment clean', { environmentId: ENVIRONMENT_ID, apiKey: API_KEY }))
+            .toMatchObject({ environmentId: ENVIRONMENT_ID });
+    });
+});
+
+describe('jobs with a safety backup', () => {
+    let tempDir;
+    let jobs;
+    let createConfirmation;
+    const RESTORE_OPTIONS = { environmentId: ENVIRONMENT_ID, apiKey: API_KEY, fileName: 'backup.zip' };
+
+    async function rollBack(jobId) {
+        const { token } = await createConfirmation('environment clean', (await jobs.prepareRollback(jobId, { apiKey: API_KEY })).cleanOptions);
+        const rollback = await jobs.startRollbackJob(jobId, { apiKey: API_KEY }, undefined, { token, environmentName: 'Production' });
+        await new Promise(resolve => jobs.subscribeToJob(rollback.id, () => {}, resolve));
+        return { rollback: jobs.getJob(rollback.id), events: await jobs.getJobEvents(rollback.id) };
+    }
+
+    async function runJob(command, options) {
+        const job = await jobs.startJob(command, options);
+        await new Promise(resolve => jobs.subscribeToJob(job.id, () => {}, resolve));
+        return { job: jobs.getJob(job.id), events: await jobs.getJobEvents(job.id) };
+    }
+
+    beforeAll(async () => {
+        // A stand-in for the data-ops CLI: backups write their file (or fail on request), other commands report their arguments
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'safety-backup-test-'));
+        const cliPath = path.join(tempDir, 'cli.js');
+        await fs.writeFile(cliPath, [
+            'const fs = require("fs");',
+            'const args = process.argv.slice(2);',
+            'if (args[1] === "backup") {',
+            '    if (process.env.FAKE_BACKUP_FAILS) process.exit(3);',
+            '    fs.writeFileSync(args[args.indexOf("--file-name") + 1], "zip");',
+            '}',
+            'if (args[1] === "restore") console.log(`restoring: ${args[args.indexOf("--file-name") + 1]}`);',
+            'console.log(`ran: ${args.slice(0, 2).join(" ")}`);'
+        ].join('\n'));
+
+        vi.stubEnv('DATA_DIR', path.join(tempDir, 'data'));
+        vi.stubEnv('DATA_OPS_CLI_PATH', cliPath);
+        vi.resetModules();
+        jobs = await import('../src/server/jobs.ts');
+        ({ createConfirmation } = await import('../src/server/confirmations.ts'));
+    });
+
+    afterEach(() => {
+        vi.stubEnv('FAKE_BACKUP_FAILS', '');
+        environment.contentTypes = [{ id: 'article-id', codename: 'article', name: 'Article' }];
+        environment.unreachable = false;
+    });
+
+    afterAll(async () => {
+        vi.unstubAllEnvs();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should back up the environment before running the command and link the backup', async () => {
+        const { job, events } = await runJob('environment restore', { ...RESTORE_OPTIONS, safetyBackup: true });
+
+        expect(job.status).toBe('succeeded');
+        const ran = events.filter(event => event.message?.startsWith('ran: ')).map(event => event.message);
+        expect(ran).toEqual(['ran: environment backup', 'ran: environment restore']);
+        expect(job.safetyBackup).toMatchObject({
+            environmentId: ENVIRONMENT_ID,
+            artifact: 'safety-backup.zip',
+            reference: `artifact:${job.id}/safety-backup.zip`
+        });
+        expect(job.artifacts.map(artifact => artifact.name)).toContain('safety-backup.zip');
+        expect(job.safetyBackup.fingerprint).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('should not run the command when the backup fails', async () => {
+        vi.stubEnv('FAKE_BACKUP_FAILS', '1');
+        const { job, events } = await runJob('environment restore', { ...RESTORE_OPTIONS, safetyBackup: true });
+
+        expect(job.status).toBe('failed');
+        expect(job.safetyBackup).toBeUndefined();
+        expect(events.some(event => event.message === 'ran: environment restore')).toBe(false);
+        expect(events.at(-1).message).toBe('Safety backup failed, environment restore was not run: Command exited with code 3');
+    });
+
+    it('should roll a job back by cleaning the environment and restoring its backup', async () => {
+        const { job: source } = await runJob('environment restore', { ...RESTORE_OPTIONS, safetyBackup: true });
+        const { rollback, events } = await rollBack(source.id);
+
+        expect(rollback).toMatchObject({ command: 'environment rollback', status: 'succeeded', rollbackOf: source.id });
+        const ran = events.filter(event => event.message?.startsWith('ran: ')).map(event => event.message);
+        expect(ran).toEqual(['ran: environment clean', 'ran: environment restore']);
+        expect(events.some(event => event.message === `Content model of environment ${ENVIRONMENT_ID} unchanged since job ${source.id} finished`)).toBe(true);
+        expect(events.some(event => event.message?.endsWith(path.join('artifacts', source.id, 'safety-backup.zip')))).toBe(true);
+        expect(jobs.getJob(source.id).rolledBackBy).toBe(rollback.id);
+    });
+
+    it('should read the environment at its Kontent.ai URL after the job and before rolling it back', async () => {
+        const kontentUrl = 'https://kontent.example.com';
+        baseUrls.length = 0;
+        const { job: source } = await runJob('environment restore', { ...RESTORE_OPTIONS, kontentUrl, safetyBackup: true });
+
+        expect(source.safetyBackup).toMatchObject({ kontentUrl });
+        expect(source.safetyBackup.fingerprint).toMatch(/^[0-9a-f]{64}$/);
+        expect(baseUrls).toEqual(['https://manage.kontent.example.com/v2']);
+        expect((await jobs.prepareRollback(source.id, { apiKey: API_KEY })).cleanOptions.kontentUrl).toBe(kontentUrl);
+
+        baseUrls.length = 0;
+        const { rollback } = await rollBack(source.id);
+
+        expect(rollback.status).toBe('succeeded');
+        expect(baseUrls.length).toBeGreaterThan(0);
+        expect(baseUrls.every(baseUrl => baseUrl === 'https://manage.kontent.example.com/v2')).toBe(true);
+    });
+
+    it('should only roll back once the clean of the environment is confirmed', async () => {
+        const { job: source } = await runJob('environment restore', { ...RESTORE_OPTIONS, safetyBackup: true });
+        const { cleanOptions } = await jobs.prepareRollback(source.id, { apiKey: API_KEY });
+        const { token } = await createConfirmation('environment clean', cleanOptions);
+
+        expect(cleanOptions.skipWarning).toBeUndefined();
+        await expect(jobs.startRollbackJob(source.id, { apiKey: API_KEY })).rejects.toMatchObject({ status: 428 });
+        await expect(jobs.startRollbackJob(source.id, { apiKey: API_KEY }, undefined, { token, environmentName: 'Staging' }))
+            .rejects.toMatchObject({ status: 400 });
+        const other = await createConfirmation('environment clean', { environmentId: SOURCE_ENVIRONMENT_ID, apiKey: API_KEY });
+        await expect(jobs.startRollbackJob(source.id, { apiKey: API_KEY }, undefined, { token: other.token, environmentName: 'Production' }))
+            .rejects.toMatchObject({ status: 428 });
+        expect(jobs.listJobs().some(job => job.rollbackOf === source.id)).toBe(false);
+    });
+
+    it('should refuse to roll back when the environment changed after the backup', async () => {
+        const { job: source } = await runJob('environment restore', { ...RESTORE_OPTIONS, safetyBackup: true });
+        await runJob('environment restore', RESTORE_OPTIONS);
+
+        await expect(jobs.startRollbackJob(source.id, { apiKey: API_KEY })).rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should not clean the environment when its content model changed outside the app', async () => {
+        const { job: source } = await runJob('environment restore', { ...RESTORE_OPTIONS, safetyBackup: true });
+        environment.contentTypes = [{ id: 'article-id', codename: 'article', name: 'Blog post' }];
+
+        const { rollback, events } = await rollBack(source.id);
+
+        expect(rollback.status).toBe('failed');
+        expect(events.some(event => event.message?.startsWith('ran: '))).toBe(false);
+        expect(events.at(-1).message).toMatch(/^Change check failed, Clean environment was not run: The content model of environment .* has changed/);
+        expect(jobs.getJob(source.id).rolledBackBy).toBeUndefined();
+    });
+
+    it('should refuse to roll back when the environment could not be read after the job', async () => {
+        environment.unreachable = true;
+        const { job: source, events } = await runJob('environment restore', { ...RESTORE_OPTIONS, safetyBackup: true });
+
+        expect(source.status).toBe('succeeded');
+        expect(source.safetyBackup.fingerprint).toBeUndefined();
+        expect(events.some(event => event.level === 'warning' && event.message.includes("can't be rolled back automatically"))).toBe(true);
+        await expect(jobs.startRollbackJob(source.id, { apiKey: API_KEY })).rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should refuse to roll back jobs without a safety backup', async () => {
+        const { job } = await runJob('environment restore', RESTORE_OPTIONS);
+
+        await expect(jobs.startRollbackJob(job.id, { apiKey: API_KEY })).rejects.toThrow('has no safety backup');
+    });
+});
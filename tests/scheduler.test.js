@@ -0,0 +1,91 @@
+/**
+ * Tests for the job scheduler (src/server/scheduler.ts)
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const ENV_A = '11111111-2222-3333-4444-555555555555';
+const ENV_B = '66666666-7777-8888-9999-000000000000';
+
+describe('scheduler', () => {
+    let scheduler;
+    let started;
+    let waiting;
+
+    // Queue a job that records when it starts and where it waits
+    function submit(id, locks = []) {
+        scheduler.scheduleJob(id, locks, () => started.push(id), state => { waiting[id] = state; });
+    }
+
+    beforeEach(async () => {
+        vi.stubEnv('MAX_CONCURRENT_JOBS', '2');
+        vi.resetModules();
+        scheduler = await import('../src/server/scheduler.ts');
+        started = [];
+        waiting = {};
+    });
+
+    afterEach(() => {
+        vi.unstubAllEnvs();
+    });
+
+    it('should cap the number of running jobs', () => {
+        submit('a');
+        submit('b');
+        submit('c');
+
+        expect(started).toEqual(['a', 'b']);
+        expect(waiting.c).toEqual({ position: 1, reason: 'capacity' });
+
+        scheduler.releaseJob('a');
+        expect(started).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should not run two writes to the same environment at once', () => {
+        submit('restore', [ENV_A]);
+        submit('clean', [ENV_A]);
+        submit('other', [ENV_B]);
+
+        expect(started).toEqual(['restore', 'other']);
+        expect(waiting.clean).toEqual({ position: 1, reason: 'lock', environmentId: ENV_A, blockedBy: 'restore' });
+
+        scheduler.releaseJob('restore');
+        expect(started).toEqual(['restore', 'other', 'clean']);
+    });
+
+    it('should keep later jobs from overtaking a job waiting for the same environment', () => {
+        vi.stubEnv('MAX_CONCURRENT_JOBS', '1');
+        submit('first', [ENV_A]);
+        submit('second', [ENV_A]);
+        submit('third', [ENV_A]);
+
+        expect(waiting.third).toEqual({ position: 2, reason: 'lock', environmentId: ENV_A, blockedBy: 'first' });
+        scheduler.releaseJob('first');
+        expect(started).toEqual(['first', 'second']);
+        expect(waiting.third).toEqual({ position: 1, reason: 'lock', environmentId: ENV_A, blockedBy: 'second' });
+    });
+
+    it('should let queued jobs be removed', () => {
+        submit('a');
+        submit('b');
+        submit('c');
+        submit('d');
+
+        expect(scheduler.unscheduleJob('c')).toBe(true);
+        expect(scheduler.unscheduleJob('c')).toBe(false);
+        expect(waiting.d).toEqual({ position: 1, reason: 'capacity' });
+    });
+});
+
+describe('getLockedEnvironments', () => {
+    it('should lock the environments a command writes to', async () => {
+        const { getLockedEnvironments } = await import('../src/server/scheduler.ts');
+
+        expect(getLockedEnvironments('environment clean', { environmentId: ENV_A })).toEqual([ENV_A]);
+        expect(getLockedEnvironments('sync run', { sourceEnvironmentId: ENV_B, targetEnvironmentId: ENV_A.toUpperCase() }))
+            .toEqual([ENV_A]);
+        expect(getLockedEnvironments('environment backup', { environmentId: ENV_A })).toEqual([]);
+    });
+});
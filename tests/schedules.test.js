@@ -0,0 +1,167 @@
+/**
+ * Tests for scheduled commands (src/server/schedules.ts, src/server/cron.ts)
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseCron, getNextCronTime } from '../src/server/cron.ts';
+
+const API_KEY = 'ew0KICAiYWxnIjogIkhTMjU2IiwNCiAgInR5cCI6ICJKV1Qi';
+const ENVIRONMENT_ID = '11111111-2222-3333-4444-555555555555';
+
+function nextTime(expression, after, timeZone = 'UTC') {
+    return getNextCronTime(parseCron(expression), new Date(after), timeZone)?.toISOString() ?? null;
+}
+
+describe('cron expressions', () => {
+    it('should find the next matching minute', () => {
+        expect(nextTime('0 2 * * *', '2026-10-20T01:59:30Z')).toBe('2026-10-20T02:00:00.000Z');
+        expect(nextTime('0 2 * * *', '2026-10-20T02:00:00Z')).toBe('2026-10-21T02:00:00.000Z');
+        expect(nextTime('*/15 9-17 * * mon-fri', '2026-10-23T17:50:00Z')).toBe('2026-10-26T09:00:00.000Z');
+        expect(nextTime('@monthly', '2026-12-15T00:00:00Z')).toBe('2027-01-01T00:00:00.000Z');
+    });
+
+    it('should match either the day of month or the day of week when both are given', () => {
+        // 2026-11-06 is a Friday, 2026-11-13 both
+        expect(nextTime('0 0 13 * fri', '2026-11-01T00:00:00Z')).toBe('2026-11-06T00:00:00.000Z');
+        expect(nextTime('0 0 13 * 5', '2026-11-07T00:00:00Z')).toBe('2026-11-13T00:00:00.000Z');
+    });
+
+    it('should match both when a field is a step of *, as in cron', () => {
+        // 2026-11-02 is a Monday on an even day, 2026-11-09 one on an odd day
+        expect(nextTime('0 0 */2 * 1', '2026-11-01T00:00:00Z')).toBe('2026-11-09T00:00:00.000Z');
+        expect(nextTime('0 0 13 * */5', '2026-11-01T00:00:00Z')).toBe('2026-11-13T00:00:00.000Z');
+    });
+
+    it('should follow the wall clock of the time zone across daylight saving changes', () => {
+        expect(nextTime('0 2 * * *', '2026-10-20T12:00:00Z', 'Europe/Prague')).toBe('2026-10-21T00:00:00.000Z');
+        // 2:00 doesn't exist on 29 March 2026 in Prague
+        expect(nextTime('0 2 * * *', '2026-03-28T12:00:00Z', 'Europe/Prague')).toBe('2026-03-30T00:00:00.000Z');
+        // 2:30 happens twice on 25 October 2026 in Prague and runs the first time only
+        expect(nextTime('30 2 * * *', '2026-10-24T12:00:00Z', 'Europe/Prague')).toBe('2026-10-25T00:30:00.000Z');
+        expect(nextTime('30 2 * * *', '2026-10-25T00:30:00Z', 'Europe/Prague')).toBe('2026-10-26T01:30:00.000Z');
+    });
+
+    it('should reject invalid expressions and never match impossible dates', () => {
+        expect(() => parseCron('61 * * * *')).toThrow(/minute/);
+        expect(() => parseCron('* * *')).toThrow(/5 fields/);
+        expect(() => parseCron('0 0 * * */0')).toThrow(/step/);
+        expect(nextTime('0 0 30 2 *', '2026-01-01T00:00:00Z')).toBeNull();
+    });
+});
+
+describe('schedules', () => {
+    let tempDir;
+    let jobs;
+    let schedules;
+    let profileId;
+    const user = { id: 'ops@example.com', name: 'Ops', role: 'operator' };
+
+    function waitForJob(jobId) {
+        return new Promise(resolve => jobs.subscribeToJob(jobId, () => {}, resolve)).then(() => jobs.getJob(jobId));
+    }
+
+    function createBackupSchedule(fields = {}) {
+        return schedules.createSchedule({
+            name: 'Nightly backup',
+            command: 'environment backup',
+            options: { profileId },
+            cron: '0 2 * * *',
+            timeZone: 'UTC',
+            ...fields
+        }, user);
+    }
+
+    beforeAll(async () => {
+        // A stand-in for the data-ops CLI writing a backup file under its default name
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'schedules-test-'));
+        const cliPath = path.join(tempDir, 'cli.js');
+        await fs.writeFile(cliPath, 'require("fs").writeFileSync("backup.zip", "zip");');
+
+        vi.stubEnv('DATA_DIR', path.join(tempDir, 'data'));
+        vi.stubEnv('DATA_OPS_CLI_PATH', cliPath);
+        vi.stubEnv('SECRETS_MASTER_KEY', 'schedules-test-master-key');
+        vi.stubEnv('AUTH_JWT_SECRET', 'test-jwt-secret');
+        vi.resetModules();
+        jobs = await import('../src/server/jobs.ts');
+        schedules = await import('../src/server/schedules.ts');
+        const profiles = await import('../src/server/profiles.ts');
+        profileId = (await profiles.createProfile({ name: 'Production', environmentId: ENVIRONMENT_ID, managementApiKey: API_KEY })).id;
+    });
+
+    afterAll(async () => {
+        vi.unstubAllEnvs();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should refuse schedules holding keys, needing a confirmation or with an invalid cron expression', async () => {
+        await expect(createBackupSchedule({ options: { environmentId: ENVIRONMENT_ID, apiKey: API_KEY } }))
+            .rejects.toMatchObject({ status: 400, message: expect.stringContaining('apiKey') });
+        await expect(createBackupSchedule({ command: 'environment clean' }))
+            .rejects.toMatchObject({ status: 400, message: expect.stringContaining('typed confirmation') });
+        await expect(createBackupSchedule({ cron: 'every night' })).rejects.toMatchObject({ status: 400 });
+        await expect(createBackupSchedule({ timeZone: 'Mars/Olympus' })).rejects.toMatchObject({ status: 400 });
+        await expect(createBackupSchedule({ options: { profileId: 'missing' } })).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should start a job with the profile\'s key when a schedule is due, then wait for the next due time', async () => {
+        const schedule = await createBackupSchedule();
+        const due = new Date(schedule.nextRunAt);
+        const [run] = await schedules.runDueSchedules(new Date(due.getTime() + 1000));
+        const job = await waitForJob(run.jobId);
+        const updated = await schedules.getSchedule(schedule.id);
+
+        expect(run).toMatchObject({ scheduledFor: schedule.nextRunAt, trigger: 'schedule' });
+        expect(job).toMatchObject({ status: 'succeeded', startedBy: user, schedule: { id: schedule.id, name: 'Nightly backup' } });
+        expect(job.options).toEqual({ profileId });
+        expect(updated.runs[0]).toMatchObject({ jobId: job.id, status: 'succeeded' });
+        expect(Date.parse(updated.nextRunAt) - due.getTime()).toBe(24 * 60 * 60 * 1000);
+        await schedules.deleteSchedule(schedule.id);
+    });
+
+    it('should skip or catch up on runs missed while the server was down, as the schedule says', async () => {
+        const skipped = await createBackupSchedule({ name: 'Skipped' });
+        const caughtUp = await createBackupSchedule({ name: 'Caught up', catchUp: 'run-once' });
+        const runs = await schedules.runDueSchedules(new Date(Date.parse(skipped.nextRunAt) + 3 * 24 * 60 * 60 * 1000), true);
+
+        expect(runs).toHaveLength(2);
+        expect((await schedules.getSchedule(skipped.id)).runs).toEqual([
+            expect.objectContaining({ skipped: 'Missed while the server was down' })
+        ]);
+        const [run] = (await schedules.getSchedule(caughtUp.id)).runs;
+        expect(run.trigger).toBe('catch-up');
+        expect((await waitForJob(run.jobId)).status).toBe('succeeded');
+        await schedules.deleteSchedule(skipped.id);
+        await schedules.deleteSchedule(caughtUp.id);
+    });
+
+    it('should not run paused schedules until they are run by hand', async () => {
+        const schedule = await createBackupSchedule();
+        const paused = await schedules.updateSchedule(schedule.id, { paused: true });
+
+        expect(paused.nextRunAt).toBeNull();
+        expect(await schedules.runDueSchedules(new Date(Date.parse(schedule.nextRunAt) + 1000))).toEqual([]);
+        const run = await schedules.triggerSchedule(schedule.id, user);
+        expect(run.trigger).toBe('manual');
+        await waitForJob(run.jobId);
+        expect((await schedules.updateSchedule(schedule.id, { paused: false })).nextRunAt).toBe(schedule.nextRunAt);
+        await schedules.deleteSchedule(schedule.id);
+    });
+
+    it('should only keep the files of as many runs as the schedule says', async () => {
+        const schedule = await createBackupSchedule({ keepArtifacts: 1 });
+        const first = await schedules.triggerSchedule(schedule.id, user);
+        expect((await waitForJob(first.jobId)).artifacts.map(artifact => artifact.name)).toEqual(['backup.zip']);
+
+        const second = await schedules.triggerSchedule(schedule.id, user);
+        await waitForJob(second.jobId);
+
+        expect(jobs.getJob(first.jobId).artifacts).toEqual([]);
+        expect(jobs.getJob(second.jobId).artifacts.map(artifact => artifact.name)).toEqual(['backup.zip']);
+        await expect(fs.access(path.join(tempDir, 'data', 'artifacts', first.jobId))).rejects.toThrow();
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for the snapshot library (src/server/snapshots.ts)
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const API_KEY = 'ew0KICAiYWxnIjogIkhTMjU2IiwNCiAgInR5cCI6ICJKV1Qi';
+const PRODUCTION_ENVIRONMENT_ID = '11111111-2222-3333-4444-555555555555';
+const DEVELOPMENT_ENVIRONMENT_ID = '66666666-7777-8888-9999-000000000000';
+
+describe('snapshot library', () => {
+    let tempDir;
+    let jobs;
+    let snapshots;
+
+    async function runJob(command, options) {
+        const job = await jobs.startJob(command, options);
+        await new Promise(resolve => jobs.subscribeToJob(job.id, () => {}, resolve));
+        return { job: jobs.getJob(job.id), events: await jobs.getJobEvents(job.id) };
+    }
+
+    function takeSnapshot(environmentId) {
+        return runJob('sync snapshot', { environmentId, apiKey: API_KEY, entities: ['taxonomies'] });
+    }
+
+    beforeAll(async () => {
+        // A stand-in for the data-ops CLI: snapshots write the taxonomies of "their" environment, other commands report the folder they got
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'snapshots-test-'));
+        const cliPath = path.join(tempDir, 'cli.js');
+        await fs.writeFile(cliPath, [
+            'const fs = require("fs");',
+            'const path = require("path");',
+            'const args = process.argv.slice(2);',
+            'const folder = args[args.indexOf("--folder-name") + 1];',
+            'if (args[1] === "snapshot") {',
+            `    const name = args[args.indexOf("--environment-id") + 1] === "${PRODUCTION_ENVIRONMENT_ID}" ? "Categories" : "Topics";`,
+            '    fs.mkdirSync(folder, { recursive: true });',
+            '    fs.writeFileSync(path.join(folder, "taxonomyGroups.json"), JSON.stringify([{ codename: "categories", name, terms: [] }]));',
+            '} else {',
+            '    console.log(`folder: ${folder}`);',
+            '}'
+        ].join('\n'));
+
+        vi.stubEnv('DATA_DIR', path.join(tempDir, 'data'));
+        vi.stubEnv('DATA_OPS_CLI_PATH', cliPath);
+        vi.resetModules();
+        jobs = await import('../src/server/jobs.ts');
+        snapshots = await import('../src/server/snapshots.ts');
+    });
+
+    afterAll(async () => {
+        vi.unstubAllEnvs();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should add what sync snapshot writes to the library, keeping the job\'s own copy', async () => {
+        const { job, events } = await takeSnapshot(PRODUCTION_ENVIRONMENT_ID);
+        const [snapshot] = await snapshots.listSnapshots();
+
+        expect(job.status).toBe('succeeded');
+        expect(snapshot).toMatchObject({
+            name: 'snapshot',
+            environmentId: PRODUCTION_ENVIRONMENT_ID,
+            entities: ['taxonomies'],
+            jobId: job.id,
+            tags: []
+        });
+        expect(snapshot.size).toBeGreaterThan(0);
+        expect(events.some(event => event.message === `Snapshot added to the snapshot library as snapshot:${snapshot.id}`)).toBe(true);
+        expect(job.artifacts.map(artifact => artifact.name)).toEqual(['snapshot/taxonomyGroups.json']);
+    });
+
+    it('should compare two snapshots without reading an environment', async () => {
+        await takeSnapshot(DEVELOPMENT_ENVIRONMENT_ID);
+        const [development, production] = await snapshots.listSnapshots();
+        const diff = await snapshots.diffSnapshots(development.id, production.id);
+
+        expect(diff).toMatchObject({
+            sourceEnvironmentId: DEVELOPMENT_ENVIRONMENT_ID,
+            targetEnvironmentId: PRODUCTION_ENVIRONMENT_ID,
+            sourceSnapshotId: development.id,
+            targetSnapshotId: production.id,
+            counts: { added: 0, modified: 1, removed: 0 }
+        });
+        expect(diff.entities.taxonomies.modified[0].changes).toEqual([{ path: 'name', before: 'Categories', after: 'Topics' }]);
+    });
+
+    it('should tag snapshots', async () => {
+        const [snapshot] = await snapshots.listSnapshots();
+
+        expect((await snapshots.updateSnapshotTags(snapshot.id, [' release ', 'release', 'v2'])).tags).toEqual(['release', 'v2']);
+        expect((await snapshots.getSnapshot(snapshot.id)).tags).toEqual(['release', 'v2']);
+        await expect(snapshots.updateSnapshotTags(snapshot.id, 'release')).rejects.toMatchObject({ status: 400 });
+        await expect(snapshots.updateSnapshotTags('missing', [])).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should hand a referenced snapshot to sync as its folder, until it is deleted', async () => {
+        const [snapshot] = await snapshots.listSnapshots();
+        const { events } = await runJob('sync run', {
+            folderName: `snapshot:${snapshot.id}`,
+            targetEnvironmentId: PRODUCTION_ENVIRONMENT_ID,
+            targetApiKey: API_KEY,
+            entities: ['taxonomies']
+        });
+        const folder = path.join(tempDir, 'data', 'snapshots', snapshot.id);
+
+        expect(events.some(event => event.message === `folder: ${folder}`)).toBe(true);
+
+        await snapshots.deleteSnapshot(snapshot.id);
+        expect((await snapshots.listSnapshots()).map(s => s.id)).not.toContain(snapshot.id);
+        await expect(fs.access(folder)).rejects.toThrow();
+        await expect(snapshots.deleteSnapshot(snapshot.id)).rejects.toMatchObject({ status: 404 });
+    });
+});
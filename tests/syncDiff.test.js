@@ -0,0 +1,155 @@
+/**
+ * Tests for native sync diffs (src/server/syncDiff.ts)
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const API_KEY = 'ew0KICAiYWxnIjogIkhTMjU2IiwNCiAgInR5cCI6ICJKV1Qi';
+const SOURCE_ENVIRONMENT_ID = '11111111-2222-3333-4444-555555555555';
+const TARGET_ENVIRONMENT_ID = '66666666-7777-8888-9999-000000000000';
+
+// Snapshot folders in data-ops's format, and what data-ops's own diff finds between them (npm run sync-diff-fixtures)
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sync-diff');
+
+// Taxonomies of the fake Management API by environment
+const taxonomies = {
+    [SOURCE_ENVIRONMENT_ID]: [
+        { id: 's-1', codename: 'categories', name: 'Categories', terms: [] },
+        { id: 's-2', codename: 'regions', name: 'Regions', terms: [] }
+    ],
+    [TARGET_ENVIRONMENT_ID]: [
+        { id: 't-1', codename: 'categories', name: 'Topics', terms: [] },
+        { id: 't-2', codename: 'legacy', name: '<Legacy>', terms: [] }
+    ]
+};
+
+// Configurations the fake Management API clients were created with
+const clients = [];
+
+vi.mock('@kontent-ai/management-sdk', () => {
+    const list = items => () => ({ toAllPromise: async () => ({ data: { items: items.map(item => ({ _raw: item })) } }) });
+    class ManagementClient {
+        constructor(config) {
+            const { environmentId } = config;
+            clients.push(config);
+            this.listTaxonomies = list(taxonomies[environmentId]);
+            this.listContentTypes = this.listContentTypeSnippets = this.listLanguages = list([]);
+            this.listCollections = () => ({ toPromise: async () => ({ rawData: { collections: [] } }) });
+        }
+    }
+    return { ManagementClient };
+});
+
+describe('sync diff jobs', () => {
+    let tempDir;
+    let jobs;
+
+    beforeAll(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sync-diff-test-'));
+        vi.stubEnv('DATA_DIR', tempDir);
+        // Diffs between environments must not need the CLI
+        vi.stubEnv('DATA_OPS_CLI_PATH', path.join(tempDir, 'missing-cli.js'));
+        vi.resetModules();
+        jobs = await import('../src/server/jobs.ts');
+    });
+
+    afterAll(async () => {
+        vi.unstubAllEnvs();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should diff two environments in the server and keep the diff as JSON and HTML', async () => {
+        const job = await jobs.startJob('sync diff', {
+            sourceEnvironmentId: SOURCE_ENVIRONMENT_ID,
+            sourceApiKey: API_KEY,
+            targetEnvironmentId: TARGET_ENVIRONMENT_ID,
+            targetApiKey: `${API_KEY}2`,
+            entities: ['taxonomies']
+        });
+        await new Promise(resolve => jobs.subscribeToJob(job.id, () => {}, resolve));
+        const finished = jobs.getJob(job.id);
+
+        expect(finished.status).toBe('succeeded');
+        expect(finished.artifacts.map(artifact => artifact.name).sort()).toEqual(['sync-diff.html', 'sync-diff.json']);
+
+        const workspace = path.join(tempDir, 'artifacts', job.id);
+        const diff = JSON.parse(await fs.readFile(path.join(workspace, 'sync-diff.json'), 'utf8'));
+        expect(diff.counts).toEqual({ added: 1, modified: 1, removed: 1 });
+        expect(diff.entities.taxonomies.modified).toEqual([
+            { codename: 'categories', name: 'Categories', changes: [{ path: 'name', before: 'Topics', after: 'Categories' }] }
+        ]);
+        expect(diff.entities.taxonomies.added[0]).toMatchObject({ codename: 'regions', after: { name: 'Regions' } });
+
+        const html = await fs.readFile(path.join(workspace, 'sync-diff.html'), 'utf8');
+        expect(html).toContain('&lt;Legacy&gt;');
+        expect(html).not.toContain('<Legacy>');
+    });
+
+    it('should diff a snapshot folder against an environment in the server, for the entities the folder has', async () => {
+        const folder = path.join(tempDir, 'snapshot');
+        await fs.mkdir(folder);
+        await fs.writeFile(path.join(folder, 'taxonomyGroups.json'), JSON.stringify(taxonomies[SOURCE_ENVIRONMENT_ID]));
+
+        const job = await jobs.startJob('sync diff', { folderName: folder, targetEnvironmentId: TARGET_ENVIRONMENT_ID, targetApiKey: API_KEY });
+        await new Promise(resolve => jobs.subscribeToJob(job.id, () => {}, resolve));
+
+        expect(jobs.getJob(job.id).status).toBe('succeeded');
+        const workspace = path.join(tempDir, 'artifacts', job.id);
+        const diff = JSON.parse(await fs.readFile(path.join(workspace, 'sync-diff.json'), 'utf8'));
+        expect(diff).toMatchObject({ sourceEnvironmentId: '', sourceFolder: folder, targetEnvironmentId: TARGET_ENVIRONMENT_ID });
+        expect(Object.keys(diff.entities)).toEqual(['taxonomies']);
+        expect(diff.counts).toEqual({ added: 1, modified: 1, removed: 1 });
+        expect(await fs.readFile(path.join(workspace, 'sync-diff.html'), 'utf8')).toContain(`Source folder ${folder}`);
+    });
+
+    it('should read both environments from the Management API of the command\'s kontentUrl', async () => {
+        clients.length = 0;
+        const job = await jobs.startJob('sync diff', {
+            sourceEnvironmentId: SOURCE_ENVIRONMENT_ID,
+            sourceApiKey: API_KEY,
+            targetEnvironmentId: TARGET_ENVIRONMENT_ID,
+            targetApiKey: API_KEY,
+            kontentUrl: 'https://kontent.example.com',
+            entities: ['taxonomies']
+        });
+        await new Promise(resolve => jobs.subscribeToJob(job.id, () => {}, resolve));
+
+        expect(jobs.getJob(job.id).status).toBe('succeeded');
+        expect(clients.map(client => client.environmentId).sort()).toEqual([SOURCE_ENVIRONMENT_ID, TARGET_ENVIRONMENT_ID]);
+        expect(clients.every(client => client.baseUrl === 'https://manage.kontent.example.com/v2')).toBe(true);
+    });
+
+    it('should find the changes data-ops finds between the same snapshot folders', async () => {
+        const { readSnapshotFolderModel } = await import('../src/server/snapshots.ts');
+        const { createSyncDiff, MODEL_ENTITIES } = await import('../src/server/contentModel.ts');
+        const expected = JSON.parse(await fs.readFile(path.join(FIXTURES_DIR, 'data-ops-diff.json'), 'utf8'));
+        const [source, target] = await Promise.all(['source', 'target']
+            .map(side => readSnapshotFolderModel(path.join(FIXTURES_DIR, side), MODEL_ENTITIES)));
+
+        const diff = createSyncDiff(source, target, { sourceEnvironmentId: '', targetEnvironmentId: '' });
+        const codenames = changes => changes.map(change => change.codename).sort();
+        const found = Object.fromEntries(Object.entries(diff.entities).map(([entity, changes]) => [entity, {
+            added: codenames(changes.added),
+            modified: codenames(changes.modified),
+            removed: codenames(changes.removed)
+        }]));
+        expect(found).toEqual(expected.entities);
+    });
+
+    it('should fail diffs against folders without any of the entities', async () => {
+        const job = await jobs.startJob('sync diff', {
+            folderName: path.join(tempDir, 'missing'),
+            targetEnvironmentId: TARGET_ENVIRONMENT_ID,
+            targetApiKey: API_KEY
+        });
+        await new Promise(resolve => jobs.subscribeToJob(job.id, () => {}, resolve));
+
+        expect(jobs.getJob(job.id)).toMatchObject({ status: 'failed', error: expect.stringMatching(/none of the entities/) });
+    });
+});
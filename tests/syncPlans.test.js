@@ -0,0 +1,209 @@
+/**
+ * Tests for sync plans (src/server/syncPlans.ts, src/server/contentModel.ts)
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+
+const API_KEY = 'ew0KICAiYWxnIjogIkhTMjU2IiwNCiAgInR5cCI6ICJKV1Qi';
+const SOURCE_ENVIRONMENT_ID = '11111111-2222-3333-4444-555555555555';
+const TARGET_ENVIRONMENT_ID = '66666666-7777-8888-9999-000000000000';
+const OPTIONS = {
+    sourceEnvironmentId: SOURCE_ENVIRONMENT_ID,
+    sourceApiKey: API_KEY,
+    targetEnvironmentId: TARGET_ENVIRONMENT_ID,
+    targetApiKey: `${API_KEY}2`,
+    entities: ['contentTypes', 'taxonomies']
+};
+
+// Content models of the fake Management API by environment; the same entities have different IDs in each
+const models = {};
+// Base URLs the fake Management API clients were created with
+const baseUrls = [];
+// data-ops API calls of plan runs, which always run in a worker
+const workerCalls = [];
+
+function article(prefix, titleName) {
+    return {
+        id: `${prefix}-article`,
+        codename: 'article',
+        name: 'Article',
+        last_modified: new Date().toISOString(),
+        elements: [
+            { id: `${prefix}-title`, codename: 'title', name: titleName, type: 'text' },
+            { id: `${prefix}-category`, codename: 'category', type: 'taxonomy', taxonomy_group: { id: `${prefix}-categories` } }
+        ]
+    };
+}
+
+function categories(prefix) {
+    return {
+        id: `${prefix}-categories`,
+        codename: 'categories',
+        name: 'Categories',
+        terms: [{ id: `${prefix}-news`, codename: 'news', name: 'News', terms: [] }]
+    };
+}
+
+vi.mock('@kontent-ai/management-sdk', () => {
+    const list = entity => function () {
+        return { toAllPromise: async () => ({ data: { items: (models[this.environmentId][entity] ?? []).map(item => ({ _raw: item })) } }) };
+    };
+    class ManagementClient {
+        constructor({ environmentId, baseUrl }) {
+            this.environmentId = environmentId;
+            baseUrls.push(baseUrl);
+        }
+    }
+    ManagementClient.prototype.listContentTypes = list('contentTypes');
+    ManagementClient.prototype.listContentTypeSnippets = list('contentTypeSnippets');
+    ManagementClient.prototype.listTaxonomies = list('taxonomies');
+    ManagementClient.prototype.listLanguages = list('languages');
+    ManagementClient.prototype.listCollections = function () {
+        return { toPromise: async () => ({ rawData: { collections: models[this.environmentId].collections ?? [] } }) };
+    };
+    return { ManagementClient };
+});
+
+vi.mock('../src/server/workerBackend.ts', async importOriginal => ({
+    ...await importOriginal(),
+    runInWorker: (command, functionName, params, syncCodenames) => {
+        workerCalls.push({ command, functionName, params, syncCodenames });
+        const worker = Object.assign(new EventEmitter(), { stdout: new PassThrough(), stderr: new PassThrough(), killed: false, kill: () => {} });
+        setImmediate(() => {
+            worker.stdout.end('synced\n');
+            worker.stderr.end();
+            worker.emit('close', 0);
+        });
+        return worker;
+    }
+}));
+
+describe('sync plans', () => {
+    let tempDir;
+    let jobs;
+    let syncPlans;
+    let workerBackend;
+
+    async function runJob(planId, options = OPTIONS) {
+        const job = await jobs.startJob('sync run', options, undefined, { planId });
+        await new Promise(resolve => jobs.subscribeToJob(job.id, () => {}, resolve));
+        return { job: jobs.getJob(job.id), events: await jobs.getJobEvents(job.id) };
+    }
+
+    beforeAll(async () => {
+        // A stand-in for the data-ops CLI reporting its arguments
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sync-plan-test-'));
+        const cliPath = path.join(tempDir, 'cli.js');
+        await fs.writeFile(cliPath, 'console.log(`ran: ${process.argv.slice(2).filter(arg => !arg.includes("/")).join(" ")}`);');
+
+        vi.stubEnv('DATA_DIR', path.join(tempDir, 'data'));
+        vi.stubEnv('DATA_OPS_CLI_PATH', cliPath);
+        vi.resetModules();
+        jobs = await import('../src/server/jobs.ts');
+        syncPlans = await import('../src/server/syncPlans.ts');
+        workerBackend = await import('../src/server/workerBackend.ts');
+    });
+
+    beforeEach(() => {
+        models[SOURCE_ENVIRONMENT_ID] = {
+            contentTypes: [article('s', 'Headline'), { id: 's-page', codename: 'page', name: 'Page', elements: [] }],
+            taxonomies: [categories('s')]
+        };
+        models[TARGET_ENVIRONMENT_ID] = {
+            contentTypes: [article('t', 'Title'), { id: 't-legacy', codename: 'legacy', name: 'Legacy', elements: [] }],
+            taxonomies: [categories('t')]
+        };
+    });
+
+    afterAll(async () => {
+        vi.unstubAllEnvs();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should list the operations making the target match the source, comparing references by codename', async () => {
+        const plan = await syncPlans.createSyncPlan(OPTIONS);
+
+        expect(plan.operations).toEqual({
+            contentTypes: [
+                { operation: 'create', codename: 'page', name: 'Page' },
+                {
+                    operation: 'update',
+                    codename: 'article',
+                    name: 'Article',
+                    changes: [{ path: 'elements[title].name', before: 'Title', after: 'Headline' }]
+                },
+                { operation: 'delete', codename: 'legacy', name: 'Legacy' }
+            ],
+            taxonomies: []
+        });
+        expect(plan.counts).toEqual({ create: 1, update: 1, delete: 1 });
+    });
+
+    it('should run an approved plan once it has checked that it still holds, giving data-ops only what it changes', async () => {
+        const plan = await syncPlans.createSyncPlan(OPTIONS);
+        workerCalls.length = 0;
+        const { job, events } = await runJob(plan.id);
+
+        expect(job.status).toBe('succeeded');
+        expect(job.syncPlan).toEqual({ id: plan.id, counts: plan.counts });
+        expect(events.some(event => event.message?.startsWith('Environments unchanged since the plan was computed'))).toBe(true);
+        expect(events.some(event => event.message?.startsWith('ran: '))).toBe(false);
+        expect(job.artifacts.map(artifact => artifact.name)).toContain('sync-plan.json');
+
+        const [call] = workerCalls;
+        expect(call).toMatchObject({ functionName: 'syncRun', syncCodenames: { contentTypes: ['page', 'article', 'legacy'], taxonomies: [] } });
+        const entities = workerBackend.toSyncEntities(call.params.entities, call.syncCodenames);
+        expect(Object.keys(entities)).toEqual(['contentTypes', 'taxonomies']);
+        expect(['page', 'article', 'legacy', 'author'].filter(codename => entities.contentTypes({ codename }))).toEqual(['page', 'article', 'legacy']);
+        expect(entities.taxonomies({ codename: 'categories' })).toBe(false);
+    });
+
+    it('should list a renamed default language under both codenames', () => {
+        const plan = {
+            operations: {
+                languages: [
+                    { operation: 'update', codename: 'en', changes: [{ path: 'codename', before: 'en', after: 'default' }] },
+                    { operation: 'create', codename: 'fr' }
+                ]
+            }
+        };
+        expect(syncPlans.getPlannedCodenames(plan)).toEqual({ languages: ['en', 'default', 'fr'] });
+    });
+
+    it('should read both environments from the command\'s kontentUrl and only run the plan there', async () => {
+        const options = { ...OPTIONS, kontentUrl: 'https://kontent.example.com' };
+        baseUrls.length = 0;
+        const plan = await syncPlans.createSyncPlan(options);
+
+        expect(baseUrls).toEqual(['https://manage.kontent.example.com/v2', 'https://manage.kontent.example.com/v2']);
+        await expect(jobs.startJob('sync run', OPTIONS, undefined, { planId: plan.id })).rejects.toMatchObject({ status: 428 });
+        expect((await runJob(plan.id, options)).job.status).toBe('succeeded');
+    });
+
+    it('should not run a plan when the target changed since it was computed', async () => {
+        const plan = await syncPlans.createSyncPlan(OPTIONS);
+        models[TARGET_ENVIRONMENT_ID].taxonomies[0].terms.push({ id: 't-sport', codename: 'sport', name: 'Sport', terms: [] });
+        const { job, events } = await runJob(plan.id);
+
+        expect(job.status).toBe('failed');
+        expect(events.some(event => event.message?.startsWith('ran: '))).toBe(false);
+        expect(job.error).toBe(`Plan check failed, sync run was not run: Target environment ${TARGET_ENVIRONMENT_ID} ` +
+            'has changed since the plan was computed; compute and approve a new plan');
+    });
+
+    it('should only accept a plan once and for what it was computed for', async () => {
+        const plan = await syncPlans.createSyncPlan(OPTIONS);
+
+        await expect(jobs.startJob('sync run', { ...OPTIONS, entities: ['contentTypes'] }, undefined, { planId: plan.id }))
+            .rejects.toMatchObject({ status: 428 });
+        await runJob(plan.id);
+        await expect(jobs.startJob('sync run', OPTIONS, undefined, { planId: plan.id })).rejects.toMatchObject({ status: 428 });
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for resumable uploads (src/server/uploads.ts)
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+
+describe('uploads', () => {
+    let tempDir;
+    let uploads;
+
+    beforeAll(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'uploads-test-'));
+        vi.stubEnv('DATA_DIR', tempDir);
+        vi.stubEnv('UPLOAD_EXPIRY_HOURS', '2');
+        vi.resetModules();
+        uploads = await import('../src/server/uploads.ts');
+    });
+
+    afterAll(async () => {
+        vi.unstubAllEnvs();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should give every user a workspace of their own', () => {
+        const alice = uploads.getUserWorkspaceId({ id: 'alice@example.com', role: 'operator' });
+        const bob = uploads.getUserWorkspaceId({ id: 'bob@example.com', role: 'operator' });
+
+        expect(alice).toMatch(/^user-[0-9a-f]{32}$/);
+        expect(alice).not.toBe(bob);
+        expect(uploads.getUserWorkspaceId({ id: 'alice@example.com', role: 'admin' })).toBe(alice);
+        expect(uploads.sanitizeWorkspaceId(alice)).toBe(alice);
+    });
+
+    it('should resume from what the server stored and keep uploads per workspace', async () => {
+        const workspace = uploads.getUserWorkspaceId({ id: 'alice@example.com', role: 'operator' });
+        const upload = await uploads.createUpload(workspace, 'backup.zip', 10);
+
+        await uploads.appendUploadChunk(workspace, upload.id, 0, Readable.from([Buffer.from('12345')]));
+        expect((await uploads.getUpload(workspace, upload.id)).offset).toBe(5);
+        await expect(uploads.appendUploadChunk(workspace, upload.id, 0, Readable.from([Buffer.from('12345')])))
+            .rejects.toMatchObject({ status: 409 });
+        await expect(uploads.getUpload(uploads.getUserWorkspaceId({ id: 'bob@example.com', role: 'operator' }), upload.id))
+            .rejects.toMatchObject({ status: 404 });
+        await expect(uploads.completeUpload(workspace, upload.id)).rejects.toThrow(/incomplete/);
+
+        await uploads.removeUpload(workspace, upload.id);
+    });
+
+    it('should remove uploads that stopped receiving chunks', async () => {
+        const workspace = uploads.getUserWorkspaceId({ id: 'alice@example.com', role: 'operator' });
+        const abandoned = await uploads.createUpload(workspace, 'abandoned.zip', 10);
+        const recent = await uploads.createUpload(workspace, 'recent.zip', 10);
+        const threeHoursAgo = new Date(Date.now() - 3 * 60 * 60 * 1000);
+        await fs.utimes(path.join(tempDir, 'uploads', workspace, `${abandoned.id}.part`), threeHoursAgo, threeHoursAgo);
+
+        expect(await uploads.removeAbandonedUploads()).toBe(1);
+        await expect(uploads.getUpload(workspace, abandoned.id)).rejects.toMatchObject({ status: 404 });
+        expect((await uploads.getUpload(workspace, recent.id)).status).toBe('pending');
+        expect(await fs.readdir(path.join(tempDir, 'uploads', workspace))).toEqual(
+            expect.not.arrayContaining([expect.stringContaining(abandoned.id)])
+        );
+
+        // A day later the other one has expired too
+        expect(await uploads.removeAbandonedUploads(Date.now() + 24 * 60 * 60 * 1000)).toBe(1);
+        expect(await fs.readdir(path.join(tempDir, 'uploads', workspace))).toEqual([]);
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests for command option validation (src/server/validation.ts)
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { validateCommandOptions, validateAndSanitizeOptions, validateCodename, validateLanguageCodename } from '../src/server/validation.ts';
+
+const API_KEY = 'ew0KICAiYWxnIjogIkhTMjU2IiwNCiAgInR5cCI6ICJKV1Qi';
+const SOURCE_ID = '11111111-2222-3333-4444-555555555555';
+const TARGET_ID = '66666666-7777-8888-9999-000000000000';
+
+const SOURCE = { sourceEnvironmentId: SOURCE_ID, sourceApiKey: API_KEY };
+const TARGET = { targetEnvironmentId: TARGET_ID, targetApiKey: API_KEY };
+
+function messageOf(command, options) {
+    const result = validateCommandOptions(command, options);
+    return result.valid ? null : result.message;
+}
+
+describe('codenames', () => {
+    it('should accept codenames and language codenames as Kontent.ai writes them', () => {
+        expect(validateCodename('coffee_beverages_explained')).toBe(true);
+        expect(validateCodename('Coffee')).toBe(false);
+        expect(validateCodename('a'.repeat(61))).toBe(false);
+        expect(validateCodename('')).toBe(false);
+        expect(validateLanguageCodename('en-US')).toBe(true);
+        expect(validateLanguageCodename('en US')).toBe(false);
+    });
+});
+
+describe('migrate-content options', () => {
+    it('should require a language and exactly one kind of item selection for snapshots', () => {
+        expect(messageOf('migrate-content snapshot', { ...SOURCE, language: 'en', items: ['article_1'] })).toBeNull();
+        expect(messageOf('migrate-content snapshot', { ...SOURCE, items: ['article_1'] })).toMatch(/language are required/);
+        expect(messageOf('migrate-content snapshot', { ...SOURCE, language: 'en' })).toMatch(/One of items/);
+        expect(messageOf('migrate-content snapshot', { ...SOURCE, language: 'en', items: ['a'], collections: ['default'], sourceDeliveryPreviewKey: API_KEY }))
+            .toMatch(/items cannot be combined with collections/);
+    });
+
+    it('should need a Delivery preview key to select by type, collection or filter', () => {
+        expect(messageOf('migrate-content snapshot', { ...SOURCE, language: 'en', byTypesCodenames: ['article'] }))
+            .toMatch(/sourceDeliveryPreviewKey is required/);
+        expect(messageOf('migrate-content snapshot', {
+            ...SOURCE, language: 'en', byTypesCodenames: ['article'], collections: ['default'], sourceDeliveryPreviewKey: API_KEY
+        })).toBeNull();
+    });
+
+    it('should check codenames, filters, depth and limit', () => {
+        const base = { ...SOURCE, language: 'en', sourceDeliveryPreviewKey: API_KEY };
+        expect(messageOf('migrate-content snapshot', { ...base, byTypesCodenames: ['article', 'Bad Type'] }))
+            .toBe('byTypesCodenames contains invalid codenames: Bad Type');
+        expect(messageOf('migrate-content snapshot', { ...base, filter: '?system.type=article' })).toMatch(/without the leading \?/);
+        expect(messageOf('migrate-content snapshot', { ...base, filter: 'system.type=article', depth: '101' })).toMatch(/depth/);
+        expect(messageOf('migrate-content snapshot', { ...base, filter: 'system.type=article', limit: 0 })).toMatch(/limit/);
+        expect(messageOf('migrate-content snapshot', { ...base, filter: 'system.type=article', depth: '3', limit: 100 })).toBeNull();
+    });
+
+    it('should run from either a snapshot file or a source environment', () => {
+        expect(messageOf('migrate-content run', { ...TARGET, filename: 'snapshot.zip' })).toBeNull();
+        expect(messageOf('migrate-content run', { ...TARGET, ...SOURCE, filename: 'snapshot.zip' })).toMatch(/not both/);
+        expect(messageOf('migrate-content run', { ...TARGET, filename: 'snapshot.zip', language: 'en' }))
+            .toMatch(/language can only be used with sourceEnvironmentId/);
+        expect(messageOf('migrate-content run', { ...TARGET })).toMatch(/Either filename or sourceEnvironmentId/);
+        expect(messageOf('migrate-content run', { ...TARGET, ...SOURCE, language: 'en', items: ['article_1'] })).toBeNull();
+        expect(messageOf('migrate-content run', { filename: 'snapshot.zip' })).toMatch(/targetEnvironmentId and targetApiKey/);
+        expect(messageOf('migrate-content export', { ...SOURCE })).toMatch(/Unknown command/);
+    });
+});
+
+describe('sync diff options', () => {
+    it('should refuse the CLI\'s report options, since the server writes the report', () => {
+        expect(messageOf('sync diff', { ...TARGET, ...SOURCE })).toBeNull();
+        expect(messageOf('sync diff', { ...TARGET, folderName: 'snapshot', advanced: true, outPath: 'diff.html' })).toMatch(/advanced and outPath are not supported/);
+        expect(messageOf('sync diff', { ...TARGET, ...SOURCE, outPath: 'diff.html' })).toMatch(/sync-diff\.html artifact/);
+    });
+});
+
+describe('migrations options', () => {
+    const RUN = { environmentId: TARGET_ID, apiKey: API_KEY, migrationsFolder: 'migrations' };
+
+    it('should check the name and type of new migrations', () => {
+        expect(messageOf('migrations add', { migrationsFolder: 'migrations', name: 'add-author', type: 'ts' })).toBeNull();
+        expect(messageOf('migrations add', { name: 'add-author' })).toMatch(/migrationsFolder is required/);
+        expect(messageOf('migrations add', { migrationsFolder: 'migrations', name: '../add author' })).toMatch(/letters, numbers/);
+        expect(messageOf('migrations add', { migrationsFolder: 'migrations', name: 'add-author', type: 'py' })).toBe('type must be js or ts');
+    });
+
+    it('should run exactly one selection of migrations', () => {
+        expect(messageOf('migrations run', { ...RUN, next: 2 })).toBeNull();
+        expect(messageOf('migrations run', { ...RUN, range: '1:5' })).toBeNull();
+        expect(messageOf('migrations run', { ...RUN, all: true })).toBeNull();
+        expect(messageOf('migrations run', { ...RUN, all: false })).toMatch(/Exactly one/);
+        expect(messageOf('migrations run', { ...RUN, next: 2, all: true })).toMatch(/Exactly one/);
+        expect(messageOf('migrations run', { ...RUN, range: '5' })).toMatch(/from:to/);
+        expect(messageOf('migrations run', { ...RUN, next: 0 })).toMatch(/at least 1/);
+        expect(messageOf('migrations run', { ...RUN, name: '../other/migration' })).toMatch(/single migration/);
+        expect(messageOf('migrations run', { migrationsFolder: 'migrations', next: 1 })).toMatch(/environmentId and apiKey/);
+    });
+});
+
+describe('validateAndSanitizeOptions', () => {
+    it('should turn comma-separated codenames into lists for migrate-content', () => {
+        expect(validateAndSanitizeOptions('migrate-content snapshot', { ...SOURCE, items: ' article_1, article_2 article_3 ', collections: '' }))
+            .toEqual({ ...SOURCE, items: ['article_1', 'article_2', 'article_3'] });
+        expect(() => validateAndSanitizeOptions('migrate-content snapshot', { items: [1, 2] })).toThrow(/items must be a list of codenames/);
+    });
+
+    it('should refuse invalid IDs, keys, URLs and paths', () => {
+        expect(() => validateAndSanitizeOptions('environment backup', { environmentId: 'production' })).toThrow(/environmentId must be a valid UUID/);
+        expect(() => validateAndSanitizeOptions('environment backup', { apiKey: 'short' })).toThrow(/apiKey appears to be invalid/);
+        expect(() => validateAndSanitizeOptions('environment backup', { kontentUrl: 'file:///etc/passwd' })).toThrow(/kontentUrl must be an http\(s\) URL/);
+        expect(() => validateAndSanitizeOptions('environment restore', { fileName: '../../secrets.json' })).toThrow(/path traversal/);
+        expect(validateAndSanitizeOptions('environment backup', { kontentUrl: 'https://kontent.example.com', fileName: ' backup.zip ' }))
+            .toEqual({ kontentUrl: 'https://kontent.example.com', fileName: 'backup.zip' });
+    });
+});
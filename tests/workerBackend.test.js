@@ -0,0 +1,113 @@
+/**
+ * Tests for the worker thread backend (src/server/workerBackend.ts)
+ *
+ * Run: npm test
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { toSyncEntities, WorkerProcess } from '../src/server/workerBackend.ts';
+
+const TASK = { command: 'environment backup', functionName: 'backupEnvironment', params: {}, apiModule: '@kontent-ai/data-ops' };
+
+// Stand-ins for dataOpsWorker.ts, logging and posting what it would
+const SCRIPTS = {
+    succeeding: `
+        import { parentPort, workerData } from 'worker_threads';
+        console.log('Backing up ' + workerData.functionName);
+        console.error('Asset hero.png is missing');
+        parentPort.postMessage({ type: 'result', result: { items: 2 } });
+        setInterval(() => {}, 1000);
+    `,
+    failing: `
+        import { parentPort } from 'worker_threads';
+        parentPort.postMessage({ type: 'failed', message: 'Invalid API key' });
+        setInterval(() => {}, 1000);
+    `,
+    hanging: `
+        setInterval(() => {}, 1000);
+    `
+};
+
+function collect(stream) {
+    let text = '';
+    stream.on('data', chunk => { text += chunk; });
+    return () => text;
+}
+
+function closed(process) {
+    return new Promise(resolve => process.on('close', resolve));
+}
+
+describe('sync run entities', () => {
+    it('should sync everything of the selected entities, as the CLI does', () => {
+        const entities = toSyncEntities(['contentTypes', 'webSpotlight']);
+
+        expect(Object.keys(entities)).toEqual(['contentTypes', 'webSpotlight']);
+        expect(entities.contentTypes({ codename: 'article' })).toBe(true);
+        expect(entities.webSpotlight).toBe(true);
+    });
+
+    it('should only let the given codenames through, and default languages for comparing', () => {
+        const entities = toSyncEntities(['contentTypes', 'languages', 'webSpotlight'], { contentTypes: ['article'], languages: ['fr'] });
+
+        expect(entities.contentTypes({ codename: 'article' })).toBe(true);
+        expect(entities.contentTypes({ codename: 'page' })).toBe(false);
+        expect(entities.languages({ codename: 'fr', is_default: false })).toBe(true);
+        expect(entities.languages({ codename: 'en', is_default: true })).toBe(true);
+        expect(entities.languages({ codename: 'de', is_default: false })).toBe(false);
+        expect(entities.webSpotlight).toBe(false);
+    });
+});
+
+describe('WorkerProcess', () => {
+    let tempDir;
+    const scripts = {};
+
+    beforeAll(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'worker-test-'));
+        for (const [name, source] of Object.entries(SCRIPTS)) {
+            const file = path.join(tempDir, `${name}.mjs`);
+            await fs.writeFile(file, source);
+            scripts[name] = pathToFileURL(file);
+        }
+    });
+
+    afterAll(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should behave like a child process that logs to its streams and reports its result', async () => {
+        const worker = new WorkerProcess(TASK, scripts.succeeding);
+        const stdout = collect(worker.stdout);
+        const stderr = collect(worker.stderr);
+        let result;
+        worker.on('result', value => { result = value; });
+
+        expect(await closed(worker)).toBe(0);
+        expect(stdout()).toContain('Backing up backupEnvironment\n');
+        expect(stderr()).toBe('Asset hero.png is missing\n');
+        expect(result).toEqual({ items: 2 });
+    });
+
+    it('should exit with 1 and the error on stderr when the call fails', async () => {
+        const worker = new WorkerProcess(TASK, scripts.failing);
+        const stderr = collect(worker.stderr);
+
+        expect(await closed(worker)).toBe(1);
+        expect(stderr()).toBe('Invalid API key\n');
+    });
+
+    it('should stop the worker when killed', async () => {
+        const worker = new WorkerProcess(TASK, scripts.hanging);
+        const close = closed(worker);
+
+        worker.kill();
+        worker.kill();
+        expect(worker.killed).toBe(true);
+        expect(await close).toBe(1);
+    });
+});